@@ -39,7 +39,32 @@ func _log_debug(source: String, message: String):
 func _ready():
 	_log_info("Credits", "Scene initialized")
 	back_button.pressed.connect(_on_back_pressed)
-	credits_label.text = "ROAD OF WAR\n\nDeveloped by Road of War Development Team\n\nGodot 4.x\nGDScript\n\nThank you for playing!"
+	credits_label.text = "ROAD OF WAR\n\nDeveloped by Road of War Development Team\n\nGodot 4.x\nGDScript" + _build_art_credits() + "\n\nThank you for playing!"
+
+# Art attributions from res://data/credits.json (generated by tools/credits.js)
+func _build_art_credits() -> String:
+	var credits = DataManager.load_json_file("res://data/credits.json")
+	if not credits is Dictionary:
+		_log_warn("Credits", "credits.json missing or invalid; art attributions not shown")
+		return ""
+
+	var text = "\n\nART"
+	var original = credits.get("original", {})
+	if original.get("assets", 0) > 0:
+		text += "\nOriginal art by %s" % original.get("author", "Road of War Development Team")
+	for attribution in credits.get("attributions", []):
+		var title = attribution.get("title")
+		if title == null:
+			title = attribution.get("source", "")
+		text += "\n\n%s" % title
+		if attribution.get("author") != null:
+			text += "\nby %s" % attribution.author
+		text += "\nLicensed under %s" % attribution.get("licenseName", attribution.get("license", ""))
+		if attribution.get("licenseUrl") != null:
+			text += " (%s)" % attribution.licenseUrl
+		if attribution.get("source") != null and attribution.source != title:
+			text += "\n%s" % attribution.source
+	return text
 
 func _on_back_pressed():
 	SceneManager.change_scene("res://scenes/MainMenu.tscn")
@@ -34,6 +34,8 @@ func _log_debug(source: String, message: String):
 # SaveManager.gd - Handles game save/load functionality
 # Uses Godot's built-in JSON and file system
 
+const SaveMigration = preload("res://scripts/SaveMigration.gd")
+
 var save_slots: Array = []
 var max_save_slots: int = 3
 var current_save_slot: int = 1
@@ -128,7 +130,7 @@ func delete_save(slot: int) -> bool:
 func collect_save_data() -> Dictionary:
 	var save_data = {
 		"timestamp": Time.get_unix_time_from_system(),
-		"version": "1.0.0",
+		"version": SaveMigration.CURRENT_SAVE_VERSION,
 		"slot": current_save_slot
 	}
 	
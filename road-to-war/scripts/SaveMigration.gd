@@ -25,9 +25,25 @@ const CURRENT_SAVE_VERSION = 2
 func _ready():
 	_log_info("SaveMigration", "Initialized")
 
+# Save format version as an integer
+# Saves written before the format was versioned by SaveMigration carry
+# SaveManager's old "1.0.0" string; its major number is the format version.
+# JSON numbers come back as floats.
+# Mirrored by saveVersion() in scripts/utils/save-data.js
+static func get_version_number(version) -> int:
+	if version is int:
+		return version
+	if version is float:
+		return int(version)
+	if version is String and version.get_slice(".", 0).is_valid_int():
+		return version.get_slice(".", 0).to_int()
+	return 0
+
 # Migrate save data to current version
+# Each migrate_to_vN step is mirrored in scripts/utils/save-data.js and
+# replayed offline against scripts/fixtures/saves (npm run save -- fixtures)
 func migrate_save_data(save_data: Dictionary) -> Dictionary:
-	var version = save_data.get("version", 0)
+	var version = get_version_number(save_data.get("version", 0))
 	
 	if version == CURRENT_SAVE_VERSION:
 		return save_data  # Already current version
@@ -77,6 +93,6 @@ func migrate_to_v2(save_data: Dictionary) -> Dictionary:
 
 # Check if save needs migration
 func needs_migration(save_data: Dictionary) -> bool:
-	var version = save_data.get("version", 0)
+	var version = get_version_number(save_data.get("version", 0))
 	return version < CURRENT_SAVE_VERSION
 
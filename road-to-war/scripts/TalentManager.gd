@@ -168,6 +168,11 @@ func get_available_points(hero: Hero) -> int:
 			
 	return total_points - allocated
 
+# Sums the effects of every allocated talent by key (numbers times points, other
+# values copied) into the bonus dictionary StatCalculator and the abilities read.
+# Any key passes through here, so the keys talents.json may use are listed in
+# KNOWN_EFFECT_KEYS in scripts/utils/talent-tree.js, which talents:lint checks
+# against. Add a key there when StatCalculator or an ability starts reading it.
 func get_talent_bonuses(hero_id: String) -> Dictionary:
 	var bonuses = {}
 	var pm = get_node_or_null("/root/PartyManager")
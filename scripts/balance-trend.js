@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+/**
+ * Balance Trend - Static HTML Dashboard from Archived Audit Reports
+ *
+ * Reads the report archive written by run-balance-audit.js and
+ * simulate-balance-audit.js (.cursor/balance-history) and renders:
+ *   - commit-to-commit DPS deltas per spec (level 80, mile 0)
+ *   - role-group (dps / tank / healer) averages across commits
+ *   - per-spec DPS curves across levels and miles (latest vs previous commit)
+ * DPS values use the same getDPS() logic as compare-balance-audits.js.
+ *
+ * Usage:
+ *   node scripts/balance-trend.js [options]
+ *   npm run balance-audit:trend
+ *
+ * Options:
+ *   --output, -o <path>  HTML output (default: .cursor/balance-trend.html)
+ *   --history <dir>      Archive directory (default: .cursor/balance-history)
+ *   --limit <n>          Most recent commits to include (default: 12)
+ *   --archive <report>   Archive a report first (e.g. .cursor/stats_audit_report.json)
+ *   --source <label>     Source label for --archive (default: manual)
+ *   --help, -h           Show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDPS, listSpecs, getRole, loadSpecRoles, TARGET_DPS, TARGET_TOLERANCE } from './utils/balance-report.js';
+import { DEFAULT_HISTORY_DIR, loadHistory, loadArchivedReport, archiveReport, latestPerCommit } from './utils/balance-history.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULT_OUTPUT = path.join(ROOT, '.cursor', 'balance-trend.html');
+const BASE_LEVEL = 80;
+const BASE_MILE = 0;
+const ROLES = ['dps', 'tank', 'healer'];
+const ROLE_COLORS = { dps: '#d9534f', tank: '#337ab7', healer: '#5cb85c' };
+
+function printHelp() {
+    console.log(`
+Balance Trend - HTML dashboard from archived balance audit reports
+
+Usage:
+  node scripts/balance-trend.js [options]
+
+Options:
+  --output, -o <path>  HTML output (default: .cursor/balance-trend.html)
+  --history <dir>      Archive directory (default: .cursor/balance-history)
+  --limit <n>          Most recent commits to include (default: 12)
+  --archive <report>   Archive a report first (e.g. .cursor/stats_audit_report.json)
+  --source <label>     Source label for --archive (default: manual)
+  --help, -h           Show this help
+`);
+}
+
+function parseArgs(argv) {
+    const options = {
+        output: DEFAULT_OUTPUT,
+        historyDir: DEFAULT_HISTORY_DIR,
+        limit: 12,
+        archive: null,
+        source: 'manual',
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--output':
+            case '-o':
+                options.output = path.resolve(next());
+                break;
+            case '--history':
+                options.historyDir = path.resolve(next());
+                break;
+            case '--limit':
+                options.limit = parseInt(next(), 10);
+                if (isNaN(options.limit) || options.limit < 1) throw new Error('--limit must be a positive integer');
+                break;
+            case '--archive':
+                options.archive = path.resolve(next());
+                break;
+            case '--source':
+                options.source = next();
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDps(value) {
+    return value === null || value === undefined ? '–' : value.toFixed(1);
+}
+
+function formatDelta(before, after) {
+    if (before === null || after === null || before === 0) return { text: '', cls: '' };
+    const percent = ((after - before) / before) * 100;
+    const sign = percent > 0 ? '+' : '';
+    return {
+        text: `${sign}${percent.toFixed(1)}%`,
+        cls: Math.abs(percent) < 1 ? 'flat' : percent > 0 ? 'up' : 'down'
+    };
+}
+
+/**
+ * SVG line chart over categorical x values
+ * @param {Object} chart - { xLabels: string[], series: [{ label, values: (number|null)[], color, dashed }], band: {min, max}|null, width, height }
+ * @returns {string} SVG markup
+ */
+function lineChart({ xLabels, series, band = null, width = 320, height = 160 }) {
+    const pad = { left: 40, right: 10, top: 10, bottom: 24 };
+    const values = series.flatMap(s => s.values).filter(v => v !== null);
+    if (band) values.push(band.min, band.max);
+    const max = Math.max(1, ...values) * 1.05;
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const x = i => pad.left + (xLabels.length === 1 ? plotW / 2 : (i / (xLabels.length - 1)) * plotW);
+    const y = v => pad.top + plotH - (v / max) * plotH;
+
+    const parts = [`<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">`];
+    if (band) {
+        parts.push(`<rect x="${pad.left}" y="${y(band.max).toFixed(1)}" width="${plotW}" height="${(y(band.min) - y(band.max)).toFixed(1)}" class="band"/>`);
+    }
+    for (const tick of [0, 0.5, 1]) {
+        const value = max * tick;
+        parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" class="grid"/>`);
+        parts.push(`<text x="${pad.left - 4}" y="${(y(value) + 3).toFixed(1)}" class="axis" text-anchor="end">${Math.round(value)}</text>`);
+    }
+    xLabels.forEach((label, i) => {
+        parts.push(`<text x="${x(i).toFixed(1)}" y="${height - 8}" class="axis" text-anchor="middle">${escapeHtml(label)}</text>`);
+    });
+    for (const s of series) {
+        const points = s.values.map((v, i) => (v === null ? null : `${x(i).toFixed(1)},${y(v).toFixed(1)}`)).filter(Boolean);
+        if (points.length === 0) continue;
+        const dash = s.dashed ? ' stroke-dasharray="4 3"' : '';
+        parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${s.color}" stroke-width="2"${dash}><title>${escapeHtml(s.label)}</title></polyline>`);
+        s.values.forEach((v, i) => {
+            if (v === null) return;
+            parts.push(`<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="2.5" fill="${s.color}"><title>${escapeHtml(`${s.label} @ ${xLabels[i]}: ${v.toFixed(1)}`)}</title></circle>`);
+        });
+    }
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+function legend(series) {
+    return `<div class="legend">${series.map(s =>
+        `<span><i style="background:${s.color}${s.dashed ? ';opacity:.5' : ''}"></i>${escapeHtml(s.label)}</span>`).join('')}</div>`;
+}
+
+function average(values) {
+    const present = values.filter(v => v !== null);
+    return present.length === 0 ? null : present.reduce((sum, v) => sum + v, 0) / present.length;
+}
+
+function buildDashboard(points, specRoles) {
+    const latest = points[points.length - 1];
+    const previous = points.length > 1 ? points[points.length - 2] : null;
+    const specs = listSpecs(latest.report);
+    const commitLabels = points.map(p => p.entry.short + (p.entry.dirty ? '*' : ''));
+    const band = { min: TARGET_DPS - TARGET_TOLERANCE, max: TARGET_DPS + TARGET_TOLERANCE };
+
+    // Role groups across commits
+    const roleSeries = ROLES.map(role => ({
+        label: role,
+        color: ROLE_COLORS[role],
+        values: points.map(p => average(listSpecs(p.report)
+            .filter(s => getRole(p.report, s.classId, s.specId, specRoles) === role)
+            .map(s => getDPS(p.report, s.classId, s.specId, BASE_LEVEL, BASE_MILE))))
+    }));
+
+    const roleRows = ROLES.map(role => {
+        const members = specs.filter(s => getRole(latest.report, s.classId, s.specId, specRoles) === role);
+        const now = members.map(s => getDPS(latest.report, s.classId, s.specId, BASE_LEVEL, BASE_MILE)).filter(v => v !== null);
+        const before = previous
+            ? average(members.map(s => getDPS(previous.report, s.classId, s.specId, BASE_LEVEL, BASE_MILE)))
+            : null;
+        const avg = average(now);
+        const delta = formatDelta(before, avg);
+        return `<tr><td><i class="swatch" style="background:${ROLE_COLORS[role]}"></i>${role}</td><td>${members.length}</td>`
+            + `<td>${formatDps(avg)}</td><td>${formatDps(now.length ? Math.min(...now) : null)}</td>`
+            + `<td>${formatDps(now.length ? Math.max(...now) : null)}</td><td class="${delta.cls}">${delta.text}</td></tr>`;
+    }).join('\n');
+
+    // Commit-to-commit deltas
+    const deltaHeader = points.map(p =>
+        `<th title="${escapeHtml(`${p.entry.commit}\n${p.entry.subject || ''}\n${p.entry.archived_at} (${p.entry.source})`)}">${escapeHtml(p.entry.short)}${p.entry.dirty ? '*' : ''}</th>`).join('');
+    const deltaRows = specs.map(({ classId, specId }) => {
+        let last = null;
+        const cells = points.map(p => {
+            const dps = getDPS(p.report, classId, specId, BASE_LEVEL, BASE_MILE);
+            const delta = formatDelta(last, dps);
+            last = dps;
+            const out = dps !== null && (dps < band.min || dps > band.max) ? ' out' : '';
+            return `<td class="${out}">${formatDps(dps)}${delta.text ? `<small class="${delta.cls}">${delta.text}</small>` : ''}</td>`;
+        }).join('');
+        return `<tr><td>${classId}/${specId}</td><td>${getRole(latest.report, classId, specId, specRoles)}</td>${cells}</tr>`;
+    }).join('\n');
+
+    // Per-spec curves (latest solid, previous dashed)
+    const levels = latest.report.levels || [1, 10, 20, 40, 60, 80];
+    const miles = latest.report.mile_samples || [0, 5, 10, 20, 50, 100];
+    const cards = specs.map(({ classId, specId }) => {
+        const role = getRole(latest.report, classId, specId, specRoles);
+        const curve = (report, axis) => (axis === 'level'
+            ? levels.map(level => getDPS(report, classId, specId, level, BASE_MILE))
+            : miles.map(mile => getDPS(report, classId, specId, BASE_LEVEL, mile)));
+        const series = axis => [
+            ...(previous ? [{ label: previous.entry.short, color: '#999', dashed: true, values: curve(previous.report, axis) }] : []),
+            { label: latest.entry.short, color: ROLE_COLORS[role] || '#333', values: curve(latest.report, axis) }
+        ];
+        return `<div class="card"><h3>${classId}/${specId} <span class="role">${role}</span></h3>
+<div class="charts"><figure>${lineChart({ xLabels: levels.map(l => `L${l}`), series: series('level') })}<figcaption>DPS by level (mile ${BASE_MILE})</figcaption></figure>
+<figure>${lineChart({ xLabels: miles.map(m => `M${m}`), series: series('mile') })}<figcaption>DPS by mile (level ${BASE_LEVEL})</figcaption></figure></div>
+${legend(series('level'))}</div>`;
+    }).join('\n');
+
+    const title = 'Road of War - Balance Trend';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 24px; color: #222; background: #fafafa; }
+h1 { margin-bottom: 4px; }
+h2 { margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+.meta { color: #666; }
+table { border-collapse: collapse; font-size: 13px; background: #fff; }
+th, td { border: 1px solid #e2e2e2; padding: 4px 8px; text-align: right; white-space: nowrap; }
+th:first-child, td:first-child, td:nth-child(2) { text-align: left; }
+td small { display: block; font-size: 11px; }
+.up { color: #c9302c; } .down { color: #2e7d32; } .flat { color: #888; }
+td.out { background: #fff4e5; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { background: #fff; border: 1px solid #e2e2e2; border-radius: 6px; padding: 8px 12px; }
+.card h3 { margin: 4px 0; font-size: 15px; }
+.role { font-size: 12px; color: #888; font-weight: normal; }
+.charts { display: flex; gap: 8px; }
+figure { margin: 0; } figcaption { font-size: 11px; color: #666; text-align: center; }
+.legend span { margin-right: 12px; font-size: 12px; }
+.legend i, .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+svg .grid { stroke: #eee; } svg .axis { font-size: 10px; fill: #777; } svg .band { fill: #5cb85c; opacity: .12; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">Latest: <b>${escapeHtml(latest.entry.short)}</b>${latest.entry.dirty ? ' (uncommitted changes)' : ''} ${escapeHtml(latest.entry.subject || '')}
+ · ${points.length} commit(s) · source: ${escapeHtml(latest.entry.source)} · generated ${new Date().toISOString()}</p>
+<p class="meta">DPS = average of the top two ability DPS values (auto-attack when none), as in compare-balance-audits.js.
+Target band ${band.min}-${band.max} DPS at level ${BASE_LEVEL}, mile ${BASE_MILE}; increases are red, decreases green.</p>
+
+<h2>Role groups (level ${BASE_LEVEL}, mile ${BASE_MILE})</h2>
+<div class="charts"><figure>${lineChart({ xLabels: commitLabels, series: roleSeries, band, width: 520, height: 200 })}<figcaption>Average DPS per role by commit</figcaption></figure></div>
+${legend(roleSeries)}
+<table>
+<tr><th>Role</th><th>Specs</th><th>Avg</th><th>Min</th><th>Max</th><th>vs previous</th></tr>
+${roleRows}
+</table>
+
+<h2>Commit-to-commit deltas (level ${BASE_LEVEL}, mile ${BASE_MILE})</h2>
+<table>
+<tr><th>Spec</th><th>Role</th>${deltaHeader}</tr>
+${deltaRows}
+</table>
+
+<h2>DPS curves</h2>
+<div class="cards">
+${cards}
+</div>
+</body>
+</html>
+`;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - BALANCE TREND');
+    console.log('═══════════════════════════════════════════════════════════\n');
+
+    if (options.archive) {
+        if (!fs.existsSync(options.archive)) {
+            console.error(`❌ Report not found: ${options.archive}`);
+            process.exit(1);
+        }
+        const { entry, added } = archiveReport(options.archive, { historyDir: options.historyDir, source: options.source });
+        console.log(added ? `🗄️  Archived ${options.archive} as ${entry.file}` : `🗄️  Already archived as ${entry.file}`);
+    }
+
+    const entries = loadHistory(options.historyDir);
+    if (entries.length === 0) {
+        console.error(`❌ No archived reports in ${options.historyDir}`);
+        console.log('\n💡 Run an audit (npm run balance-audit or npm run balance-audit:simulate),');
+        console.log('   or archive an existing report: node scripts/balance-trend.js --archive .cursor/stats_audit_report.json\n');
+        process.exit(1);
+    }
+
+    const points = latestPerCommit(entries)
+        .slice(-options.limit)
+        .map(entry => ({ entry, report: loadArchivedReport(entry, options.historyDir) }))
+        .filter(point => {
+            if (!point.report) console.log(`⚠️  Missing archived report: ${point.entry.file}`);
+            return point.report;
+        });
+
+    if (points.length === 0) {
+        console.error('❌ None of the archived reports could be read');
+        process.exit(1);
+    }
+
+    const html = buildDashboard(points, loadSpecRoles());
+    fs.mkdirSync(path.dirname(options.output), { recursive: true });
+    fs.writeFileSync(options.output, html);
+
+    console.log(`📂 History:  ${options.historyDir} (${entries.length} report(s))`);
+    console.log(`🔀 Commits:  ${points.map(p => p.entry.short).join(' → ')}`);
+    console.log(`✅ Dashboard: ${options.output}\n`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
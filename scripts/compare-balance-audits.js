@@ -5,16 +5,26 @@
  * Compares two balance audit reports to show improvements from balance adjustments.
  * 
  * Usage:
- *   node scripts/compare-balance-audits.js [before_report] [after_report]
+ *   node scripts/compare-balance-audits.js [before_report] [after_report] [options]
  *   
  * If reports not specified, uses:
  *   - Before: .cursor/stats_audit_report.json (if exists)
  *   - After: user://stats_audit_report.json (most recent)
+ *
+ * Options:
+ *   --gate               Exit non-zero when a spec breaks the thresholds
+ *                        (DPS drift, target band, new anomalies)
+ *   --thresholds <path>  Threshold config (default: scripts/balance-thresholds.json)
+ *   --json <path>        Write gate results as JSON
+ *   --junit <path>       Write gate results as JUnit XML
+ *   --help, -h           Show this help
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getDPS, loadSpecRoles } from './utils/balance-report.js';
+import { DEFAULT_THRESHOLDS_PATH, loadThresholds, evaluateGate, toJUnitXml } from './utils/balance-gate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,43 +52,6 @@ function loadReport(reportPath) {
     }
 }
 
-function getDPS(report, classId, specId, level = 80, mile = 0) {
-    try {
-        const classData = report.classes[classId];
-        if (!classData) return null;
-
-        const specData = classData.specs[specId];
-        if (!specData) return null;
-
-        const levelData = specData.levels?.[String(level)];
-        if (!levelData) return null;
-
-        const mileData = levelData.dps_by_mile?.[String(mile)];
-        if (!mileData) return null;
-
-        // Use ability DPS if available, otherwise fall back to auto-attack
-        let dps = mileData.auto_attack?.dps || mileData.dps || 0;
-
-        // For classes with key abilities, use the highest ability DPS
-        if (mileData.abilities) {
-            const abilityDPS = Object.values(mileData.abilities)
-                .map(ability => ability.dps)
-                .filter(d => d > 0);
-
-            if (abilityDPS.length > 0) {
-                // Use average of top abilities (weighted toward the highest)
-                const sortedDPS = abilityDPS.sort((a, b) => b - a);
-                dps = sortedDPS.slice(0, Math.min(2, sortedDPS.length))
-                    .reduce((sum, d) => sum + d, 0) / Math.min(2, sortedDPS.length);
-            }
-        }
-
-        return dps;
-    } catch (e) {
-        return null;
-    }
-}
-
 function compareReports(beforeReport, afterReport) {
     if (!beforeReport || !afterReport) {
         console.error('❌ Cannot compare: One or both reports missing');
@@ -183,19 +156,129 @@ function compareReports(beforeReport, afterReport) {
     console.log('\n═══════════════════════════════════════════════════════════\n');
 }
 
+function printHelp() {
+    console.log(`
+Compare Balance Audits - before/after DPS comparison and regression gate
+
+Usage:
+  node scripts/compare-balance-audits.js [before_report] [after_report] [options]
+
+Defaults:
+  before: .cursor/stats_audit_report.json
+  after:  user://stats_audit_report.json
+
+Options:
+  --gate               Exit non-zero when a spec breaks the thresholds
+                       (DPS drift, target band, new anomalies)
+  --thresholds <path>  Threshold config (default: scripts/balance-thresholds.json)
+  --json <path>        Write gate results as JSON
+  --junit <path>       Write gate results as JUnit XML
+  --help, -h           Show this help
+`);
+}
+
+function parseArgs(argv) {
+    const options = {
+        beforePath: BEFORE_REPORT,
+        afterPath: USER_REPORT,
+        gate: false,
+        thresholdsPath: DEFAULT_THRESHOLDS_PATH,
+        jsonPath: null,
+        junitPath: null,
+        help: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--gate':
+                options.gate = true;
+                break;
+            case '--thresholds':
+                options.thresholdsPath = path.resolve(next());
+                break;
+            case '--json':
+                options.jsonPath = path.resolve(next());
+                break;
+            case '--junit':
+                options.junitPath = path.resolve(next());
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+                positional.push(arg);
+        }
+    }
+
+    if (positional.length > 2) throw new Error(`Unexpected argument: ${positional[2]}`);
+    if (positional.length >= 1) options.beforePath = positional[0];
+    if (positional.length >= 2) options.afterPath = positional[1];
+
+    return options;
+}
+
+function printGate(result, thresholdsPath) {
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        BALANCE REGRESSION GATE');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    console.log(`   Thresholds: ${thresholdsPath}`);
+    console.log(`   Target band: ${result.target.dps} ± ${result.target.tolerance} DPS\n`);
+
+    const failing = result.checks.filter(check => check.failures.length > 0);
+    for (const check of failing) {
+        console.log(`   ❌ ${`${check.classId}/${check.specId}`.padEnd(28)} L${String(check.level).padEnd(3)} M${String(check.mile).padEnd(4)} (${check.role})`);
+        for (const failure of check.failures) {
+            console.log(`      ${failure.type}: ${failure.message}`);
+        }
+    }
+
+    const anomalies = result.anomalies;
+    if (anomalies.ok) {
+        console.log(`   ✅ Anomalies: ${anomalies.before} → ${anomalies.after}`);
+    } else {
+        console.log(`   ❌ Anomalies grew: ${anomalies.before} → ${anomalies.after} (allowed +${anomalies.maxNew})`);
+        for (const anomaly of anomalies.added.slice(0, 10)) {
+            console.log(`      + ${anomaly}`);
+        }
+    }
+
+    console.log(`\n   Checks: ${result.summary.passed}/${result.summary.checks} passed`);
+    console.log(result.ok ? '   🟢 Gate passed' : '   🔴 Gate failed');
+    console.log('\n═══════════════════════════════════════════════════════════\n');
+}
+
+function writeOutput(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    console.log(`📝 Wrote ${filePath}`);
+}
+
 async function main() {
-    const args = process.argv.slice(2);
-    
-    let beforePath = BEFORE_REPORT;
-    let afterPath = USER_REPORT;
-    
-    if (args.length >= 1) {
-        beforePath = args[0];
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
     }
-    if (args.length >= 2) {
-        afterPath = args[1];
+
+    if (options.help) {
+        printHelp();
+        return;
     }
-    
+
+    const { beforePath, afterPath } = options;
+
     console.log('🔍 Loading reports...\n');
     console.log(`   Before: ${beforePath}`);
     console.log(`   After:  ${afterPath}\n`);
@@ -226,6 +309,31 @@ async function main() {
     console.log(`   After generated:  ${afterTime}\n`);
     
     compareReports(beforeReport, afterReport);
+
+    if (!options.gate && !options.jsonPath && !options.junitPath) {
+        return;
+    }
+
+    const thresholds = loadThresholds(options.thresholdsPath);
+    const result = evaluateGate(beforeReport, afterReport, thresholds, { specRoles: loadSpecRoles() });
+
+    printGate(result, options.thresholdsPath);
+
+    if (options.jsonPath) {
+        writeOutput(options.jsonPath, JSON.stringify({
+            before: beforePath,
+            after: afterPath,
+            thresholds: options.thresholdsPath,
+            ...result
+        }, null, 2) + '\n');
+    }
+    if (options.junitPath) {
+        writeOutput(options.junitPath, toJUnitXml(result));
+    }
+
+    if (options.gate && !result.ok) {
+        process.exit(1);
+    }
 }
 
 main().catch((err) => {
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Encounter Preview - Seeded Road and Encounter Timeline (no Godot required)
+ *
+ * Generates the first N miles of a run with the JS mirror of WorldManager
+ * segments, biomes and encounters in scripts/utils/encounter-preview.js:
+ * per segment the encounter type, the enemies picked from enemies.json
+ * (by level, type and group role) and their scaled stats. Writes the JSON
+ * timeline and an SVG strip map of the road, so pacing can be eyeballed
+ * without launching the game.
+ *
+ * Usage:
+ *   node scripts/encounter-preview.js [options]
+ *   npm run encounters:preview -- --miles 30 --model game
+ *
+ * Options:
+ *   --miles <n>          Miles to generate (default: 10)
+ *   --model <model>      config: world-config.json encounters and difficultyScaling as written;
+ *                        game: what WorldManager.gd does today (default: config)
+ *   --seed <n>           RNG seed (default: 12345)
+ *   --data <dir>         Data directory (default: road-to-war/data)
+ *   --output-dir <dir>   Where timeline.json and strip.svg go (default: .cursor/encounter-preview)
+ *   --json               Print the timeline JSON instead of tables
+ *   --strict             Exit 1 when anything is flagged
+ *   --help, -h           Show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    loadPreviewData,
+    previewRun,
+    DEFAULT_DATA_DIR,
+    DEFAULT_MILES,
+    DEFAULT_SEED,
+    ENCOUNTER_MODELS,
+    ROAD_COLORS,
+    SEGMENT_WIDTH
+} from './utils/encounter-preview.js';
+
+const DEFAULT_OUTPUT_DIR = path.resolve(process.cwd(), '.cursor', 'encounter-preview');
+
+// Strip map layout
+const PX_PER_MILE = 120;
+const MARGIN = 20;
+const BIOME_COLORS = {
+    plains: '#9ccc65',
+    forest: '#388e3c',
+    mountains: '#90a4ae',
+    desert: '#ffcc80',
+    undead: '#7e57c2',
+    arcane: '#4fc3f7'
+};
+const ENCOUNTER_COLORS = {
+    combat: '#e53935',
+    elite: '#fb8c00',
+    boss: '#8e24aa',
+    final_boss: '#000000',
+    shop: '#1e88e5',
+    treasure: '#fdd835',
+    quest: '#43a047',
+    resource_node: '#6d4c41',
+    exploration: '#00acc1',
+    choice: '#d81b60'
+};
+
+function printHelp() {
+    console.log(`
+Encounter Preview - Seeded road and encounter timeline
+
+Usage:
+  node scripts/encounter-preview.js [options]
+
+Options:
+  --miles <n>          Miles to generate (default: ${DEFAULT_MILES})
+  --model <model>      config: world-config.json encounters and difficultyScaling as written;
+                       game: what WorldManager.gd does today (default: config)
+  --seed <n>           RNG seed (default: ${DEFAULT_SEED})
+  --data <dir>         Data directory (default: road-to-war/data)
+  --output-dir <dir>   Where timeline.json and strip.svg go (default: .cursor/encounter-preview)
+  --json               Print the timeline JSON instead of tables
+  --strict             Exit 1 when anything is flagged
+  --help, -h           Show this help
+`);
+}
+
+function parsePositiveInt(value, flag, min = 1) {
+    const n = parseInt(value, 10);
+    if (isNaN(n) || n < min) {
+        throw new Error(`${flag} must be an integer >= ${min}`);
+    }
+    return n;
+}
+
+function parseArgs(argv) {
+    const options = {
+        miles: DEFAULT_MILES,
+        model: 'config',
+        seed: DEFAULT_SEED,
+        dataDir: DEFAULT_DATA_DIR,
+        outputDir: DEFAULT_OUTPUT_DIR,
+        json: false,
+        strict: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--miles':
+                options.miles = parsePositiveInt(next(), arg);
+                break;
+            case '--model':
+                options.model = next();
+                if (!ENCOUNTER_MODELS.includes(options.model)) {
+                    throw new Error(`--model must be one of: ${ENCOUNTER_MODELS.join(', ')}`);
+                }
+                break;
+            case '--seed':
+                options.seed = parseInt(next(), 10);
+                if (isNaN(options.seed)) throw new Error('--seed must be an integer');
+                break;
+            case '--data':
+                options.dataDir = path.resolve(next());
+                break;
+            case '--output-dir':
+                options.outputDir = path.resolve(next());
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function describeEncounter(encounter) {
+    const lines = [`${encounter.type} at mile ${encounter.mile} (x ${encounter.x})`];
+    if (encounter.fallbackFrom) lines.push(`(rolled ${encounter.fallbackFrom}, none can spawn yet)`);
+    for (const enemy of encounter.enemies || []) {
+        const { health, attack, defense } = enemy.stats;
+        lines.push(`${enemy.id} L${enemy.level} ${enemy.type}/${enemy.role}: HP ${health} ATK ${attack} DEF ${Number(defense.toFixed(1))}`);
+    }
+    if (encounter.items) lines.push(encounter.items.length > 0 ? `sells ${encounter.items.join(', ')}` : 'nothing for sale');
+    if (encounter.gold !== undefined) lines.push(`${encounter.gold} gold${encounter.itemCategory ? ` + "${encounter.itemCategory}"` : ''}`);
+    if (encounter.questId) lines.push(encounter.questId);
+    return lines.join('\n');
+}
+
+/**
+ * SVG strip map: biome band, road band, segment ticks and one marker per encounter
+ */
+function buildSvg(report) {
+    const { meta, segments } = report;
+    const scale = PX_PER_MILE / (SEGMENT_WIDTH * meta.segmentsPerMile);
+    const width = MARGIN * 2 + meta.miles * PX_PER_MILE;
+    const height = 190;
+    const roadY = 70;
+    const x = worldX => (MARGIN + worldX * scale).toFixed(1);
+    const labelEvery = meta.miles <= 30 ? 1 : 5;
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="sans-serif" font-size="10">`,
+        `<rect width="${width}" height="${height}" fill="#fafafa"/>`
+    ];
+
+    for (const segment of segments) {
+        const left = x(segment.x);
+        const segmentWidth = (SEGMENT_WIDTH * scale).toFixed(1);
+        parts.push(`<rect x="${left}" y="30" width="${segmentWidth}" height="24" fill="${BIOME_COLORS[segment.biome] || '#bdbdbd'}"><title>${escapeXml(`${segment.biome}, segment ${segment.segment}`)}</title></rect>`);
+        parts.push(`<rect x="${left}" y="${roadY}" width="${segmentWidth}" height="20" fill="${ROAD_COLORS[segment.road] || ROAD_COLORS.dirt}"/>`);
+        parts.push(`<line x1="${left}" x2="${left}" y1="${roadY}" y2="${roadY + 20}" stroke="#fff" stroke-opacity="0.4"/>`);
+        if (segment.skipped === 'cooldown') {
+            parts.push(`<text x="${(parseFloat(left) + SEGMENT_WIDTH * scale / 2).toFixed(1)}" y="${roadY + 14}" fill="#fff" text-anchor="middle" opacity="0.6">·</text>`);
+        }
+        if (segment.segment % meta.segmentsPerMile === 0) {
+            parts.push(`<line x1="${left}" x2="${left}" y1="24" y2="${roadY + 26}" stroke="#424242"/>`);
+            if (segment.mile % labelEvery === 0) {
+                parts.push(`<text x="${left}" y="18" text-anchor="middle">${segment.mile}</text>`);
+            }
+        }
+        if (segment.milestone) {
+            parts.push(`<text x="${left}" y="${roadY - 4}" text-anchor="middle" fill="#b8860b" font-weight="bold">★ ${segment.mile}</text>`);
+        }
+        for (const encounter of segment.encounters) {
+            const cx = x(encounter.x);
+            const fighters = encounter.enemies?.length || 0;
+            const radius = fighters > 0 ? 4 + fighters : 5;
+            parts.push(`<circle cx="${cx}" cy="${roadY + 10}" r="${radius}" fill="${ENCOUNTER_COLORS[encounter.type] || '#9e9e9e'}" stroke="#212121" stroke-width="0.5"><title>${escapeXml(describeEncounter(encounter))}</title></circle>`);
+            if (fighters > 0) {
+                parts.push(`<text x="${cx}" y="${roadY + 34}" text-anchor="middle">${fighters}</text>`);
+            }
+        }
+    }
+
+    const types = Object.keys(report.summary.byType);
+    types.forEach((type, i) => {
+        const lx = MARGIN + i * 95;
+        parts.push(`<circle cx="${lx + 5}" cy="${height - 40}" r="5" fill="${ENCOUNTER_COLORS[type] || '#9e9e9e'}"/>`);
+        parts.push(`<text x="${lx + 14}" y="${height - 36}">${escapeXml(type)} (${report.summary.byType[type]})</text>`);
+    });
+    parts.push(`<text x="${MARGIN}" y="${height - 12}" fill="#616161">${escapeXml(`${meta.miles} miles, model ${meta.model}, seed ${meta.seed} · hover a marker for enemies and stats · numbers under markers are group sizes`)}</text>`);
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+}
+
+function printTimeline(report) {
+    console.log(`  ${'Mile'.padStart(4)} ${'Biome'.padEnd(10)} ${'Enemies'.padStart(7)} ${'Total HP'.padStart(9)}  Encounters`);
+    const seen = new Set();
+    for (const row of report.summary.perMile) {
+        const counts = {};
+        const newEnemies = [];
+        for (const segment of report.segments.filter(s => s.mile === row.mile)) {
+            for (const encounter of segment.encounters) {
+                counts[encounter.type] = (counts[encounter.type] || 0) + 1;
+                for (const enemy of encounter.enemies || []) {
+                    if (!seen.has(enemy.id)) {
+                        seen.add(enemy.id);
+                        newEnemies.push(enemy.id);
+                    }
+                }
+            }
+        }
+        const encounters = Object.entries(counts).map(([type, n]) => (n > 1 ? `${n} ${type}` : type)).join(', ') || '-';
+        const fresh = newEnemies.length > 0 ? `  (new: ${newEnemies.join(', ')})` : '';
+        console.log(`  ${String(row.mile).padStart(4)} ${row.biome.padEnd(10)} ${String(row.enemies).padStart(7)} ${String(row.health).padStart(9)}  ${encounters}${fresh}`);
+    }
+    console.log('');
+}
+
+function printFlags(flags) {
+    if (flags.length === 0) {
+        console.log('✅ Nothing flagged\n');
+        return;
+    }
+    console.log(`⚠️  ${flags.length} flag(s):`);
+    for (const flag of flags) {
+        console.log(`   - [${flag.type}] ${flag.message}`);
+    }
+    console.log('');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const data = loadPreviewData(options.dataDir);
+    const report = previewRun(data, options);
+    const failed = options.strict && report.flags.length > 0;
+
+    fs.mkdirSync(options.outputDir, { recursive: true });
+    const files = {
+        'timeline.json': JSON.stringify(report, null, 2) + '\n',
+        'strip.svg': buildSvg(report)
+    };
+    for (const [name, text] of Object.entries(files)) {
+        fs.writeFileSync(path.join(options.outputDir, name), text);
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        process.exit(failed ? 1 : 0);
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - ENCOUNTER PREVIEW');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    console.log(`🗺️  ${report.meta.miles} mile(s), ${report.segments.length} segments of ${report.meta.segmentWidth}px`);
+    console.log(`🎲 Model "${report.meta.model}", seed ${report.meta.seed}\n`);
+
+    printTimeline(report);
+    printFlags(report.flags);
+
+    console.log(`📄 Timeline and strip map: ${Object.keys(files).map(name => path.join(options.outputDir, name)).join(', ')}\n`);
+    if (failed) {
+        console.log(`❌ Encounter preview flagged ${report.flags.length} problem(s)\n`);
+        process.exit(1);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * Loot Sim - Monte Carlo Drop, Set and Gold Report (no Godot required)
+ *
+ * Rolls N kills per mile band with the JS mirror of WorldManager enemy
+ * selection and CombatRewards drops in scripts/utils/loot-simulation.js, then
+ * reports rarity distributions, kills needed to complete each items.json set
+ * and gold per kill. Flags bands where the world-config.json
+ * itemQualityScaling chances sum above 1, and items.json tiers whose sets
+ * can never drop inside the tier's mile range.
+ *
+ * Usage:
+ *   node scripts/loot-sim.js [options]
+ *   npm run loot:sim -- --kills 20000 --hero-level 10
+ *
+ * Options:
+ *   --kills <n>          Kills rolled per band (default: 5000)
+ *   --band-size <n>      Miles per band (default: 10)
+ *   --max-mile <n>       Last mile simulated (default: 100)
+ *   --hero-level <n>     Tank level used for the drop level bonus (default: 1)
+ *   --quality <model>    curve: roll itemQualityScaling; base: keep items.json rarity,
+ *                        as the game does today (default: curve)
+ *   --seed <n>           RNG seed (default: 12345)
+ *   --data <dir>         Data directory (default: road-to-war/data)
+ *   --output, -o <file>  Also write the JSON report here
+ *   --json               Print the JSON report instead of tables
+ *   --strict             Exit 1 when anything is flagged
+ *   --help, -h           Show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    loadLootData,
+    simulateLoot,
+    DEFAULT_BAND_SIZE,
+    DEFAULT_DATA_DIR,
+    DEFAULT_KILLS,
+    DEFAULT_MAX_MILE,
+    DEFAULT_SEED,
+    QUALITY_MODELS,
+    RARITIES
+} from './utils/loot-simulation.js';
+
+function printHelp() {
+    console.log(`
+Loot Sim - Monte Carlo drop, set and gold report
+
+Usage:
+  node scripts/loot-sim.js [options]
+
+Options:
+  --kills <n>          Kills rolled per band (default: ${DEFAULT_KILLS})
+  --band-size <n>      Miles per band (default: ${DEFAULT_BAND_SIZE})
+  --max-mile <n>       Last mile simulated (default: ${DEFAULT_MAX_MILE})
+  --hero-level <n>     Tank level used for the drop level bonus (default: 1)
+  --quality <model>    curve: roll itemQualityScaling; base: keep items.json rarity,
+                       as the game does today (default: curve)
+  --seed <n>           RNG seed (default: ${DEFAULT_SEED})
+  --data <dir>         Data directory (default: road-to-war/data)
+  --output, -o <file>  Also write the JSON report here
+  --json               Print the JSON report instead of tables
+  --strict             Exit 1 when anything is flagged
+  --help, -h           Show this help
+`);
+}
+
+function parsePositiveInt(value, flag, min = 1) {
+    const n = parseInt(value, 10);
+    if (isNaN(n) || n < min) {
+        throw new Error(`${flag} must be an integer >= ${min}`);
+    }
+    return n;
+}
+
+function parseArgs(argv) {
+    const options = {
+        kills: DEFAULT_KILLS,
+        bandSize: DEFAULT_BAND_SIZE,
+        maxMile: DEFAULT_MAX_MILE,
+        heroLevel: 1,
+        qualityModel: 'curve',
+        seed: DEFAULT_SEED,
+        dataDir: DEFAULT_DATA_DIR,
+        output: null,
+        json: false,
+        strict: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--kills':
+                options.kills = parsePositiveInt(next(), arg);
+                break;
+            case '--band-size':
+                options.bandSize = parsePositiveInt(next(), arg);
+                break;
+            case '--max-mile':
+                options.maxMile = parsePositiveInt(next(), arg, 0);
+                break;
+            case '--hero-level':
+                options.heroLevel = parsePositiveInt(next(), arg);
+                break;
+            case '--quality':
+                options.qualityModel = next();
+                if (!QUALITY_MODELS.includes(options.qualityModel)) {
+                    throw new Error(`--quality must be one of: ${QUALITY_MODELS.join(', ')}`);
+                }
+                break;
+            case '--seed':
+                options.seed = parseInt(next(), 10);
+                if (isNaN(options.seed)) throw new Error('--seed must be an integer');
+                break;
+            case '--data':
+                options.dataDir = path.resolve(next());
+                break;
+            case '--output':
+            case '-o':
+                options.output = path.resolve(next());
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function pct(value) {
+    return `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+function printRarityTable(report) {
+    console.log('🎲 Rarity of drops per band (simulated share | nominal curve chance at band middle)\n');
+    console.log(`  ${'Band'.padEnd(8)} ${'Drops/kill'.padStart(10)}  ${RARITIES.map(r => r.padStart(15)).join(' ')}`);
+    for (const band of report.bands) {
+        const cells = RARITIES.map(r => `${pct(band.rarityShare[r])} | ${pct(band.nominalChances[r] || 0)}`.padStart(15));
+        console.log(`  ${band.band.padEnd(8)} ${band.dropsPerKill.toFixed(3).padStart(10)}  ${cells.join(' ')}`);
+    }
+    console.log('');
+}
+
+function printSetTable(report) {
+    const setIds = Object.keys(report.bands[0]?.sets || {});
+    if (setIds.length === 0) return;
+    console.log(`🧩 Expected kills to complete each set (">N": not completed in ${report.meta.kills} kills, "never": a piece cannot drop)\n`);
+    console.log(`  ${'Band'.padEnd(8)} ${setIds.map(id => id.padStart(14)).join(' ')}`);
+    for (const band of report.bands) {
+        const cells = setIds.map(id => {
+            const set = band.sets[id];
+            if (set.status === 'never') return 'never';
+            if (set.status === 'not-completed') return `>${report.meta.kills}`;
+            return set.expectedKills.toFixed(1);
+        });
+        console.log(`  ${band.band.padEnd(8)} ${cells.map(c => c.padStart(14)).join(' ')}`);
+    }
+    console.log('');
+}
+
+function printGoldCurve(report) {
+    const max = Math.max(...report.bands.map(band => band.gold.perKill), 1);
+    console.log('💰 Gold per kill (mean, p10-p90 range, boss kills)\n');
+    for (const band of report.bands) {
+        const bar = '█'.repeat(Math.round((band.gold.perKill / max) * 30));
+        const range = `${band.gold.p10}-${band.gold.p90}`;
+        console.log(`  ${band.band.padEnd(8)} ${band.gold.perKill.toFixed(1).padStart(8)}  ${range.padStart(9)}  ${String(band.bossKills).padStart(5)}  ${bar}`);
+    }
+    console.log('');
+}
+
+function printFlags(flags) {
+    if (flags.length === 0) {
+        console.log('✅ No rarity overflows or unreachable tiers\n');
+        return;
+    }
+    console.log(`⚠️  ${flags.length} flag(s):`);
+    for (const flag of flags) {
+        const where = flag.band ? `band ${flag.band}: ` : '';
+        console.log(`   - [${flag.type}] ${where}${flag.message}`);
+    }
+    console.log('');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const data = loadLootData(options.dataDir);
+    const report = simulateLoot(data, options);
+    const failed = options.strict && report.flags.length > 0;
+
+    if (options.output) {
+        fs.mkdirSync(path.dirname(options.output), { recursive: true });
+        fs.writeFileSync(options.output, JSON.stringify(report, null, 2) + '\n');
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        process.exit(failed ? 1 : 0);
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - LOOT SIMULATION');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    console.log(`📊 ${report.meta.kills} kills per band, miles 0-${report.meta.maxMile} in bands of ${report.meta.bandSize}`);
+    console.log(`🧙 Hero level ${report.meta.heroLevel}, quality model "${report.meta.qualityModel}", seed ${report.meta.seed}\n`);
+
+    printRarityTable(report);
+    printSetTable(report);
+    printGoldCurve(report);
+    printFlags(report.flags);
+
+    if (options.output) {
+        console.log(`📄 Report written to ${options.output}\n`);
+    }
+    if (failed) {
+        console.log(`❌ Loot simulation flagged ${report.flags.length} problem(s)\n`);
+        process.exit(1);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+/**
+ * Prestige Pacing - Repeated Prestige Run Model with CSV/HTML Curves
+ *
+ * Simulates prestige runs with the model in scripts/utils/prestige-pacing.js:
+ * each run travels from mile 0 to the target mile, levels the party, then
+ * prestiges and spends the points with an upgrade-buying strategy. Writes
+ * hours-to-level, run length and power-growth curves as CSV and a static
+ * HTML page, and warns on dead ends (stalled runs that cannot get stronger,
+ * the experience table running out) and runaway exponential growth.
+ *
+ * Usage:
+ *   node scripts/prestige-pacing.js [options]
+ *   npm run prestige:pacing -- --strategy priority --priority combat_bonus,xp_multiplier
+ *
+ * Options:
+ *   --runs <n>             Prestige runs to simulate (default: 10)
+ *   --strategy <name>      cheapest | priority | hoard (default: cheapest)
+ *   --priority <list>      Upgrade ids or types bought first with --strategy priority
+ *                          (default: combat_bonus,stat_multiplier,xp_multiplier,gold_multiplier)
+ *   --xp-curve <name>      scaling: Hero.gd formula with experienceScaling;
+ *                          table: player.experienceToLevel (default: scaling)
+ *   --assumptions <file>   JSON overriding model assumptions (party size, damage, stall limits)
+ *   --seed <n>             RNG seed (default: 12345)
+ *   --data <dir>           Data directory (default: road-to-war/data)
+ *   --output-dir <dir>     CSV/HTML directory (default: .cursor/prestige-pacing)
+ *   --json                 Print the JSON report instead of tables
+ *   --strict               Exit 1 when there are warnings
+ *   --help, -h             Show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    loadPacingData,
+    simulatePacing,
+    DEFAULT_ASSUMPTIONS,
+    DEFAULT_DATA_DIR,
+    DEFAULT_PRIORITY,
+    DEFAULT_RUNS,
+    DEFAULT_SEED,
+    STRATEGIES,
+    XP_CURVES
+} from './utils/prestige-pacing.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULT_OUTPUT_DIR = path.join(ROOT, '.cursor', 'prestige-pacing');
+const RUN_COLORS = ['#337ab7', '#5cb85c', '#d9534f', '#f0ad4e', '#5bc0de', '#9b59b6'];
+
+function printHelp() {
+    console.log(`
+Prestige Pacing - repeated prestige run model with CSV/HTML curves
+
+Usage:
+  node scripts/prestige-pacing.js [options]
+
+Options:
+  --runs <n>             Prestige runs to simulate (default: ${DEFAULT_RUNS})
+  --strategy <name>      ${STRATEGIES.join(' | ')} (default: cheapest)
+  --priority <list>      Upgrade ids or types bought first with --strategy priority
+                         (default: ${DEFAULT_PRIORITY.join(',')})
+  --xp-curve <name>      scaling: Hero.gd formula with experienceScaling;
+                         table: player.experienceToLevel (default: scaling)
+  --assumptions <file>   JSON overriding model assumptions, e.g.
+                         { "partySize": 5, "stallCombatSeconds": 300 }
+  --seed <n>             RNG seed (default: ${DEFAULT_SEED})
+  --data <dir>           Data directory (default: road-to-war/data)
+  --output-dir <dir>     CSV/HTML directory (default: .cursor/prestige-pacing)
+  --json                 Print the JSON report instead of tables
+  --strict               Exit 1 when there are warnings
+  --help, -h             Show this help
+`);
+}
+
+function parseArgs(argv) {
+    const options = {
+        runs: DEFAULT_RUNS,
+        strategy: 'cheapest',
+        priority: DEFAULT_PRIORITY,
+        xpCurve: 'scaling',
+        assumptionsPath: null,
+        seed: DEFAULT_SEED,
+        dataDir: DEFAULT_DATA_DIR,
+        outputDir: DEFAULT_OUTPUT_DIR,
+        json: false,
+        strict: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--runs':
+                options.runs = parseInt(next(), 10);
+                if (isNaN(options.runs) || options.runs < 1) throw new Error('--runs must be a positive integer');
+                break;
+            case '--strategy':
+                options.strategy = next();
+                if (!STRATEGIES.includes(options.strategy)) {
+                    throw new Error(`--strategy must be one of: ${STRATEGIES.join(', ')}`);
+                }
+                break;
+            case '--priority':
+                options.priority = next().split(',').map(s => s.trim()).filter(Boolean);
+                if (options.priority.length === 0) throw new Error('--priority expects a comma-separated list');
+                break;
+            case '--xp-curve':
+                options.xpCurve = next();
+                if (!XP_CURVES.includes(options.xpCurve)) {
+                    throw new Error(`--xp-curve must be one of: ${XP_CURVES.join(', ')}`);
+                }
+                break;
+            case '--assumptions':
+                options.assumptionsPath = path.resolve(next());
+                break;
+            case '--seed':
+                options.seed = parseInt(next(), 10);
+                if (isNaN(options.seed)) throw new Error('--seed must be an integer');
+                break;
+            case '--data':
+                options.dataDir = path.resolve(next());
+                break;
+            case '--output-dir':
+                options.outputDir = path.resolve(next());
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function loadAssumptions(filePath) {
+    if (!filePath) return {};
+    const assumptions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const unknown = Object.keys(assumptions).filter(key => !(key in DEFAULT_ASSUMPTIONS));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown assumption(s) in ${filePath}: ${unknown.join(', ')} (known: ${Object.keys(DEFAULT_ASSUMPTIONS).join(', ')})`);
+    }
+    return assumptions;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function round(value, digits = 3) {
+    return Number(value.toFixed(digits));
+}
+
+/**
+ * CSV files: one row per run, per level reached and per mile reached
+ * @returns {Object} file name -> CSV text
+ */
+function buildCsv(report) {
+    const runs = toCsv(
+        ['run', 'prestige_level', 'hours', 'total_hours', 'end_mile', 'stalled_at', 'end_level', 'gold', 'points_gained', 'points_banked', 'upgrades_owned', 'bought', 'start_power', 'end_power'],
+        report.runs.map(run => [
+            run.run, run.prestigeLevel, round(run.hours), round(run.totalHours), run.endMile, run.stalledAt, run.endLevel, run.gold,
+            run.pointsGained, run.pointsBanked, run.upgradesOwned, run.bought.join(' '), round(run.startPower), round(run.endPower)
+        ])
+    );
+    const levels = toCsv(
+        ['run', 'level', 'hours'],
+        report.runs.flatMap(run => run.levelHours.map(entry => [run.run, entry.level, round(entry.hours)]))
+    );
+    const miles = toCsv(
+        ['run', 'mile', 'hours', 'level', 'power'],
+        report.runs.flatMap(run => run.miles.map(entry => [run.run, entry.mile, round(entry.hours), entry.level, round(entry.power)]))
+    );
+    return { 'runs.csv': runs, 'levels.csv': levels, 'miles.csv': miles };
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * SVG line chart over numeric x values
+ * @param {Object} chart - { series: [{ label, points: [[x, y]], color }], xLabel, width, height }
+ * @returns {string} SVG markup
+ */
+function lineChart({ series, xLabel = '', width = 420, height = 200 }) {
+    const pad = { left: 44, right: 10, top: 10, bottom: 30 };
+    const xs = series.flatMap(s => s.points.map(p => p[0]));
+    const ys = series.flatMap(s => s.points.map(p => p[1]));
+    const minX = Math.min(0, ...xs);
+    const maxX = Math.max(1, ...xs);
+    const maxY = Math.max(1, ...ys) * 1.05;
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const x = v => pad.left + ((v - minX) / (maxX - minX)) * plotW;
+    const y = v => pad.top + plotH - (v / maxY) * plotH;
+    const label = v => (v >= 100 ? Math.round(v) : Number(v.toFixed(1)));
+
+    const parts = [`<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">`];
+    for (const tick of [0, 0.5, 1]) {
+        const value = maxY * tick;
+        parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" class="grid"/>`);
+        parts.push(`<text x="${pad.left - 4}" y="${(y(value) + 3).toFixed(1)}" class="axis" text-anchor="end">${label(value)}</text>`);
+    }
+    for (const tick of [0, 0.5, 1]) {
+        const value = minX + (maxX - minX) * tick;
+        parts.push(`<text x="${x(value).toFixed(1)}" y="${height - 16}" class="axis" text-anchor="middle">${label(value)}</text>`);
+    }
+    parts.push(`<text x="${pad.left + plotW / 2}" y="${height - 2}" class="axis" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+    for (const s of series) {
+        if (s.points.length === 0) continue;
+        const points = s.points.map(([px, py]) => `${x(px).toFixed(1)},${y(py).toFixed(1)}`);
+        parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${s.color}" stroke-width="2"><title>${escapeHtml(s.label)}</title></polyline>`);
+    }
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+function legend(series) {
+    return `<div class="legend">${series.map(s =>
+        `<span><i style="background:${s.color}"></i>${escapeHtml(s.label)}</span>`).join('')}</div>`;
+}
+
+// First, last and up to four runs in between
+function sampleRuns(runs) {
+    if (runs.length <= RUN_COLORS.length) return runs;
+    const step = (runs.length - 1) / (RUN_COLORS.length - 1);
+    return RUN_COLORS.map((_, i) => runs[Math.round(i * step)]);
+}
+
+function buildHtml(report) {
+    const { meta, runs } = report;
+    const sampled = sampleRuns(runs);
+    const perRun = (key, color) => ({ label: key, color, points: runs.map(run => [run.run, run[key]]) });
+
+    const levelSeries = sampled.map((run, i) => ({
+        label: `run ${run.run}`,
+        color: RUN_COLORS[i % RUN_COLORS.length],
+        points: run.levelHours.map(entry => [entry.level, entry.hours])
+    }));
+    const mileSeries = sampled.map((run, i) => ({
+        label: `run ${run.run}`,
+        color: RUN_COLORS[i % RUN_COLORS.length],
+        points: run.miles.map(entry => [entry.mile, entry.power])
+    }));
+    const lengthSeries = [perRun('hours', '#337ab7')];
+    const powerSeries = [perRun('startPower', '#5cb85c'), perRun('endPower', '#d9534f')];
+    const pointSeries = [perRun('pointsGained', '#f0ad4e')];
+
+    const rows = runs.map(run => `<tr><td>${run.run}</td><td>${run.prestigeLevel}</td><td>${run.hours.toFixed(2)}</td>`
+        + `<td>${run.totalHours.toFixed(2)}</td><td class="${run.stalledAt !== null ? 'stall' : ''}">${run.endMile}${run.stalledAt !== null ? ' (stalled)' : ''}</td>`
+        + `<td>${run.endLevel}</td><td>${run.gold}</td><td>${run.pointsGained}</td><td>${run.upgradesOwned}</td>`
+        + `<td>${run.startPower.toFixed(2)}</td><td>${run.endPower.toFixed(1)}</td><td class="bought">${escapeHtml(run.bought.join(', '))}</td></tr>`).join('\n');
+    const warnings = report.warnings.map(w => `<li class="warn"><b>${escapeHtml(w.type)}</b>: ${escapeHtml(w.message)}</li>`).join('');
+    const notes = report.notes.map(n => `<li>${escapeHtml(n)}</li>`).join('');
+    const assumptions = Object.entries(meta.assumptions).map(([key, value]) => `${escapeHtml(key)}=${escapeHtml(value)}`).join(', ');
+
+    const title = 'Road of War - Prestige Pacing';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 24px; color: #222; background: #fafafa; }
+h1 { margin-bottom: 4px; }
+h2 { margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+.meta { color: #666; }
+table { border-collapse: collapse; font-size: 13px; background: #fff; }
+th, td { border: 1px solid #e2e2e2; padding: 4px 8px; text-align: right; white-space: nowrap; }
+td.bought { text-align: left; white-space: normal; max-width: 360px; font-size: 11px; }
+td.stall { background: #fff4e5; }
+li.warn { color: #c9302c; }
+.charts { display: flex; flex-wrap: wrap; gap: 16px; }
+figure { margin: 0; background: #fff; border: 1px solid #e2e2e2; border-radius: 6px; padding: 8px; }
+figcaption { font-size: 12px; color: #666; text-align: center; }
+.legend span { margin-right: 12px; font-size: 12px; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+svg .grid { stroke: #eee; } svg .axis { font-size: 10px; fill: #777; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">${runs.length} run(s) · strategy <b>${escapeHtml(meta.strategy)}</b>${meta.strategy === 'priority' ? ` (${escapeHtml(meta.priority.join(', '))})` : ''}
+ · experience curve ${escapeHtml(meta.xpCurve)} · seed ${meta.seed} · generated ${meta.generated}</p>
+<p class="meta">Assumptions: ${assumptions}. Power is relative to a fresh level 1 party without upgrades.</p>
+
+<h2>Warnings</h2>
+${warnings ? `<ul>${warnings}</ul>` : '<p>None.</p>'}
+${notes ? `<ul>${notes}</ul>` : ''}
+
+<h2>Curves</h2>
+<div class="charts">
+<figure>${lineChart({ series: lengthSeries, xLabel: 'run' })}<figcaption>Run length (hours)</figcaption></figure>
+<figure>${lineChart({ series: powerSeries, xLabel: 'run' })}<figcaption>Power at start and end of each run</figcaption>${legend(powerSeries)}</figure>
+<figure>${lineChart({ series: pointSeries, xLabel: 'run' })}<figcaption>Prestige points gained per run</figcaption></figure>
+<figure>${lineChart({ series: levelSeries, xLabel: 'level' })}<figcaption>Hours into the run to reach each level</figcaption>${legend(levelSeries)}</figure>
+<figure>${lineChart({ series: mileSeries, xLabel: 'mile' })}<figcaption>Power by mile</figcaption>${legend(mileSeries)}</figure>
+</div>
+
+<h2>Runs</h2>
+<table>
+<tr><th>Run</th><th>Prestige</th><th>Hours</th><th>Total</th><th>End mile</th><th>Level</th><th>Gold</th><th>Points</th><th>Upgrades</th><th>Power start</th><th>Power end</th><th>Bought after the run</th></tr>
+${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+function printRuns(report) {
+    console.log(`  ${'Run'.padStart(3)} ${'Hours'.padStart(7)} ${'Total'.padStart(8)} ${'Mile'.padStart(6)} ${'Level'.padStart(5)} ${'Points'.padStart(7)} ${'Owned'.padStart(5)} ${'Power'.padStart(13)}`);
+    for (const run of report.runs) {
+        const mile = `${run.endMile}${run.stalledAt !== null ? '!' : ''}`;
+        const power = `${run.startPower.toFixed(2)}→${run.endPower.toFixed(0)}`;
+        console.log(`  ${String(run.run).padStart(3)} ${run.hours.toFixed(2).padStart(7)} ${run.totalHours.toFixed(2).padStart(8)} ${mile.padStart(6)} ${String(run.endLevel).padStart(5)} ${String(run.pointsGained).padStart(7)} ${String(run.upgradesOwned).padStart(5)} ${power.padStart(13)}`);
+    }
+    console.log('  (! = stalled before the target mile)\n');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const data = loadPacingData(options.dataDir);
+    const report = simulatePacing(data, { ...options, assumptions: loadAssumptions(options.assumptionsPath) });
+    const failed = options.strict && report.warnings.length > 0;
+
+    fs.mkdirSync(options.outputDir, { recursive: true });
+    const files = { ...buildCsv(report), 'pacing.html': buildHtml(report) };
+    for (const [name, text] of Object.entries(files)) {
+        fs.writeFileSync(path.join(options.outputDir, name), text);
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        process.exit(failed ? 1 : 0);
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - PRESTIGE PACING');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    const priority = report.meta.strategy === 'priority' ? ` (${report.meta.priority.join(', ')})` : '';
+    console.log(`🔁 ${report.runs.length} run(s), strategy "${report.meta.strategy}"${priority}`);
+    console.log(`📈 Experience curve "${report.meta.xpCurve}", seed ${report.meta.seed}\n`);
+
+    printRuns(report);
+
+    if (report.warnings.length > 0) {
+        console.log(`⚠️  ${report.warnings.length} warning(s):`);
+        report.warnings.forEach(w => console.log(`   - [${w.type}] ${w.message}`));
+        console.log('');
+    } else {
+        console.log('✅ No dead ends or runaway growth\n');
+    }
+    if (report.notes.length > 0) {
+        console.log('ℹ️  Notes:');
+        report.notes.forEach(note => console.log(`   - ${note}`));
+        console.log('');
+    }
+
+    console.log(`📄 Curves: ${Object.keys(files).map(name => path.join(options.outputDir, name)).join(', ')}\n`);
+    if (failed) {
+        console.log(`❌ Prestige pacing raised ${report.warnings.length} warning(s)\n`);
+        process.exit(1);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
@@ -7,6 +7,7 @@
  * 
  * Usage:
  *   node scripts/run-balance-audit.js
+ *   node scripts/run-balance-audit.js --simulate   (no Godot: JS combat simulator)
  *   npm run balance-audit (if added to package.json)
  */
 
@@ -14,6 +15,7 @@ import { spawn, execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { archiveReport } from './utils/balance-history.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -218,6 +220,31 @@ function provideInstructions() {
     console.log('  5. Wait for completion (scene will auto-quit)');
     console.log('  6. Report will be saved to: user://stats_audit_report.json\n');
     console.log('Then run: node scripts/analyze-balance-audit.js\n');
+    console.log('No Godot available? Generate the report with the JS simulator instead:');
+    console.log('  node scripts/run-balance-audit.js --simulate\n');
+}
+
+/**
+ * Generate the report headlessly with scripts/simulate-balance-audit.js
+ */
+function runSimulation(extraArgs = []) {
+    const simulateScript = path.join(ROOT, 'scripts', 'simulate-balance-audit.js');
+    
+    if (!fs.existsSync(simulateScript)) {
+        console.error(`❌ Simulator script not found: ${simulateScript}`);
+        process.exit(1);
+    }
+    
+    try {
+        execSync(`node "${simulateScript}" --output "${CURSOR_REPORT_PATH}" ${extraArgs.map(a => `"${a}"`).join(' ')}`, {
+            cwd: ROOT,
+            stdio: 'inherit',
+            encoding: 'utf8'
+        });
+    } catch (e) {
+        console.error(`❌ Error running simulator: ${e.message}`);
+        process.exit(1);
+    }
 }
 
 /**
@@ -259,16 +286,33 @@ function copyReportIfNeeded() {
     }
 }
 
+/**
+ * Keep a copy of the report in .cursor/balance-history (keyed by git commit)
+ */
+function archiveCurrentReport(source) {
+    const reportPath = fs.existsSync(CURSOR_REPORT_PATH) ? CURSOR_REPORT_PATH : USER_REPORT_PATH;
+    try {
+        const { entry, added } = archiveReport(reportPath, { source });
+        console.log(`🗄️  ${added ? 'Archived report' : 'Report already archived'}: .cursor/balance-history/${entry.file}\n`);
+    } catch (e) {
+        console.error(`⚠️  Could not archive report: ${e.message}\n`);
+    }
+}
+
 /**
  * Run analysis on existing report
+ * @param {Object} options - { copyUserReport: refresh .cursor/ from user:// first (off for simulated reports),
+ *                             archiveSource: archive the report under this source; only set when this run produced it }
  */
-async function runAnalysis() {
+async function runAnalysis({ copyUserReport = true, archiveSource = null } = {}) {
     console.log('═══════════════════════════════════════════════════════════');
     console.log('  ANALYZING BALANCE AUDIT REPORT');
     console.log('═══════════════════════════════════════════════════════════\n');
     
     // First, copy report if needed
-    copyReportIfNeeded();
+    if (copyUserReport) {
+        copyReportIfNeeded();
+    }
     
     // Check if report exists
     const reportExists = fs.existsSync(CURSOR_REPORT_PATH) || fs.existsSync(USER_REPORT_PATH);
@@ -279,6 +323,10 @@ async function runAnalysis() {
         process.exit(1);
     }
     
+    if (archiveSource) {
+        archiveCurrentReport(archiveSource);
+    }
+    
     // Run the analysis script as a child process
     const analyzeScript = path.join(ROOT, 'scripts', 'analyze-balance-audit.js');
     
@@ -315,6 +363,13 @@ async function main() {
         return;
     }
     
+    // Headless simulation (no Godot); remaining args are passed to the simulator
+    if (args.includes('--simulate') || args.includes('-s')) {
+        runSimulation(args.filter(a => a !== '--simulate' && a !== '-s'));
+        await runAnalysis({ copyUserReport: false });
+        return;
+    }
+    
     // Try to run audit via command line
     const success = await runAuditCommandLine();
     
@@ -343,8 +398,8 @@ async function main() {
         // Copy to .cursor if needed
         copyReportIfNeeded();
         
-        // Run analysis
-        runAnalysis();
+        // Run analysis; this run produced the report, so keep it in the history
+        runAnalysis({ archiveSource: 'godot' });
         
     } catch (e) {
         console.error(`\n❌ ${e.message}`);
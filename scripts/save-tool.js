@@ -0,0 +1,458 @@
+#!/usr/bin/env node
+/**
+ * Save Tool - Inspect, Diff, Validate and Migrate Save Slots Offline
+ *
+ * Reads the JSON saves SaveManager.gd writes to user://save_slot_N.json
+ * (pass a slot number) or any save file (pass a path), without the engine.
+ * Migrations are the JS mirror of SaveMigration.gd in scripts/utils/save-data.js;
+ * the fixture corpus in scripts/fixtures/saves replays them on historical saves.
+ *
+ * Usage:
+ *   node scripts/save-tool.js <command> [options]
+ *   npm run save -- show 1
+ *   npm run save -- fixtures
+ *
+ * Commands:
+ *   show <slot|file>             Print a save section by section
+ *   diff <slot|file> <slot|file> List what changed between two saves
+ *   validate <slot|file>         Check version, schema and game data references
+ *   migrate <slot|file>          Print (or write) the save migrated to the current version
+ *   fixtures                     Replay every migration on the fixture corpus
+ *
+ * Options:
+ *   --section <name>     show/diff: limit to sections (repeatable or comma-separated)
+ *   --migrate            diff: migrate both saves to the current version first
+ *   --to <version>       migrate: target version (default: current)
+ *   --output, -o <file>  migrate: write here instead of stdout
+ *   --user-dir <dir>     user:// directory for slot numbers (default: from project.godot)
+ *   --schema <file>      Save schema (default: scripts/schemas/save/save.schema.json)
+ *   --data <dir>         Game data for reference checks (default: road-to-war/data)
+ *   --fixtures <dir>     Fixture corpus (default: scripts/fixtures/saves)
+ *   --update             fixtures: rewrite the expected <name>.migrated.json files
+ *   --json               Print results as JSON
+ *   --strict             validate/fixtures: treat warnings as errors
+ *   --help, -h           Show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    CURRENT_SAVE_VERSION,
+    DEFAULT_SAVE_SCHEMA_PATH,
+    DEFAULT_FIXTURES_DIR,
+    DEFAULT_GAME_DATA_DIR,
+    MIGRATIONS,
+    saveVersion,
+    migrateSave,
+    checkMigrationSource,
+    resolveSavePath,
+    loadSave,
+    describeSave,
+    diffSaves,
+    validateSave,
+    loadGameData,
+    listSaveFixtures
+} from './utils/save-data.js';
+
+const COMMANDS = ['show', 'diff', 'validate', 'migrate', 'fixtures'];
+
+// Number of save arguments each command takes
+const COMMAND_ARGS = { show: 1, diff: 2, validate: 1, migrate: 1, fixtures: 0 };
+
+function printHelp() {
+    console.log(`
+Save Tool - inspect, diff, validate and migrate save slots offline
+
+Usage:
+  node scripts/save-tool.js <command> [options]
+
+Commands:
+  show <slot|file>             Print a save section by section
+  diff <slot|file> <slot|file> List what changed between two saves
+  validate <slot|file>         Check version, schema and game data references
+  migrate <slot|file>          Print (or write) the save migrated to the current version
+  fixtures                     Replay every migration on the fixture corpus
+
+A slot number (1, 2, 3) reads user://save_slot_N.json from the project's
+Godot user directory; anything else is a file path.
+
+Options:
+  --section <name>     show/diff: limit to sections (repeatable or comma-separated)
+  --migrate            diff: migrate both saves to the current version first
+  --to <version>       migrate: target version (default: ${CURRENT_SAVE_VERSION})
+  --output, -o <file>  migrate: write here instead of stdout
+  --user-dir <dir>     user:// directory for slot numbers (default: from project.godot)
+  --schema <file>      Save schema (default: scripts/schemas/save/save.schema.json)
+  --data <dir>         Game data for reference checks (default: road-to-war/data)
+  --fixtures <dir>     Fixture corpus (default: scripts/fixtures/saves)
+  --update             fixtures: rewrite the expected <name>.migrated.json files
+  --json               Print results as JSON
+  --strict             validate/fixtures: treat warnings as errors
+  --help, -h           Show this help
+
+Examples:
+  node scripts/save-tool.js show 1 --section party,prestige
+  node scripts/save-tool.js diff 1 backup/save_slot_1.json --migrate
+  node scripts/save-tool.js migrate old_save.json -o migrated.json
+`);
+}
+
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        saves: [],
+        sections: null,
+        migrate: false,
+        to: CURRENT_SAVE_VERSION,
+        output: null,
+        userDir: null,
+        schemaPath: DEFAULT_SAVE_SCHEMA_PATH,
+        dataDir: DEFAULT_GAME_DATA_DIR,
+        fixturesDir: DEFAULT_FIXTURES_DIR,
+        update: false,
+        json: false,
+        strict: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--section':
+                options.sections = [...(options.sections || []), ...next().split(',').map(s => s.trim()).filter(Boolean)];
+                break;
+            case '--migrate':
+                options.migrate = true;
+                break;
+            case '--to':
+                options.to = Number(next());
+                if (!Number.isInteger(options.to)) throw new Error('--to needs an integer save version');
+                break;
+            case '--output':
+            case '-o':
+                options.output = path.resolve(next());
+                break;
+            case '--user-dir':
+                options.userDir = path.resolve(next());
+                break;
+            case '--schema':
+                options.schemaPath = path.resolve(next());
+                break;
+            case '--data':
+                options.dataDir = path.resolve(next());
+                break;
+            case '--fixtures':
+                options.fixturesDir = path.resolve(next());
+                break;
+            case '--update':
+                options.update = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                if (!options.command) {
+                    if (!COMMANDS.includes(arg)) throw new Error(`Unknown command: ${arg}`);
+                    options.command = arg;
+                } else if (options.saves.length < COMMAND_ARGS[options.command]) {
+                    options.saves.push(arg);
+                } else {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+        }
+    }
+
+    if (options.command && !options.help && options.saves.length < COMMAND_ARGS[options.command]) {
+        throw new Error(`${options.command} needs ${COMMAND_ARGS[options.command] === 2 ? 'two saves' : 'a save'} (slot number or file)`);
+    }
+    return options;
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function openSave(slotOrPath, options) {
+    const filePath = resolveSavePath(slotOrPath, options.userDir);
+    return { filePath, save: loadSave(filePath) };
+}
+
+function formatValue(value) {
+    const text = JSON.stringify(value);
+    return text === undefined ? 'undefined' : text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function formatVersion(version) {
+    const number = saveVersion(version);
+    const legacy = typeof version === 'string' ? ` (legacy "${version}")` : '';
+    const status = number < CURRENT_SAVE_VERSION ? `, migrates to ${CURRENT_SAVE_VERSION}` : '';
+    return `${number}${legacy}${status}`;
+}
+
+function printProblems(errors, warnings) {
+    if (errors.length > 0) {
+        console.log(`❌ Errors (${errors.length}):`);
+        errors.forEach(problem => console.log(`   #${problem.pointer}: ${problem.message}`));
+        console.log('');
+    }
+    if (warnings.length > 0) {
+        console.log(`⚠️  Warnings (${warnings.length}):`);
+        warnings.forEach(problem => console.log(`   #${problem.pointer}: ${problem.message}`));
+        console.log('');
+    }
+}
+
+function runShow(options) {
+    const { filePath, save } = openSave(options.saves[0], options);
+    const sections = describeSave(save, { sections: options.sections });
+
+    if (options.json) {
+        const selected = options.sections ? Object.fromEntries(options.sections.map(name => [name, save[name]])) : save;
+        console.log(JSON.stringify(selected, null, 2));
+        return;
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - SAVE');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    console.log(`📄 File:    ${filePath}`);
+    console.log(`🔖 Version: ${formatVersion(save.version)}`);
+    if (save.slot !== undefined) console.log(`🎰 Slot:    ${save.slot}`);
+    if (typeof save.timestamp === 'number') console.log(`🕒 Saved:   ${new Date(save.timestamp * 1000).toISOString()}`);
+    console.log('');
+
+    for (const { name, owner, lines } of sections) {
+        console.log(`▸ ${name}${owner ? ` (${owner})` : ''}`);
+        lines.forEach(line => console.log(`   ${line}`));
+        console.log('');
+    }
+}
+
+function runDiff(options) {
+    const [left, right] = options.saves.map(save => openSave(save, options));
+    const prepare = save => (options.migrate ? migrateSave(save).save : save);
+    let changes = diffSaves(prepare(left.save), prepare(right.save));
+    if (options.sections) {
+        changes = changes.filter(change => options.sections.includes(change.pointer.split('/')[1]));
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ left: left.filePath, right: right.filePath, changes }, null, 2));
+        return;
+    }
+
+    console.log(`--- ${left.filePath}`);
+    console.log(`+++ ${right.filePath}\n`);
+    if (changes.length === 0) {
+        console.log('✅ No differences\n');
+        return;
+    }
+
+    let section = null;
+    for (const change of changes) {
+        const changeSection = change.pointer.split('/')[1];
+        if (changeSection !== section) {
+            console.log(`▸ ${changeSection}`);
+            section = changeSection;
+        }
+        if (change.kind === 'added') {
+            console.log(`   + ${change.pointer}: ${formatValue(change.after)}`);
+        } else if (change.kind === 'removed') {
+            console.log(`   - ${change.pointer}: ${formatValue(change.before)}`);
+        } else {
+            console.log(`   ~ ${change.pointer}: ${formatValue(change.before)} → ${formatValue(change.after)}`);
+        }
+    }
+    console.log(`\n${changes.length} difference(s)\n`);
+}
+
+function runValidate(options) {
+    const { filePath, save } = openSave(options.saves[0], options);
+    const result = validateSave(save, { schema: readJson(options.schemaPath), data: loadGameData(options.dataDir) });
+    const failed = result.errors.length > 0 || (options.strict && result.warnings.length > 0);
+
+    if (options.json) {
+        const { migrated, ...report } = result;
+        console.log(JSON.stringify({ file: filePath, ok: !failed, ...report }, null, 2));
+        process.exit(failed ? 1 : 0);
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - SAVE VALIDATION');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    console.log(`📄 File:    ${filePath}`);
+    console.log(`🔖 Version: ${formatVersion(save.version)}`);
+    if (result.steps.length > 0) {
+        console.log(`🔁 Checked after migrating: ${result.steps.map(step => `v${step.version}`).join(' → ')}`);
+    }
+    console.log('');
+
+    printProblems(result.errors, result.warnings);
+
+    if (failed) {
+        console.log(`❌ Save validation failed: ${result.errors.length} error(s), ${result.warnings.length} warning(s)\n`);
+        process.exit(1);
+    }
+    console.log(`✅ Save validation passed (${result.warnings.length} warning(s))\n`);
+}
+
+function runMigrate(options) {
+    const { filePath, save } = openSave(options.saves[0], options);
+    const { save: migrated, from, steps } = migrateSave(save, { to: options.to });
+    const text = JSON.stringify(migrated, null, 2) + '\n';
+
+    if (!options.output) {
+        process.stdout.write(text);
+        return;
+    }
+    fs.mkdirSync(path.dirname(options.output), { recursive: true });
+    fs.writeFileSync(options.output, text);
+    const applied = steps.length > 0 ? steps.map(step => `v${step.version}: ${step.description}`).join('; ') : 'already current';
+    console.log(`✅ Migrated ${filePath} from version ${from} to ${options.to} (${applied}) → ${options.output}`);
+}
+
+function runFixtures(options) {
+    const schema = readJson(options.schemaPath);
+    const data = loadGameData(options.dataDir);
+    const fixtures = listSaveFixtures(options.fixturesDir);
+    const sourceProblems = checkMigrationSource();
+    const covered = new Set();
+    const results = [];
+
+    for (const fixture of fixtures) {
+        const problems = [];
+        const save = loadSave(fixture.savePath);
+        const result = validateSave(save, { schema, data });
+        result.steps.forEach(step => covered.add(step.version));
+        problems.push(...result.errors.map(p => ({ ...p, severity: 'error' })), ...result.warnings);
+
+        if (result.migrated) {
+            // Step by step must land where the full migration does
+            let stepwise = save;
+            for (let version = result.from + 1; version <= CURRENT_SAVE_VERSION; version++) {
+                stepwise = migrateSave(stepwise, { to: version }).save;
+            }
+            if (diffSaves(stepwise, result.migrated).length > 0) {
+                problems.push({ pointer: '', message: 'migrating one version at a time gives a different save than migrating at once' });
+            }
+            const again = migrateSave(result.migrated);
+            if (again.steps.length > 0 || diffSaves(again.save, result.migrated).length > 0) {
+                problems.push({ pointer: '', message: 'migrating the migrated save changes it again' });
+            }
+
+            if (options.update) {
+                fs.writeFileSync(fixture.expectedPath, JSON.stringify(result.migrated, null, 2) + '\n');
+            } else if (!fs.existsSync(fixture.expectedPath)) {
+                problems.push({ pointer: '', message: `no ${path.basename(fixture.expectedPath)} (run with --update after checking the migrated save)` });
+            } else {
+                for (const change of diffSaves(readJson(fixture.expectedPath), result.migrated)) {
+                    const values = change.kind === 'changed'
+                        ? `${formatValue(change.before)} → ${formatValue(change.after)}`
+                        : formatValue(change.kind === 'added' ? change.after : change.before);
+                    problems.push({ pointer: change.pointer, message: `differs from ${path.basename(fixture.expectedPath)} (${change.kind} ${values})` });
+                }
+            }
+        }
+
+        results.push({
+            name: fixture.name,
+            from: result.from,
+            steps: result.steps.map(step => step.version),
+            errors: problems.filter(p => p.severity !== 'warning'),
+            warnings: problems.filter(p => p.severity === 'warning')
+        });
+    }
+
+    const uncovered = MIGRATIONS.map(step => step.version).filter(version => !covered.has(version));
+    const errorCount = sourceProblems.length + uncovered.length + results.reduce((sum, r) => sum + r.errors.length, 0);
+    const warningCount = results.reduce((sum, r) => sum + r.warnings.length, 0);
+    const failed = errorCount > 0 || (options.strict && warningCount > 0);
+
+    if (options.json) {
+        console.log(JSON.stringify({ ok: !failed, currentVersion: CURRENT_SAVE_VERSION, sourceProblems, uncovered, fixtures: results }, null, 2));
+        process.exit(failed ? 1 : 0);
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - SAVE MIGRATION FIXTURES');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    console.log(`📂 Fixtures: ${options.fixturesDir} (${fixtures.length})`);
+    console.log(`🔖 Current version: ${CURRENT_SAVE_VERSION}\n`);
+
+    for (const result of results) {
+        const icon = result.errors.length > 0 ? '❌' : result.warnings.length > 0 ? '⚠️ ' : '✓';
+        const route = result.steps.length > 0 ? `v${result.from} → ${result.steps.map(v => `v${v}`).join(' → ')}` : `v${result.from} (current)`;
+        console.log(`   ${icon} ${result.name}: ${route}`);
+        result.errors.forEach(p => console.log(`      ❌ #${p.pointer}: ${p.message}`));
+        result.warnings.forEach(p => console.log(`      ⚠️  #${p.pointer}: ${p.message}`));
+    }
+    console.log('');
+
+    sourceProblems.forEach(problem => console.log(`❌ ${problem}`));
+    if (uncovered.length > 0) {
+        console.log(`❌ No fixture exercises migration step(s) ${uncovered.map(v => `v${v}`).join(', ')}; add a save from before each`);
+    }
+    if (options.update) {
+        console.log('📝 Expected results rewritten');
+    }
+    if (failed) {
+        console.log(`\n❌ Save fixtures failed: ${errorCount} error(s), ${warningCount} warning(s)\n`);
+        process.exit(1);
+    }
+    console.log(`\n✅ Save fixtures passed (${warningCount} warning(s))\n`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help || !options.command) {
+        printHelp();
+        if (!options.help) process.exit(1);
+        return;
+    }
+
+    switch (options.command) {
+        case 'show':
+            runShow(options);
+            break;
+        case 'diff':
+            runDiff(options);
+            break;
+        case 'validate':
+            runValidate(options);
+            break;
+        case 'migrate':
+            runMigrate(options);
+            break;
+        case 'fixtures':
+            runFixtures(options);
+            break;
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * Simulate Balance Audit - Headless Balance Report (no Godot required)
+ *
+ * Builds a stats audit report from the Godot data files using the JS combat
+ * simulator in scripts/utils/combat-simulator.js. The output has the same
+ * shape as user://stats_audit_report.json, so analyze-balance-audit.js and
+ * compare-balance-audits.js can run on it (e.g. in CI on Linux).
+ *
+ * Usage:
+ *   node scripts/simulate-balance-audit.js [options]
+ *   npm run balance-audit:simulate
+ *
+ * Options:
+ *   --output <path>      Report path (default: .cursor/stats_audit_report.json)
+ *   --data <dir>         Data directory (default: road-to-war/data)
+ *   --iterations <n>     Damage samples per level/mile (default: 60)
+ *   --seed <n>           RNG seed (default: 12345)
+ *   --levels <list>      Comma-separated levels (default: 1,10,20,40,60,80)
+ *   --miles <list>       Comma-separated mile samples (default: 0,5,10,20,50,100)
+ *   --talents <path>     JSON talent builds keyed by spec ("warrior_arms": { tree: { talent: points } })
+ *   --no-archive         Do not copy the report into .cursor/balance-history
+ *   --help, -h           Show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    loadGameData,
+    simulateStatsAudit,
+    DEFAULT_DATA_DIR,
+    DEFAULT_ITERATIONS,
+    DEFAULT_LEVELS,
+    DEFAULT_MILE_SAMPLES
+} from './utils/combat-simulator.js';
+import { archiveReport } from './utils/balance-history.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const CURSOR_REPORT_PATH = path.join(ROOT, '.cursor', 'stats_audit_report.json');
+
+function printHelp() {
+    console.log(`
+Simulate Balance Audit - headless stats_audit_report.json generator
+
+Usage:
+  node scripts/simulate-balance-audit.js [options]
+
+Options:
+  --output <path>      Report path (default: .cursor/stats_audit_report.json)
+  --data <dir>         Data directory (default: road-to-war/data)
+  --iterations <n>     Damage samples per level/mile (default: ${DEFAULT_ITERATIONS})
+  --seed <n>           RNG seed (default: 12345)
+  --levels <list>      Comma-separated levels (default: ${DEFAULT_LEVELS.join(',')})
+  --miles <list>       Comma-separated mile samples (default: ${DEFAULT_MILE_SAMPLES.join(',')})
+  --talents <path>     JSON talent builds keyed by spec, e.g.
+                       { "warrior_arms": { "arms": { "deep_wounds": 3 } } }
+  --no-archive         Do not copy the report into .cursor/balance-history
+  --help, -h           Show this help
+`);
+}
+
+function parseIntList(value, flag) {
+    const list = String(value || '').split(',').filter(Boolean).map(v => parseInt(v, 10));
+    if (list.length === 0 || list.some(n => isNaN(n) || n < 0)) {
+        throw new Error(`${flag} expects a comma-separated list of non-negative integers`);
+    }
+    return list;
+}
+
+function parseArgs(argv) {
+    const options = {
+        output: CURSOR_REPORT_PATH,
+        dataDir: DEFAULT_DATA_DIR,
+        iterations: DEFAULT_ITERATIONS,
+        seed: 12345,
+        levels: DEFAULT_LEVELS,
+        mileSamples: DEFAULT_MILE_SAMPLES,
+        talentsPath: null,
+        archive: true,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--output':
+            case '-o':
+                options.output = path.resolve(next());
+                break;
+            case '--data':
+                options.dataDir = path.resolve(next());
+                break;
+            case '--iterations':
+                options.iterations = parseInt(next(), 10);
+                if (isNaN(options.iterations) || options.iterations < 1) {
+                    throw new Error('--iterations must be a positive integer');
+                }
+                break;
+            case '--seed':
+                options.seed = parseInt(next(), 10);
+                if (isNaN(options.seed)) throw new Error('--seed must be an integer');
+                break;
+            case '--levels':
+                options.levels = parseIntList(next(), '--levels');
+                break;
+            case '--miles':
+                options.mileSamples = parseIntList(next(), '--miles');
+                break;
+            case '--talents':
+                options.talentsPath = path.resolve(next());
+                break;
+            case '--no-archive':
+                options.archive = false;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - SIMULATED BALANCE AUDIT');
+    console.log('═══════════════════════════════════════════════════════════\n');
+
+    const data = loadGameData(options.dataDir);
+
+    let talentBuilds = {};
+    if (options.talentsPath) {
+        if (!fs.existsSync(options.talentsPath)) {
+            console.error(`❌ Talent builds file not found: ${options.talentsPath}`);
+            process.exit(1);
+        }
+        talentBuilds = JSON.parse(fs.readFileSync(options.talentsPath, 'utf8'));
+    }
+
+    console.log(`📂 Data:       ${options.dataDir}`);
+    console.log(`🎲 Seed:       ${options.seed}`);
+    console.log(`🔁 Iterations: ${options.iterations}`);
+    console.log(`📈 Levels:     ${options.levels.join(', ')}`);
+    console.log(`🛣️  Miles:      ${options.mileSamples.join(', ')}\n`);
+
+    const report = simulateStatsAudit(data, {
+        levels: options.levels,
+        mileSamples: options.mileSamples,
+        iterations: options.iterations,
+        seed: options.seed,
+        talentBuilds
+    });
+
+    fs.mkdirSync(path.dirname(options.output), { recursive: true });
+    fs.writeFileSync(options.output, JSON.stringify(report, null, '\t') + '\n');
+
+    const specCount = Object.values(report.classes)
+        .reduce((sum, classBlock) => sum + Object.keys(classBlock.specs).length, 0);
+
+    console.log(`✅ Report written: ${options.output}`);
+    if (options.archive) {
+        const { entry, added } = archiveReport(options.output, { source: 'simulator' });
+        console.log(`   ${added ? 'Archived' : 'Already archived'}: .cursor/balance-history/${entry.file}`);
+    }
+    console.log(`   Classes: ${Object.keys(report.classes).length}, specs: ${specCount}, anomalies: ${report.anomalies.length}`);
+    for (const anomaly of report.anomalies.slice(0, 8)) {
+        console.log(`   ⚠️  ${anomaly}`);
+    }
+    console.log('\nNext: npm run balance-audit:analyze\n');
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * Stat Sheet - Character Sheet and Stat Weights (no Godot required)
+ *
+ * Builds a hero from class, spec, level, gear and talents with the shared
+ * stat math in scripts/utils/stat-calculator.js and prints a character sheet
+ * that puts what StatCalculator.gd computes next to what stats-config.json
+ * describes, or stat-weight tables (marginal DPS per point) per spec.
+ *
+ * Usage:
+ *   node scripts/stat-sheet.js --class <id> [--spec <id>] [options]
+ *   node scripts/stat-sheet.js --weights [--class <id>] [options]
+ *   npm run stats:sheet -- --class warrior --spec arms --level 60 --gear iron_sword,iron_plate
+ *
+ * Options:
+ *   --class <id>         Hero class (classes.json)
+ *   --spec <id>          Spec id or key, e.g. arms or warrior_arms (default: the class's first spec)
+ *   --level <n>          Hero level (default: 60)
+ *   --gear <list>        Comma-separated item ids; socket gems with item:gem:gem
+ *   --talents <path>     JSON allocation { treeId: { talentId: points } } for --class, or
+ *                        builds keyed by spec as for simulate-balance-audit.js --talents
+ *   --stat <stat=value>  Extra flat stat on top of the gear, repeatable (e.g. --stat hitRating=120)
+ *   --weights            Print stat weights for every spec (or --class/--spec) instead of a sheet
+ *   --model <model>      data: stats-config.json as written plus spec passives; game: StatCalculator.gd (default: data)
+ *   --step <n>           Points added per stat when measuring weights (default: 10)
+ *   --mile <n>           Mile the baseline enemy is scaled to (default: 0)
+ *   --enemy <id>         Baseline enemy (default: slime)
+ *   --data <dir>         Data directory (default: road-to-war/data)
+ *   --json               Print JSON instead of tables
+ *   --help, -h           Show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    loadStatData,
+    calculateCharacterSheet,
+    calculateStatWeights,
+    expectedDps,
+    resolveSpec,
+    DEFAULT_DATA_DIR,
+    DEFAULT_WEIGHT_STEP,
+    STAT_MODELS,
+    WEIGHT_STATS
+} from './utils/stat-calculator.js';
+import { scaleEnemy, BASELINE_ENEMY_ID } from './utils/combat-simulator.js';
+
+const DEFAULT_LEVEL = 60;
+
+// Column headers for the weights table
+const WEIGHT_LABELS = {
+    attack: 'Atk',
+    attackPower: 'AP',
+    strength: 'Str',
+    agility: 'Agi',
+    intellect: 'Int',
+    spellPower: 'SP',
+    hitRating: 'Hit',
+    critRating: 'Crit',
+    hasteRating: 'Haste',
+    expertiseRating: 'Exp',
+    spellHitRating: 'SHit',
+    spellCritRating: 'SCrit',
+    spellHasteRating: 'SHaste'
+};
+
+// Character sheet rows: label, StatCalculator.gd value, stats-config.json value
+const SHEET_ROWS = [
+    ['Max health', s => s.game.maxHealth, s => s.data.totals.health],
+    ['Max mana', s => s.game.maxMana, s => s.data.totals.mana],
+    ['Attack per hit', s => s.game.attack, s => (s.stats.attack || 0) + (s.data.secondary[s.damageKind === 'spell' ? 'spellDamage' : 'meleeDamage'] || 0)],
+    ['Attack power', null, s => s.data.totals.attackPower],
+    ['Spell power', s => s.game.spellPower, s => s.data.totals.spellPower],
+    ['Defense', s => s.game.defense, s => s.stats.defense],
+    ['Armor', null, s => s.data.totals.armor],
+    ['Block value', null, s => s.data.totals.blockValue],
+    ['Hit %', s => s.game.hitChance, s => s.data.totals.hitChance],
+    ['Crit %', s => s.game.critChance, s => s.data.totals.critChance],
+    ['Haste %', null, s => s.data.totals.haste],
+    ['Expertise %', null, s => s.data.totals.expertise],
+    ['Dodge %', null, s => s.data.totals.dodgeChance],
+    ['Spell hit %', null, s => s.data.totals.spellHitChance],
+    ['Spell crit %', null, s => s.data.totals.spellCritChance],
+    ['Spell haste %', null, s => s.data.totals.spellHaste],
+    ['Mana regen /s', null, s => s.data.totals.manaRegen],
+    ['Health regen /s', null, s => s.data.totals.healthRegen]
+];
+
+function printHelp() {
+    console.log(`
+Stat Sheet - Character sheet and stat weights
+
+Usage:
+  node scripts/stat-sheet.js --class <id> [--spec <id>] [options]
+  node scripts/stat-sheet.js --weights [--class <id>] [options]
+
+Options:
+  --class <id>         Hero class (classes.json)
+  --spec <id>          Spec id or key, e.g. arms or warrior_arms (default: the class's first spec)
+  --level <n>          Hero level (default: ${DEFAULT_LEVEL})
+  --gear <list>        Comma-separated item ids; socket gems with item:gem:gem
+  --talents <path>     JSON allocation { treeId: { talentId: points } } for --class, or
+                       builds keyed by spec as for simulate-balance-audit.js --talents
+  --stat <stat=value>  Extra flat stat on top of the gear, repeatable (e.g. --stat hitRating=120)
+  --weights            Print stat weights for every spec (or --class/--spec) instead of a sheet
+  --model <model>      data: stats-config.json as written plus spec passives; game: StatCalculator.gd (default: data)
+  --step <n>           Points added per stat when measuring weights (default: ${DEFAULT_WEIGHT_STEP})
+  --mile <n>           Mile the baseline enemy is scaled to (default: 0)
+  --enemy <id>         Baseline enemy (default: ${BASELINE_ENEMY_ID})
+  --data <dir>         Data directory (default: road-to-war/data)
+  --json               Print JSON instead of tables
+  --help, -h           Show this help
+`);
+}
+
+function parsePositiveInt(value, flag, min = 1) {
+    const n = parseInt(value, 10);
+    if (isNaN(n) || n < min) {
+        throw new Error(`${flag} must be an integer >= ${min}`);
+    }
+    return n;
+}
+
+function parseGear(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [id, ...sockets] = entry.split(':');
+        return sockets.length > 0 ? { id, sockets } : id;
+    });
+}
+
+function parseArgs(argv) {
+    const options = {
+        classId: null,
+        specId: null,
+        level: DEFAULT_LEVEL,
+        gear: [],
+        talentsPath: null,
+        bonusStats: {},
+        weights: false,
+        model: 'data',
+        step: DEFAULT_WEIGHT_STEP,
+        mile: 0,
+        enemyId: BASELINE_ENEMY_ID,
+        dataDir: DEFAULT_DATA_DIR,
+        json: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--class':
+                options.classId = next();
+                break;
+            case '--spec':
+                options.specId = next();
+                break;
+            case '--level':
+                options.level = parsePositiveInt(next(), arg);
+                break;
+            case '--gear':
+                options.gear.push(...parseGear(next()));
+                break;
+            case '--talents':
+                options.talentsPath = path.resolve(next());
+                break;
+            case '--stat': {
+                const match = /^(\w+)=(-?[\d.]+)$/.exec(next());
+                if (!match || isNaN(parseFloat(match[2]))) {
+                    throw new Error('--stat expects <stat>=<number>, e.g. hitRating=120');
+                }
+                options.bonusStats[match[1]] = (options.bonusStats[match[1]] || 0) + parseFloat(match[2]);
+                break;
+            }
+            case '--weights':
+                options.weights = true;
+                break;
+            case '--model':
+                options.model = next();
+                if (!STAT_MODELS.includes(options.model)) {
+                    throw new Error(`--model must be one of: ${STAT_MODELS.join(', ')}`);
+                }
+                break;
+            case '--step':
+                options.step = parsePositiveInt(next(), arg);
+                break;
+            case '--mile':
+                options.mile = parsePositiveInt(next(), arg, 0);
+                break;
+            case '--enemy':
+                options.enemyId = next();
+                break;
+            case '--data':
+                options.dataDir = path.resolve(next());
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!options.weights && !options.classId && !options.specId) {
+        throw new Error('--class or --spec is required for a character sheet (or use --weights)');
+    }
+    return options;
+}
+
+/**
+ * Talent file: spec-keyed builds, or a single allocation for --class
+ * @returns {Function} specKey -> allocation
+ */
+function loadTalents(data, options) {
+    if (!options.talentsPath) return () => ({});
+    if (!fs.existsSync(options.talentsPath)) {
+        throw new Error(`Talent file not found: ${options.talentsPath}`);
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(options.talentsPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Failed to parse ${options.talentsPath}: ${e.message}`);
+    }
+
+    const keys = Object.keys(parsed);
+    if (keys.length > 0 && keys.every(key => data.specializations[key])) {
+        return specKey => parsed[specKey] || {};
+    }
+    if (!options.classId) {
+        throw new Error('A talent allocation that is not keyed by spec needs --class');
+    }
+    return () => parsed;
+}
+
+function selectSpecs(data, options) {
+    return Object.entries(data.specializations)
+        .filter(([key, spec]) => {
+            if (options.classId && spec.classId !== options.classId) return false;
+            if (options.specId && options.specId !== key && options.specId !== spec.id) return false;
+            return true;
+        })
+        .map(([key, spec]) => ({ specKey: key, classId: spec.classId, specId: spec.id }));
+}
+
+// toFixed() without a sign on zero ("-0.00" becomes "0.00")
+function fixed(value, digits) {
+    const text = value.toFixed(digits);
+    return /^-0(\.0*)?$/.test(text) ? text.slice(1) : text;
+}
+
+function fmt(value, digits = 1) {
+    if (value === null || value === undefined) return '-';
+    return Number.isInteger(value) ? String(value + 0) : fixed(value, digits);
+}
+
+function printSheet(sheet, dps, options) {
+    const { loadout } = sheet;
+    console.log(`🧙 ${loadout.classId} / ${loadout.specId} (${loadout.specKey}), level ${loadout.level}, ${sheet.damageKind} damage\n`);
+
+    const gear = Object.entries(loadout.gear).map(([slot, id]) => `${slot}: ${id}`);
+    console.log(`🎒 Gear: ${gear.length > 0 ? gear.join(', ') : 'none'}`);
+    for (const set of sheet.equipment.sets) {
+        const active = set.thresholds.length > 0 ? `bonus ${set.thresholds.join(', ')} active` : 'no bonus yet';
+        console.log(`   ${set.name}: ${set.equipped}/${set.pieces} (${active})`);
+    }
+    const extra = Object.entries(loadout.bonusStats).map(([stat, value]) => `${stat} +${value}`);
+    if (extra.length > 0) console.log(`   Extra stats: ${extra.join(', ')}`);
+    const talentPoints = Object.values(loadout.talents).reduce((sum, tree) => sum + Object.values(tree).reduce((a, b) => a + b, 0), 0);
+    console.log(`🌳 Talent points spent: ${talentPoints}`);
+    const { applied, ignored } = sheet.data.passives;
+    const passives = Object.entries(applied).map(([key, value]) => `${key} ${fmt(value * 100)}%`);
+    console.log(`🧬 Spec passives (stats-config.json column): ${passives.length > 0 ? passives.join(', ') : 'none'}${ignored.length > 0 ? `; not modelled: ${ignored.join(', ')}` : ''}\n`);
+
+    console.log('📊 Primary stats');
+    console.log(`   ${['strength', 'agility', 'stamina', 'intellect', 'spirit'].map(stat => `${stat} ${fmt(sheet.stats[stat] || 0)}`).join('  ')}\n`);
+
+    console.log(`   ${'Stat'.padEnd(16)} ${'StatCalculator.gd'.padStart(18)} ${'stats-config.json'.padStart(18)}`);
+    for (const [label, game, data] of SHEET_ROWS) {
+        const gameValue = game ? fmt(game(sheet), 2) : '-';
+        console.log(`   ${label.padEnd(16)} ${gameValue.padStart(18)} ${fmt(data(sheet), 2).padStart(18)}`);
+    }
+    console.log('');
+
+    console.log('🎯 Ratings (stats-config.json)');
+    console.log(`   ${'Rating'.padEnd(18)} ${'Rating'.padStart(8)} ${'%'.padStart(7)} ${'Cap %'.padStart(7)} ${'To cap'.padStart(7)} ${'Overcap'.padStart(8)}`);
+    for (const [ratingId, rating] of Object.entries(sheet.data.ratings)) {
+        if (ratingId === 'defenseRating') continue;
+        const toCap = Math.max(0, rating.ratingToCap - rating.rating);
+        console.log(`   ${ratingId.padEnd(18)} ${fmt(rating.rating).padStart(8)} ${fmt(rating.percent, 2).padStart(7)} ${fmt(rating.cap).padStart(7)} ${fmt(Math.ceil(toCap)).padStart(7)} ${fmt(rating.overcap).padStart(8)}`);
+    }
+    const defense = sheet.data.defense;
+    const defenseToCap = Math.max(0, defense.ratingNeeded - (sheet.data.ratings.defenseRating?.rating || 0));
+    console.log(`\n🛡️  Defense skill ${fmt(defense.skill)} (base ${defense.base}, cap ${defense.cap}), crit chance against ${defense.critReduction > 0 ? '-' : ''}${fmt(defense.critReduction, 2)}%, ${defense.capped ? 'capped' : `${Math.ceil(defenseToCap)} defense rating to cap`}\n`);
+
+    console.log(`⚔️  Expected auto-attack DPS vs ${options.enemyId} at mile ${options.mile}: ${fmt(dps.data.dps, 1)} (stats-config.json), ${fmt(dps.game.dps, 1)} (StatCalculator.gd)\n`);
+
+    console.log(`⚠️  ${sheet.gaps.length} place(s) where StatCalculator.gd departs from stats-config.json:`);
+    for (const gap of sheet.gaps) {
+        console.log(`   - ${gap}`);
+    }
+    console.log('');
+}
+
+function printWeights(results, options) {
+    const columns = WEIGHT_STATS.filter(stat => results.some(r => r.weights[stat] !== 0));
+    const omitted = WEIGHT_STATS.filter(stat => !columns.includes(stat));
+
+    console.log(`⚖️  Marginal DPS per point (+${options.step} each), model "${options.model}", level ${options.level}, vs ${options.enemyId} at mile ${options.mile}\n`);
+    console.log(`   ${'Spec'.padEnd(24)} ${'Kind'.padEnd(8)} ${'DPS'.padStart(8)} ${columns.map(stat => WEIGHT_LABELS[stat].padStart(7)).join('')}`);
+    for (const result of results) {
+        const cells = columns.map(stat => fixed(result.weights[stat], 3).padStart(7)).join('');
+        console.log(`   ${result.specKey.padEnd(24)} ${result.damageKind.padEnd(8)} ${fixed(result.dps, 1).padStart(8)} ${cells}`);
+    }
+    console.log('');
+    if (options.model === 'game') {
+        console.log('   StatCalculator.gd ignores spec passives past the level 1 base, so specs of a class barely differ\n');
+    }
+    if (omitted.length > 0) {
+        console.log(`   Worth nothing to any spec under this model: ${omitted.join(', ')}\n`);
+    }
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const data = loadStatData(options.dataDir);
+    if (!data.enemies[options.enemyId]) {
+        throw new Error(`Unknown enemy: ${options.enemyId}`);
+    }
+    const enemy = scaleEnemy(data.enemies, options.enemyId, options.mile);
+    const talentsFor = loadTalents(data, options);
+    const loadoutFor = spec => ({
+        classId: spec.classId,
+        specId: spec.specId,
+        level: options.level,
+        gear: options.gear,
+        talents: talentsFor(spec.specKey),
+        bonusStats: options.bonusStats
+    });
+
+    if (options.weights) {
+        const specs = selectSpecs(data, options);
+        if (specs.length === 0) {
+            throw new Error(`No spec matches --class ${options.classId || '*'} --spec ${options.specId || '*'}`);
+        }
+        const results = specs.map(spec => ({
+            specKey: spec.specKey,
+            ...calculateStatWeights(data, loadoutFor(spec), enemy, { model: options.model, step: options.step })
+        }));
+
+        if (options.json) {
+            const meta = { model: options.model, step: options.step, level: options.level, mile: options.mile, enemyId: options.enemyId };
+            console.log(JSON.stringify({ meta, specs: results }, null, 2));
+            return;
+        }
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log('        ROAD OF WAR - STAT WEIGHTS');
+        console.log('═══════════════════════════════════════════════════════════\n');
+        printWeights(results, options);
+        return;
+    }
+
+    const classId = options.classId || data.specializations[options.specId]?.classId;
+    const sheet = calculateCharacterSheet(data, loadoutFor(resolveSpec(data, classId, options.specId)));
+    const combatConfig = data.worldConfig.combat || {};
+    const dps = {
+        data: expectedDps(combatConfig, sheet, enemy, 'data'),
+        game: expectedDps(combatConfig, sheet, enemy, 'game')
+    };
+
+    if (options.json) {
+        console.log(JSON.stringify({ ...sheet, dps }, null, 2));
+        return;
+    }
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - CHARACTER SHEET');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    printSheet(sheet, dps, options);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/**
+ * Talent Tools - Lint, Render, Export and Import Talent Trees
+ *
+ * Replaces the old expand-talents.js script, which kept talent definitions in a
+ * hardcoded object literal. Trees are now authored in CSV or YAML files and
+ * imported into road-to-war/data/talents.json.
+ *
+ * Usage:
+ *   node scripts/talent-tools.js <command> [options]
+ *   npm run talents:lint
+ *   npm run talents:render -- --class paladin
+ *
+ * Commands:
+ *   lint                 Check every tree (unknown effect keys, duplicate cells,
+ *                        bad prerequisites, impossible point gates). Problems listed
+ *                        under "talents" in scripts/data-known-findings.json are
+ *                        printed as known findings and do not fail the run
+ *   render               Print trees as ASCII grids
+ *   export               Write one tree as CSV or YAML (needs --class and --tree)
+ *   import <file>        Replace (or add) the tree described by a CSV/YAML file
+ *
+ * Options:
+ *   --class <id>         Limit to one class
+ *   --tree <id>          Limit to one tree
+ *   --format <csv|yaml>  Export/import format (default: from file extension, else yaml)
+ *   --output, -o <path>  Export destination (default: stdout)
+ *   --talents <path>     talents.json path (default: road-to-war/data/talents.json)
+ *   --json               lint: print problems as JSON
+ *   --known <path>       Known findings baseline (default: scripts/data-known-findings.json)
+ *   --ignore-known       lint/import: report known findings as errors
+ *   --dry-run            import: lint and show the result without writing
+ *   --force              import: write even if the tree has lint errors
+ *   --help, -h           Show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadKnownFindings, applyKnownFindings, DEFAULT_KNOWN_FINDINGS } from './utils/data-validation.js';
+import {
+    DEFAULT_TALENTS_PATH,
+    loadTalents,
+    saveTalents,
+    listTrees,
+    lintTalents,
+    lintTree,
+    formatProblem,
+    problemKey,
+    exportTreeCsv,
+    exportTreeYaml,
+    importTreeCsv,
+    importTreeYaml,
+    formatFromPath,
+    renderTree
+} from './utils/talent-tree.js';
+
+const COMMANDS = ['lint', 'render', 'export', 'import'];
+
+function printHelp() {
+    console.log(`
+Talent Tools - lint, render, export and import talent trees
+
+Usage:
+  node scripts/talent-tools.js <command> [options]
+
+Commands:
+  lint                 Check every tree for unknown effect keys, duplicate cells,
+                       bad prerequisites and impossible point gates; problems in
+                       the known findings baseline are listed but do not fail
+  render               Print trees as ASCII grids
+  export               Write one tree as CSV or YAML (needs --class and --tree)
+  import <file>        Replace (or add) the tree described by a CSV/YAML file
+
+Options:
+  --class <id>         Limit to one class
+  --tree <id>          Limit to one tree
+  --format <csv|yaml>  Export/import format (default: from file extension, else yaml)
+  --output, -o <path>  Export destination (default: stdout)
+  --talents <path>     talents.json path (default: road-to-war/data/talents.json)
+  --json               lint: print problems as JSON
+  --known <path>       Known findings baseline (default: scripts/data-known-findings.json)
+  --ignore-known       lint/import: report known findings as errors
+  --dry-run            import: lint and show the result without writing
+  --force              import: write even if the tree has lint errors
+  --help, -h           Show this help
+
+Examples:
+  node scripts/talent-tools.js export --class warrior --tree arms -o arms.yaml
+  node scripts/talent-tools.js import arms.yaml --dry-run
+  node scripts/talent-tools.js render --class paladin
+`);
+}
+
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        file: null,
+        classId: null,
+        treeId: null,
+        format: null,
+        output: null,
+        talentsPath: DEFAULT_TALENTS_PATH,
+        knownPath: DEFAULT_KNOWN_FINDINGS,
+        ignoreKnown: false,
+        json: false,
+        dryRun: false,
+        force: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--class':
+                options.classId = next();
+                break;
+            case '--tree':
+                options.treeId = next();
+                break;
+            case '--format':
+                options.format = next().toLowerCase();
+                if (options.format === 'yml') options.format = 'yaml';
+                if (!['csv', 'yaml'].includes(options.format)) {
+                    throw new Error('--format must be csv or yaml');
+                }
+                break;
+            case '--output':
+            case '-o':
+                options.output = path.resolve(next());
+                break;
+            case '--talents':
+                options.talentsPath = path.resolve(next());
+                break;
+            case '--known':
+                options.knownPath = path.resolve(next());
+                break;
+            case '--ignore-known':
+                options.ignoreKnown = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--force':
+                options.force = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                if (!options.command) {
+                    if (!COMMANDS.includes(arg)) throw new Error(`Unknown command: ${arg}`);
+                    options.command = arg;
+                } else if (options.command === 'import' && !options.file) {
+                    options.file = path.resolve(arg);
+                } else {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+        }
+    }
+
+    return options;
+}
+
+function printProblems(problems) {
+    const errors = problems.filter(p => p.severity === 'error');
+    const warnings = problems.filter(p => p.severity !== 'error');
+
+    if (errors.length > 0) {
+        console.log(`❌ Errors (${errors.length}):`);
+        errors.forEach(problem => console.log(`   ${formatProblem(problem)}`));
+        console.log('');
+    }
+    if (warnings.length > 0) {
+        console.log(`⚠️  Warnings (${warnings.length}):`);
+        warnings.forEach(problem => console.log(`   ${formatProblem(problem)}`));
+        console.log('');
+    }
+    return errors.length;
+}
+
+// Split lint problems into new ones and those in the known findings baseline
+function applyBaseline(problems, options) {
+    const entries = options.ignoreKnown ? {} : loadKnownFindings('talents', options.knownPath);
+    return applyKnownFindings(problems, entries, problemKey);
+}
+
+function printKnown(known) {
+    if (known.length === 0) return;
+    console.log(`📋 Known findings (${known.length}), waiting on a data fix:`);
+    for (const problem of known) {
+        console.log(`   ${formatProblem(problem)}`);
+        console.log(`      ↳ ${problem.reason}`);
+    }
+    console.log('');
+}
+
+function runLint(data, options) {
+    const { problems, known, unused } = applyBaseline(
+        lintTalents(data, { classId: options.classId, treeId: options.treeId }), options);
+    const errorCount = problems.filter(p => p.severity === 'error').length;
+    // Entries for other trees are not unused when the lint is limited to one class or tree
+    const unusedKnown = options.classId || options.treeId ? [] : unused;
+
+    if (options.json) {
+        console.log(JSON.stringify({ ok: errorCount === 0, problems, known, unusedKnown }, null, 2));
+        process.exit(errorCount > 0 ? 1 : 0);
+    }
+
+    const trees = listTrees(data).filter(({ classId, treeId }) =>
+        (!options.classId || classId === options.classId) && (!options.treeId || treeId === options.treeId));
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - TALENT LINT');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    console.log(`📄 File:  ${options.talentsPath}`);
+    console.log(`🌳 Trees: ${trees.length}\n`);
+
+    printProblems(problems);
+    printKnown(known);
+
+    for (const key of unusedKnown) {
+        console.log(`⚠️  Known finding no longer reported: ${key} (remove it from ${path.basename(options.knownPath)})`);
+    }
+    if (unusedKnown.length > 0) console.log('');
+
+    if (errorCount > 0) {
+        console.log(`❌ Talent lint failed: ${errorCount} error(s)\n`);
+        process.exit(1);
+    }
+    console.log(`✅ Talent lint passed${known.length > 0 ? ` (${known.length} known finding(s))` : ''}\n`);
+}
+
+function runRender(data, options) {
+    const trees = listTrees(data).filter(({ classId, treeId }) =>
+        (!options.classId || classId === options.classId) && (!options.treeId || treeId === options.treeId));
+    if (trees.length === 0) {
+        throw new Error('No trees match the given --class/--tree');
+    }
+
+    let currentClass = null;
+    for (const { classId, treeId, tree } of trees) {
+        if (classId !== currentClass) {
+            console.log('═══════════════════════════════════════════════════════════');
+            console.log(`        ${classId.toUpperCase()}`);
+            console.log('═══════════════════════════════════════════════════════════\n');
+            currentClass = classId;
+        }
+        console.log(renderTree(classId, treeId, tree));
+        console.log('');
+    }
+    console.log('Legend: <name> <max points>  ^ needs a talent  # needs tree points  ! shared cell\n');
+}
+
+function runExport(data, options) {
+    if (!options.classId || !options.treeId) {
+        throw new Error('export needs --class and --tree');
+    }
+    const tree = data[options.classId] && data[options.classId].trees && data[options.classId].trees[options.treeId];
+    if (!tree) {
+        throw new Error(`Tree not found: ${options.classId}/${options.treeId}`);
+    }
+
+    const format = options.format || (options.output && formatFromPath(options.output)) || 'yaml';
+    const text = format === 'csv'
+        ? exportTreeCsv(options.classId, options.treeId, tree)
+        : exportTreeYaml(options.classId, options.treeId, tree);
+
+    if (!options.output) {
+        process.stdout.write(text);
+        return;
+    }
+    fs.mkdirSync(path.dirname(options.output), { recursive: true });
+    fs.writeFileSync(options.output, text);
+    console.log(`✅ Exported ${options.classId}/${options.treeId} (${Object.keys(tree.talents || {}).length} talents) to ${options.output}`);
+}
+
+function runImport(data, options) {
+    if (!options.file) {
+        throw new Error('import needs a CSV or YAML file');
+    }
+    if (!fs.existsSync(options.file)) {
+        throw new Error(`File not found: ${options.file}`);
+    }
+
+    const format = options.format || formatFromPath(options.file);
+    if (!format) {
+        throw new Error(`Cannot tell the format of ${options.file}; pass --format csv|yaml`);
+    }
+
+    const text = fs.readFileSync(options.file, 'utf8');
+    const { classId, treeId, tree } = format === 'csv' ? importTreeCsv(text) : importTreeYaml(text);
+
+    if (!data[classId]) {
+        throw new Error(`Unknown class "${classId}" (talents.json has: ${Object.keys(data).join(', ')})`);
+    }
+
+    const isNew = !(data[classId].trees && data[classId].trees[treeId]);
+    console.log(`📥 ${isNew ? 'Adding' : 'Replacing'} ${classId}/${treeId} (${Object.keys(tree.talents).length} talents) from ${options.file}\n`);
+    console.log(renderTree(classId, treeId, tree));
+    console.log('');
+
+    const { problems, known } = applyBaseline(lintTree(classId, treeId, tree), options);
+    const errorCount = printProblems(problems);
+    printKnown(known);
+    if (errorCount > 0 && !options.force) {
+        throw new Error(`${errorCount} lint error(s); fix the file or pass --force`);
+    }
+
+    if (options.dryRun) {
+        console.log('🔍 Dry run: talents.json not written\n');
+        return;
+    }
+
+    data[classId].trees = data[classId].trees || {};
+    data[classId].trees[treeId] = tree;
+    saveTalents(data, options.talentsPath);
+    console.log(`✅ Updated ${options.talentsPath}\n`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help || !options.command) {
+        printHelp();
+        if (!options.help) process.exit(1);
+        return;
+    }
+
+    const data = loadTalents(options.talentsPath);
+
+    switch (options.command) {
+        case 'lint':
+            runLint(data, options);
+            break;
+        case 'render':
+            runRender(data, options);
+            break;
+        case 'export':
+            runExport(data, options);
+            break;
+        case 'import':
+            runImport(data, options);
+            break;
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,272 @@
+/**
+ * Balance Gate
+ * Turns a before/after pair of stats audit reports into pass/fail checks so a
+ * balance change can block a merge. Used by compare-balance-audits.js --gate.
+ *
+ * Thresholds (scripts/balance-thresholds.json):
+ *   target     { dps, tolerance }        Target band (analyze-balance-audit.js uses 400 ± 50)
+ *   samples    [{ level, mile }]         Level/mile samples to check
+ *   defaults   Rule                      Applied to every spec
+ *   roles      { <role>: Rule }          "dps", "tank", "healer"
+ *   classes    { <classId>: Rule }
+ *   specs      { <classId_specId>: Rule }
+ *   overrides  [{ match: { role?, class?, spec?, level?, mile? }, ...Rule }]
+ *   anomalies  { maxNew }                How many more anomalies "after" may have
+ *
+ * Rule fields (later layers win, in the order listed above):
+ *   maxDriftPercent  Max |after - before| / before, in percent (null = unchecked)
+ *   noiseSigmas      Standard errors of sampling noise allowed on top of the drift and band
+ *                    limits, for reports that record dps_stderr (simulated ones; 0 = exact)
+ *   targetBand       "always" (must be inside), "new" (must not leave it), or false
+ *   targetDps, tolerance  Per-rule band override
+ *   failOnMissing    Fail when a sample present before is missing after
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDPSEstimate, listSpecs, getRole, TARGET_DPS, TARGET_TOLERANCE } from './balance-report.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_THRESHOLDS_PATH = path.resolve(__dirname, '..', 'balance-thresholds.json');
+
+const DEFAULT_RULE = {
+    maxDriftPercent: 10,
+    noiseSigmas: 2,
+    targetBand: 'new',
+    failOnMissing: true
+};
+
+/**
+ * Load a thresholds file
+ * @param {string} filePath - Path to thresholds JSON
+ * @returns {Object} Thresholds with defaults filled in
+ */
+export function loadThresholds(filePath = DEFAULT_THRESHOLDS_PATH) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const bands = ['always', 'new', false];
+
+    const check = (rule, where) => {
+        if (rule.targetBand !== undefined && !bands.includes(rule.targetBand)) {
+            throw new Error(`${where}: targetBand must be "always", "new" or false`);
+        }
+        if (rule.maxDriftPercent !== undefined && rule.maxDriftPercent !== null
+            && !(typeof rule.maxDriftPercent === 'number' && rule.maxDriftPercent >= 0)) {
+            throw new Error(`${where}: maxDriftPercent must be a non-negative number or null`);
+        }
+        if (rule.noiseSigmas !== undefined && !(typeof rule.noiseSigmas === 'number' && rule.noiseSigmas >= 0)) {
+            throw new Error(`${where}: noiseSigmas must be a non-negative number`);
+        }
+    };
+
+    check(config.defaults || {}, 'defaults');
+    for (const group of ['roles', 'classes', 'specs']) {
+        for (const [key, rule] of Object.entries(config[group] || {})) check(rule, `${group}.${key}`);
+    }
+    (config.overrides || []).forEach((rule, i) => check(rule, `overrides[${i}]`));
+
+    if (!Array.isArray(config.samples) || config.samples.length === 0) {
+        throw new Error('samples must list at least one { level, mile }');
+    }
+
+    return {
+        target: { dps: TARGET_DPS, tolerance: TARGET_TOLERANCE, ...(config.target || {}) },
+        samples: config.samples,
+        defaults: { ...DEFAULT_RULE, ...(config.defaults || {}) },
+        roles: config.roles || {},
+        classes: config.classes || {},
+        specs: config.specs || {},
+        overrides: config.overrides || [],
+        anomalies: { maxNew: 0, ...(config.anomalies || {}) }
+    };
+}
+
+function matches(match = {}, context) {
+    return Object.entries(match).every(([key, value]) => context[key] === value);
+}
+
+/**
+ * Effective rule for one spec at one sample
+ * @param {Object} thresholds - From loadThresholds()
+ * @param {{role: string, class: string, spec: string, level: number, mile: number}} context
+ * @returns {Object} Merged rule including targetDps/tolerance
+ */
+export function resolveRule(thresholds, context) {
+    const rule = {
+        targetDps: thresholds.target.dps,
+        tolerance: thresholds.target.tolerance,
+        ...thresholds.defaults,
+        ...(thresholds.roles[context.role] || {}),
+        ...(thresholds.classes[context.class] || {}),
+        ...(thresholds.specs[`${context.class}_${context.spec}`] || {})
+    };
+    for (const { match, ...override } of thresholds.overrides) {
+        if (matches(match, context)) Object.assign(rule, override);
+    }
+    return rule;
+}
+
+/**
+ * Evaluate the gate
+ * @param {Object} beforeReport - Baseline report
+ * @param {Object} afterReport - Candidate report
+ * @param {Object} thresholds - From loadThresholds()
+ * @param {Object} options - { specRoles: role by "class_spec" for reports without roles }
+ * @returns {Object} { ok, target, summary, checks, anomalies }
+ *   summary counts the anomaly check along with the per-spec checks
+ */
+export function evaluateGate(beforeReport, afterReport, thresholds, options = {}) {
+    const specRoles = options.specRoles || {};
+    const seen = new Set();
+    const specs = [...listSpecs(beforeReport), ...listSpecs(afterReport)].filter(({ classId, specId }) => {
+        const key = `${classId}/${specId}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    const checks = [];
+    for (const { classId, specId } of specs) {
+        const source = afterReport.classes?.[classId]?.specs?.[specId] ? afterReport : beforeReport;
+        const role = getRole(source, classId, specId, specRoles);
+
+        for (const { level, mile } of thresholds.samples) {
+            const rule = resolveRule(thresholds, { role, class: classId, spec: specId, level, mile });
+            const beforeEstimate = getDPSEstimate(beforeReport, classId, specId, level, mile);
+            const afterEstimate = getDPSEstimate(afterReport, classId, specId, level, mile);
+            const before = beforeEstimate?.dps ?? null;
+            const after = afterEstimate?.dps ?? null;
+            const band = { min: rule.targetDps - rule.tolerance, max: rule.targetDps + rule.tolerance };
+            // A sampled DPS only counts as outside the band when its whole confidence interval is
+            const inBand = estimate => estimate !== null
+                && estimate.dps + rule.noiseSigmas * estimate.stderr >= band.min
+                && estimate.dps - rule.noiseSigmas * estimate.stderr <= band.max;
+            const failures = [];
+
+            if (before === null && after === null) continue;
+
+            if (after === null) {
+                if (rule.failOnMissing) {
+                    failures.push({ type: 'missing', message: 'sample missing from the after report' });
+                }
+                checks.push({ classId, specId, role, level, mile, before, after, driftPercent: null, noisePercent: null, band, failures });
+                continue;
+            }
+
+            // Drift only fails when it exceeds the limit by more than the sampling noise of both estimates
+            const driftPercent = before ? ((after - before) / before) * 100 : null;
+            const noise = rule.noiseSigmas * Math.sqrt((beforeEstimate?.stderr || 0) ** 2 + afterEstimate.stderr ** 2);
+            const noisePercent = before ? (noise / before) * 100 : null;
+            if (rule.maxDriftPercent !== null && driftPercent !== null
+                && Math.abs(driftPercent) - noisePercent > rule.maxDriftPercent) {
+                const noiseNote = noisePercent > 0 ? ` + ${noisePercent.toFixed(1)}% sampling noise` : '';
+                failures.push({
+                    type: 'drift',
+                    message: `DPS drifted ${driftPercent.toFixed(1)}% (${before.toFixed(1)} → ${after.toFixed(1)}), limit ±${rule.maxDriftPercent}%${noiseNote}`
+                });
+            }
+
+            const leftBand = rule.targetBand === 'always' ? !inBand(afterEstimate)
+                : rule.targetBand === 'new' ? !inBand(afterEstimate) && (beforeEstimate === null || inBand(beforeEstimate))
+                    : false;
+            if (leftBand) {
+                failures.push({
+                    type: 'target-band',
+                    message: `DPS ${after.toFixed(1)} is outside the target band ${band.min}-${band.max}`
+                });
+            }
+
+            checks.push({ classId, specId, role, level, mile, before, after, driftPercent, noisePercent, band, failures });
+        }
+    }
+
+    const beforeAnomalies = beforeReport.anomalies || [];
+    const afterAnomalies = afterReport.anomalies || [];
+    const beforeSet = new Set(beforeAnomalies);
+    const added = afterAnomalies.filter(anomaly => !beforeSet.has(anomaly));
+    const growth = afterAnomalies.length - beforeAnomalies.length;
+    const anomalies = {
+        before: beforeAnomalies.length,
+        after: afterAnomalies.length,
+        added,
+        maxNew: thresholds.anomalies.maxNew,
+        ok: growth <= thresholds.anomalies.maxNew
+    };
+
+    // The anomaly count is one more check (the "anomalies" suite in toJUnitXml())
+    const total = checks.length + 1;
+    const failed = checks.filter(check => check.failures.length > 0).length + (anomalies.ok ? 0 : 1);
+    return {
+        ok: failed === 0,
+        target: thresholds.target,
+        summary: { checks: total, passed: total - failed, failed },
+        checks,
+        anomalies
+    };
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a gate result as JUnit XML (one testsuite per class, plus "anomalies")
+ * @param {Object} result - From evaluateGate()
+ * @returns {string} XML document
+ */
+export function toJUnitXml(result) {
+    const suites = new Map();
+    for (const check of result.checks) {
+        if (!suites.has(check.classId)) suites.set(check.classId, []);
+        suites.get(check.classId).push(check);
+    }
+
+    const format = value => (value === null ? 'n/a' : value.toFixed(1));
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    lines.push(`<testsuites name="balance-gate" tests="${result.summary.checks}" failures="${result.summary.failed}">`);
+
+    for (const [classId, checks] of suites) {
+        const failures = checks.filter(check => check.failures.length > 0).length;
+        lines.push(`  <testsuite name="balance.${escapeXml(classId)}" tests="${checks.length}" failures="${failures}">`);
+        for (const check of checks) {
+            const name = `${check.specId} L${check.level} M${check.mile}`;
+            const open = `    <testcase classname="balance.${escapeXml(classId)}.${escapeXml(check.specId)}" name="${escapeXml(name)}"`;
+            if (check.failures.length === 0) {
+                lines.push(`${open}/>`);
+                continue;
+            }
+            const details = [
+                `role: ${check.role}`,
+                `before: ${format(check.before)}`,
+                `after: ${format(check.after)}`,
+                `target band: ${check.band.min}-${check.band.max}`,
+                ...check.failures.map(failure => `${failure.type}: ${failure.message}`)
+            ].join('\n');
+            lines.push(`${open}>`);
+            lines.push(`      <failure type="${escapeXml(check.failures[0].type)}" message="${escapeXml(check.failures[0].message)}">${escapeXml(details)}</failure>`);
+            lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+    }
+
+    const anomalies = result.anomalies;
+    lines.push(`  <testsuite name="balance.anomalies" tests="1" failures="${anomalies.ok ? 0 : 1}">`);
+    if (anomalies.ok) {
+        lines.push('    <testcase classname="balance.anomalies" name="anomaly count"/>');
+    } else {
+        const message = `anomalies grew from ${anomalies.before} to ${anomalies.after} (allowed +${anomalies.maxNew})`;
+        lines.push('    <testcase classname="balance.anomalies" name="anomaly count">');
+        lines.push(`      <failure type="anomalies" message="${escapeXml(message)}">${escapeXml(anomalies.added.join('\n'))}</failure>`);
+        lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,147 @@
+/**
+ * Balance History
+ * Local archive of stats audit reports, keyed by git commit, so audits stop
+ * overwriting each other. Reports are stored as
+ *   .cursor/balance-history/<timestamp>_<short commit>.json
+ * with an index.json listing every entry in archive order.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..', '..');
+
+export const DEFAULT_HISTORY_DIR = path.join(ROOT, '.cursor', 'balance-history');
+
+function git(args, cwd) {
+    try {
+        return execSync(`git ${args}`, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).trim();
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Current git commit of the working tree
+ * @param {string} cwd - Repository directory
+ * @param {Object} options - { ignore: paths left out of the dirty check, e.g. the report being archived }
+ * @returns {{commit: string, short: string, subject: string|null, branch: string|null, dirty: boolean}}
+ */
+export function getGitInfo(cwd = ROOT, options = {}) {
+    const commit = git('rev-parse HEAD', cwd);
+    if (!commit) {
+        return { commit: 'unknown', short: 'unknown', subject: null, branch: null, dirty: false };
+    }
+    // .cursor/stats_audit_report.json is tracked, so writing a fresh report
+    // must not mark the commit it was produced on as dirty
+    const excludes = (options.ignore || [])
+        .map(file => path.relative(cwd, path.resolve(file)).replace(/\\/g, '/'))
+        .filter(rel => rel && !rel.startsWith('..') && !path.isAbsolute(rel))
+        .map(rel => ` ":(exclude)${rel}"`)
+        .join('');
+    const status = git(`status --porcelain -- .${excludes}`, cwd);
+    return {
+        commit,
+        short: commit.slice(0, 7),
+        subject: git('log -1 --format=%s', cwd),
+        branch: git('rev-parse --abbrev-ref HEAD', cwd),
+        dirty: Boolean(status)
+    };
+}
+
+function indexPath(historyDir) {
+    return path.join(historyDir, 'index.json');
+}
+
+/**
+ * Read the archive index
+ * @param {string} historyDir - Archive directory
+ * @returns {Array<Object>} Entries, oldest first
+ */
+export function loadHistory(historyDir = DEFAULT_HISTORY_DIR) {
+    const file = indexPath(historyDir);
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8')).entries || [];
+}
+
+/**
+ * Load the report stored for an index entry
+ * @param {Object} entry - Index entry
+ * @param {string} historyDir - Archive directory
+ * @returns {Object|null} Parsed report, or null if the file is gone
+ */
+export function loadArchivedReport(entry, historyDir = DEFAULT_HISTORY_DIR) {
+    const file = path.join(historyDir, entry.file);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Copy a report into the archive. A report whose content is already archived
+ * is not stored twice.
+ * @param {string} reportPath - Report to archive
+ * @param {Object} options - { historyDir, source: label such as "godot" or "simulator", git: override getGitInfo() }
+ * @returns {{entry: Object, added: boolean}}
+ */
+export function archiveReport(reportPath, options = {}) {
+    const historyDir = options.historyDir || DEFAULT_HISTORY_DIR;
+    const content = fs.readFileSync(reportPath, 'utf8');
+    const report = JSON.parse(content);
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+    const entries = loadHistory(historyDir);
+    const existing = entries.find(entry => entry.sha256 === sha256);
+    if (existing) {
+        return { entry: existing, added: false };
+    }
+
+    const gitInfo = options.git || getGitInfo(ROOT, { ignore: [reportPath] });
+    const archivedAt = new Date();
+    const stamp = archivedAt.toISOString().replace(/[-:.]/g, '');
+    let id = `${stamp}_${gitInfo.short}`;
+    for (let n = 1; entries.some(entry => entry.id === id); n++) {
+        id = `${stamp}_${gitInfo.short}-${n}`;
+    }
+    const file = `${id}.json`;
+
+    const entry = {
+        id,
+        file,
+        commit: gitInfo.commit,
+        short: gitInfo.short,
+        subject: gitInfo.subject,
+        branch: gitInfo.branch,
+        dirty: gitInfo.dirty,
+        source: options.source || 'unknown',
+        archived_at: archivedAt.toISOString(),
+        generated_at_ms: report.generated_at_ms || null,
+        sha256
+    };
+
+    fs.mkdirSync(historyDir, { recursive: true });
+    fs.writeFileSync(path.join(historyDir, file), content);
+    entries.push(entry);
+    fs.writeFileSync(indexPath(historyDir), JSON.stringify({ entries }, null, 2) + '\n');
+
+    return { entry, added: true };
+}
+
+/**
+ * Latest archived entry per commit, in archive order
+ * @param {Array<Object>} entries - From loadHistory()
+ * @returns {Array<Object>}
+ */
+export function latestPerCommit(entries) {
+    const byCommit = new Map();
+    for (const entry of entries) {
+        const key = entry.dirty ? `${entry.commit}+dirty` : entry.commit;
+        byCommit.delete(key);
+        byCommit.set(key, entry);
+    }
+    return [...byCommit.values()];
+}
@@ -0,0 +1,117 @@
+/**
+ * Balance Report Helpers
+ * Shared readers for stats_audit_report.json (written by the Godot audit run,
+ * TestSuite.test_stats_audit() in road-to-war/tests/TestSuite.gd, or by
+ * scripts/simulate-balance-audit.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SPECIALIZATIONS_PATH = path.resolve(__dirname, '..', '..', 'road-to-war', 'data', 'specializations.json');
+
+// Target DPS band used by analyze-balance-audit.js
+export const TARGET_DPS = 400;
+export const TARGET_TOLERANCE = 50;
+
+/**
+ * Effective DPS of a spec at one level/mile sample, with its sampling error.
+ * Averages the top two ability DPS values; falls back to auto-attack DPS.
+ * @param {Object} report - Parsed audit report
+ * @param {string} classId - Class id
+ * @param {string} specId - Spec id
+ * @param {number} level - Level sample
+ * @param {number} mile - Mile sample
+ * @returns {{dps: number, stderr: number}|null} DPS and its standard error (0 when the
+ *   report does not record one, as in Godot reports), or null when the sample is missing
+ */
+export function getDPSEstimate(report, classId, specId, level = 80, mile = 0) {
+    try {
+        const classData = report.classes[classId];
+        if (!classData) return null;
+
+        const specData = classData.specs[specId];
+        if (!specData) return null;
+
+        const levelData = specData.levels?.[String(level)];
+        if (!levelData) return null;
+
+        const mileData = levelData.dps_by_mile?.[String(mile)];
+        if (!mileData) return null;
+
+        // Use ability DPS if available, otherwise fall back to auto-attack
+        let dps = mileData.auto_attack?.dps || mileData.dps || 0;
+        let stderr = mileData.auto_attack?.dps_stderr || 0;
+
+        // For classes with key abilities, use the highest ability DPS
+        if (mileData.abilities) {
+            const abilities = Object.values(mileData.abilities).filter(ability => ability.dps > 0);
+
+            if (abilities.length > 0) {
+                // Use average of top abilities (weighted toward the highest)
+                const top = abilities.sort((a, b) => b.dps - a.dps).slice(0, 2);
+                dps = top.reduce((sum, ability) => sum + ability.dps, 0) / top.length;
+                stderr = Math.sqrt(top.reduce((sum, ability) => sum + (ability.dps_stderr || 0) ** 2, 0)) / top.length;
+            }
+        }
+
+        return { dps, stderr };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Effective DPS of a spec at one level/mile sample (see getDPSEstimate)
+ * @returns {number|null} DPS, or null when the sample is missing
+ */
+export function getDPS(report, classId, specId, level = 80, mile = 0) {
+    return getDPSEstimate(report, classId, specId, level, mile)?.dps ?? null;
+}
+
+/**
+ * List every class/spec pair in a report
+ * @param {Object} report - Parsed audit report
+ * @returns {Array<{classId: string, specId: string, role: string|undefined}>}
+ */
+export function listSpecs(report) {
+    const specs = [];
+    for (const [classId, classData] of Object.entries(report?.classes || {})) {
+        for (const [specId, specData] of Object.entries(classData.specs || {})) {
+            specs.push({ classId, specId, role: specData.role });
+        }
+    }
+    return specs;
+}
+
+/**
+ * Spec roles from specializations.json, keyed "class_spec".
+ * Older Godot reports do not record a role per spec.
+ * @param {string} filePath - Path to specializations.json
+ * @returns {Object<string, string>} Role by spec key (empty if the file is missing)
+ */
+export function loadSpecRoles(filePath = SPECIALIZATIONS_PATH) {
+    if (!fs.existsSync(filePath)) return {};
+    const specializations = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const roles = {};
+    for (const [key, spec] of Object.entries(specializations)) {
+        if (spec.role) roles[key] = spec.role;
+    }
+    return roles;
+}
+
+/**
+ * Role of a spec: the report's own value, then specializations.json, then "dps"
+ * @param {Object} report - Parsed audit report
+ * @param {string} classId - Class id
+ * @param {string} specId - Spec id
+ * @param {Object<string, string>} specRoles - From loadSpecRoles()
+ * @returns {string} "dps", "tank" or "healer"
+ */
+export function getRole(report, classId, specId, specRoles = {}) {
+    return report?.classes?.[classId]?.specs?.[specId]?.role || specRoles[`${classId}_${specId}`] || 'dps';
+}
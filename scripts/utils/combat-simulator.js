@@ -0,0 +1,346 @@
+/**
+ * Combat Simulator - Headless mirror of the Godot balance audit
+ *
+ * Re-implements the pieces of ResourceManager, AbilityManager and
+ * DamageCalculator that TestSuite.test_stats_audit() relies on, reading the
+ * same JSON files from road-to-war/data. HeroFactory, StatCalculator and
+ * TalentManager live in stat-calculator.js. The report it builds has the
+ * same shape as user://stats_audit_report.json:
+ *
+ *   classes[cls].specs[spec].levels[lvl].dps_by_mile[mile]
+ *
+ * so analyze-balance-audit.js and compare-balance-audits.js work on either.
+ *
+ * Keep the formulas here in step with the GDScript sources. Scene-dependent
+ * modifiers (status effects, party buffs, forms, shields) are not simulated;
+ * the audit runs without them as well.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SeededRNG } from '../../tools/utils/seeded-rng.js';
+import {
+    calculateBaseStats,
+    calculateTalentBonuses,
+    calculateFinalStats
+} from './stat-calculator.js';
+
+// The stat math moved to stat-calculator.js; re-exported for existing callers
+export {
+    calculateBaseStats,
+    calculateTalentBonuses,
+    convertRatingToPercentage,
+    calculateDerivedStats,
+    calculateFinalStats
+} from './stat-calculator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', '..', 'road-to-war', 'data');
+
+// Same sample grid as TestSuite.test_stats_audit()
+export const DEFAULT_LEVELS = [1, 10, 20, 40, 60, 80];
+export const DEFAULT_MILE_SAMPLES = [0, 5, 10, 20, 50, 100];
+export const DEFAULT_ITERATIONS = 60;
+export const BASELINE_ENEMY_ID = 'slime';
+
+// Mirrors TestSuite._get_key_abilities_for_class_spec()
+export const KEY_ABILITIES = {
+    warrior: {
+        arms: ['mortal_strike', 'execute'],
+        fury: ['bloodthirst']
+    },
+    paladin: {
+        retribution: ['crusader_strike', 'divine_storm'],
+        holy: ['judgment'] // Healer, but still test damage ability
+    },
+    warlock: {
+        affliction: ['corruption', 'unstable_affliction']
+    },
+    druid: {
+        feral: ['mangle', 'swipe']
+    }
+};
+
+const DATA_FILES = {
+    classes: 'classes.json',
+    specializations: 'specializations.json',
+    abilities: 'abilities.json',
+    talents: 'talents.json',
+    statsConfig: 'stats-config.json',
+    enemies: 'enemies.json',
+    worldConfig: 'world-config.json'
+};
+
+/**
+ * Load every data file the simulator needs
+ * @param {string} dataDir - Directory containing the Godot JSON data
+ * @returns {Object} { classes, specializations, abilities, talents, statsConfig, enemies, worldConfig }
+ */
+export function loadGameData(dataDir = DEFAULT_DATA_DIR) {
+    const data = {};
+    for (const [key, file] of Object.entries(DATA_FILES)) {
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Data file not found: ${filePath}`);
+        }
+        try {
+            data[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Failed to parse ${filePath}: ${e.message}`);
+        }
+    }
+    return data;
+}
+
+/**
+ * ResourceManager.initialize_hero_resources() / get_resource_type()
+ * @returns {{type: string, max: number}}
+ */
+export function calculateResource(classData, finalStats) {
+    const type = classData.resourceType || 'mana';
+    if (type === 'mana') {
+        return { type, max: 100 + (finalStats.intellect || 0) * 15 };
+    }
+    return { type, max: 100 };
+}
+
+/**
+ * TestSuite._audit_scaled_enemy() (WorldManager health/defense scaling)
+ * @returns {Object} Scaled enemy stats
+ */
+export function scaleEnemy(enemies, enemyId, mile) {
+    const stats = { ...(enemies[enemyId]?.stats || {}) };
+    const scaledHealth = Math.trunc(Math.trunc(stats.health ?? 100) * (3.0 + mile * 0.5));
+    stats.health = scaledHealth;
+    stats.maxHealth = scaledHealth;
+    stats.defense = Math.trunc(stats.defense || 0) + mile * 2;
+    return stats;
+}
+
+/**
+ * DamageCalculator.calculate_damage() without scene-bound modifiers
+ * @param {Object} combatConfig - world-config.json "combat" block
+ * @param {Object} attackerStats - Final hero stats
+ * @param {Object} targetStats - Enemy stats
+ * @param {SeededRNG} rng - Random source
+ * @returns {{damage: number, is_crit: boolean, miss: boolean}}
+ */
+export function calculateDamage(combatConfig, attackerStats, targetStats, rng) {
+    const attack = attackerStats.attack ?? 10;
+    const defense = targetStats.defense ?? 5;
+
+    if (rng.random() < (combatConfig.missChance ?? 0.05)) {
+        return { damage: 0, is_crit: false, miss: true };
+    }
+
+    let damage = Math.max(1, attack - defense);
+    damage *= 1 + (attackerStats.physicalDamagePercent || 0) / 100;
+
+    const critChance = (combatConfig.criticalHitChance ?? 0.05) + (attackerStats.critChance || 0) / 100;
+    const isCrit = rng.random() < critChance;
+    if (isCrit) {
+        damage *= combatConfig.criticalHitMultiplier ?? 2.0;
+    }
+
+    const variance = combatConfig.damageVariance ?? 0.1;
+    damage *= 1 + rng.randomFloat(-variance, variance);
+
+    let value = Math.floor(damage);
+    if (value <= 0) value = 1;
+
+    return { damage: value, is_crit: isCrit, miss: false };
+}
+
+/**
+ * AbilityManager.get_ability_definition() (general first, then class)
+ * @returns {Object|null} Ability definition
+ */
+export function getAbilityDefinition(abilities, classId, abilityName) {
+    if (abilities.general?.[abilityName]) return abilities.general[abilityName];
+    if (abilities[classId]?.[abilityName]) return abilities[classId][abilityName];
+    return null;
+}
+
+/**
+ * TestSuite._audit_average_damage() plus the sampling error of the average
+ * @param {Object} combatConfig - world-config.json "combat" block
+ * @param {Object} attackerStats - Final hero stats
+ * @param {Object} targetStats - Enemy stats
+ * @param {number} iterations - Samples to draw
+ * @param {SeededRNG} rng - Random source
+ * @param {number} damageMultiplier - Ability multiplier (1 for auto-attack)
+ * @returns {{average: number, stderr: number, hits: number}} Average damage per landed hit
+ *   (0 if everything missed) and its standard error
+ */
+export function sampleDamage(combatConfig, attackerStats, targetStats, iterations, rng, damageMultiplier = 1) {
+    let sum = 0;
+    let sumSquares = 0;
+    let hits = 0;
+    for (let i = 0; i < iterations; i++) {
+        const result = calculateDamage(combatConfig, attackerStats, targetStats, rng);
+        if (result.miss) continue;
+        const damage = result.damage * damageMultiplier;
+        sum += damage;
+        sumSquares += damage * damage;
+        hits++;
+    }
+    if (hits === 0) return { average: 0, stderr: 0, hits };
+
+    const average = sum / hits;
+    const variance = hits > 1 ? Math.max(0, (sumSquares - hits * average * average) / (hits - 1)) : 0;
+    return { average, stderr: Math.sqrt(variance / hits), hits };
+}
+
+/**
+ * TestSuite._audit_average_damage(): average damage of landed hits
+ * @returns {number} Average damage per hit, 0 if everything missed
+ */
+export function averageDamage(combatConfig, attackerStats, targetStats, iterations, rng, damageMultiplier = 1) {
+    return sampleDamage(combatConfig, attackerStats, targetStats, iterations, rng, damageMultiplier).average;
+}
+
+/**
+ * Build a stats audit report without Godot
+ * @param {Object} data - Output of loadGameData()
+ * @param {Object} options - { levels, mileSamples, iterations, seed, talentBuilds, enemyId }
+ *   talentBuilds is keyed like specializations.json ("warrior_arms") and holds
+ *   the TalentManager allocation { treeId: { talentId: points } }
+ * @returns {Object} Report in stats_audit_report.json shape
+ */
+export function simulateStatsAudit(data, options = {}) {
+    const levels = options.levels || DEFAULT_LEVELS;
+    const mileSamples = options.mileSamples || DEFAULT_MILE_SAMPLES;
+    const iterations = options.iterations || DEFAULT_ITERATIONS;
+    const talentBuilds = options.talentBuilds || {};
+    const rng = new SeededRNG(options.seed ?? 12345);
+    const combatConfig = data.worldConfig.combat || {};
+
+    const report = {
+        generated_at_ms: Date.now(),
+        levels,
+        mile_samples: mileSamples,
+        notes: [
+            'DPS is estimated from DamageCalculator over N samples (includes miss/crit RNG).',
+            "Enemy scaling in this report mirrors WorldManager's health/defense scaling.",
+            'If base_stats scale with level and StatCalculator also applies levelStatGains, growth may be double-counted.',
+            `Generated by scripts/simulate-balance-audit.js (seed ${rng.seed}, ${iterations} samples).`
+        ],
+        classes: {}
+    };
+    const anomalies = [];
+
+    let enemyId = options.enemyId || BASELINE_ENEMY_ID;
+    if (!data.enemies[enemyId]) {
+        enemyId = Object.keys(data.enemies)[0];
+    }
+
+    for (const [specKey, build] of Object.entries(talentBuilds)) {
+        const spec = data.specializations[specKey];
+        if (!spec) {
+            anomalies.push(`Talent build for unknown spec: ${specKey}`);
+            continue;
+        }
+        const classTrees = data.talents[spec.classId]?.trees || {};
+        for (const [treeId, treeTalents] of Object.entries(build)) {
+            for (const [talentId, points] of Object.entries(treeTalents)) {
+                const talent = classTrees[treeId]?.talents?.[talentId];
+                if (!talent) {
+                    anomalies.push(`Talent build ${specKey}: unknown talent ${treeId}/${talentId}`);
+                } else if (points > (talent.maxPoints ?? 0)) {
+                    anomalies.push(`Talent build ${specKey}: ${treeId}/${talentId} has ${points} points (max ${talent.maxPoints})`);
+                }
+            }
+        }
+    }
+
+    for (const [classId, classData] of Object.entries(data.classes)) {
+        const classBlock = { specs: {} };
+        report.classes[classId] = classBlock;
+
+        for (const [specKey, spec] of Object.entries(data.specializations)) {
+            if (String(spec.classId || '') !== classId) continue;
+            const specId = String(spec.id || '');
+            if (!specId) continue;
+
+            // HeroFactory looks specs up as "<class>_<spec>"
+            if (specKey !== `${classId}_${specId}`) {
+                anomalies.push(`HeroFactory failed for ${classId}/${specId}: spec key ${specKey} does not match ${classId}_${specId}`);
+                continue;
+            }
+
+            const specBlock = { role: spec.role || 'dps', levels: {} };
+            classBlock.specs[specId] = specBlock;
+
+            const baseStats = calculateBaseStats(classData, spec);
+            const talentBonuses = calculateTalentBonuses(data.talents, classId, talentBuilds[specKey]);
+
+            for (const level of levels) {
+                const stats = calculateFinalStats(data, baseStats, level, {}, talentBonuses);
+                let attackSpeed = stats.attackSpeed ?? 1.5;
+                if (attackSpeed <= 0) attackSpeed = 1.5;
+
+                const base = {
+                    stamina: Math.trunc(baseStats.stamina || 0),
+                    strength: Math.trunc(baseStats.strength || 0),
+                    intellect: Math.trunc(baseStats.intellect || 0),
+                    agility: Math.trunc(baseStats.agility || 0)
+                };
+                if (level >= 10 && (base.stamina > 40 || base.strength > 40 || base.intellect > 40 || base.agility > 40)) {
+                    anomalies.push(`POSSIBLE DOUBLE SCALING: ${classId}/${specId} L${level} base_stats too high (stam=${base.stamina} str=${base.strength} int=${base.intellect} agi=${base.agility})`);
+                }
+
+                const levelBlock = {
+                    base,
+                    final: {
+                        maxHealth: stats.maxHealth ?? 0,
+                        attack: stats.attack ?? 0,
+                        defense: stats.defense ?? 0,
+                        spellPower: stats.spellPower ?? 0,
+                        critChance: stats.critChance ?? 0,
+                        hasteRating: stats.hasteRating ?? 0,
+                        attackSpeed
+                    },
+                    resource: calculateResource(classData, stats),
+                    dps_by_mile: {}
+                };
+
+                for (const mile of mileSamples) {
+                    const enemyStats = scaleEnemy(data.enemies, enemyId, mile);
+                    const autoAttack = sampleDamage(combatConfig, stats, enemyStats, iterations, rng);
+                    // dps_stderr is not in the Godot report; balance-gate.js uses it to tell drift from sampling noise
+                    const sampled = damage => ({
+                        avg_hit: damage.average,
+                        dps: damage.average / attackSpeed,
+                        dps_stderr: damage.stderr / attackSpeed,
+                        hits: damage.hits
+                    });
+
+                    const abilityDamages = {};
+                    for (const abilityName of KEY_ABILITIES[classId]?.[specId] || []) {
+                        // Unknown abilities fall back to auto-attack, as in the GDScript audit
+                        const ability = getAbilityDefinition(data.abilities, classId, abilityName);
+                        const multiplier = ability ? (ability.damageMultiplier ?? 1.0) : 1.0;
+                        const abilityDamage = sampleDamage(combatConfig, stats, enemyStats, iterations, rng, multiplier);
+                        if (abilityDamage.average > 0) {
+                            abilityDamages[abilityName] = sampled(abilityDamage);
+                        }
+                    }
+
+                    levelBlock.dps_by_mile[String(mile)] = {
+                        auto_attack: sampled(autoAttack),
+                        abilities: abilityDamages,
+                        enemy_hp: enemyStats.health ?? 0
+                    };
+                }
+
+                specBlock.levels[String(level)] = levelBlock;
+            }
+        }
+    }
+
+    report.anomalies = anomalies;
+    return report;
+}
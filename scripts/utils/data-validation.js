@@ -0,0 +1,378 @@
+/**
+ * Data Validation
+ * Validates road-to-war/data against the versioned schemas in scripts/schemas
+ * and checks references between files (class -> spec -> ability ids, quest
+ * targets -> enemies, set pieces -> items, ...).
+ *
+ * Every problem is reported as { file, pointer, message } where pointer is a
+ * JSON pointer into that file. Problems listed in scripts/data-known-findings.json
+ * (data waiting on design review) are reported as known instead of failing.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema, joinPointer } from './json-schema.js';
+import { checkKeyframeConfig } from '../../tools/utils/keyframe-formulas.js';
+import { checkPaletteCoverage } from '../../tools/utils/palette-manager.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', '..', 'road-to-war', 'data');
+export const SCHEMA_VERSION = 'v1';
+export const DEFAULT_SCHEMA_DIR = path.resolve(__dirname, '..', 'schemas', SCHEMA_VERSION);
+export const DEFAULT_KNOWN_FINDINGS = path.resolve(__dirname, '..', 'data-known-findings.json');
+
+// Equipment categories in items.json (sets/tiers are not items)
+const ITEM_CATEGORIES = ['weapons', 'armor', 'accessories', 'consumables'];
+
+function pointerOf(...tokens) {
+    return tokens.reduce((pointer, token) => joinPointer(pointer, token), '');
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load every data file that has a schema
+ * @param {string} dataDir - Data directory
+ * @param {string} schemaDir - Schema directory
+ * @returns {{files: Object, schemas: Object, problems: Array}} Parsed data/schemas keyed by data file name
+ */
+export function loadDataFiles(dataDir = DEFAULT_DATA_DIR, schemaDir = DEFAULT_SCHEMA_DIR) {
+    const files = {};
+    const schemas = {};
+    const problems = [];
+
+    const schemaFiles = fs.readdirSync(schemaDir).filter(f => f.endsWith('.schema.json')).sort();
+    for (const schemaFile of schemaFiles) {
+        const dataFile = schemaFile.replace(/\.schema\.json$/, '.json');
+        schemas[dataFile] = readJson(path.join(schemaDir, schemaFile));
+
+        const dataPath = path.join(dataDir, dataFile);
+        if (!fs.existsSync(dataPath)) {
+            problems.push({ file: dataFile, pointer: '', message: 'file not found' });
+            continue;
+        }
+        try {
+            files[dataFile] = readJson(dataPath);
+        } catch (e) {
+            problems.push({ file: dataFile, pointer: '', message: `invalid JSON: ${e.message}` });
+        }
+    }
+
+    // Data files nobody wrote a schema for are worth knowing about
+    for (const dataFile of fs.readdirSync(dataDir).filter(f => f.endsWith('.json')).sort()) {
+        if (!schemas[dataFile]) {
+            problems.push({ file: dataFile, pointer: '', message: `no schema in ${path.basename(schemaDir)}`, severity: 'warning' });
+        }
+    }
+
+    return { files, schemas, problems };
+}
+
+/**
+ * Check references between data files
+ * @param {Object} files - Parsed data keyed by file name (from loadDataFiles)
+ * @returns {Array<{file, pointer, message, severity?}>} Problems
+ */
+export function checkReferences(files) {
+    const problems = [];
+    const error = (file, pointer, message) => problems.push({ file, pointer, message });
+    const warning = (file, pointer, message) => problems.push({ file, pointer, message, severity: 'warning' });
+
+    const classes = files['classes.json'] || {};
+    const specs = files['specializations.json'] || {};
+    const abilities = files['abilities.json'] || {};
+    const talents = files['talents.json'] || {};
+    const enemies = files['enemies.json'] || {};
+    const items = files['items.json'] || {};
+    const quests = files['quests.json']?.active_quests || {};
+
+    const hasAbility = (classId, abilityId) =>
+        Boolean(abilities.general?.[abilityId] || abilities[classId]?.[abilityId]);
+
+    // Keyed collections whose entries repeat their key as "id"
+    const keyedCollections = [
+        ['classes.json', classes, []],
+        ['enemies.json', enemies, []],
+        ['damage-types.json', files['damage-types.json'] || {}, []],
+        ['quests.json', quests, ['active_quests']],
+        ['bloodlines.json', files['bloodlines.json']?.bloodlines || {}, ['bloodlines']]
+    ];
+    for (const category of ITEM_CATEGORIES) {
+        keyedCollections.push(['items.json', items[category] || {}, [category]]);
+    }
+    for (const [file, collection, prefix] of keyedCollections) {
+        for (const [key, entry] of Object.entries(collection)) {
+            if (entry && typeof entry === 'object' && 'id' in entry && entry.id !== key) {
+                error(file, pointerOf(...prefix, key, 'id'), `id "${entry.id}" does not match key "${key}"`);
+            }
+        }
+    }
+
+    // classes -> specializations -> abilities
+    for (const [classId, classData] of Object.entries(classes)) {
+        (classData.availableSpecs || []).forEach((specId, index) => {
+            if (!specs[`${classId}_${specId}`]) {
+                error('classes.json', pointerOf(classId, 'availableSpecs', index),
+                    `spec "${specId}" has no specializations.json entry "${classId}_${specId}"`);
+            }
+        });
+        (classData.coreAbilities || []).forEach((abilityId, index) => {
+            if (!hasAbility(classId, abilityId)) {
+                error('classes.json', pointerOf(classId, 'coreAbilities', index),
+                    `ability "${abilityId}" not found in abilities.json (general or ${classId})`);
+            }
+        });
+    }
+
+    for (const [specKey, spec] of Object.entries(specs)) {
+        if (!classes[spec.classId]) {
+            error('specializations.json', pointerOf(specKey, 'classId'), `class "${spec.classId}" not found in classes.json`);
+            continue;
+        }
+        if (specKey !== `${spec.classId}_${spec.id}`) {
+            error('specializations.json', pointerOf(specKey), `key must be "${spec.classId}_${spec.id}" (HeroFactory lookup)`);
+        }
+        if (!(classes[spec.classId].availableSpecs || []).includes(spec.id)) {
+            warning('specializations.json', pointerOf(specKey), `not listed in classes.json ${spec.classId}.availableSpecs`);
+        }
+        (spec.specAbilities || []).forEach((abilityId, index) => {
+            if (!hasAbility(spec.classId, abilityId)) {
+                error('specializations.json', pointerOf(specKey, 'specAbilities', index),
+                    `ability "${abilityId}" not found in abilities.json (general or ${spec.classId})`);
+            }
+        });
+    }
+
+    for (const group of Object.keys(abilities)) {
+        if (group !== 'general' && !classes[group]) {
+            error('abilities.json', pointerOf(group), `ability group "${group}" is not a class in classes.json`);
+        }
+    }
+
+    // talents: class ids, tree/talent ids, prerequisites
+    for (const [classId, classTalents] of Object.entries(talents)) {
+        if (!classes[classId]) {
+            error('talents.json', pointerOf(classId), `class "${classId}" not found in classes.json`);
+        }
+        for (const [treeId, tree] of Object.entries(classTalents.trees || {})) {
+            if (tree.id !== undefined && tree.id !== treeId) {
+                error('talents.json', pointerOf(classId, 'trees', treeId, 'id'), `id "${tree.id}" does not match key "${treeId}"`);
+            }
+            const treeTalents = tree.talents || {};
+            for (const [talentId, talent] of Object.entries(treeTalents)) {
+                if (talent.id !== undefined && talent.id !== talentId) {
+                    error('talents.json', pointerOf(classId, 'trees', treeId, 'talents', talentId, 'id'),
+                        `id "${talent.id}" does not match key "${talentId}"`);
+                }
+                const prereq = talent.prerequisite;
+                if (!prereq || typeof prereq !== 'object') continue;
+
+                const prereqPointer = pointerOf(classId, 'trees', treeId, 'talents', talentId, 'prerequisite', 'talentId');
+                const target = treeTalents[prereq.talentId];
+                if (!target) {
+                    error('talents.json', prereqPointer, `prerequisite "${prereq.talentId}" not found in ${classId}/${treeId}`);
+                } else if (prereq.pointsRequired > target.maxPoints) {
+                    error('talents.json', pointerOf(classId, 'trees', treeId, 'talents', talentId, 'prerequisite', 'pointsRequired'),
+                        `requires ${prereq.pointsRequired} points in "${prereq.talentId}" (maxPoints ${target.maxPoints})`);
+                }
+            }
+        }
+    }
+
+    // quests -> enemies
+    for (const [questId, quest] of Object.entries(quests)) {
+        if (quest.target_id !== undefined && !enemies[quest.target_id]) {
+            error('quests.json', pointerOf('active_quests', questId, 'target_id'), `enemy "${quest.target_id}" not found in enemies.json`);
+        }
+    }
+
+    // items: unique ids, sets, class restrictions, enemy drops
+    const itemIds = new Map();
+    for (const category of ITEM_CATEGORIES) {
+        for (const [itemId, item] of Object.entries(items[category] || {})) {
+            if (itemIds.has(itemId)) {
+                error('items.json', pointerOf(category, itemId), `item id also defined in ${itemIds.get(itemId)}`);
+            } else {
+                itemIds.set(itemId, category);
+            }
+            (item.class_restriction || []).forEach((classId, index) => {
+                if (!classes[classId]) {
+                    error('items.json', pointerOf(category, itemId, 'class_restriction', index), `class "${classId}" not found in classes.json`);
+                }
+            });
+            if (item.set_id !== undefined && !items.sets?.[item.set_id]) {
+                // EquipmentManager resolves sets from "pieces", so a stale set_id is cosmetic
+                warning('items.json', pointerOf(category, itemId, 'set_id'), `set "${item.set_id}" not found in items.json sets`);
+            }
+        }
+    }
+
+    for (const [setId, set] of Object.entries(items.sets || {})) {
+        const pieces = set.pieces || [];
+        pieces.forEach((pieceId, index) => {
+            if (!itemIds.has(pieceId)) {
+                error('items.json', pointerOf('sets', setId, 'pieces', index), `item "${pieceId}" not found in items.json`);
+            }
+        });
+        for (const threshold of Object.keys(set.bonuses || {})) {
+            if (Number(threshold) > pieces.length) {
+                error('items.json', pointerOf('sets', setId, 'bonuses', threshold),
+                    `bonus needs ${threshold} pieces but the set only has ${pieces.length}`);
+            }
+        }
+        if (set.tier !== undefined && items.tiers && !items.tiers[String(set.tier)]) {
+            error('items.json', pointerOf('sets', setId, 'tier'), `tier ${set.tier} not found in items.json tiers`);
+        }
+    }
+
+    for (const [tierId, tier] of Object.entries(items.tiers || {})) {
+        if (tier.minMile > tier.maxMile) {
+            error('items.json', pointerOf('tiers', tierId), `minMile ${tier.minMile} is greater than maxMile ${tier.maxMile}`);
+        }
+    }
+
+    for (const [enemyId, enemy] of Object.entries(enemies)) {
+        (enemy.drops || []).forEach((drop, index) => {
+            if (!itemIds.has(drop.item)) {
+                error('enemies.json', pointerOf(enemyId, 'drops', index, 'item'), `item "${drop.item}" not found in items.json`);
+            }
+        });
+        const stats = enemy.stats || {};
+        if (stats.health > stats.maxHealth) {
+            error('enemies.json', pointerOf(enemyId, 'stats', 'health'), `health ${stats.health} exceeds maxHealth ${stats.maxHealth}`);
+        }
+    }
+
+    // world-config quality bands
+    const quality = files['world-config.json']?.itemQualityScaling || {};
+    for (const [rarity, band] of Object.entries(quality)) {
+        if (band.minMile > band.maxMile) {
+            error('world-config.json', pointerOf('itemQualityScaling', rarity), `minMile ${band.minMile} is greater than maxMile ${band.maxMile}`);
+        }
+    }
+
+    // Keyframe formulas must parse and only read t, parameters and earlier channels
+    for (const [animation, config] of Object.entries(files['keyframe-configs.json'] || {})) {
+        for (const { channel, message } of checkKeyframeConfig(config)) {
+            error('keyframe-configs.json', pointerOf(animation, 'formula', channel), message);
+        }
+    }
+
+    // Every bloodline and class needs a sprite palette
+    if (files['palettes.json']) {
+        const coverage = checkPaletteCoverage(files['palettes.json'], {
+            bloodlines: Object.keys(files['bloodlines.json']?.bloodlines || {}),
+            classes: Object.keys(classes)
+        });
+        for (const { pointer, message } of coverage) {
+            error('palettes.json', pointer, message);
+        }
+    }
+
+    // Unique ids in array-based files
+    const arrays = [
+        ['achievements.json', files['achievements.json']?.achievements || [], 'achievements'],
+        ['prestige-config.json', files['prestige-config.json']?.upgrades || [], 'upgrades']
+    ];
+    for (const [file, list, key] of arrays) {
+        const seen = new Map();
+        list.forEach((entry, index) => {
+            if (seen.has(entry.id)) {
+                error(file, pointerOf(key, index, 'id'), `duplicate id "${entry.id}" (first at /${key}/${seen.get(entry.id)})`);
+            } else {
+                seen.set(entry.id, index);
+            }
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Load one section of the known findings baseline
+ * @param {string} section - Tool the entries belong to ("validate" or "talents")
+ * @param {string} filePath - Baseline file (default: scripts/data-known-findings.json)
+ * @returns {Object} Entries keyed by the finding they cover, each with a "reason"
+ */
+export function loadKnownFindings(section, filePath = DEFAULT_KNOWN_FINDINGS) {
+    const entries = readJson(filePath)[section] || {};
+    for (const [key, entry] of Object.entries(entries)) {
+        if (!entry || !entry.reason) {
+            throw new Error(`Known finding ${key} in ${path.basename(filePath)} needs a "reason"`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Separate problems covered by the known findings baseline
+ * @param {Array} problems - Problems of one tool
+ * @param {Object} entries - Known findings of that tool (see loadKnownFindings)
+ * @param {Function} keyOf - Maps a problem to its baseline key
+ * @returns {{problems: Array, known: Array, unused: string[]}} New problems, known ones (with their reason) and entries nothing matched
+ */
+export function applyKnownFindings(problems, entries, keyOf) {
+    const matched = new Set();
+    const remaining = [];
+    const known = [];
+
+    for (const problem of problems) {
+        const key = keyOf(problem);
+        if (Object.hasOwn(entries, key)) {
+            matched.add(key);
+            known.push({ ...problem, reason: entries[key].reason });
+        } else {
+            remaining.push(problem);
+        }
+    }
+
+    return {
+        problems: remaining,
+        known,
+        unused: Object.keys(entries).filter(key => !matched.has(key))
+    };
+}
+
+/**
+ * Baseline key of a validation problem, as printed: <file>#<json-pointer>
+ * @param {Object} problem - { file, pointer }
+ * @returns {string} Key
+ */
+export function problemKey(problem) {
+    return `${problem.file}#${problem.pointer}`;
+}
+
+/**
+ * Validate a data directory
+ * @param {Object} options - { dataDir, schemaDir, known } where known holds the
+ *   "validate" entries of the known findings baseline (none by default)
+ * @returns {{errors: Array, warnings: Array, known: Array, unusedKnown: string[], files: string[]}} New problems split by severity, known ones and baseline entries nothing matched
+ */
+export function validateDataDir(options = {}) {
+    const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    const schemaDir = options.schemaDir || DEFAULT_SCHEMA_DIR;
+    const { files, schemas, problems } = loadDataFiles(dataDir, schemaDir);
+
+    for (const [file, data] of Object.entries(files)) {
+        for (const { pointer, message } of validateSchema(data, schemas[file])) {
+            problems.push({ file, pointer, message });
+        }
+    }
+
+    problems.push(...checkReferences(files));
+
+    const baseline = applyKnownFindings(problems, options.known || {}, problemKey);
+
+    return {
+        errors: baseline.problems.filter(p => p.severity !== 'warning'),
+        warnings: baseline.problems.filter(p => p.severity === 'warning'),
+        known: baseline.known,
+        unusedKnown: baseline.unused,
+        files: Object.keys(files).sort()
+    };
+}
@@ -0,0 +1,526 @@
+/**
+ * Encounter Preview - Headless mirror of road generation and encounters
+ *
+ * Generates the first N miles of a run the way WorldManager.gd lays them
+ * out (800px segments, five per mile, determine_segment_type() biomes,
+ * RoadGenerator.gd road surfaces) and fills them with encounters, reading
+ * world-config.json, enemies.json and items.json from road-to-war/data.
+ *
+ * Two encounter models:
+ *   game    WorldManager as it is: one roll per segment while the encounter
+ *           cooldown allows it, only shop/treasure/quest chances read from
+ *           world-config.json (the rest is combat), bosses on every tenth
+ *           mile, health x (2.0 + 0.2 x mile) and defense + 0.5 x mile.
+ *   config  world-config.json as written: encounters spaced
+ *           minDistanceBetweenEncounters..maxDistanceBetweenEncounters apart,
+ *           every *SpawnChance rolled as a relative weight (they need not sum
+ *           to 1), elites and bosses from their own chances, and stats grown
+ *           by difficultyScaling (see scaleEnemyByDifficulty()).
+ *
+ * Brutal mode (past mile 100) and challenge-mode filters are not applied.
+ * Keep the game-side formulas in step with the GDScript sources.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SeededRNG } from '../../tools/utils/seeded-rng.js';
+import { enemyMinMile } from './loot-simulation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', '..', 'road-to-war', 'data');
+
+export const DEFAULT_MILES = 10;
+export const DEFAULT_SEED = 12345;
+export const ENCOUNTER_MODELS = ['config', 'game'];
+
+// WorldManager movement and segment layout
+export const SCROLL_SPEED = 300;
+export const SEGMENT_WIDTH = 800;
+export const SEGMENTS_PER_MILE = 5;
+// WorldManager._trigger_*_encounter() cooldowns in seconds
+export const ENCOUNTER_COOLDOWNS = { combat: 3.0, shop: 5.0, treasure: 2.0, quest: 4.0 };
+// WorldManager.check_milestone_rewards()
+export const MILESTONES = [25, 50, 75, 100];
+export const FINAL_BOSS_ID = 'war_lord';
+
+// RoadGenerator.gd road_types / road_colors
+export const ROAD_TYPES = {
+    plains: 'dirt',
+    forest: 'dirt',
+    mountains: 'stone',
+    dark_lands: 'corrupted',
+    desert: 'dirt',
+    city: 'cobblestone'
+};
+export const ROAD_COLORS = {
+    dirt: '#8c6e63',
+    stone: '#757575',
+    cobblestone: '#757575',
+    corrupted: '#4a2929'
+};
+
+// Encounter type each world-config.json encounters chance spawns
+export const CONFIG_ENCOUNTER_TYPES = [
+    ['shop', 'shopSpawnChance'],
+    ['treasure', 'treasureSpawnChance'],
+    ['quest', 'questSpawnChance'],
+    ['combat', 'enemySpawnChance'],
+    ['elite', 'eliteEnemySpawnChance'],
+    ['boss', 'bossSpawnChance'],
+    ['resource_node', 'resourceNodeSpawnChance'],
+    ['exploration', 'explorationEventSpawnChance'],
+    ['choice', 'choiceEncounterSpawnChance']
+];
+
+// Keys WorldManager._trigger_random_encounter() reads
+const GAME_ENCOUNTER_KEYS = ['shopSpawnChance', 'treasureSpawnChance', 'questSpawnChance'];
+
+// WorldManager._generate_shop_data() categories
+const SHOP_CATEGORIES = ['weapons', 'armor', 'accessories', 'consumables'];
+
+const DATA_FILES = {
+    enemies: 'enemies.json',
+    items: 'items.json',
+    worldConfig: 'world-config.json'
+};
+
+/**
+ * Load the data files the preview reads
+ * @param {string} dataDir - Directory containing the Godot JSON data
+ * @returns {Object} { enemies, items, worldConfig }
+ */
+export function loadPreviewData(dataDir = DEFAULT_DATA_DIR) {
+    const data = {};
+    for (const [key, file] of Object.entries(DATA_FILES)) {
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Data file not found: ${filePath}`);
+        }
+        try {
+            data[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Failed to parse ${filePath}: ${e.message}`);
+        }
+    }
+    return data;
+}
+
+/**
+ * WorldManager.determine_segment_type() by mile
+ */
+export function biomeForMile(mile) {
+    if (mile < 15) return 'plains';
+    if (mile < 35) return 'forest';
+    if (mile < 55) return 'mountains';
+    if (mile < 75) return 'desert';
+    if (mile < 90) return 'undead';
+    return 'arcane';
+}
+
+/**
+ * WorldManager._trigger_random_encounter(): shop, treasure, quest, else combat
+ * @returns {string} Encounter type
+ */
+export function rollGameEncounter(encounters, rng) {
+    const roll = rng.random();
+    let cumulative = 0;
+    for (const [type, key, fallback] of [['shop', 'shopSpawnChance', 0.1], ['treasure', 'treasureSpawnChance', 0.15], ['quest', 'questSpawnChance', 0.05]]) {
+        cumulative += encounters[key] ?? fallback;
+        if (roll < cumulative) return type;
+    }
+    return 'combat';
+}
+
+/**
+ * Every CONFIG_ENCOUNTER_TYPES chance as a relative weight
+ * @returns {string} Encounter type
+ */
+export function rollConfigEncounter(encounters, rng) {
+    const weights = CONFIG_ENCOUNTER_TYPES.map(([type, key]) => [type, Math.max(0, encounters[key] || 0)]);
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total <= 0) return 'combat';
+
+    let roll = rng.random() * total;
+    for (const [type, weight] of weights) {
+        if (roll < weight) return type;
+        roll -= weight;
+    }
+    return weights[weights.length - 1][0];
+}
+
+/**
+ * WorldManager._trigger_combat_encounter() group size
+ */
+export function groupSize(mile, rng) {
+    if (mile >= 20) return rng.randomInt(4, 6);
+    if (mile >= 10) return rng.randomInt(3, 5);
+    if (mile >= 5) return rng.randomInt(2, 4);
+    return rng.randomInt(1, 2);
+}
+
+/**
+ * Roles WorldManager asks for, by slot: melee first, then ranged, then healer
+ */
+export function groupRoles(size) {
+    const roles = [];
+    if (size > 1) {
+        roles.push('melee');
+        if (size >= 3) roles.push('ranged');
+        if (size >= 4) roles.push('healer');
+    }
+    return Array.from({ length: size }, (_, i) => roles[i] || '');
+}
+
+/**
+ * WorldManager._get_random_enemy() candidate list and pick.
+ * The game model keeps bosses to every tenth mile; the config model passes
+ * a type filter instead (elite and boss encounters have their own chances).
+ * @param {Object} enemies - enemies.json
+ * @param {number} mile - Current mile
+ * @param {string} preferredRole - Role asked for, '' for any
+ * @param {SeededRNG} rng - Random source
+ * @param {Function|null} typeFilter - enemy type -> allowed, null for the game rules
+ * @returns {string|null} Enemy id, null when nothing matches the type filter
+ */
+export function pickEnemy(enemies, mile, preferredRole, rng, typeFilter = null) {
+    const possible = [];
+    const roleMatches = [];
+    for (const [id, enemy] of Object.entries(enemies)) {
+        const type = enemy.type || 'basic';
+        if (mile < enemyMinMile(enemy.level ?? 1)) continue;
+        if (typeFilter) {
+            if (!typeFilter(type)) continue;
+        } else if (type === 'boss' && (mile === 0 || mile % 10 !== 0)) {
+            continue;
+        }
+        possible.push(id);
+        if (preferredRole && (enemy.role || 'melee') === preferredRole) roleMatches.push(id);
+    }
+
+    if (possible.length === 0) {
+        if (typeFilter) return null;
+        return enemies.slime ? 'slime' : Object.keys(enemies)[0];
+    }
+    const pool = roleMatches.length > 0 ? roleMatches : possible;
+    return pool[rng.randomInt(0, pool.length - 1)];
+}
+
+function baseStats(enemy) {
+    const stats = { ...(enemy.stats || {}) };
+    return {
+        health: stats.health ?? 100,
+        maxHealth: stats.maxHealth ?? stats.health ?? 100,
+        attack: stats.attack ?? 10,
+        defense: stats.defense ?? 0,
+        speed: stats.speed ?? 0
+    };
+}
+
+/**
+ * WorldManager._get_random_enemy() health and defense scaling
+ * @returns {Object} { level, stats }
+ */
+export function scaleEnemyForMile(enemy, mile) {
+    const stats = baseStats(enemy);
+    stats.health = Math.trunc(stats.health * (2.0 + mile * 0.2));
+    stats.maxHealth = stats.health;
+    stats.defense = stats.defense + mile * 0.5;
+    return { level: enemy.level ?? 1, stats };
+}
+
+/**
+ * world-config.json difficultyScaling, read as: the enemy level at a mile is
+ * floor(mile x enemyLevelScaling), never below the enemy's own level nor
+ * above maxEnemyLevel, and every level gained adds statsPerEnemyLevel
+ * @returns {Object} { level, stats }
+ */
+export function scaleEnemyByDifficulty(difficultyScaling, enemy, mile) {
+    const baseLevel = enemy.level ?? 1;
+    const maxLevel = difficultyScaling.maxEnemyLevel ?? 100;
+    const level = Math.max(baseLevel, Math.min(maxLevel, Math.floor(mile * (difficultyScaling.enemyLevelScaling ?? 1))));
+    const stats = baseStats(enemy);
+    const gained = level - baseLevel;
+    for (const [stat, perLevel] of Object.entries(difficultyScaling.statsPerEnemyLevel || {})) {
+        stats[stat] = (stats[stat] || 0) + perLevel * gained;
+        if (stat === 'health') stats.maxHealth += perLevel * gained;
+    }
+    return { level, stats };
+}
+
+function enemyEntry(data, enemyId, mile, index, model) {
+    const enemy = data.enemies[enemyId];
+    const scaled = model === 'game'
+        ? scaleEnemyForMile(enemy, mile)
+        : scaleEnemyByDifficulty(data.worldConfig.difficultyScaling || {}, enemy, mile);
+    return {
+        id: enemyId,
+        instanceId: `${enemyId}_${mile}_${index}`,
+        name: enemy.name || enemyId,
+        type: enemy.type || 'basic',
+        role: enemy.role || 'melee',
+        baseLevel: enemy.level ?? 1,
+        level: scaled.level,
+        stats: scaled.stats
+    };
+}
+
+function combatGroup(data, mile, rng, model) {
+    const enemies = [];
+    groupRoles(groupSize(mile, rng)).forEach((role, i) => {
+        const typeFilter = model === 'game' ? null : type => type !== 'elite' && type !== 'boss';
+        const id = pickEnemy(data.enemies, mile, role, rng, typeFilter) ?? pickEnemy(data.enemies, mile, role, rng);
+        enemies.push(enemyEntry(data, id, mile, i, model));
+    });
+    return enemies;
+}
+
+/**
+ * WorldManager._generate_shop_data(): 4-6 items at or below level 2 x mile
+ * @returns {Array<string>} Item ids on sale
+ */
+export function shopItems(items, mile, rng) {
+    const available = [];
+    for (const category of SHOP_CATEGORIES) {
+        for (const [itemId, item] of Object.entries(items[category] || {})) {
+            if (item && typeof item === 'object' && (item.level ?? 1) <= mile * 2) available.push(item.id || itemId);
+        }
+    }
+    const selected = [];
+    let count = Math.min(rng.randomInt(4, 6), available.length);
+    if (count <= 0 && available.length > 0) count = 1;
+    for (let i = 0; i < count; i++) {
+        selected.push(available.splice(rng.randomInt(0, available.length - 1), 1)[0]);
+    }
+    return selected;
+}
+
+/**
+ * WorldManager._generate_treasure_data(). The 30% item is a random top-level
+ * key of items.json, i.e. a whole category, which is what the game hands out.
+ * @returns {{gold: number, itemCategory: string|null}}
+ */
+export function treasure(items, mile, rng) {
+    const gold = mile * 10 + rng.randomInt(5, 20);
+    let itemCategory = null;
+    if (rng.random() < 0.3) {
+        const keys = Object.keys(items);
+        if (keys.length > 0) itemCategory = keys[rng.randomInt(0, keys.length - 1)];
+    }
+    return { gold, itemCategory };
+}
+
+function buildEncounter(data, type, mile, x, rng, model) {
+    const encounter = { type, mile, x };
+    if (type === 'combat') {
+        encounter.enemies = combatGroup(data, mile, rng, model);
+    } else if (type === 'elite' || type === 'boss') {
+        const id = pickEnemy(data.enemies, mile, '', rng, enemyType => enemyType === type);
+        if (id === null) {
+            // Nothing of that type can spawn this early: WorldManager would fight the usual group
+            encounter.type = 'combat';
+            encounter.fallbackFrom = type;
+            encounter.enemies = combatGroup(data, mile, rng, model);
+        } else {
+            encounter.enemies = [enemyEntry(data, id, mile, 0, model)];
+        }
+    } else if (type === 'shop') {
+        encounter.items = shopItems(data.items, mile, rng);
+    } else if (type === 'treasure') {
+        Object.assign(encounter, treasure(data.items, mile, rng));
+    } else if (type === 'quest') {
+        encounter.questId = `mile_${mile}_quest`;
+    }
+    return encounter;
+}
+
+function finalBoss(data, mile, x) {
+    const enemy = data.enemies[FINAL_BOSS_ID];
+    if (!enemy) return null;
+    // WorldManager._trigger_final_boss_fight() uses the data as is
+    return {
+        type: 'final_boss',
+        mile,
+        x,
+        enemies: [{
+            id: FINAL_BOSS_ID,
+            instanceId: `${FINAL_BOSS_ID}_final_${mile}`,
+            name: enemy.name || FINAL_BOSS_ID,
+            type: enemy.type || 'boss',
+            role: enemy.role || 'melee',
+            baseLevel: enemy.level ?? 1,
+            level: enemy.level ?? 1,
+            stats: baseStats(enemy)
+        }]
+    };
+}
+
+/**
+ * Data problems the preview makes visible
+ * @param {Object} data - loadPreviewData() result
+ * @param {string} model - One of ENCOUNTER_MODELS
+ * @param {number} miles - Miles previewed
+ * @returns {Array<{type: string, message: string}>}
+ */
+export function checkEncounterData(data, model, miles) {
+    const flags = [];
+    const encounters = data.worldConfig.encounters || {};
+
+    const total = CONFIG_ENCOUNTER_TYPES.reduce((sum, [, key]) => sum + (encounters[key] || 0), 0);
+    if (model === 'config' && Math.abs(total - 1) > 1e-9) {
+        flags.push({ type: 'chance-sum', message: `encounters spawn chances add up to ${total.toFixed(2)}; the config model rolls them as relative weights` });
+    }
+
+    const ignored = CONFIG_ENCOUNTER_TYPES.map(([, key]) => key).filter(key => key in encounters && !GAME_ENCOUNTER_KEYS.includes(key));
+    for (const key of ['minDistanceBetweenEncounters', 'maxDistanceBetweenEncounters']) {
+        if (key in encounters) ignored.push(key);
+    }
+    if (ignored.length > 0) {
+        flags.push({ type: 'game-ignores', message: `WorldManager does not read encounters.${ignored.join(', encounters.')}` });
+    }
+    if (data.worldConfig.difficultyScaling) {
+        flags.push({ type: 'game-ignores', message: 'difficultyScaling is not read by any GDScript; enemies scale by mile in WorldManager._get_random_enemy() instead' });
+    }
+
+    const biomes = new Set(Array.from({ length: Math.max(1, miles) }, (_, mile) => biomeForMile(mile)));
+    const unpaved = [...biomes].filter(biome => !(biome in ROAD_TYPES));
+    if (unpaved.length > 0) {
+        flags.push({ type: 'road-type', message: `RoadGenerator.gd has no road type for biome(s) ${unpaved.join(', ')}; they get the default dirt road` });
+    }
+
+    const itemKeys = Object.keys(data.items || {});
+    if (itemKeys.length > 0 && itemKeys.every(key => !data.items[key]?.id)) {
+        flags.push({ type: 'treasure-item', message: `treasure items are picked from the top-level items.json keys, so a chest hands out a whole category (${itemKeys.join(', ')})` });
+    }
+
+    if (model === 'config') {
+        for (const type of ['elite', 'boss']) {
+            const firstMile = Object.values(data.enemies)
+                .filter(enemy => (enemy.type || 'basic') === type)
+                .map(enemy => enemyMinMile(enemy.level ?? 1))
+                .reduce((min, mile) => Math.min(min, mile), Infinity);
+            if (firstMile === Infinity) {
+                flags.push({ type: 'empty-pool', message: `no ${type} enemies in enemies.json; ${type} encounters always fall back to combat` });
+            } else if (firstMile > 0) {
+                flags.push({ type: 'empty-pool', message: `no ${type} can spawn before mile ${firstMile}; earlier ${type} rolls fall back to combat` });
+            }
+        }
+    }
+
+    return flags;
+}
+
+function summarize(segments, miles) {
+    const byType = {};
+    const enemies = {};
+    const perMile = Array.from({ length: miles }, (_, mile) => ({ mile, biome: biomeForMile(mile), encounters: 0, enemies: 0, health: 0 }));
+    let emptyShops = 0;
+
+    for (const segment of segments) {
+        for (const encounter of segment.encounters) {
+            byType[encounter.type] = (byType[encounter.type] || 0) + 1;
+            if (encounter.type === 'shop' && encounter.items.length === 0) emptyShops++;
+            const row = perMile[encounter.mile];
+            if (row) row.encounters++;
+            for (const enemy of encounter.enemies || []) {
+                if (!enemies[enemy.id]) enemies[enemy.id] = { count: 0, firstMile: encounter.mile };
+                enemies[enemy.id].count++;
+                if (row) {
+                    row.enemies++;
+                    row.health += enemy.stats.health;
+                }
+            }
+        }
+    }
+    return { byType, enemies, perMile, emptyShops };
+}
+
+/**
+ * Preview the first N miles of a run
+ * @param {Object} data - loadPreviewData() result
+ * @param {Object} options - { miles, seed, model }
+ * @returns {Object} { meta, segments, summary, flags }
+ *   segments[i] = { segment, mile, x, biome, road, milestone, encounters, skipped }
+ */
+export function previewRun(data, options = {}) {
+    const miles = options.miles ?? DEFAULT_MILES;
+    const model = options.model || 'config';
+    if (!ENCOUNTER_MODELS.includes(model)) {
+        throw new Error(`Unknown encounter model: ${model}`);
+    }
+    const rng = new SeededRNG(options.seed ?? DEFAULT_SEED);
+    const encounters = data.worldConfig.encounters || {};
+    const totalSegments = miles * SEGMENTS_PER_MILE;
+    const travelSeconds = SEGMENT_WIDTH / SCROLL_SPEED;
+
+    const segments = [];
+    for (let index = 0; index < totalSegments; index++) {
+        const mile = Math.floor(index / SEGMENTS_PER_MILE);
+        const biome = biomeForMile(mile);
+        segments.push({
+            segment: index,
+            mile,
+            x: index * SEGMENT_WIDTH,
+            biome,
+            road: ROAD_TYPES[biome] || 'dirt',
+            milestone: index === mile * SEGMENTS_PER_MILE && MILESTONES.includes(mile),
+            encounters: [],
+            skipped: null
+        });
+    }
+
+    if (model === 'game') {
+        // One roll each time a new segment is entered, unless the cooldown is still running
+        let cooldown = 0;
+        for (const segment of segments.slice(1)) {
+            cooldown -= travelSeconds;
+            if (cooldown > 0) {
+                segment.skipped = 'cooldown';
+                continue;
+            }
+            const type = rollGameEncounter(encounters, rng);
+            cooldown = ENCOUNTER_COOLDOWNS[type];
+            segment.encounters.push(buildEncounter(data, type, segment.mile, segment.x, rng, model));
+        }
+    } else {
+        const minGap = encounters.minDistanceBetweenEncounters ?? 200;
+        const maxGap = Math.max(minGap, encounters.maxDistanceBetweenEncounters ?? 800);
+        for (let x = rng.randomInt(minGap, maxGap); x < totalSegments * SEGMENT_WIDTH; x += rng.randomInt(minGap, maxGap)) {
+            const segment = segments[Math.floor(x / SEGMENT_WIDTH)];
+            const type = rollConfigEncounter(encounters, rng);
+            segment.encounters.push(buildEncounter(data, type, segment.mile, x, rng, model));
+        }
+    }
+
+    // Reaching mile 100 starts the War Lord fight in either model; trigger_combat()
+    // ignores any other fight rolled while it is on
+    const finalSegment = segments[100 * SEGMENTS_PER_MILE];
+    const boss = finalSegment ? finalBoss(data, 100, finalSegment.x) : null;
+    if (boss) {
+        const fights = finalSegment.encounters.filter(encounter => encounter.enemies);
+        finalSegment.encounters = [boss, ...finalSegment.encounters.filter(encounter => !encounter.enemies)];
+        if (fights.length > 0) finalSegment.skipped = 'final boss fight';
+    }
+
+    const summary = summarize(segments, miles);
+    const flags = checkEncounterData(data, model, miles);
+    if (summary.emptyShops > 0) {
+        flags.push({ type: 'empty-shop', message: `${summary.emptyShops} shop(s) had nothing to sell (no item at or below level 2 x mile)` });
+    }
+
+    return {
+        meta: {
+            miles,
+            seed: rng.seed,
+            model,
+            segmentWidth: SEGMENT_WIDTH,
+            segmentsPerMile: SEGMENTS_PER_MILE,
+            scrollSpeed: SCROLL_SPEED
+        },
+        segments,
+        summary,
+        flags
+    };
+}
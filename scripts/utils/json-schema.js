@@ -0,0 +1,284 @@
+/**
+ * JSON Schema Validator
+ * Small, dependency-free validator for the subset of JSON Schema (2020-12)
+ * used by scripts/schemas. Every error carries a JSON pointer (RFC 6901) to
+ * the offending value so it can be found in the data file.
+ *
+ * Supported keywords:
+ *   $ref (local "#/..." pointers), type, enum, const,
+ *   properties, required, additionalProperties, patternProperties,
+ *   propertyNames, minProperties, items, minItems, maxItems, uniqueItems,
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ *   minLength, pattern, allOf, anyOf, oneOf, not
+ *
+ * Unknown keywords (title, description, $id, ...) are ignored.
+ */
+
+/**
+ * Escape one reference token for a JSON pointer
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Escaped token
+ */
+export function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Append a token to a JSON pointer
+ * @param {string} pointer - Parent pointer ("" for the document root)
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Child pointer
+ */
+export function joinPointer(pointer, token) {
+    return `${pointer}/${escapePointerToken(token)}`;
+}
+
+/**
+ * Resolve a JSON pointer against a document
+ * @param {*} document - Root value
+ * @param {string} pointer - Pointer, with or without a leading "#"
+ * @returns {*} Value at pointer, or undefined
+ */
+export function resolvePointer(document, pointer) {
+    const path = pointer.replace(/^#/, '');
+    if (path === '') return document;
+
+    let current = document;
+    for (const raw of path.split('/').slice(1)) {
+        const token = decodeURIComponent(raw).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (current === null || typeof current !== 'object' || !(token in current)) {
+            return undefined;
+        }
+        current = current[token];
+    }
+    return current;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+function describe(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+export class SchemaValidator {
+    /**
+     * @param {Object} schema - Root schema (used to resolve local $refs)
+     */
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validate a document against the root schema
+     * @param {*} data - Parsed JSON
+     * @returns {Array<{pointer: string, message: string}>} Errors (empty when valid)
+     */
+    validate(data) {
+        const errors = [];
+        this.validateNode(data, this.schema, '', errors);
+        return errors;
+    }
+
+    validateNode(value, schema, pointer, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push({ pointer, message: 'is not allowed' });
+            return;
+        }
+
+        if (schema.$ref) {
+            const target = resolvePointer(this.schema, schema.$ref);
+            if (target === undefined) {
+                errors.push({ pointer, message: `schema $ref not found: ${schema.$ref}` });
+                return;
+            }
+            this.validateNode(value, target, pointer, errors);
+        }
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push({ pointer, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+                // Nothing below is meaningful for the wrong type
+                return;
+            }
+        }
+
+        if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+            errors.push({ pointer, message: `must equal ${describe(schema.const)}` });
+        }
+
+        if (schema.enum && !schema.enum.some(option => deepEqual(value, option))) {
+            errors.push({ pointer, message: `must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}` });
+        }
+
+        if (typeof value === 'number') {
+            this.validateNumber(value, schema, pointer, errors);
+        } else if (typeof value === 'string') {
+            this.validateString(value, schema, pointer, errors);
+        } else if (Array.isArray(value)) {
+            this.validateArray(value, schema, pointer, errors);
+        } else if (value !== null && typeof value === 'object') {
+            this.validateObject(value, schema, pointer, errors);
+        }
+
+        if (schema.allOf) {
+            for (const sub of schema.allOf) {
+                this.validateNode(value, sub, pointer, errors);
+            }
+        }
+
+        if (schema.anyOf) {
+            const passes = schema.anyOf.some(sub => this.check(value, sub, pointer));
+            if (!passes) {
+                errors.push({ pointer, message: 'does not match any allowed shape' });
+            }
+        }
+
+        if (schema.not !== undefined && this.check(value, schema.not, pointer)) {
+            errors.push({ pointer, message: 'matches a disallowed shape' });
+        }
+
+        if (schema.oneOf) {
+            const passing = schema.oneOf.filter(sub => this.check(value, sub, pointer)).length;
+            if (passing !== 1) {
+                errors.push({ pointer, message: `must match exactly one allowed shape (matched ${passing})` });
+            }
+        }
+    }
+
+    check(value, schema, pointer) {
+        const errors = [];
+        this.validateNode(value, schema, pointer, errors);
+        return errors.length === 0;
+    }
+
+    validateNumber(value, schema, pointer, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ pointer, message: `must be >= ${schema.minimum}, got ${value}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ pointer, message: `must be <= ${schema.maximum}, got ${value}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ pointer, message: `must be > ${schema.exclusiveMinimum}, got ${value}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ pointer, message: `must be < ${schema.exclusiveMaximum}, got ${value}` });
+        }
+    }
+
+    validateString(value, schema, pointer, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ pointer, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ pointer, message: `must match /${schema.pattern}/, got ${describe(value)}` });
+        }
+    }
+
+    validateArray(value, schema, pointer, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ pointer, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ pointer, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.uniqueItems) {
+            for (let i = 1; i < value.length; i++) {
+                if (value.slice(0, i).some(other => deepEqual(other, value[i]))) {
+                    errors.push({ pointer: joinPointer(pointer, i), message: `duplicate item ${describe(value[i])}` });
+                }
+            }
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => {
+                this.validateNode(item, schema.items, joinPointer(pointer, index), errors);
+            });
+        }
+    }
+
+    validateObject(value, schema, pointer, errors) {
+        const keys = Object.keys(value);
+
+        if (schema.required) {
+            for (const key of schema.required) {
+                if (!(key in value)) {
+                    errors.push({ pointer, message: `missing required property "${key}"` });
+                }
+            }
+        }
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push({ pointer, message: `must have at least ${schema.minProperties} properties` });
+        }
+
+        const properties = schema.properties || {};
+        const patterns = Object.entries(schema.patternProperties || {})
+            .map(([pattern, sub]) => [new RegExp(pattern, 'u'), sub]);
+
+        for (const key of keys) {
+            const childPointer = joinPointer(pointer, key);
+
+            if (schema.propertyNames) {
+                const nameErrors = [];
+                this.validateNode(key, schema.propertyNames, childPointer, nameErrors);
+                for (const error of nameErrors) {
+                    errors.push({ pointer: childPointer, message: `property name ${error.message}` });
+                }
+            }
+
+            let matched = false;
+            if (key in properties) {
+                matched = true;
+                this.validateNode(value[key], properties[key], childPointer, errors);
+            }
+            for (const [regex, sub] of patterns) {
+                if (regex.test(key)) {
+                    matched = true;
+                    this.validateNode(value[key], sub, childPointer, errors);
+                }
+            }
+
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ pointer: childPointer, message: 'is not an allowed property' });
+                } else {
+                    this.validateNode(value[key], schema.additionalProperties, childPointer, errors);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Validate data against a schema
+ * @param {*} data - Parsed JSON
+ * @param {Object} schema - Root schema
+ * @returns {Array<{pointer: string, message: string}>} Errors
+ */
+export function validateSchema(data, schema) {
+    return new SchemaValidator(schema).validate(data);
+}
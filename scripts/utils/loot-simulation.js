@@ -0,0 +1,460 @@
+/**
+ * Loot Simulation - Headless mirror of enemy drops, quality rolls and gold
+ *
+ * Re-implements WorldManager._get_random_enemy() (which enemies can spawn at
+ * a mile) and CombatRewards.calculate_victory_rewards()/generate_loot() (gold
+ * and drop chances), reading items.json, enemies.json and world-config.json
+ * from road-to-war/data. simulateLoot() rolls N kills per mile band and
+ * reports rarity distributions, kills needed to complete each items.json set
+ * and gold per kill.
+ *
+ * Quality: CombatRewards hands world-config.json itemQualityScaling to
+ * ProceduralItemGenerator.generate_item_for_mile(), which does not exist yet,
+ * so in game every drop keeps its items.json rarity. The "curve" model rolls
+ * the scaling curves the way rarityChances() documents; "base" reproduces
+ * the current runtime.
+ *
+ * Keep the formulas here in step with the GDScript sources.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SeededRNG } from '../../tools/utils/seeded-rng.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', '..', 'road-to-war', 'data');
+
+export const DEFAULT_KILLS = 5000;
+export const DEFAULT_BAND_SIZE = 10;
+export const DEFAULT_MAX_MILE = 100;
+export const DEFAULT_SEED = 12345;
+export const QUALITY_MODELS = ['curve', 'base'];
+
+// Commonest first; quality rolls walk this list backwards
+export const RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+// CombatRewards looks drops up in these categories, in this order
+const DROP_CATEGORIES = ['weapons', 'armor', 'accessories', 'consumables'];
+// ...and the guaranteed boss drop only in these
+const BOSS_DROP_CATEGORIES = ['weapons', 'armor', 'accessories'];
+
+const DATA_FILES = {
+    items: 'items.json',
+    enemies: 'enemies.json',
+    worldConfig: 'world-config.json'
+};
+
+/**
+ * Load the data files the simulation reads
+ * @param {string} dataDir - Directory containing the Godot JSON data
+ * @returns {Object} { items, enemies, worldConfig }
+ */
+export function loadLootData(dataDir = DEFAULT_DATA_DIR) {
+    const data = {};
+    for (const [key, file] of Object.entries(DATA_FILES)) {
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Data file not found: ${filePath}`);
+        }
+        try {
+            data[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Failed to parse ${filePath}: ${e.message}`);
+        }
+    }
+    return data;
+}
+
+/**
+ * Find an item the way CombatRewards.generate_loot() does
+ * @param {Object} items - items.json
+ * @param {string} itemId - Item id
+ * @param {Array<string>} categories - Categories to search, in order
+ * @returns {Object|null} Item definition
+ */
+export function findItem(items, itemId, categories = DROP_CATEGORIES) {
+    for (const category of categories) {
+        if (items[category] && items[category][itemId]) return items[category][itemId];
+    }
+    return null;
+}
+
+/**
+ * First mile an enemy can spawn at (WorldManager._get_random_enemy level thresholds)
+ * @param {number} level - Enemy level
+ * @returns {number} Minimum mile
+ */
+export function enemyMinMile(level) {
+    if (level >= 50) return 15;
+    if (level >= 15) return 8;
+    if (level >= 8) return 4;
+    if (level >= 5) return 2;
+    return 0;
+}
+
+/**
+ * Enemy ids WorldManager._get_random_enemy() picks from at a mile (no role preference).
+ * Bosses only spawn on multiples of ten; slime is the fallback for an empty pool.
+ * @param {Object} enemies - enemies.json
+ * @param {number} mile - Current mile
+ * @returns {Array<string>} Enemy ids
+ */
+export function enemyPool(enemies, mile) {
+    const pool = Object.keys(enemies).filter(id => {
+        const enemy = enemies[id];
+        if (mile < enemyMinMile(enemy.level ?? 1)) return false;
+        if (enemy.type === 'boss' && (mile === 0 || mile % 10 !== 0)) return false;
+        return true;
+    });
+    if (pool.length === 0) {
+        return [enemies.slime ? 'slime' : Object.keys(enemies)[0]];
+    }
+    return pool;
+}
+
+/**
+ * Chance of each rarity at a mile from world-config.json itemQualityScaling.
+ *
+ * Outside [minMile, maxMile] a rarity has no chance. Inside it is
+ *   (baseChance + (chanceGrowth - chanceDecay) * (mile - minMile)) * chanceMultiplier
+ * clamped at 0. The chances are meant to be exclusive, so their sum should
+ * stay at or below 1; whatever is left keeps the item's own rarity.
+ *
+ * @param {Object} qualityScaling - itemQualityScaling block
+ * @param {number} mile - Mile
+ * @returns {Object} rarity -> chance
+ */
+export function rarityChances(qualityScaling, mile) {
+    const chances = {};
+    for (const [rarity, curve] of Object.entries(qualityScaling || {})) {
+        const minMile = curve.minMile ?? 0;
+        const maxMile = curve.maxMile ?? Infinity;
+        if (mile < minMile || mile > maxMile) {
+            chances[rarity] = 0;
+            continue;
+        }
+        const slope = (curve.chanceGrowth ?? 0) - (curve.chanceDecay ?? 0);
+        const chance = ((curve.baseChance ?? 0) + slope * (mile - minMile)) * (curve.chanceMultiplier ?? 1);
+        chances[rarity] = Math.max(0, chance);
+    }
+    return chances;
+}
+
+/**
+ * Roll a drop's rarity from the scaling curves, rarest first.
+ * When the chances sum above 1 the commoner rarities are crowded out.
+ * @param {Object} chances - rarityChances() result
+ * @param {string} baseRarity - Rarity kept when no curve hits
+ * @param {SeededRNG} rng - Random source
+ * @returns {string} Rarity
+ */
+export function rollRarity(chances, baseRarity, rng) {
+    const roll = rng.random();
+    let cumulative = 0;
+    for (const rarity of [...RARITIES].reverse()) {
+        cumulative += chances[rarity] || 0;
+        if (roll < cumulative) return rarity;
+    }
+    return baseRarity;
+}
+
+// CombatRewards boss/elite quality roll
+function rollBossQuality(rng) {
+    const roll = rng.random();
+    if (roll < 0.3) return 'legendary';
+    if (roll < 0.6) return 'epic';
+    if (roll < 0.85) return 'rare';
+    return 'uncommon';
+}
+
+/**
+ * Adjusted chance for one entry of an enemy's drops (CombatRewards.generate_loot)
+ * @param {Object} drop - { item, chance }
+ * @param {Object|null} item - items.json entry for drop.item
+ * @param {Object} enemy - enemies.json entry
+ * @param {Object} context - { lootConfig, heroLevel, isBoss }
+ * @returns {number} Chance in [0, 1]
+ */
+export function dropChance(drop, item, enemy, context) {
+    const lootConfig = context.lootConfig || {};
+    const epicLoot = enemy.lootQuality === 'epic';
+    let chance = drop.chance ?? 0;
+
+    chance += ((context.heroLevel ?? 1) - 1) * (lootConfig.itemDropBonusPerLevel ?? 0.02);
+    if (enemy.lootQuality === 'rare') chance += 0.15;
+    else if (epicLoot) chance += 0.3;
+    if (context.isBoss) chance += 0.2;
+    if (enemy.isElite) chance += 0.1;
+    if (item && ['rare', 'epic', 'legendary'].includes(item.rarity)) {
+        chance += lootConfig.rareItemChanceBonus ?? 0.01;
+    }
+
+    chance = Math.min(1, chance);
+    if (context.isBoss || epicLoot) chance = Math.max(0.5, chance);
+    return chance;
+}
+
+/**
+ * Roll one kill: gold and equipment drops (consumables and gems are not rolled)
+ * @param {Object} data - loadLootData() result
+ * @param {string} enemyId - Enemy killed
+ * @param {number} mile - Mile of the kill
+ * @param {Object} options - { heroLevel, qualityModel }
+ * @param {SeededRNG} rng - Random source
+ * @returns {{gold: number, isBoss: boolean, drops: Array<{item: string, rarity: string}>}}
+ */
+export function rollKill(data, enemyId, mile, options, rng) {
+    const enemy = data.enemies[enemyId];
+    const lootConfig = data.worldConfig.loot || {};
+    const isBoss = enemy.type === 'boss';
+    const bossMultiplier = isBoss ? 1.5 : 1.0;
+    const baseGold = enemy.rewards?.gold ?? 10;
+    const gold = Math.trunc(baseGold * (lootConfig.goldDropMultiplier ?? 1.0) * bossMultiplier * (1 + rng.random() * 0.3));
+
+    const context = { lootConfig, heroLevel: options.heroLevel, isBoss };
+    const chances = options.qualityModel === 'curve' ? rarityChances(data.worldConfig.itemQualityScaling, mile) : null;
+    const drops = [];
+
+    for (const drop of enemy.drops || []) {
+        const item = findItem(data.items, drop.item);
+        if (rng.random() >= dropChance(drop, item, enemy, context)) continue;
+
+        let rarity = item?.rarity || 'common';
+        if (chances && item) {
+            rarity = isBoss || enemy.isElite ? rollBossQuality(rng) : rollRarity(chances, rarity, rng);
+        }
+        drops.push({ item: drop.item, rarity });
+    }
+
+    if (isBoss && drops.length === 0 && (enemy.drops || []).length > 0) {
+        const drop = enemy.drops[Math.floor(rng.random() * enemy.drops.length)];
+        const item = findItem(data.items, drop.item, BOSS_DROP_CATEGORIES);
+        let rarity = item?.rarity || 'common';
+        if (chances && item) {
+            rarity = rng.random() < 0.5 ? 'legendary' : 'epic';
+        }
+        drops.push({ item: drop.item, rarity });
+    }
+
+    return { gold, isBoss, drops };
+}
+
+/**
+ * Split [0, maxMile] into bands of bandSize miles. A tail shorter than half
+ * a band joins the last band (0-9, ..., 90-100 rather than a lone mile 100).
+ * @returns {Array<{from: number, to: number}>}
+ */
+export function buildBands(maxMile = DEFAULT_MAX_MILE, bandSize = DEFAULT_BAND_SIZE) {
+    const bands = [];
+    for (let from = 0; from <= maxMile; from += bandSize) {
+        let to = Math.min(maxMile, from + bandSize - 1);
+        if (maxMile - to < bandSize / 2) to = maxMile;
+        bands.push({ from, to });
+        if (to === maxMile) break;
+    }
+    return bands;
+}
+
+function miles(band) {
+    const list = [];
+    for (let mile = band.from; mile <= band.to; mile++) list.push(mile);
+    return list;
+}
+
+/**
+ * Items each enemy spawnable in a mile range can drop
+ * @returns {Set<string>} Item ids
+ */
+export function droppableItems(data, fromMile, toMile) {
+    const items = new Set();
+    for (let mile = fromMile; mile <= toMile; mile++) {
+        for (const enemyId of enemyPool(data.enemies, mile)) {
+            for (const drop of data.enemies[enemyId].drops || []) {
+                items.add(drop.item);
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * Bands where the itemQualityScaling chances add up to more than 1
+ * @param {Object} qualityScaling - itemQualityScaling block
+ * @param {Array} bands - buildBands() result
+ * @returns {Array<{type: string, band: string, message: string}>}
+ */
+export function checkRarityOverflow(qualityScaling, bands) {
+    const flags = [];
+    for (const band of bands) {
+        let worst = null;
+        for (const mile of miles(band)) {
+            const sum = Object.values(rarityChances(qualityScaling, mile)).reduce((a, b) => a + b, 0);
+            if (sum > 1 + 1e-9 && (!worst || sum > worst.sum)) worst = { mile, sum };
+        }
+        if (worst) {
+            flags.push({
+                type: 'rarity-overflow',
+                band: `${band.from}-${band.to}`,
+                message: `rarity chances sum to ${worst.sum.toFixed(3)} at mile ${worst.mile} (above 1)`
+            });
+        }
+    }
+    return flags;
+}
+
+/**
+ * items.json tiers whose sets can never drop inside the tier's mile range,
+ * and sets with a piece no enemy in that range drops
+ * @param {Object} data - loadLootData() result
+ * @returns {Array<{type: string, tier: string, set?: string, message: string}>}
+ */
+export function checkTierDrops(data) {
+    const flags = [];
+    const sets = data.items.sets || {};
+
+    for (const [tierId, tier] of Object.entries(data.items.tiers || {})) {
+        const label = `tier ${tierId} (${tier.name || tierId}, miles ${tier.minMile}-${tier.maxMile})`;
+        const tierSets = Object.entries(sets).filter(([, set]) => String(set.tier) === tierId);
+        if (tierSets.length === 0) {
+            flags.push({ type: 'tier-unreachable', tier: tierId, message: `${label} has no sets` });
+            continue;
+        }
+
+        const droppable = droppableItems(data, tier.minMile ?? 0, tier.maxMile ?? DEFAULT_MAX_MILE);
+        let anyPiece = false;
+        for (const [setId, set] of tierSets) {
+            const missing = (set.pieces || []).filter(piece => !droppable.has(piece));
+            if (missing.length < (set.pieces || []).length) anyPiece = true;
+            if (missing.length > 0) {
+                flags.push({
+                    type: 'set-incomplete',
+                    tier: tierId,
+                    set: setId,
+                    message: `${setId} can never complete in ${label}: no enemy there drops ${missing.join(', ')}`
+                });
+            }
+        }
+        if (!anyPiece) {
+            flags.push({ type: 'tier-unreachable', tier: tierId, message: `${label}: no piece of its sets can drop` });
+        }
+    }
+    return flags;
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function simulateBand(data, band, options, rng) {
+    const pools = new Map(miles(band).map(mile => [mile, enemyPool(data.enemies, mile)]));
+    const sets = data.items.sets || {};
+    const droppable = droppableItems(data, band.from, band.to);
+    const rarity = Object.fromEntries(RARITIES.map(r => [r, 0]));
+    const golds = [];
+    const progress = {};
+    for (const [setId, set] of Object.entries(sets)) {
+        progress[setId] = { pieces: set.pieces || [], owned: new Set(), kills: 0, cycles: [] };
+    }
+
+    let bossKills = 0;
+    let drops = 0;
+    for (let i = 0; i < options.kills; i++) {
+        const mile = band.from + Math.floor(rng.random() * (band.to - band.from + 1));
+        const pool = pools.get(mile);
+        const enemyId = pool[Math.floor(rng.random() * pool.length)];
+        const kill = rollKill(data, enemyId, mile, options, rng);
+
+        golds.push(kill.gold);
+        if (kill.isBoss) bossKills++;
+        drops += kill.drops.length;
+        for (const drop of kill.drops) {
+            rarity[drop.rarity] = (rarity[drop.rarity] || 0) + 1;
+        }
+
+        for (const entry of Object.values(progress)) {
+            entry.kills++;
+            for (const drop of kill.drops) {
+                if (entry.pieces.includes(drop.item)) entry.owned.add(drop.item);
+            }
+            if (entry.pieces.length > 0 && entry.owned.size === entry.pieces.length) {
+                entry.cycles.push(entry.kills);
+                entry.owned.clear();
+                entry.kills = 0;
+            }
+        }
+    }
+
+    const setReport = {};
+    for (const [setId, entry] of Object.entries(progress)) {
+        const missing = entry.pieces.filter(piece => !droppable.has(piece));
+        let status = 'ok';
+        if (missing.length > 0) status = 'never';
+        else if (entry.cycles.length === 0) status = 'not-completed';
+        setReport[setId] = {
+            status,
+            completions: entry.cycles.length,
+            expectedKills: entry.cycles.length > 0 ? entry.cycles.reduce((a, b) => a + b, 0) / entry.cycles.length : null,
+            missing
+        };
+    }
+
+    const sortedGold = [...golds].sort((a, b) => a - b);
+    const totalGold = golds.reduce((a, b) => a + b, 0);
+    const midMile = Math.round((band.from + band.to) / 2);
+    return {
+        band: `${band.from}-${band.to}`,
+        from: band.from,
+        to: band.to,
+        kills: options.kills,
+        bossKills,
+        drops,
+        dropsPerKill: drops / options.kills,
+        rarity,
+        rarityShare: Object.fromEntries(Object.entries(rarity).map(([r, n]) => [r, drops > 0 ? n / drops : 0])),
+        nominalChances: rarityChances(data.worldConfig.itemQualityScaling, midMile),
+        gold: {
+            total: totalGold,
+            perKill: totalGold / options.kills,
+            p10: percentile(sortedGold, 0.1),
+            p90: percentile(sortedGold, 0.9)
+        },
+        sets: setReport
+    };
+}
+
+/**
+ * Roll N kills in every mile band and collect drop, set and gold statistics
+ * @param {Object} data - loadLootData() result
+ * @param {Object} options - { kills, bandSize, maxMile, seed, heroLevel, qualityModel }
+ * @returns {Object} { meta, bands, flags }
+ */
+export function simulateLoot(data, options = {}) {
+    const settings = {
+        kills: options.kills ?? DEFAULT_KILLS,
+        bandSize: options.bandSize ?? DEFAULT_BAND_SIZE,
+        maxMile: options.maxMile ?? DEFAULT_MAX_MILE,
+        seed: options.seed ?? DEFAULT_SEED,
+        heroLevel: options.heroLevel ?? 1,
+        qualityModel: options.qualityModel ?? 'curve'
+    };
+    if (!QUALITY_MODELS.includes(settings.qualityModel)) {
+        throw new Error(`Unknown quality model "${settings.qualityModel}" (expected ${QUALITY_MODELS.join(' or ')})`);
+    }
+
+    const rng = new SeededRNG(settings.seed);
+    const bands = buildBands(settings.maxMile, settings.bandSize);
+    const flags = [
+        ...checkRarityOverflow(data.worldConfig.itemQualityScaling, bands),
+        ...checkTierDrops(data)
+    ];
+
+    return {
+        meta: { generated: new Date().toISOString(), ...settings },
+        bands: bands.map(band => simulateBand(data, band, settings, rng)),
+        flags
+    };
+}
@@ -0,0 +1,529 @@
+/**
+ * Prestige Pacing - Headless model of repeated prestige runs
+ *
+ * Mirrors the parts of the game that set the pace of a run, reading
+ * prestige-config.json, world-config.json and enemies.json from
+ * road-to-war/data:
+ *   - WorldManager: segments per mile, encounter rolls and cooldowns, group
+ *     sizes (via encounter-preview.js), enemy pool (via loot-simulation.js)
+ *     and enemy health scaling
+ *   - CombatManager._distribute_group_rewards(): experience and gold per fight
+ *   - Hero.gain_experience()/get_experience_needed(): levelling
+ *   - PrestigeManager.calculate_prestige_points(), purchase_upgrade() and the
+ *     upgrade getters (get_stat_multiplier(), get_xp_multiplier(), ...)
+ *
+ * Fights are not simulated blow by blow: one lasts the group's scaled health
+ * divided by party damage (DEFAULT_ASSUMPTIONS), which is enough to compare
+ * strategies and data changes but not to promise real play time. The game
+ * does not read most upgrade getters yet; the model applies them anyway so
+ * the shop can be tuned before it is wired up.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SeededRNG } from '../../tools/utils/seeded-rng.js';
+import { enemyPool } from './loot-simulation.js';
+import {
+    rollGameEncounter,
+    groupSize,
+    ENCOUNTER_COOLDOWNS,
+    FINAL_BOSS_ID,
+    SCROLL_SPEED,
+    SEGMENT_WIDTH,
+    SEGMENTS_PER_MILE
+} from './encounter-preview.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', '..', 'road-to-war', 'data');
+
+export const DEFAULT_RUNS = 10;
+export const DEFAULT_SEED = 12345;
+export const STRATEGIES = ['cheapest', 'priority', 'hoard'];
+export const XP_CURVES = ['scaling', 'table'];
+
+// Used by --strategy priority when no --priority list is given
+export const DEFAULT_PRIORITY = ['combat_bonus', 'stat_multiplier', 'xp_multiplier', 'gold_multiplier'];
+
+// Model inputs the game data does not pin down; override with --assumptions <file.json>
+export const DEFAULT_ASSUMPTIONS = {
+    partySize: 5,                   // PartyManager heroes sharing every fight's experience
+    damagePerAttackPerSecond: 1.0,  // Party damage per second = heroes x attack x this
+    combatOverheadSeconds: 2,       // Spawn, walk-in and loot time per fight
+    stallCombatSeconds: 300,        // A fight longer than this counts as the party being stuck
+    maxRunHours: 72,                // Give up on a run after this long
+    targetMile: 100,                // Prestige on arrival (PrestigeManager base points are for mile 100)
+    runawayGrowth: 1.5,             // Run-over-run growth factor that counts as exponential...
+    runawayRuns: 3                  // ...when it holds for this many runs in a row
+};
+
+// Hero.gd constants (it reads world-config "progression", which does not exist)
+const HERO_BASE_EXPERIENCE = 100;
+const HERO_EXPERIENCE_MULTIPLIER = 1.15;
+const HERO_MAX_LEVEL = 100;
+
+// PrestigeManager.calculate_prestige_points()
+const PRESTIGE_BASE_POINTS = 20;
+const PRESTIGE_LEVEL_MULTIPLIER = 0.5;
+
+// Upgrade types the model turns into pace or power
+export const MODELLED_UPGRADE_TYPES = ['stat_multiplier', 'xp_multiplier', 'gold_multiplier', 'combat_bonus'];
+
+const DATA_FILES = {
+    prestigeConfig: 'prestige-config.json',
+    worldConfig: 'world-config.json',
+    enemies: 'enemies.json'
+};
+
+/**
+ * Load the data files the pacing model reads
+ * @param {string} dataDir - Directory containing the Godot JSON data
+ * @returns {Object} { prestigeConfig, worldConfig, enemies }
+ */
+export function loadPacingData(dataDir = DEFAULT_DATA_DIR) {
+    const data = {};
+    for (const [key, file] of Object.entries(DATA_FILES)) {
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Data file not found: ${filePath}`);
+        }
+        try {
+            data[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Failed to parse ${filePath}: ${e.message}`);
+        }
+    }
+    return data;
+}
+
+/**
+ * Sum purchased upgrades the way PrestigeManager's getters do
+ * @param {Array} upgrades - prestige-config.json upgrades
+ * @param {Array<string>} purchased - Purchased upgrade ids
+ * @param {number} prestigeLevel - Current prestige level (scales the per-level upgrades)
+ * @returns {Object} { stat: {name: multiplier}, xp, gold, loot, combat, itemQuality, itemLevel, gear, talentPoints, talentCost }
+ */
+export function upgradeEffects(upgrades, purchased, prestigeLevel) {
+    const effects = { stat: {}, xp: 1.0, gold: 1.0, loot: 1.0, combat: 0.0, itemQuality: 0.0, itemLevel: 0, gear: 1.0, talentPoints: 0, talentCost: 0.0 };
+    const byId = new Map(upgrades.map(upgrade => [upgrade.id, upgrade]));
+
+    for (const id of purchased) {
+        const upgrade = byId.get(id);
+        if (!upgrade) continue;
+        const value = upgrade.value ?? 0;
+        switch (upgrade.type) {
+            case 'stat_multiplier':
+                effects.stat[upgrade.stat] = (effects.stat[upgrade.stat] ?? 1.0) + value;
+                break;
+            case 'xp_multiplier': effects.xp += value; break;
+            case 'gold_multiplier': effects.gold += value; break;
+            case 'loot_multiplier': effects.loot += value; break;
+            case 'combat_bonus': effects.combat += value; break;
+            case 'item_quality_bonus': effects.itemQuality += value * prestigeLevel; break;
+            case 'item_level_boost': effects.itemLevel += Math.trunc(value * prestigeLevel); break;
+            case 'gear_effectiveness': effects.gear += value; break;
+            case 'prestige_talent_points': effects.talentPoints += Math.trunc(value * prestigeLevel); break;
+            case 'talent_cost_reduction': effects.talentCost += value; break;
+        }
+    }
+    return effects;
+}
+
+/**
+ * Experience needed to go from level to level + 1
+ * @param {Object} worldConfig - world-config.json
+ * @param {number} level - Current level
+ * @param {string} curve - "scaling": Hero.get_experience_needed() with experienceScaling;
+ *   "table": differences of player.experienceToLevel
+ * @returns {number|null} Experience, or null when the curve has no next level
+ */
+export function experienceNeeded(worldConfig, level, curve = 'scaling') {
+    const player = worldConfig.player || {};
+    if (curve === 'table') {
+        const table = player.experienceToLevel || {};
+        if (table[level + 1] === undefined) return null;
+        return table[level + 1] - (table[level] ?? 0);
+    }
+    const scaling = player.experienceScaling || {};
+    const base = scaling.baseExpPerLevel ?? HERO_BASE_EXPERIENCE;
+    const mult = scaling.scalingMultiplier ?? HERO_EXPERIENCE_MULTIPLIER;
+    return Math.trunc(base * Math.pow(mult, level - 1));
+}
+
+/**
+ * Hero stats at a level from startingStats + levelStatGains
+ * @returns {{attack: number, maxHealth: number, defense: number}}
+ */
+export function heroStats(worldConfig, level) {
+    const start = worldConfig.player?.startingStats || {};
+    const gains = worldConfig.player?.levelStatGains || {};
+    return {
+        attack: (start.attack ?? 10) + (gains.attack ?? 0) * (level - 1),
+        maxHealth: (start.maxHealth ?? 100) + (gains.health ?? 0) * (level - 1),
+        defense: (start.defense ?? 5) + (gains.defense ?? 0) * (level - 1)
+    };
+}
+
+/**
+ * Party power relative to a fresh level 1 party without upgrades:
+ * offense (attack, attack multiplier, combat bonus) x toughness (health and defense)
+ * @returns {number} Power index (1.0 = level 1, no upgrades)
+ */
+export function powerIndex(worldConfig, level, effects) {
+    const base = heroStats(worldConfig, 1);
+    const now = heroStats(worldConfig, level);
+    const stat = name => effects.stat[name] ?? 1.0;
+    const offense = (now.attack * stat('attack') * (1 + effects.combat)) / base.attack;
+    const toughness = ((now.maxHealth * stat('maxHealth')) / base.maxHealth) * ((now.defense * stat('defense')) / base.defense);
+    return offense * toughness;
+}
+
+/**
+ * PrestigeManager.calculate_prestige_points() for a party that reached a mile.
+ * Equipment, achievement and essence bonuses are not modelled (0).
+ * pointsPerLevel and basePointsMultiplier are applied although PrestigeManager
+ * hardcodes both as 1.
+ * @returns {number} Points gained
+ */
+export function prestigePoints(prestigeConfig, { prestigeLevel, heroLevel, partySize, mile }) {
+    const levelBonus = partySize * Math.trunc(heroLevel / 10) * (prestigeConfig.pointsPerLevel ?? 1);
+    const mileBonus = Math.trunc(mile / 10);
+    const total = PRESTIGE_BASE_POINTS + levelBonus + mileBonus;
+    const multiplier = 1.0 + prestigeLevel * PRESTIGE_LEVEL_MULTIPLIER;
+    return Math.trunc(total * multiplier * (prestigeConfig.basePointsMultiplier ?? 1));
+}
+
+/**
+ * Expand a priority list of upgrade ids and types into upgrade ids
+ * (types expand to their upgrades, cheapest first)
+ * @returns {Array<string>} Upgrade ids
+ */
+export function resolvePriority(upgrades, priority) {
+    const ids = [];
+    for (const entry of priority) {
+        const matches = upgrades
+            .filter(upgrade => upgrade.id === entry || upgrade.type === entry)
+            .sort((a, b) => a.cost - b.cost);
+        if (matches.length === 0) {
+            throw new Error(`Priority entry "${entry}" is neither an upgrade id nor an upgrade type`);
+        }
+        for (const upgrade of matches) {
+            if (!ids.includes(upgrade.id)) ids.push(upgrade.id);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Spend prestige points by strategy
+ *   cheapest: buy the cheapest affordable upgrade until none is
+ *   priority: buy the priority list in order, saving up for the next entry;
+ *             once it is done, the rest cheapest first
+ *   hoard:    buy nothing
+ * @returns {{bought: Array<string>, points: number}}
+ */
+export function buyUpgrades(upgrades, purchased, points, strategy, priorityIds = []) {
+    const bought = [];
+    const owned = id => purchased.includes(id) || bought.includes(id);
+    const byCost = [...upgrades].sort((a, b) => a.cost - b.cost);
+    const byId = new Map(upgrades.map(upgrade => [upgrade.id, upgrade]));
+
+    let queue = [];
+    if (strategy === 'cheapest') {
+        queue = byCost.map(upgrade => upgrade.id);
+    } else if (strategy === 'priority') {
+        queue = [...priorityIds, ...byCost.map(upgrade => upgrade.id).filter(id => !priorityIds.includes(id))];
+    }
+
+    for (const id of queue) {
+        if (owned(id)) continue;
+        const cost = byId.get(id).cost;
+        if (cost > points) break;
+        points -= cost;
+        bought.push(id);
+    }
+    return { bought, points };
+}
+
+function fight(data, group, mile, level, effects, settings) {
+    const { assumptions } = settings;
+    const loot = data.worldConfig.loot || {};
+    let health = 0;
+    let experience = 0;
+    let gold = 0;
+    for (const enemyId of group) {
+        const enemy = data.enemies[enemyId];
+        health += Math.trunc((enemy.stats?.health ?? 100) * (2.0 + mile * 0.2));
+        experience += enemy.rewards?.experience ?? 0;
+        gold += enemy.rewards?.gold ?? 0;
+    }
+    const attack = heroStats(data.worldConfig, level).attack * (effects.stat.attack ?? 1.0) * (1 + effects.combat);
+    const dps = assumptions.partySize * attack * assumptions.damagePerAttackPerSecond;
+    return {
+        seconds: health / dps + assumptions.combatOverheadSeconds,
+        experience: Math.trunc(Math.trunc(experience * (loot.experienceMultiplier ?? 1.0)) * effects.xp),
+        gold: Math.trunc(gold * effects.gold)
+    };
+}
+
+/**
+ * One run from mile 0 until the target mile, or until the party stalls
+ * @param {Object} data - loadPacingData() result
+ * @param {Object} state - { prestigeLevel, purchased }
+ * @param {Object} settings - simulatePacing() settings
+ * @param {SeededRNG} rng - Random source
+ * @returns {Object} Run record (hours, endMile, stalledAt, endLevel, gold, levelHours, miles)
+ */
+export function simulateRun(data, state, settings, rng) {
+    const { assumptions } = settings;
+    const effects = upgradeEffects(data.prestigeConfig.upgrades || [], state.purchased, state.prestigeLevel);
+    const encounters = data.worldConfig.encounters || {};
+    const travelSeconds = SEGMENT_WIDTH / SCROLL_SPEED;
+    const pools = new Map();
+    const poolAt = mile => {
+        if (!pools.has(mile)) pools.set(mile, enemyPool(data.enemies, mile));
+        return pools.get(mile);
+    };
+
+    let seconds = 0;
+    let cooldown = 0;
+    let level = 1;
+    let experience = 0;
+    let gold = 0;
+    let mile = 0;
+    let stalledAt = null;
+    let levelCapped = false;
+    const levelHours = [{ level: 1, hours: 0 }];
+    const miles = [{ mile: 0, hours: 0, level: 1, power: powerIndex(data.worldConfig, 1, effects) }];
+
+    const gainExperience = amount => {
+        experience += amount;
+        let needed = experienceNeeded(data.worldConfig, level, settings.xpCurve);
+        while (needed !== null && experience >= needed && level < HERO_MAX_LEVEL) {
+            experience -= needed;
+            level++;
+            levelHours.push({ level, hours: seconds / 3600 });
+            needed = experienceNeeded(data.worldConfig, level, settings.xpCurve);
+        }
+        if (needed === null) levelCapped = true;
+    };
+    const runFight = group => {
+        const result = fight(data, group, mile, level, effects, settings);
+        if (result.seconds > assumptions.stallCombatSeconds) return false;
+        seconds += result.seconds;
+        gold += result.gold;
+        gainExperience(result.experience);
+        return true;
+    };
+
+    for (let segment = 1; ; segment++) {
+        seconds += travelSeconds;
+        cooldown -= travelSeconds;
+
+        const segmentMile = Math.floor(segment / SEGMENTS_PER_MILE);
+        if (segmentMile !== mile) {
+            mile = segmentMile;
+            miles.push({ mile, hours: seconds / 3600, level, power: powerIndex(data.worldConfig, level, effects) });
+            if (mile >= assumptions.targetMile) {
+                if (mile === 100 && data.enemies[FINAL_BOSS_ID] && !runFight([FINAL_BOSS_ID])) stalledAt = mile;
+                break;
+            }
+        }
+        if (seconds > assumptions.maxRunHours * 3600) {
+            stalledAt = mile;
+            break;
+        }
+        if (cooldown > 0) continue;
+
+        const type = rollGameEncounter(encounters, rng);
+        cooldown = ENCOUNTER_COOLDOWNS[type];
+        if (type === 'treasure') {
+            gold += mile * 10 + rng.randomInt(5, 20);
+        } else if (type === 'combat') {
+            const pool = poolAt(mile);
+            const group = Array.from({ length: groupSize(mile, rng) }, () => pool[Math.floor(rng.random() * pool.length)]);
+            if (!runFight(group)) {
+                stalledAt = mile;
+                break;
+            }
+        }
+    }
+
+    return {
+        hours: seconds / 3600,
+        endMile: mile,
+        stalledAt,
+        endLevel: level,
+        levelCapped,
+        gold,
+        startPower: miles[0].power,
+        endPower: powerIndex(data.worldConfig, level, effects),
+        levelHours,
+        miles
+    };
+}
+
+/**
+ * Data problems that shape pacing before anything is simulated
+ * @returns {{warnings: Array<{type: string, message: string}>, notes: Array<string>}}
+ */
+export function checkProgressionData(data) {
+    const warnings = [];
+    const notes = [];
+    const player = data.worldConfig.player || {};
+    const scaling = player.experienceScaling || {};
+    const tableLevels = Object.keys(player.experienceToLevel || {}).map(Number).filter(n => !isNaN(n));
+    const tableMax = tableLevels.length > 0 ? Math.max(...tableLevels) : 0;
+    const maxLevel = scaling.maxLevel ?? HERO_MAX_LEVEL;
+
+    if (tableMax < maxLevel) {
+        warnings.push({
+            type: 'xp-table',
+            message: `player.experienceToLevel stops at level ${tableMax} while experienceScaling.maxLevel is ${maxLevel}; with --xp-curve table levelling dead-ends at ${tableMax}`
+        });
+    }
+    if ((scaling.baseExpPerLevel ?? HERO_BASE_EXPERIENCE) !== HERO_BASE_EXPERIENCE
+        || (scaling.scalingMultiplier ?? HERO_EXPERIENCE_MULTIPLIER) !== HERO_EXPERIENCE_MULTIPLIER) {
+        warnings.push({
+            type: 'xp-scaling',
+            message: `Hero.gd ignores player.experienceScaling (it reads world-config "progression" and falls back to ${HERO_BASE_EXPERIENCE} x ${HERO_EXPERIENCE_MULTIPLIER}^(level-1)); the game will not match this model`
+        });
+    }
+    if ((data.prestigeConfig.pointsPerLevel ?? 1) !== 1 || (data.prestigeConfig.basePointsMultiplier ?? 1) !== 1) {
+        notes.push('pointsPerLevel and basePointsMultiplier are applied here, but PrestigeManager.calculate_prestige_points() hardcodes both as 1');
+    }
+
+    const unmodelled = [...new Set((data.prestigeConfig.upgrades || [])
+        .map(upgrade => upgrade.type)
+        .filter(type => !MODELLED_UPGRADE_TYPES.includes(type)))];
+    if (unmodelled.length > 0) {
+        notes.push(`Upgrade types with no effect on pace or power in this model: ${unmodelled.join(', ')}`);
+    }
+    return { warnings, notes };
+}
+
+function checkRunaway(runs, key, label, assumptions) {
+    let streak = 0;
+    for (let i = 1; i < runs.length; i++) {
+        const before = runs[i - 1][key];
+        const after = runs[i][key];
+        streak = before > 0 && after / before >= assumptions.runawayGrowth ? streak + 1 : 0;
+        if (streak >= assumptions.runawayRuns) {
+            return {
+                type: 'runaway',
+                run: runs[i].run,
+                message: `${label} grew at least x${assumptions.runawayGrowth} per run for ${streak} runs in a row (runs ${runs[i - streak].run}-${runs[i].run})`
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Simulate repeated prestige runs with an upgrade-buying strategy
+ * @param {Object} data - loadPacingData() result
+ * @param {Object} options - { runs, strategy, priority, xpCurve, seed, assumptions }
+ * @returns {Object} { meta, runs, warnings, notes }
+ */
+export function simulatePacing(data, options = {}) {
+    const settings = {
+        runs: options.runs ?? DEFAULT_RUNS,
+        strategy: options.strategy ?? 'cheapest',
+        priority: options.priority ?? DEFAULT_PRIORITY,
+        xpCurve: options.xpCurve ?? 'scaling',
+        seed: options.seed ?? DEFAULT_SEED,
+        assumptions: { ...DEFAULT_ASSUMPTIONS, ...(options.assumptions || {}) }
+    };
+    if (!STRATEGIES.includes(settings.strategy)) {
+        throw new Error(`Unknown strategy "${settings.strategy}" (expected ${STRATEGIES.join(', ')})`);
+    }
+    if (!XP_CURVES.includes(settings.xpCurve)) {
+        throw new Error(`Unknown experience curve "${settings.xpCurve}" (expected ${XP_CURVES.join(' or ')})`);
+    }
+
+    const upgrades = data.prestigeConfig.upgrades || [];
+    const priorityIds = settings.strategy === 'priority' ? resolvePriority(upgrades, settings.priority) : [];
+    const { warnings, notes } = checkProgressionData(data);
+    const rng = new SeededRNG(settings.seed);
+    const state = { prestigeLevel: 0, points: 0, purchased: [] };
+    const runs = [];
+    let totalHours = 0;
+    let deadEnd = null;
+    let levelCap = null;
+
+    for (let run = 1; run <= settings.runs; run++) {
+        const result = simulateRun(data, state, settings, rng);
+        totalHours += result.hours;
+
+        const pointsGained = prestigePoints(data.prestigeConfig, {
+            prestigeLevel: state.prestigeLevel,
+            heroLevel: result.endLevel,
+            partySize: settings.assumptions.partySize,
+            mile: result.endMile
+        });
+        const prestigeLevel = state.prestigeLevel;
+        state.prestigeLevel++;
+        const { bought, points } = buyUpgrades(upgrades, state.purchased, state.points + pointsGained, settings.strategy, priorityIds);
+        state.points = points;
+        state.purchased.push(...bought);
+
+        runs.push({
+            run,
+            prestigeLevel,
+            totalHours,
+            ...result,
+            pointsGained,
+            bought,
+            pointsBanked: state.points,
+            upgradesOwned: state.purchased.length
+        });
+
+        const previous = runs[runs.length - 2];
+        if (result.stalledAt !== null && previous && previous.bought.length === 0 && !deadEnd) {
+            deadEnd = {
+                type: 'dead-end',
+                run,
+                message: `run ${run} stalled at mile ${result.stalledAt} no stronger than run ${previous.run} (nothing bought in between); later runs only get further by luck`
+            };
+        }
+        if (result.levelCapped && !levelCap) {
+            levelCap = { type: 'dead-end', run, message: `run ${run} ran out of experience curve at level ${result.endLevel}` };
+        }
+    }
+
+    const stalled = runs.filter(run => run.stalledAt !== null);
+    if (stalled.length > 0) {
+        warnings.push({
+            type: 'stall',
+            message: `${stalled.length} of ${runs.length} run(s) stalled before mile ${settings.assumptions.targetMile} `
+                + `(a fight over ${settings.assumptions.stallCombatSeconds}s or a run over ${settings.assumptions.maxRunHours}h): `
+                + stalled.map(run => `run ${run.run} at mile ${run.stalledAt}`).join(', ')
+        });
+    }
+    if (deadEnd) warnings.push(deadEnd);
+    if (levelCap) warnings.push(levelCap);
+
+    for (const [key, label] of [['startPower', 'Power at the start of a run'], ['pointsGained', 'Prestige points per run']]) {
+        const flag = checkRunaway(runs, key, label, settings.assumptions);
+        if (flag) warnings.push(flag);
+    }
+
+    const unbought = priorityIds.filter(id => !state.purchased.includes(id));
+    if (unbought.length > 0 && unbought.length === priorityIds.length) {
+        warnings.push({ type: 'dead-end', message: `no upgrade of the priority list was affordable in ${settings.runs} runs (first: ${unbought[0]})` });
+    }
+    const exhausted = runs.find(run => run.upgradesOwned === upgrades.length);
+    if (exhausted && upgrades.length > 0) {
+        const totalCost = upgrades.reduce((sum, upgrade) => sum + upgrade.cost, 0);
+        notes.push(`Every upgrade (${upgrades.length}, ${totalCost} points in total) was owned after run ${exhausted.run}`);
+    }
+
+    return {
+        meta: { generated: new Date().toISOString(), ...settings, priority: priorityIds },
+        runs,
+        warnings,
+        notes
+    };
+}
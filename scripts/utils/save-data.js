@@ -0,0 +1,458 @@
+/**
+ * Save Data Toolkit
+ * Read, summarize, diff, validate and migrate Godot save slots offline.
+ *
+ * Saves are the JSON files SaveManager.gd writes to user://save_slot_N.json:
+ *   { timestamp, version, slot, party: { heroes: [...] }, world, equipment,
+ *     talents, prestige, prestige_bank, ... }
+ * with one top-level section per manager (see SaveManager.collect_save_data).
+ *
+ * MIGRATIONS mirrors SaveMigration.gd step for step, so historical saves in
+ * scripts/fixtures/saves can be replayed without the engine.
+ * checkMigrationSource() reports when the two drift apart.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { joinPointer, validateSchema } from './json-schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT = path.resolve(__dirname, '..', '..');
+export const GODOT_PROJECT_DIR = path.join(ROOT, 'road-to-war');
+export const SAVE_MIGRATION_PATH = path.join(GODOT_PROJECT_DIR, 'scripts', 'SaveMigration.gd');
+export const DEFAULT_SAVE_SCHEMA_PATH = path.resolve(__dirname, '..', 'schemas', 'save', 'save.schema.json');
+export const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '..', 'fixtures', 'saves');
+export const DEFAULT_GAME_DATA_DIR = path.join(GODOT_PROJECT_DIR, 'data');
+
+// Must match CURRENT_SAVE_VERSION in SaveMigration.gd
+export const CURRENT_SAVE_VERSION = 2;
+
+/**
+ * Top-level sections in SaveManager.collect_save_data order, with the
+ * autoload that owns each
+ */
+export const SAVE_SECTIONS = {
+    party: 'PartyManager',
+    world: 'WorldManager',
+    equipment: 'EquipmentManager',
+    talents: 'TalentManager',
+    bloodlines: 'BloodlineManager',
+    statistics: 'StatisticsManager',
+    achievements: 'AchievementManager',
+    prestige: 'PrestigeManager',
+    prestige_bank: 'PrestigeBank',
+    brutal_mode: 'BrutalModeManager',
+    challenge_mode: 'ChallengeModeManager',
+    resources: 'ResourceManager',
+    loot: 'LootManager',
+    shop: 'ShopManager',
+    beacons: 'BeaconManager'
+};
+
+// Header fields written next to the sections
+export const SAVE_HEADER_FIELDS = ['timestamp', 'version', 'slot'];
+
+/**
+ * Save format version as an integer (mirrors SaveMigration.get_version_number)
+ * Saves from before the format was versioned carry SaveManager's old "1.0.0"
+ * string; its major number is the format version.
+ * @param {*} version - The save's version field
+ * @returns {number} Format version (0 when missing or unreadable)
+ */
+export function saveVersion(version) {
+    if (typeof version === 'number') return Math.trunc(version);
+    if (typeof version === 'string' && /^-?\d+(\.|$)/.test(version)) return parseInt(version, 10);
+    return 0;
+}
+
+/**
+ * Migration steps, oldest first. Each migrate() mirrors SaveMigration.gd's
+ * migrate_to_v<version> and changes the save in place.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'party array becomes { heroes: [...] }',
+        migrate(save) {
+            if (!('version' in save)) save.version = 1;
+            if (Array.isArray(save.party)) {
+                save.party = { heroes: save.party };
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'heroes get talents and equipment dictionaries',
+        migrate(save) {
+            if (save.party && typeof save.party === 'object' && 'heroes' in save.party) {
+                for (const hero of save.party.heroes) {
+                    if (!('talents' in hero)) hero.talents = {};
+                    if (!('equipment' in hero)) hero.equipment = {};
+                }
+            }
+        }
+    }
+];
+
+/**
+ * Migrate a save to a format version (SaveMigration.migrate_save_data)
+ * @param {Object} save - Parsed save; not modified
+ * @param {Object} options - { to: target version (default CURRENT_SAVE_VERSION) }
+ * @returns {{save: Object, from: number, steps: Array<{version, description}>}}
+ *   Migrated copy and the steps applied
+ */
+export function migrateSave(save, options = {}) {
+    const to = options.to ?? CURRENT_SAVE_VERSION;
+    const from = saveVersion(save.version);
+    if (from > CURRENT_SAVE_VERSION) {
+        throw new Error(`Save version ${from} is newer than CURRENT_SAVE_VERSION ${CURRENT_SAVE_VERSION}`);
+    }
+    if (!Number.isInteger(to) || to < from || to > CURRENT_SAVE_VERSION) {
+        throw new Error(`Cannot migrate a version ${from} save to version ${to} (migrations only go up to ${CURRENT_SAVE_VERSION})`);
+    }
+
+    const migrated = structuredClone(save);
+    if (from === to) {
+        return { save: migrated, from, steps: [] };
+    }
+
+    const steps = MIGRATIONS.filter(step => step.version > from && step.version <= to);
+    for (const step of steps) {
+        step.migrate(migrated);
+    }
+    migrated.version = to;
+    return { save: migrated, from, steps: steps.map(({ version, description }) => ({ version, description })) };
+}
+
+/**
+ * Compare MIGRATIONS with SaveMigration.gd
+ * @param {string} gdPath - Path to SaveMigration.gd
+ * @returns {Array<string>} Differences (empty when in sync)
+ */
+export function checkMigrationSource(gdPath = SAVE_MIGRATION_PATH) {
+    const source = fs.readFileSync(gdPath, 'utf8');
+    const problems = [];
+
+    const current = source.match(/^const CURRENT_SAVE_VERSION\s*=\s*(\d+)/m);
+    if (!current) {
+        problems.push(`${path.basename(gdPath)} has no CURRENT_SAVE_VERSION`);
+    } else if (Number(current[1]) !== CURRENT_SAVE_VERSION) {
+        problems.push(`CURRENT_SAVE_VERSION is ${current[1]} in ${path.basename(gdPath)} but ${CURRENT_SAVE_VERSION} in save-data.js`);
+    }
+
+    const gdSteps = [...source.matchAll(/^func migrate_to_v(\d+)\(/gm)].map(match => Number(match[1]));
+    const jsSteps = MIGRATIONS.map(step => step.version);
+    for (const version of gdSteps.filter(v => !jsSteps.includes(v))) {
+        problems.push(`migrate_to_v${version} has no MIGRATIONS entry in save-data.js`);
+    }
+    for (const version of jsSteps.filter(v => !gdSteps.includes(v))) {
+        problems.push(`MIGRATIONS step ${version} has no migrate_to_v${version} in ${path.basename(gdPath)}`);
+    }
+    return problems;
+}
+
+/**
+ * Godot's user:// directory for the project (project.godot config/name and
+ * custom user dir settings, per platform)
+ * @param {string} projectDir - Directory holding project.godot
+ * @returns {string} Absolute path
+ */
+export function godotUserDir(projectDir = GODOT_PROJECT_DIR) {
+    const project = fs.readFileSync(path.join(projectDir, 'project.godot'), 'utf8');
+    const setting = key => {
+        const match = project.match(new RegExp(`^${key}=(.*)$`, 'm'));
+        return match ? match[1].trim().replace(/^"(.*)"$/, '$1') : null;
+    };
+
+    const home = os.homedir();
+    const dataDir = process.platform === 'win32'
+        ? (process.env.APPDATA || path.join(home, 'AppData', 'Roaming'))
+        : process.platform === 'darwin'
+            ? path.join(home, 'Library', 'Application Support')
+            : (process.env.XDG_DATA_HOME || path.join(home, '.local', 'share'));
+
+    const customName = setting('config/custom_user_dir_name');
+    if (setting('config/use_custom_user_dir') === 'true' && customName) {
+        return path.join(dataDir, customName);
+    }
+    const godotDir = process.platform === 'win32' || process.platform === 'darwin' ? 'Godot' : 'godot';
+    return path.join(dataDir, godotDir, 'app_userdata', setting('config/name') || 'Unnamed Project');
+}
+
+/**
+ * Resolve a slot number or a file path to a save file
+ * @param {string} slotOrPath - "1".."N" (user://save_slot_N.json) or a path
+ * @param {string} userDir - user:// directory (default: godotUserDir())
+ * @returns {string} Absolute path
+ */
+export function resolveSavePath(slotOrPath, userDir = null) {
+    if (/^\d+$/.test(slotOrPath)) {
+        return path.join(userDir || godotUserDir(), `save_slot_${slotOrPath}.json`);
+    }
+    return path.resolve(slotOrPath);
+}
+
+/**
+ * Read and parse a save file
+ * @param {string} filePath - Save file
+ * @returns {Object} Parsed save
+ */
+export function loadSave(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Save not found: ${filePath}`);
+    }
+    let save;
+    try {
+        save = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        throw new Error(`${filePath} is not valid JSON: ${e.message}`);
+    }
+    if (!save || typeof save !== 'object' || Array.isArray(save)) {
+        throw new Error(`${filePath} is not a save (expected a JSON object)`);
+    }
+    return save;
+}
+
+function count(value) {
+    if (Array.isArray(value)) return value.length;
+    return value && typeof value === 'object' ? Object.keys(value).length : 0;
+}
+
+function equippedSlots(slots) {
+    return Object.entries(slots || {}).filter(([, item]) => item !== null && item !== undefined && item !== '');
+}
+
+/**
+ * Section formatters for describeSave(); each returns lines of text.
+ * Sections without one get a one-line size summary.
+ * @private
+ */
+const SECTION_FORMATTERS = {
+    party(party) {
+        const heroes = Array.isArray(party) ? party : party?.heroes || [];
+        if (heroes.length === 0) return ['(no heroes)'];
+        return heroes.map(hero => {
+            const spec = [hero.class_id, hero.spec_id].filter(Boolean).join('/');
+            const points = `${hero.spent_talent_points ?? 0} spent, ${hero.available_talent_points ?? 0} free`;
+            const bloodline = hero.bloodline_id ? `, bloodline ${hero.bloodline_id}` : '';
+            return `${hero.name || hero.id} (${hero.id}) - ${spec || 'no class'} ${hero.role || ''}`.trimEnd()
+                + `, level ${hero.level ?? 1} (${hero.experience ?? 0} xp), talents ${points}`
+                + `, ${equippedSlots(hero.equipment_slots).length} slot(s) filled${bloodline}`;
+        });
+    },
+    world(world) {
+        return [
+            `Mile ${world.current_mile ?? '?'} (max reached ${world.max_mile_reached ?? '?'}), segment ${world.current_segment ?? '?'}`,
+            `Distance traveled: ${world.distance_traveled ?? 0}`,
+            `Claimed milestones: ${(world.claimed_milestones || []).join(', ') || 'none'}`
+        ];
+    },
+    equipment(equipment) {
+        const heroes = Object.entries(equipment || {});
+        if (heroes.length === 0) return ['(nothing equipped)'];
+        return heroes.map(([heroId, slots]) => {
+            const filled = equippedSlots(slots);
+            return `${heroId}: ${filled.map(([slot, item]) => `${slot}=${item}`).join(', ') || 'nothing equipped'}`;
+        });
+    },
+    prestige(prestige) {
+        return [
+            `Level ${prestige.prestige_level ?? 0}, ${prestige.prestige_points ?? 0} point(s) (${prestige.prestige_points_earned ?? 0} earned), ${prestige.ethereal_essence ?? 0} ethereal essence`,
+            `Upgrades: ${(prestige.purchased_upgrades || []).join(', ') || 'none'}`
+        ];
+    },
+    prestige_bank(bank) {
+        return [`${count(bank.banked_items)} banked item(s) of ${bank.max_bank_slots ?? 0} slot(s)`];
+    }
+};
+
+/**
+ * Describe a save section by section
+ * @param {Object} save - Parsed save
+ * @param {Object} options - { sections: names to include (default: all present) }
+ * @returns {Array<{name: string, owner: string|null, lines: Array<string>}>}
+ */
+export function describeSave(save, options = {}) {
+    const present = Object.keys(save).filter(key => !SAVE_HEADER_FIELDS.includes(key));
+    const known = Object.keys(SAVE_SECTIONS).filter(name => present.includes(name));
+    const names = options.sections || [...known, ...present.filter(name => !SAVE_SECTIONS[name])];
+
+    return names.map(name => {
+        const value = save[name];
+        let lines;
+        if (value === undefined) {
+            lines = ['(missing)'];
+        } else if (SECTION_FORMATTERS[name] && value && typeof value === 'object') {
+            lines = SECTION_FORMATTERS[name](value);
+        } else if (value && typeof value === 'object') {
+            lines = [`${count(value)} ${Array.isArray(value) ? 'item(s)' : 'key(s)'}`];
+        } else {
+            lines = [JSON.stringify(value)];
+        }
+        return { name, owner: SAVE_SECTIONS[name] || null, lines };
+    });
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+/**
+ * Structural diff of two saves
+ * @param {*} before - Left save (or any JSON value)
+ * @param {*} after - Right save
+ * @param {string} pointer - JSON pointer of the values (internal)
+ * @returns {Array<{pointer, kind: 'added'|'removed'|'changed', before?, after?}>}
+ */
+export function diffSaves(before, after, pointer = '') {
+    if (Object.is(before, after)) return [];
+    if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+        return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ pointer, kind: 'changed', before, after }];
+    }
+
+    const changes = [];
+    const keys = Array.isArray(before)
+        ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+        : [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const key of keys) {
+        const child = joinPointer(pointer, key);
+        const inBefore = Array.isArray(before) ? key < before.length : key in before;
+        const inAfter = Array.isArray(after) ? key < after.length : key in after;
+        if (!inAfter) {
+            changes.push({ pointer: child, kind: 'removed', before: before[key] });
+        } else if (!inBefore) {
+            changes.push({ pointer: child, kind: 'added', after: after[key] });
+        } else {
+            changes.push(...diffSaves(before[key], after[key], child));
+        }
+    }
+    return changes;
+}
+
+/**
+ * Check a save against game data: hero classes and specs, equipped items
+ * and purchased prestige upgrades must exist
+ * @param {Object} save - Parsed save at the current version
+ * @param {Object} data - { classes, specializations, items, prestigeConfig } parsed data files
+ * @returns {Array<{pointer, message, severity}>} Problems
+ */
+export function checkSaveReferences(save, data) {
+    const problems = [];
+    const { classes = {}, specializations = {}, items = {}, prestigeConfig = {} } = data;
+    const itemIds = new Set(['weapons', 'armor', 'accessories'].flatMap(category => Object.keys(items[category] || {})));
+
+    const heroes = Array.isArray(save.party?.heroes) ? save.party.heroes : [];
+    heroes.forEach((hero, index) => {
+        const heroPointer = `/party/heroes/${index}`;
+        if (hero.class_id && !classes[hero.class_id]) {
+            problems.push({ pointer: `${heroPointer}/class_id`, message: `class "${hero.class_id}" not found in classes.json`, severity: 'error' });
+        } else if (hero.class_id && hero.spec_id && !specializations[`${hero.class_id}_${hero.spec_id}`]) {
+            problems.push({ pointer: `${heroPointer}/spec_id`, message: `spec "${hero.class_id}_${hero.spec_id}" not found in specializations.json`, severity: 'error' });
+        }
+    });
+
+    const checkSlots = (slots, slotsPointer) => {
+        for (const [slot, itemId] of equippedSlots(slots)) {
+            if (typeof itemId === 'string' && !itemIds.has(itemId)) {
+                // EquipmentManager.item_instances (generated items) are not saved
+                problems.push({
+                    pointer: joinPointer(slotsPointer, slot),
+                    message: `item "${itemId}" not found in items.json (generated items do not survive a reload)`,
+                    severity: 'warning'
+                });
+            }
+        }
+    };
+    heroes.forEach((hero, index) => checkSlots(hero.equipment_slots, `/party/heroes/${index}/equipment_slots`));
+    for (const [heroId, slots] of Object.entries(isObject(save.equipment) ? save.equipment : {})) {
+        checkSlots(slots, joinPointer('/equipment', heroId));
+    }
+
+    const upgradeIds = new Set((prestigeConfig.upgrades || []).map(upgrade => upgrade.id));
+    (save.prestige?.purchased_upgrades || []).forEach((id, index) => {
+        if (!upgradeIds.has(id)) {
+            problems.push({ pointer: `/prestige/purchased_upgrades/${index}`, message: `upgrade "${id}" not found in prestige-config.json`, severity: 'error' });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Read the game data files checkSaveReferences() needs
+ * @param {string} dataDir - road-to-war/data
+ * @returns {Object} { classes, specializations, items, prestigeConfig }
+ */
+export function loadGameData(dataDir = DEFAULT_GAME_DATA_DIR) {
+    const read = file => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    return {
+        classes: read('classes.json'),
+        specializations: read('specializations.json'),
+        items: read('items.json'),
+        prestigeConfig: read('prestige-config.json')
+    };
+}
+
+/**
+ * Validate a save: version, schema (after migrating to the current version)
+ * and references into game data
+ * @param {Object} save - Parsed save
+ * @param {Object} options - { schema: parsed save schema, data: loadGameData() result (optional) }
+ * @returns {{from: number, steps: Array, migrated: Object|null, errors: Array, warnings: Array}}
+ *   Problems are { pointer, message }; pointers refer to the migrated save
+ */
+export function validateSave(save, options = {}) {
+    const problems = [];
+    const from = saveVersion(save.version);
+
+    if (typeof save.version === 'string') {
+        problems.push({ pointer: '/version', message: `legacy version string ${JSON.stringify(save.version)} (read as format version ${from})`, severity: 'warning' });
+    } else if (save.version !== undefined && !Number.isInteger(save.version)) {
+        problems.push({ pointer: '/version', message: `must be an integer format version, got ${JSON.stringify(save.version)}` });
+    }
+    if (from > CURRENT_SAVE_VERSION) {
+        problems.push({ pointer: '/version', message: `version ${from} is newer than CURRENT_SAVE_VERSION ${CURRENT_SAVE_VERSION}` });
+        return { from, steps: [], migrated: null, ...splitProblems(problems) };
+    }
+
+    const { save: migrated, steps } = migrateSave(save);
+    if (options.schema) {
+        for (const { pointer, message } of validateSchema(migrated, options.schema)) {
+            problems.push({ pointer, message });
+        }
+    }
+    if (options.data) {
+        problems.push(...checkSaveReferences(migrated, options.data));
+    }
+    return { from, steps, migrated, ...splitProblems(problems) };
+}
+
+function splitProblems(problems) {
+    return {
+        errors: problems.filter(p => p.severity !== 'warning'),
+        warnings: problems.filter(p => p.severity === 'warning')
+    };
+}
+
+/**
+ * List the fixture corpus: every <name>.json in the directory that is not
+ * an expected-result snapshot (<name>.migrated.json)
+ * @param {string} fixturesDir - Fixture directory
+ * @returns {Array<{name, savePath, expectedPath}>}
+ */
+export function listSaveFixtures(fixturesDir = DEFAULT_FIXTURES_DIR) {
+    return fs.readdirSync(fixturesDir)
+        .filter(file => file.endsWith('.json') && !file.endsWith('.migrated.json'))
+        .sort()
+        .map(file => {
+            const name = file.replace(/\.json$/, '');
+            return {
+                name,
+                savePath: path.join(fixturesDir, file),
+                expectedPath: path.join(fixturesDir, `${name}.migrated.json`)
+            };
+        });
+}
@@ -0,0 +1,743 @@
+/**
+ * Stat Calculator - Shared stat math for the JS tooling
+ *
+ * Two views of the same loadout (class, spec, level, gear, talents):
+ *
+ *   game  calculateFinalStats() mirrors HeroFactory, EquipmentManager,
+ *         TalentManager and StatCalculator.gd, i.e. what combat reads today.
+ *   data  calculateDataStats() applies stats-config.json as written: every
+ *         primaryStatConversions and secondaryStatConversions entry, every
+ *         ratingConversions rating with its cap, and the defense cap, plus
+ *         the spec's passiveEffects that have a stat to act on.
+ *
+ * calculateCharacterSheet() returns both plus notes on where
+ * StatCalculator.gd departs from stats-config.json, and
+ * calculateStatWeights() turns either view into marginal DPS per point.
+ *
+ * Keep the game-side formulas in step with the GDScript sources. Scene-bound
+ * modifiers (party buffs, forms, status effects) are not applied, and
+ * EquipmentManager's armor proficiency check is not enforced.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', '..', 'road-to-war', 'data');
+
+export const DEFAULT_WEIGHT_STEP = 10;
+export const STAT_MODELS = ['data', 'game'];
+
+// Stats calculateStatWeights() bumps by default
+export const WEIGHT_STATS = [
+    'attack', 'attackPower', 'strength', 'agility', 'intellect', 'spellPower',
+    'hitRating', 'critRating', 'hasteRating', 'expertiseRating',
+    'spellHitRating', 'spellCritRating', 'spellHasteRating'
+];
+
+const DATA_FILES = {
+    classes: 'classes.json',
+    specializations: 'specializations.json',
+    talents: 'talents.json',
+    items: 'items.json',
+    skillGems: 'skill-gems.json',
+    statsConfig: 'stats-config.json',
+    enemies: 'enemies.json',
+    worldConfig: 'world-config.json'
+};
+
+// StatCalculator fallback when hero has no base stats
+const DEFAULT_FINAL_STATS = {
+    stamina: 10,
+    strength: 10,
+    intellect: 10,
+    agility: 10,
+    spirit: 10,
+    maxHealth: 100,
+    attack: 10,
+    defense: 5
+};
+
+// EquipmentManager.get_item_data() search order
+const EQUIPMENT_CATEGORIES = ['weapons', 'armor', 'accessories'];
+
+// EquipmentManager.equip_item(): item slot -> equipment slots it may fill
+const SLOT_ALIASES = {
+    ring: ['ring1', 'ring2'],
+    trinket: ['trinket1', 'trinket2'],
+    amulet: ['neck']
+};
+
+// Rating -> combined percentage in calculateDataStats().totals
+const RATING_TOTALS = {
+    hitRating: 'hitChance',
+    critRating: 'critChance',
+    hasteRating: 'haste',
+    expertiseRating: 'expertise',
+    resilienceRating: 'resilience',
+    spellHitRating: 'spellHitChance',
+    spellCritRating: 'spellCritChance',
+    spellHasteRating: 'spellHaste'
+};
+
+// Rating -> statCaps key holding its cap in percent
+const RATING_CAPS = {
+    hitRating: 'hitCap',
+    spellHitRating: 'spellHitCap',
+    expertiseRating: 'expertiseCap'
+};
+
+// primaryStatConversions targets that land on a differently named hero stat
+const STAT_ALIASES = {
+    health: 'maxHealth',
+    mana: 'maxMana'
+};
+
+// Spec passiveEffects the data model applies (HeroFactory only scales the
+// level 1 base by healthBonus, defenseBonus, strengthBonus and intellectBonus):
+//   stat     scales the summed stat before the conversions
+//   total    scales the converted total
+//   percent  adds the fraction, in percentage points, to each listed total
+// Other passives (school, pet or trap damage, threat, regen) have nothing to act on here.
+const SPEC_PASSIVES = {
+    strengthBonus: { stat: 'strength' },
+    agilityBonus: { stat: 'agility' },
+    intellectBonus: { stat: 'intellect' },
+    spiritBonus: { stat: 'spirit' },
+    healthBonus: { stat: 'maxHealth' },
+    defenseBonus: { stat: 'defense' },
+    attackPowerBonus: { total: 'attackPower' },
+    spellPowerBonus: { total: 'spellPower' },
+    critChanceBonus: { percent: ['critChance', 'spellCritChance'] },
+    spellCritBonus: { percent: ['spellCritChance'] },
+    hasteBonus: { percent: ['haste', 'spellHaste'] },
+    attackSpeedBonus: { percent: ['haste'] }
+};
+
+// StatCalculator.calculate_derived_stats(): what each primary stat feeds in game
+const GAME_CONVERSIONS = {
+    stamina: { health: 'data' },
+    strength: { attackPower: 'data' },
+    agility: { critRating: 0.5, hasteRating: 0.3 },
+    intellect: { maxMana: 15, spellPower: 1 }
+};
+
+// Ratings StatCalculator.calculate_final_stats() converts to percentages
+const GAME_RATINGS = ['hitRating', 'critRating'];
+
+/**
+ * Load the data files a character sheet needs
+ * @param {string} dataDir - Directory containing the Godot JSON data
+ * @returns {Object} { classes, specializations, talents, items, skillGems, statsConfig, enemies, worldConfig }
+ */
+export function loadStatData(dataDir = DEFAULT_DATA_DIR) {
+    const data = {};
+    for (const [key, file] of Object.entries(DATA_FILES)) {
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Data file not found: ${filePath}`);
+        }
+        try {
+            data[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Failed to parse ${filePath}: ${e.message}`);
+        }
+    }
+    return data;
+}
+
+/**
+ * HeroFactory._calculate_base_stats()
+ * @param {Object} classData - Entry from classes.json
+ * @param {Object} specData - Entry from specializations.json
+ * @returns {Object} Level 1 base stats
+ */
+export function calculateBaseStats(classData, specData) {
+    const base = {
+        stamina: 10,
+        strength: 10,
+        intellect: 10,
+        agility: 10,
+        spirit: 10,
+        maxHealth: 100,
+        maxMana: 100,
+        attack: 10,
+        defense: 5,
+        critChance: 0.05,
+        hitChance: 1.0,
+        haste: 1.0
+    };
+
+    switch (classData.primaryStat || 'strength') {
+        case 'strength':
+            base.strength += 5;
+            break;
+        case 'intellect':
+            base.intellect += 5;
+            break;
+        case 'agility':
+            base.agility += 5;
+            break;
+    }
+
+    const passives = specData.passiveEffects || {};
+    if ('healthBonus' in passives) base.maxHealth = Math.trunc(base.maxHealth * (1 + passives.healthBonus));
+    if ('defenseBonus' in passives) base.defense = Math.trunc(base.defense * (1 + passives.defenseBonus));
+    if ('strengthBonus' in passives) base.strength = Math.trunc(base.strength * (1 + passives.strengthBonus));
+    if ('intellectBonus' in passives) base.intellect = Math.trunc(base.intellect * (1 + passives.intellectBonus));
+
+    return base;
+}
+
+/**
+ * TalentManager.get_talent_bonuses()
+ * @param {Object} talentsData - talents.json
+ * @param {string} classId - Hero class
+ * @param {Object} allocation - { treeId: { talentId: points } }
+ * @returns {Object} Summed talent effects
+ */
+export function calculateTalentBonuses(talentsData, classId, allocation = {}) {
+    const bonuses = {};
+    const classTrees = talentsData[classId]?.trees || {};
+
+    for (const [treeId, treeTalents] of Object.entries(allocation)) {
+        const treeDef = classTrees[treeId]?.talents;
+        if (!treeDef) continue;
+
+        for (const [talentId, points] of Object.entries(treeTalents)) {
+            if (!(points > 0) || !treeDef[talentId]) continue;
+            for (const [effect, value] of Object.entries(treeDef[talentId].effects || {})) {
+                if (typeof value === 'number') {
+                    bonuses[effect] = (bonuses[effect] || 0) + value * points;
+                } else {
+                    bonuses[effect] = value;
+                }
+            }
+        }
+    }
+
+    return bonuses;
+}
+
+/**
+ * StatCalculator.convert_rating_to_percentage()
+ */
+export function convertRatingToPercentage(statsConfig, rating, statType) {
+    if (rating <= 0) return 0;
+    const conversion = statsConfig.ratingConversions?.[statType] || {};
+    const perPercent = conversion.perPercentage ?? 15.77;
+    return Math.min(rating / perPercent, conversion.maxPercentage ?? 100);
+}
+
+/**
+ * StatCalculator.calculate_derived_stats()
+ */
+export function calculateDerivedStats(statsConfig, stats) {
+    const conversions = statsConfig.primaryStatConversions || {};
+    return {
+        health: (stats.stamina || 0) * (conversions.stamina?.health ?? 10),
+        attackPower: (stats.strength || 0) * (conversions.strength?.attackPower ?? 2),
+        critRating: (stats.agility || 0) * 0.5,
+        hasteRating: (stats.agility || 0) * 0.3,
+        maxMana: (stats.intellect || 0) * 15,
+        spellPower: (stats.intellect || 0) * 1
+    };
+}
+
+function addStats(target, source) {
+    for (const [stat, value] of Object.entries(source)) {
+        target[stat] = stat in target ? target[stat] + value : value;
+    }
+}
+
+/**
+ * StatCalculator.calculate_final_stats() for a freshly created hero
+ * @param {Object} data - Needs worldConfig and statsConfig
+ * @param {Object} baseStats - From calculateBaseStats()
+ * @param {number} level - Hero level
+ * @param {Object} equipmentStats - Summed equipment stats
+ * @param {Object} talentBonuses - From calculateTalentBonuses()
+ * @returns {Object} Final stats
+ */
+export function calculateFinalStats(data, baseStats, level, equipmentStats = {}, talentBonuses = {}) {
+    const finalStats = Object.keys(baseStats).length > 0 ? { ...baseStats } : { ...DEFAULT_FINAL_STATS };
+
+    const levelGains = data.worldConfig.player?.levelStatGains || {};
+    for (const [stat, gain] of Object.entries(levelGains)) {
+        finalStats[stat] = (finalStats[stat] || 0) + gain * (level - 1);
+    }
+
+    addStats(finalStats, equipmentStats);
+    addStats(finalStats, talentBonuses);
+
+    const derived = calculateDerivedStats(data.statsConfig, finalStats);
+    for (const [stat, value] of Object.entries(derived)) {
+        if (stat === 'health') {
+            finalStats.maxHealth = (finalStats.maxHealth ?? 100) + value;
+        } else if (stat === 'attackPower') {
+            finalStats.attack = (finalStats.attack || 0) + value;
+        } else {
+            finalStats[stat] = stat in finalStats ? finalStats[stat] + value : value;
+        }
+    }
+
+    finalStats.hitChance = convertRatingToPercentage(data.statsConfig, finalStats.hitRating || 0, 'hitRating');
+    finalStats.critChance = convertRatingToPercentage(data.statsConfig, finalStats.critRating || 0, 'critRating');
+    finalStats.health = finalStats.maxHealth ?? 100;
+
+    return finalStats;
+}
+
+/**
+ * EquipmentManager.get_gem_data() / _apply_gem_stats()
+ */
+function applyGemStats(skillGems, stats, gemId) {
+    let gem = null;
+    for (const category of Object.values(skillGems?.skillGems || {})) {
+        if (category[gemId]) {
+            gem = category[gemId];
+            break;
+        }
+    }
+    if (!gem) {
+        throw new Error(`Unknown gem: ${gemId}`);
+    }
+
+    const value = ((gem.minValue || 0) + (gem.maxValue || 0)) / 2;
+    if (gem.type === 'damage') {
+        stats.attack = (stats.attack || 0) + value;
+    } else if (gem.type === 'utility' && gem.effect === 'stun') {
+        stats.critRating = (stats.critRating || 0) + value;
+    }
+}
+
+/**
+ * EquipmentManager.calculate_equipment_stats(): item stats, socketed gems
+ * and items.json set bonuses for every threshold reached
+ * @param {Object} data - Needs items and skillGems
+ * @param {Array<string|Object>} gear - Item ids, or { id, sockets: [gemId] }
+ * @returns {Object} { stats, slots: { slot: itemId }, sets: [{ id, name, equipped, pieces, thresholds }] }
+ */
+export function calculateEquipmentStats(data, gear = []) {
+    const stats = {};
+    const slots = {};
+
+    for (const entry of gear) {
+        const itemId = typeof entry === 'string' ? entry : entry.id;
+        const category = EQUIPMENT_CATEGORIES.find(c => data.items[c]?.[itemId]);
+        if (!category) {
+            throw new Error(`Unknown item: ${itemId}`);
+        }
+        const item = data.items[category][itemId];
+
+        const candidates = SLOT_ALIASES[item.slot] || [item.slot];
+        const slot = candidates.find(s => !(s in slots));
+        if (!slot) {
+            throw new Error(`No free ${item.slot} slot for ${itemId} (already wearing ${candidates.map(s => slots[s]).join(', ')})`);
+        }
+        slots[slot] = itemId;
+
+        for (const [stat, value] of Object.entries(item.stats || {})) {
+            stats[stat] = (stats[stat] || 0) + value;
+        }
+        const sockets = (typeof entry === 'object' && entry.sockets) || item.sockets || [];
+        for (const gemId of sockets) {
+            if (gemId) applyGemStats(data.skillGems, stats, gemId);
+        }
+    }
+
+    const equipped = new Set(Object.values(slots));
+    const sets = [];
+    for (const [setId, set] of Object.entries(data.items.sets || {})) {
+        const pieces = set.pieces || [];
+        const count = pieces.filter(piece => equipped.has(piece)).length;
+        if (count === 0) continue;
+
+        const thresholds = [];
+        for (const [threshold, bonus] of Object.entries(set.bonuses || {})) {
+            if (count < parseInt(threshold, 10)) continue;
+            thresholds.push(parseInt(threshold, 10));
+            for (const [stat, value] of Object.entries(bonus)) {
+                stats[stat] = (stats[stat] || 0) + value;
+            }
+        }
+        sets.push({ id: setId, name: set.name || setId, equipped: count, pieces: pieces.length, thresholds });
+    }
+
+    return { stats, slots, sets };
+}
+
+/**
+ * Defense skill window for a level from stats-config.json defenseCap.
+ * Levels without their own "levelNN" entry extrapolate from the nearest one
+ * with the perLevel rates; ratingNeeded is the base-to-cap gap in rating.
+ * @returns {{base: number, cap: number, ratingNeeded: number}}
+ */
+export function defenseCapForLevel(statsConfig, level) {
+    const defenseCap = statsConfig.defenseCap || {};
+    const perLevel = defenseCap.perLevel || {};
+    const perRating = statsConfig.ratingConversions?.defenseRating?.perPercentage ?? 4.92;
+
+    const exact = defenseCap[`level${level}`];
+    if (exact) {
+        return {
+            base: exact.baseDefense,
+            cap: exact.defenseCap,
+            ratingNeeded: exact.ratingNeeded ?? Math.ceil((exact.defenseCap - exact.baseDefense) * perRating)
+        };
+    }
+
+    const anchors = Object.keys(defenseCap)
+        .map(key => /^level(\d+)$/.exec(key))
+        .filter(Boolean)
+        .map(match => ({ level: parseInt(match[1], 10), entry: defenseCap[match[0]] }))
+        .sort((a, b) => Math.abs(a.level - level) - Math.abs(b.level - level));
+
+    let base = level * (perLevel.baseDefensePerLevel ?? 0);
+    let cap = level * (perLevel.defenseCapPerLevel ?? 0);
+    if (anchors.length > 0) {
+        const { level: anchorLevel, entry } = anchors[0];
+        base = entry.baseDefense + (level - anchorLevel) * (perLevel.baseDefensePerLevel ?? 0);
+        cap = entry.defenseCap + (level - anchorLevel) * (perLevel.defenseCapPerLevel ?? 0);
+    }
+    return { base, cap, ratingNeeded: Math.ceil(Math.max(0, cap - base) * perRating) };
+}
+
+/**
+ * Derived stats exactly as stats-config.json describes them
+ * @param {Object} statsConfig - stats-config.json
+ * @param {Object} stats - Summed base, level, gear and talent stats (before derivation)
+ * @param {number} level - Hero level, for the defense cap
+ * @param {Object} passives - The spec's passiveEffects (see SPEC_PASSIVES)
+ * @returns {Object} { primary, secondary, ratings, defense, totals, passives }
+ *   primary/secondary hold what each conversion contributes; ratings hold
+ *   percent, cap and overcap per ratingConversions entry; totals combine them
+ *   with the flat stats (critChance = critRating % + agility %, in percent);
+ *   passives lists the spec passives applied and those without a stat to act on
+ */
+export function calculateDataStats(statsConfig, stats, level, passives = {}) {
+    const applied = {};
+    const ignored = [];
+    stats = { ...stats };
+    for (const [key, value] of Object.entries(passives)) {
+        const rule = SPEC_PASSIVES[key];
+        if (!rule || typeof value !== 'number') {
+            ignored.push(key);
+            continue;
+        }
+        applied[key] = value;
+        if (rule.stat) stats[rule.stat] = (stats[rule.stat] || 0) * (1 + value);
+    }
+
+    const primary = {};
+    for (const [source, conversions] of Object.entries(statsConfig.primaryStatConversions || {})) {
+        for (const [target, factor] of Object.entries(conversions)) {
+            if (typeof factor !== 'number') continue;
+            primary[target] = (primary[target] || 0) + (stats[source] || 0) * factor;
+        }
+    }
+
+    const ratings = {};
+    for (const [ratingId, conversion] of Object.entries(statsConfig.ratingConversions || {})) {
+        const rating = stats[ratingId] || 0;
+        const perPercentage = conversion.perPercentage ?? 15.77;
+        const maxPercentage = conversion.maxPercentage ?? 100;
+        const capKey = RATING_CAPS[ratingId];
+        const cap = capKey && statsConfig.statCaps?.[capKey] !== undefined
+            ? Math.min(statsConfig.statCaps[capKey], maxPercentage)
+            : maxPercentage;
+        ratings[ratingId] = {
+            rating,
+            percent: convertRatingToPercentage(statsConfig, rating, ratingId),
+            cap,
+            ratingToCap: Math.ceil(cap * perPercentage),
+            overcap: Math.max(0, rating - cap * perPercentage)
+        };
+    }
+
+    const totals = {};
+    const ratingTotals = Object.values(RATING_TOTALS);
+    for (const [target, value] of Object.entries(primary)) {
+        if (ratingTotals.includes(target)) continue;
+        totals[target] = (stats[STAT_ALIASES[target] || target] || 0) + value;
+    }
+    for (const [ratingId, total] of Object.entries(RATING_TOTALS)) {
+        if (!ratings[ratingId]) continue;
+        // Rating percentages stack with the primary stat percentages of the same name
+        totals[total] = ratings[ratingId].percent + (primary[total] || 0);
+    }
+    totals.spellPower = (stats.spellPower || 0) + (primary.spellPower || 0);
+    for (const [key, value] of Object.entries(applied)) {
+        const rule = SPEC_PASSIVES[key];
+        if (rule.total) totals[rule.total] = (totals[rule.total] || 0) * (1 + value);
+        for (const total of rule.percent || []) totals[total] = (totals[total] || 0) + value * 100;
+    }
+
+    const secondary = {};
+    for (const [source, conversions] of Object.entries(statsConfig.secondaryStatConversions || {})) {
+        const amount = totals[source] ?? stats[source] ?? 0;
+        for (const [target, factor] of Object.entries(conversions)) {
+            if (typeof factor !== 'number') continue;
+            secondary[target] = (secondary[target] || 0) + amount * factor;
+        }
+    }
+
+    // Defense rating buys defense skill points; ratingNeeded in the data
+    // (cap - base) x perPercentage only works out if they are not clamped
+    const window = defenseCapForLevel(statsConfig, level);
+    const perDefense = statsConfig.ratingConversions?.defenseRating?.perPercentage ?? 4.92;
+    const defenseSkill = window.base + (stats.defenseRating || 0) / perDefense;
+    const critReductionPerDefense = statsConfig.defenseCap?.perLevel?.critReductionPerDefense ?? 0;
+    if (ratings.defenseRating) {
+        ratings.defenseRating.ratingToCap = window.ratingNeeded;
+        ratings.defenseRating.overcap = Math.max(0, ratings.defenseRating.rating - window.ratingNeeded);
+    }
+    const defense = {
+        skill: defenseSkill,
+        base: window.base,
+        cap: window.cap,
+        ratingNeeded: window.ratingNeeded,
+        critReduction: Math.max(0, Math.min(defenseSkill, window.cap) - window.base) * critReductionPerDefense,
+        capped: defenseSkill >= window.cap
+    };
+
+    return { primary, secondary, ratings, defense, totals, passives: { applied, ignored } };
+}
+
+/**
+ * Places where StatCalculator.gd (GAME_CONVERSIONS, GAME_RATINGS) does not
+ * do what stats-config.json says, derived from the data so new entries show up
+ * @returns {string[]} One line per gap
+ */
+export function describeGameGaps(statsConfig, worldConfig = {}) {
+    const gaps = [];
+    const primaryConversions = statsConfig.primaryStatConversions || {};
+    const critPerPercent = statsConfig.ratingConversions?.critRating?.perPercentage ?? 15.77;
+
+    for (const [source, conversions] of Object.entries(primaryConversions)) {
+        const game = GAME_CONVERSIONS[source] || {};
+        for (const [target, factor] of Object.entries(conversions)) {
+            if (typeof factor !== 'number') continue;
+            const gameTarget = STAT_ALIASES[target] || target;
+            if (target === 'critChance' && game.critRating !== undefined) {
+                const gamePercent = game.critRating / critPerPercent;
+                if (Math.abs(gamePercent - factor) > 1e-6) {
+                    gaps.push(`${source} -> critChance: data says ${factor}% per point, StatCalculator.gd gives ${game.critRating} critRating (${gamePercent.toFixed(4)}%)`);
+                }
+            } else if (game[target] === 'data' || game[gameTarget] === 'data') {
+                continue;
+            } else if (game[gameTarget] !== undefined) {
+                if (game[gameTarget] !== factor) {
+                    gaps.push(`${source} -> ${target}: data says ${factor} per point, StatCalculator.gd hardcodes ${game[gameTarget]}`);
+                }
+            } else {
+                gaps.push(`${source} -> ${target} (${factor} per point) is not applied by StatCalculator.gd`);
+            }
+        }
+    }
+
+    for (const [source, conversions] of Object.entries(GAME_CONVERSIONS)) {
+        const dataTargets = Object.keys(primaryConversions[source] || {}).map(t => STAT_ALIASES[t] || t);
+        for (const [target, factor] of Object.entries(conversions)) {
+            if (factor === 'data' || dataTargets.includes(target)) continue;
+            if (target === 'critRating' && dataTargets.includes('critChance')) continue;
+            gaps.push(`StatCalculator.gd converts ${source} -> ${target} (${factor} per point); stats-config.json has no such conversion`);
+        }
+    }
+
+    const meleeDamage = statsConfig.secondaryStatConversions?.attackPower?.meleeDamage;
+    if (meleeDamage !== undefined && meleeDamage !== 1) {
+        gaps.push(`attackPower -> meleeDamage is ${meleeDamage} in data, StatCalculator.gd adds attack power to attack 1:1`);
+    }
+    if (statsConfig.secondaryStatConversions?.spellPower) {
+        gaps.push('spellPower -> spellDamage is not applied: DamageCalculator scales spells from attack, CombatManager only heals from spellPower');
+    }
+
+    const unconverted = Object.keys(statsConfig.ratingConversions || {}).filter(r => !GAME_RATINGS.includes(r));
+    if (unconverted.length > 0) {
+        gaps.push(`Ratings not converted by StatCalculator.gd: ${unconverted.join(', ')}`);
+    }
+    gaps.push('hitChance is computed but DamageCalculator misses at the flat world-config combat.missChance');
+    if (statsConfig.defenseCap || statsConfig.statCaps) {
+        gaps.push('defenseCap and statCaps are not read by any GDScript');
+    }
+    if (worldConfig.player?.levelStatGains?.health) {
+        gaps.push('levelStatGains.health is added to health, which StatCalculator.gd then overwrites with maxHealth');
+    }
+
+    return gaps;
+}
+
+/**
+ * Resolve a loadout's class and spec; accepts a spec key ("warrior_arms") as specId
+ * @returns {{classId: string, specId: string, specKey: string}}
+ */
+export function resolveSpec(data, classId, specId) {
+    if (classId && !data.classes[classId]) {
+        throw new Error(`Unknown class: ${classId}`);
+    }
+    let specKey = specId && data.specializations[specId] ? specId : `${classId}_${specId}`;
+    if (!specId) {
+        specKey = Object.keys(data.specializations).find(key => data.specializations[key].classId === classId);
+    }
+    const spec = data.specializations[specKey];
+    if (!spec) {
+        throw new Error(specId ? `Unknown spec: ${specId}${classId ? ` (class ${classId})` : ''}` : `Class ${classId} has no specs`);
+    }
+    const resolvedClass = classId || spec.classId;
+    if (!data.classes[resolvedClass]) {
+        throw new Error(`Unknown class: ${resolvedClass}`);
+    }
+    if (spec.classId !== resolvedClass) {
+        throw new Error(`Spec ${specKey} belongs to ${spec.classId}, not ${resolvedClass}`);
+    }
+    return { classId: resolvedClass, specId: spec.id, specKey };
+}
+
+function validateTalents(talentsData, classId, allocation) {
+    const classTrees = talentsData[classId]?.trees || {};
+    for (const [treeId, treeTalents] of Object.entries(allocation)) {
+        if (!classTrees[treeId]) {
+            throw new Error(`Unknown talent tree for ${classId}: ${treeId}`);
+        }
+        for (const [talentId, points] of Object.entries(treeTalents)) {
+            const talent = classTrees[treeId].talents?.[talentId];
+            if (!talent) {
+                throw new Error(`Unknown talent: ${treeId}/${talentId}`);
+            }
+            if (points > (talent.maxPoints ?? 0)) {
+                throw new Error(`${treeId}/${talentId} has ${points} points (max ${talent.maxPoints})`);
+            }
+        }
+    }
+}
+
+/**
+ * Character sheet for a loadout
+ * @param {Object} data - Output of loadStatData()
+ * @param {Object} loadout - { classId, specId, level, gear, talents, bonusStats }
+ *   gear is passed to calculateEquipmentStats(), talents is a TalentManager
+ *   allocation and bonusStats are extra flat stats added alongside gear
+ * @returns {Object} { loadout, damageKind, base, equipment, talents, stats, game, data, gaps }
+ *   stats is everything summed before derivation; game is the
+ *   StatCalculator.gd result; data is calculateDataStats()
+ */
+export function calculateCharacterSheet(data, loadout) {
+    const { classId, specId, specKey } = resolveSpec(data, loadout.classId, loadout.specId);
+    const level = loadout.level ?? 1;
+    if (!Number.isInteger(level) || level < 1) {
+        throw new Error(`Level must be an integer >= 1, got ${level}`);
+    }
+    const allocation = loadout.talents || {};
+    validateTalents(data.talents, classId, allocation);
+
+    const classData = data.classes[classId];
+    const specData = data.specializations[specKey];
+    const base = calculateBaseStats(classData, specData);
+    const equipment = calculateEquipmentStats(data, loadout.gear || []);
+    const gearStats = { ...equipment.stats };
+    addStats(gearStats, loadout.bonusStats || {});
+    const talents = calculateTalentBonuses(data.talents, classId, allocation);
+
+    const stats = { ...base };
+    for (const [stat, gain] of Object.entries(data.worldConfig.player?.levelStatGains || {})) {
+        stats[stat] = (stats[stat] || 0) + gain * (level - 1);
+    }
+    addStats(stats, gearStats);
+    addStats(stats, talents);
+
+    // The data model scales whole stats by the spec passives, so it starts from
+    // the base before HeroFactory's level 1 scaling
+    const dataStats = { ...stats };
+    const unscaledBase = calculateBaseStats(classData, {});
+    for (const [stat, value] of Object.entries(base)) {
+        dataStats[stat] += unscaledBase[stat] - value;
+    }
+
+    return {
+        loadout: { classId, specId, specKey, level, gear: equipment.slots, talents: allocation, bonusStats: loadout.bonusStats || {} },
+        damageKind: classData.primaryStat === 'intellect' ? 'spell' : 'physical',
+        base,
+        equipment,
+        talents,
+        stats,
+        game: calculateFinalStats(data, base, level, gearStats, talents),
+        data: calculateDataStats(data.statsConfig, dataStats, level, specData.passiveEffects),
+        gaps: describeGameGaps(data.statsConfig, data.worldConfig)
+    };
+}
+
+/**
+ * Expected auto-attack DPS of a sheet against a target, before rounding.
+ * game: DamageCalculator as it is (flat miss, critChance from critRating).
+ * data: hit, crit and haste from calculateDataStats(); attack power reaches
+ *       hits through secondaryStatConversions (meleeDamage, or spellDamage
+ *       and the spell ratings for intellect classes)
+ * @param {Object} combatConfig - world-config.json "combat" block
+ * @param {Object} sheet - From calculateCharacterSheet()
+ * @param {Object} targetStats - Enemy stats (see combat-simulator scaleEnemy())
+ * @param {string} model - One of STAT_MODELS
+ * @returns {Object} { dps, hitDamage, missChance, critChance, attackSpeed }
+ */
+export function expectedDps(combatConfig, sheet, targetStats, model = 'data') {
+    if (!STAT_MODELS.includes(model)) {
+        throw new Error(`Unknown stat model: ${model}`);
+    }
+    const baseMiss = combatConfig.missChance ?? 0.05;
+    const baseCrit = combatConfig.criticalHitChance ?? 0.05;
+    let attackSpeed = sheet.stats.attackSpeed ?? 1.5;
+    if (attackSpeed <= 0) attackSpeed = 1.5;
+
+    let attack, missChance, critChance;
+    if (model === 'game') {
+        attack = sheet.game.attack ?? 10;
+        missChance = baseMiss;
+        critChance = baseCrit + (sheet.game.critChance || 0) / 100;
+    } else {
+        const { totals, secondary } = sheet.data;
+        const spell = sheet.damageKind === 'spell';
+        attack = (sheet.stats.attack ?? 10) + ((spell ? secondary.spellDamage : secondary.meleeDamage) || 0);
+        missChance = Math.max(0, baseMiss - ((spell ? totals.spellHitChance : totals.hitChance) || 0) / 100);
+        critChance = baseCrit + ((spell ? totals.spellCritChance : totals.critChance) || 0) / 100;
+        attackSpeed /= 1 + ((spell ? totals.spellHaste : totals.haste) || 0) / 100;
+    }
+    critChance = Math.min(1, Math.max(0, critChance));
+
+    const physicalDamagePercent = (model === 'game' ? sheet.game : sheet.stats).physicalDamagePercent || 0;
+    const hitDamage = Math.max(1, attack - (targetStats.defense ?? 5)) * (1 + physicalDamagePercent / 100);
+    const perSwing = (1 - missChance) * hitDamage * (1 + critChance * ((combatConfig.criticalHitMultiplier ?? 2.0) - 1));
+
+    return { dps: perSwing / attackSpeed, hitDamage, missChance, critChance, attackSpeed };
+}
+
+/**
+ * Marginal DPS per point: bump each stat by `step` on top of the loadout
+ * and divide the expectedDps() gain by the step
+ * @param {Object} data - Output of loadStatData()
+ * @param {Object} loadout - As for calculateCharacterSheet()
+ * @param {Object} targetStats - Enemy stats
+ * @param {Object} options - { model, step, stats }
+ * @returns {Object} { model, step, damageKind, dps, weights: { stat: dpsPerPoint } }
+ */
+export function calculateStatWeights(data, loadout, targetStats, options = {}) {
+    const model = options.model || 'data';
+    const step = options.step || DEFAULT_WEIGHT_STEP;
+    const combatConfig = data.worldConfig.combat || {};
+    const sheet = calculateCharacterSheet(data, loadout);
+    const baseline = expectedDps(combatConfig, sheet, targetStats, model);
+
+    const weights = {};
+    for (const stat of options.stats || WEIGHT_STATS) {
+        const bonusStats = { ...(loadout.bonusStats || {}) };
+        bonusStats[stat] = (bonusStats[stat] || 0) + step;
+        const bumped = calculateCharacterSheet(data, { ...loadout, bonusStats });
+        weights[stat] = (expectedDps(combatConfig, bumped, targetStats, model).dps - baseline.dps) / step;
+    }
+
+    // Every class hits through DamageCalculator's physical path in game
+    const damageKind = model === 'game' ? 'physical' : sheet.damageKind;
+    return { model, step, damageKind, dps: baseline.dps, weights };
+}
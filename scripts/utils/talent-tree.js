@@ -0,0 +1,879 @@
+/**
+ * Talent Tree Toolkit
+ * Lint, import/export and render the talent trees in road-to-war/data/talents.json.
+ *
+ * talents.json layout:
+ *   { <classId>: { trees: { <treeId>: { id, name, talents: { <talentId>: Talent } } } } }
+ *
+ * Talent fields match what TalentManager.gd reads: maxPoints, row, column,
+ * prerequisite ({ talentId, pointsRequired, treePointsRequired? }, null or absent)
+ * and effects (summed per allocated point into the hero's stats).
+ *
+ * Authoring formats (one tree per file):
+ *   CSV  - one row per talent, effects as "key=value;key=value"
+ *   YAML - the tree as nested maps (small subset: maps, lists, flow lists, scalars)
+ * Both import back to the canonical JSON shape, so export -> import round-trips.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_TALENTS_PATH = path.resolve(__dirname, '..', '..', 'road-to-war', 'data', 'talents.json');
+
+// Canonical field order for a talent (matches the existing data)
+export const TALENT_FIELDS = [
+    'id', 'name', 'maxPoints', 'row', 'column', 'prerequisite',
+    'synergies', 'effects', 'description', 'icon'
+];
+
+// Effect keys the game understands. TalentManager.get_talent_bonuses() passes
+// any key through to StatCalculator and the abilities, so there is nothing to
+// derive this list from; the comment there points here. Add new keys when
+// StatCalculator or an ability learns to read them; anything else is reported
+// by the linter.
+export const KNOWN_EFFECT_KEYS = new Set([
+    'absorbAmount', 'absorbBonus', 'allowOffhandWeapon', 'allowTwoHandInOneHand', 'aoe',
+    'aoeHealing', 'armorBonus', 'attackPowerBonus', 'attackPowerReduction', 'attackSpeed',
+    'attackSpeedBonus', 'attacks', 'auraEffectBonus', 'backstabDamage', 'bleedBonus',
+    'bleedDamage', 'blockChance', 'blockChanceBonus', 'blockValue', 'blockValueBonus',
+    'bypassResistance', 'cannotBeKnockedBack', 'castTime', 'castTimeReduction', 'channeled',
+    'charges', 'clearcastChance', 'cooldownReduction', 'costReduction', 'critChance',
+    'critChanceBonus', 'critChanceIncreasePerSpell', 'critDamage', 'critDamageBonus',
+    'critImmunityChance', 'critManaReturn', 'critReduction', 'damage', 'damageBonus',
+    'damagePercent', 'damageReduction', 'damageTaken', 'damageTransfer', 'defenseBonus', 'disarm',
+    'dispelChance', 'dispelPenalty', 'dodgeChance', 'dotBonus', 'dotDamage', 'duration',
+    'durationBonus', 'effectBonus', 'energyRegen', 'entangleChance', 'executeChance',
+    'executeDamageBonus', 'extraAttackChance', 'extraTarget', 'guaranteedCrit', 'hasteBonus',
+    'hasteProcChance', 'heal', 'healAmount', 'healing', 'healingBonus', 'healingReceivedBonus',
+    'healingReduction', 'healingSpellPushbackReduction', 'healingTransfer', 'healthBonus',
+    'healthRegenBonus', 'heroicStrikeCostReduction', 'hitChance', 'holyDamageBonus', 'hot',
+    'immobilizeChance', 'immunity', 'instantCast', 'instantCastChance', 'intellectBonus',
+    'interruptChance', 'judgmentCooldownReduction', 'knockback', 'magicDamageReduction',
+    'manaBonus', 'manaCostIncrease', 'manaCostReduction', 'manaReduction', 'manaRegen',
+    'manaRegenBonus', 'manaRegenMultiplier', 'manaReturn', 'meleeCriticalChance', 'movementSpeed',
+    'movementSpeedBonus', 'parryChance', 'parryChanceBonus', 'partyDamageReduction',
+    'petCritChance', 'petDamage', 'petHealth', 'petStun', 'procChance', 'pushbackReduction',
+    'radius', 'rageBonus', 'rageCostReduction', 'rageGenBonus', 'rageOnShapeshift', 'range',
+    'rangeBonus', 'rangedCritChance', 'rangedCritDamage', 'reducesDamageTaken', 'reflectDamage',
+    'resistChanceBonus', 'resistSnareChance', 'rootChance', 'sealDamageBonus', 'shadowDamageBonus',
+    'shoutDurationBonus', 'shoutEffectBonus', 'silenceDuration', 'sleepDuration', 'slowAmount',
+    'slowBonus', 'spellCritBonus', 'spellCriticalChance', 'spellDamageBonus', 'spellHitBonus',
+    'spellPowerBonus', 'spiritBonus', 'staminaBonus', 'stanceRetention', 'statBonus',
+    'stealthLevel', 'strengthBonus', 'stunChance', 'stunDuration', 'summonFelguard',
+    'summonWolves', 'sunderBonus', 'targets', 'threatBonus', 'threatMultiplier', 'threatReduction',
+    'weaponSkillBonus'
+]);
+
+// ---------------------------------------------------------------------------
+// Load / save
+// ---------------------------------------------------------------------------
+
+/**
+ * Read talents.json
+ * @param {string} filePath - Path to talents.json
+ * @returns {Object} Parsed talent data
+ */
+export function loadTalents(filePath = DEFAULT_TALENTS_PATH) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write talents.json in the repo's formatting (2-space JSON, no trailing newline)
+ * @param {Object} data - Talent data
+ * @param {string} filePath - Path to talents.json
+ */
+export function saveTalents(data, filePath = DEFAULT_TALENTS_PATH) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Iterate every tree in the talent data
+ * @param {Object} data - Talent data
+ * @returns {Array<{classId: string, treeId: string, tree: Object}>}
+ */
+export function listTrees(data) {
+    const trees = [];
+    for (const [classId, classData] of Object.entries(data)) {
+        for (const [treeId, tree] of Object.entries(classData.trees || {})) {
+            trees.push({ classId, treeId, tree });
+        }
+    }
+    return trees;
+}
+
+// ---------------------------------------------------------------------------
+// Linter
+// ---------------------------------------------------------------------------
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+function suggestKey(key, known) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of known) {
+        const distance = candidate.toLowerCase() === key.toLowerCase() ? 0 : levenshtein(key, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+// Talents that (directly or transitively) require talentId
+function collectDependents(talents, talentId) {
+    const dependents = new Set();
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const [id, talent] of Object.entries(talents)) {
+            const required = talent.prerequisite && talent.prerequisite.talentId;
+            if (!required || dependents.has(id) || id === talentId) continue;
+            if (required === talentId || dependents.has(required)) {
+                dependents.add(id);
+                changed = true;
+            }
+        }
+    }
+    return dependents;
+}
+
+/**
+ * Lint one talent tree
+ * @param {string} classId - Class id (for messages)
+ * @param {string} treeId - Tree id
+ * @param {Object} tree - { id, name, talents }
+ * @param {Object} options - { knownEffects: Set<string> }
+ * @returns {Array<{severity: string, rule: string, classId: string, treeId: string, talentId: string|null, message: string}>}
+ */
+export function lintTree(classId, treeId, tree, options = {}) {
+    const knownEffects = options.knownEffects || KNOWN_EFFECT_KEYS;
+    const problems = [];
+    const report = (severity, rule, talentId, message) => {
+        problems.push({ severity, rule, classId, treeId, talentId, message });
+    };
+
+    if (tree.id !== treeId) {
+        report('error', 'id-mismatch', null, `tree id "${tree.id}" does not match its key "${treeId}"`);
+    }
+
+    const talents = tree.talents || {};
+    const cells = new Map();
+
+    for (const [talentId, talent] of Object.entries(talents)) {
+        if (talent.id !== talentId) {
+            report('error', 'id-mismatch', talentId, `id "${talent.id}" does not match its key`);
+        }
+
+        for (const field of Object.keys(talent)) {
+            if (!TALENT_FIELDS.includes(field)) {
+                report('error', 'unknown-field', talentId, `unknown field "${field}"`);
+            }
+        }
+
+        if (!isPositiveInteger(talent.maxPoints)) {
+            report('error', 'invalid-points', talentId, `maxPoints must be a positive integer, got ${JSON.stringify(talent.maxPoints)}`);
+        }
+
+        if (!talent.effects || Object.keys(talent.effects).length === 0) {
+            report('error', 'missing-effects', talentId, 'has no effects');
+        } else {
+            for (const key of Object.keys(talent.effects)) {
+                if (knownEffects.has(key)) continue;
+                const suggestion = suggestKey(key, knownEffects);
+                report('error', 'unknown-effect', talentId,
+                    `unknown effect key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+            }
+        }
+
+        if (!isPositiveInteger(talent.row) || !isPositiveInteger(talent.column)) {
+            report('error', 'invalid-cell', talentId,
+                `row and column must be positive integers, got (${JSON.stringify(talent.row)}, ${JSON.stringify(talent.column)})`);
+            continue;
+        }
+
+        const cell = `${talent.row}:${talent.column}`;
+        if (cells.has(cell)) {
+            report('error', 'duplicate-cell', talentId,
+                `shares cell (row ${talent.row}, column ${talent.column}) with "${cells.get(cell)}"`);
+        } else {
+            cells.set(cell, talentId);
+        }
+    }
+
+    // Prerequisites and point gates
+    let totalPoints = 0;
+    for (const talent of Object.values(talents)) {
+        if (isPositiveInteger(talent.maxPoints)) totalPoints += talent.maxPoints;
+    }
+
+    for (const [talentId, talent] of Object.entries(talents)) {
+        const prereq = talent.prerequisite;
+        if (!prereq) continue;
+
+        if (prereq.talentId !== undefined) {
+            const required = talents[prereq.talentId];
+            if (!required) {
+                report('error', 'missing-prerequisite', talentId, `prerequisite "${prereq.talentId}" is not in this tree`);
+            } else {
+                if (required.row >= talent.row) {
+                    report('error', 'prerequisite-tier', talentId,
+                        `prerequisite "${prereq.talentId}" is in row ${required.row}, which is not above row ${talent.row}`);
+                }
+                if (prereq.pointsRequired > required.maxPoints) {
+                    report('error', 'impossible-gate', talentId,
+                        `needs ${prereq.pointsRequired} points in "${prereq.talentId}", which only has ${required.maxPoints}`);
+                }
+            }
+            if (!isPositiveInteger(prereq.pointsRequired)) {
+                report('error', 'impossible-gate', talentId,
+                    `pointsRequired must be a positive integer, got ${JSON.stringify(prereq.pointsRequired)}`);
+            }
+        }
+
+        if (prereq.treePointsRequired !== undefined) {
+            // Points this talent and its dependents cannot count towards their own gate
+            const excluded = collectDependents(talents, talentId);
+            excluded.add(talentId);
+            let reachable = totalPoints;
+            for (const id of excluded) {
+                if (isPositiveInteger(talents[id].maxPoints)) reachable -= talents[id].maxPoints;
+            }
+            if (prereq.treePointsRequired > reachable) {
+                report('error', 'impossible-gate', talentId,
+                    `needs ${prereq.treePointsRequired} points in the tree, but only ${reachable} can be spent before it`);
+            }
+        }
+    }
+
+    // Prerequisite cycles (reported once, at the smallest id in the cycle)
+    const reported = new Set();
+    for (const startId of Object.keys(talents)) {
+        const chain = [];
+        let current = startId;
+        while (current && talents[current] && !chain.includes(current)) {
+            chain.push(current);
+            current = talents[current].prerequisite && talents[current].prerequisite.talentId;
+        }
+        if (!current || !chain.includes(current)) continue;
+
+        const cycle = chain.slice(chain.indexOf(current));
+        const anchor = [...cycle].sort()[0];
+        if (reported.has(anchor)) continue;
+        reported.add(anchor);
+        const start = cycle.indexOf(anchor);
+        const ordered = [...cycle.slice(start), ...cycle.slice(0, start), anchor];
+        report('error', 'prerequisite-cycle', anchor, `prerequisite cycle: ${ordered.join(' -> ')}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Lint every tree in the talent data
+ * @param {Object} data - Talent data
+ * @param {Object} options - { classId?: string, treeId?: string, knownEffects?: Set<string> }
+ * @returns {Array} Problems (see lintTree)
+ */
+export function lintTalents(data, options = {}) {
+    const problems = [];
+    for (const { classId, treeId, tree } of listTrees(data)) {
+        if (options.classId && classId !== options.classId) continue;
+        if (options.treeId && treeId !== options.treeId) continue;
+        problems.push(...lintTree(classId, treeId, tree, options));
+    }
+    return problems;
+}
+
+/**
+ * Identify a lint problem as "class/tree/talent [rule]" (the key of the known
+ * findings baseline in scripts/data-known-findings.json)
+ * @param {Object} problem - Problem from lintTree
+ * @returns {string}
+ */
+export function problemKey(problem) {
+    const location = [problem.classId, problem.treeId, problem.talentId].filter(Boolean).join('/');
+    return `${location} [${problem.rule}]`;
+}
+
+/**
+ * Format a lint problem as "class/tree/talent [rule] message"
+ * @param {Object} problem - Problem from lintTree
+ * @returns {string}
+ */
+export function formatProblem(problem) {
+    return `${problemKey(problem)} ${problem.message}`;
+}
+
+// ---------------------------------------------------------------------------
+// Canonical form
+// ---------------------------------------------------------------------------
+
+/**
+ * Put a talent into canonical field order. A prerequisite is only written when
+ * the source has the key, so talents without one round-trip unchanged
+ * @param {Object} talent - Talent definition
+ * @returns {Object} Normalized copy
+ */
+export function normalizeTalent(talent) {
+    const normalized = {};
+    for (const field of TALENT_FIELDS) {
+        if (field === 'prerequisite') {
+            if (talent.prerequisite !== undefined) {
+                normalized.prerequisite = talent.prerequisite ? { ...talent.prerequisite } : null;
+            }
+        } else if (field === 'effects') {
+            normalized.effects = { ...(talent.effects || {}) };
+        } else if (talent[field] !== undefined) {
+            normalized[field] = talent[field];
+        }
+    }
+    // Keep unknown fields so the linter can still see them after an import
+    for (const field of Object.keys(talent)) {
+        if (!TALENT_FIELDS.includes(field)) normalized[field] = talent[field];
+    }
+    return normalized;
+}
+
+/**
+ * Canonical copy of a tree (see normalizeTalent)
+ * @param {Object} tree - { id, name, talents }
+ * @returns {Object}
+ */
+export function normalizeTree(tree) {
+    const talents = {};
+    for (const [talentId, talent] of Object.entries(tree.talents || {})) {
+        talents[talentId] = normalizeTalent(talent);
+    }
+    return { id: tree.id, name: tree.name, talents };
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+    'id', 'name', 'maxPoints', 'row', 'column',
+    'prerequisite', 'pointsRequired', 'treePointsRequired',
+    'effects', 'enhances', 'synergyMultiplier', 'description', 'icon'
+];
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new Error('CSV: unterminated quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function parseScalar(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null' || text === '~') return null;
+    if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+function parseInteger(text, what) {
+    if (text === '') return undefined;
+    const value = Number(text);
+    if (!Number.isInteger(value)) throw new Error(`${what} must be an integer, got "${text}"`);
+    return value;
+}
+
+/**
+ * Export one tree as CSV
+ * @param {string} classId - Class id
+ * @param {string} treeId - Tree id
+ * @param {Object} tree - { id, name, talents }
+ * @returns {string} CSV text
+ */
+export function exportTreeCsv(classId, treeId, tree) {
+    const lines = [
+        `# class: ${classId}`,
+        `# tree: ${treeId}`,
+        `# name: ${tree.name}`,
+        CSV_COLUMNS.join(',')
+    ];
+
+    for (const talent of Object.values(tree.talents || {})) {
+        const prereq = talent.prerequisite || {};
+        const effects = Object.entries(talent.effects || {}).map(([key, value]) => `${key}=${value}`).join(';');
+        const synergies = talent.synergies || {};
+        const record = {
+            id: talent.id,
+            name: talent.name,
+            maxPoints: talent.maxPoints,
+            row: talent.row,
+            column: talent.column,
+            prerequisite: prereq.talentId,
+            pointsRequired: prereq.pointsRequired,
+            treePointsRequired: prereq.treePointsRequired,
+            effects,
+            enhances: (synergies.enhances || []).join('|'),
+            synergyMultiplier: synergies.bonus_multiplier,
+            description: talent.description,
+            icon: talent.icon
+        };
+        lines.push(CSV_COLUMNS.map(column => csvField(record[column])).join(','));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Import one tree from CSV (see exportTreeCsv)
+ * @param {string} text - CSV text
+ * @returns {{classId: string, treeId: string, tree: Object}}
+ */
+export function importTreeCsv(text) {
+    const meta = {};
+    const body = [];
+    for (const line of text.split(/\r?\n/)) {
+        const match = body.length === 0 && line.match(/^#\s*(\w+):\s*(.*)$/);
+        if (match) {
+            meta[match[1]] = match[2].trim();
+        } else if (body.length > 0 || line.trim() !== '') {
+            body.push(line);
+        }
+    }
+
+    const rows = parseCsvRows(body.join('\n')).filter(row => row.some(cell => cell !== ''));
+    if (rows.length === 0) throw new Error('CSV: missing header row');
+
+    const header = rows[0];
+    const missing = ['id', 'maxPoints', 'row', 'column'].filter(column => !header.includes(column));
+    if (missing.length > 0) throw new Error(`CSV: missing column(s) ${missing.join(', ')}`);
+    if (!meta.class || !meta.tree) throw new Error('CSV: missing "# class:" or "# tree:" header line');
+
+    const talents = {};
+    rows.slice(1).forEach((cells, index) => {
+        const line = index + 2;
+        const record = Object.fromEntries(header.map((column, i) => [column, cells[i] === undefined ? '' : cells[i]]));
+        const where = `CSV row ${line}`;
+
+        const talent = {
+            id: record.id,
+            name: record.name || undefined,
+            maxPoints: parseInteger(record.maxPoints, `${where} maxPoints`),
+            row: parseInteger(record.row, `${where} row`),
+            column: parseInteger(record.column, `${where} column`),
+            prerequisite: undefined,
+            effects: {},
+            description: record.description || undefined,
+            icon: record.icon || undefined
+        };
+
+        if (record.prerequisite || record.treePointsRequired) {
+            talent.prerequisite = {};
+            if (record.prerequisite) {
+                talent.prerequisite.talentId = record.prerequisite;
+                talent.prerequisite.pointsRequired = parseInteger(record.pointsRequired, `${where} pointsRequired`);
+            }
+            if (record.treePointsRequired) {
+                talent.prerequisite.treePointsRequired = parseInteger(record.treePointsRequired, `${where} treePointsRequired`);
+            }
+        }
+
+        for (const pair of (record.effects || '').split(';').filter(Boolean)) {
+            const eq = pair.indexOf('=');
+            if (eq <= 0) throw new Error(`${where}: effect "${pair}" must be key=value`);
+            talent.effects[pair.slice(0, eq).trim()] = parseScalar(pair.slice(eq + 1).trim());
+        }
+
+        if (record.enhances || record.synergyMultiplier) {
+            talent.synergies = {
+                enhances: (record.enhances || '').split('|').filter(Boolean),
+                bonus_multiplier: record.synergyMultiplier === '' ? undefined : parseScalar(record.synergyMultiplier)
+            };
+        }
+
+        if (!talent.id) throw new Error(`${where}: id is required`);
+        if (talents[talent.id]) throw new Error(`${where}: duplicate id "${talent.id}"`);
+        talents[talent.id] = normalizeTalent(talent);
+    });
+
+    return {
+        classId: meta.class,
+        treeId: meta.tree,
+        tree: { id: meta.tree, name: meta.name || meta.tree, talents }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// YAML (subset)
+// ---------------------------------------------------------------------------
+
+const YAML_RESERVED = /^(true|false|null|yes|no|on|off|~)$/i;
+
+function yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value !== 'string') return String(value);
+    const plain = /^[A-Za-z_][\w .'()/-]*$/.test(value)
+        && !YAML_RESERVED.test(value)
+        && value === value.trim();
+    return plain ? value : JSON.stringify(value);
+}
+
+function yamlLines(value, indent, lines) {
+    const pad = ' '.repeat(indent);
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+                const nested = [];
+                yamlLines(item, indent + 2, nested);
+                if (nested.length === 0) {
+                    lines.push(`${pad}- {}`);
+                } else {
+                    lines.push(`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1));
+                }
+            } else {
+                lines.push(`${pad}- ${yamlScalar(item)}`);
+            }
+        }
+        return;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        if (child === undefined) continue;
+        if (Array.isArray(child) && child.every(item => item === null || typeof item !== 'object')) {
+            lines.push(`${pad}${key}: [${child.map(yamlScalar).join(', ')}]`);
+        } else if (child !== null && typeof child === 'object') {
+            if (Object.keys(child).length === 0) {
+                lines.push(`${pad}${key}: ${Array.isArray(child) ? '[]' : '{}'}`);
+            } else {
+                lines.push(`${pad}${key}:`);
+                yamlLines(child, indent + 2, lines);
+            }
+        } else {
+            lines.push(`${pad}${key}: ${yamlScalar(child)}`);
+        }
+    }
+}
+
+/**
+ * Export one tree as YAML
+ * @param {string} classId - Class id
+ * @param {string} treeId - Tree id
+ * @param {Object} tree - { id, name, talents }
+ * @returns {string} YAML text
+ */
+export function exportTreeYaml(classId, treeId, tree) {
+    const document = {
+        class: classId,
+        tree: treeId,
+        name: tree.name,
+        talents: Object.values(tree.talents || {}).map(normalizeTalent)
+    };
+    const lines = [`# Talent tree ${classId}/${treeId} - import with: node scripts/talent-tools.js import <file>`];
+    yamlLines(document, 0, lines);
+    return lines.join('\n') + '\n';
+}
+
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text;
+}
+
+function splitFlow(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            current += char;
+            if (char === '\\' && quote === '"') current += text[++i];
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+            current += char;
+        } else if (char === ',') {
+            items.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim() !== '') items.push(current.trim());
+    return items;
+}
+
+function parseYamlScalar(text, lineNo) {
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new Error(`YAML line ${lineNo}: invalid double-quoted string`);
+        }
+    }
+    if (text.startsWith('\'')) {
+        if (!text.endsWith('\'') || text.length < 2) throw new Error(`YAML line ${lineNo}: invalid single-quoted string`);
+        return text.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (text.startsWith('[')) {
+        if (!text.endsWith(']')) throw new Error(`YAML line ${lineNo}: unterminated flow list`);
+        return splitFlow(text.slice(1, -1)).map(item => parseYamlScalar(item, lineNo));
+    }
+    if (text === '{}') return {};
+    return parseScalar(text);
+}
+
+const YAML_KEY = /^([\w$.-]+|"(?:[^"\\]|\\.)*"):(?:\s+(.*))?$/;
+
+/**
+ * Parse the YAML subset written by exportTreeYaml
+ * (block maps, block lists, flow lists of scalars, quoted/plain scalars, comments)
+ * @param {string} text - YAML text
+ * @returns {*} Parsed value
+ */
+export function parseYaml(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        if (/^\s*\t/.test(raw)) throw new Error(`YAML line ${index + 1}: tabs are not allowed for indentation`);
+        const content = stripComment(raw).trimEnd();
+        if (content.trim() === '') return;
+        const indent = content.length - content.trimStart().length;
+        const body = content.trimStart();
+
+        // "- key: value" opens a list item whose map continues at indent + 2
+        const item = body.match(/^-(?:\s+(.*))?$/);
+        if (item) {
+            lines.push({ indent, text: '-', lineNo: index + 1 });
+            if (item[1] !== undefined) lines.push({ indent: indent + 2, text: item[1], lineNo: index + 1 });
+        } else {
+            lines.push({ indent, text: body, lineNo: index + 1 });
+        }
+    });
+
+    let position = 0;
+
+    function parseBlock(indent) {
+        const first = lines[position];
+        if (first.text === '-') {
+            const list = [];
+            while (position < lines.length && lines[position].indent === indent && lines[position].text === '-') {
+                position++;
+                const next = lines[position];
+                list.push(next && next.indent > indent ? parseBlock(next.indent) : null);
+            }
+            return list;
+        }
+
+        if (!YAML_KEY.test(first.text)) {
+            position++;
+            return parseYamlScalar(first.text, first.lineNo);
+        }
+
+        const map = {};
+        while (position < lines.length && lines[position].indent === indent) {
+            const line = lines[position];
+            const match = line.text.match(YAML_KEY);
+            if (!match) throw new Error(`YAML line ${line.lineNo}: expected "key: value"`);
+            const key = match[1].startsWith('"') ? JSON.parse(match[1]) : match[1];
+            position++;
+
+            if (match[2] !== undefined && match[2] !== '') {
+                map[key] = parseYamlScalar(match[2], line.lineNo);
+            } else if (position < lines.length && lines[position].indent > indent) {
+                map[key] = parseBlock(lines[position].indent);
+            } else if (position < lines.length && lines[position].indent === indent && lines[position].text === '-') {
+                // Lists may sit at the same indent as their key
+                map[key] = parseBlock(indent);
+            } else {
+                map[key] = null;
+            }
+        }
+        return map;
+    }
+
+    if (lines.length === 0) return null;
+    const value = parseBlock(lines[0].indent);
+    if (position < lines.length) {
+        throw new Error(`YAML line ${lines[position].lineNo}: unexpected indentation`);
+    }
+    return value;
+}
+
+/**
+ * Import one tree from YAML (see exportTreeYaml)
+ * @param {string} text - YAML text
+ * @returns {{classId: string, treeId: string, tree: Object}}
+ */
+export function importTreeYaml(text) {
+    const document = parseYaml(text);
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error('YAML: expected a map with class, tree and talents');
+    }
+    if (!document.class || !document.tree) throw new Error('YAML: missing "class" or "tree"');
+    if (!Array.isArray(document.talents)) throw new Error('YAML: "talents" must be a list');
+
+    const talents = {};
+    document.talents.forEach((talent, index) => {
+        if (!talent || typeof talent !== 'object' || !talent.id) {
+            throw new Error(`YAML: talent #${index + 1} needs an id`);
+        }
+        if (talents[talent.id]) throw new Error(`YAML: duplicate id "${talent.id}"`);
+        talents[talent.id] = normalizeTalent(talent);
+    });
+
+    return {
+        classId: String(document.class),
+        treeId: String(document.tree),
+        tree: { id: String(document.tree), name: document.name || String(document.tree), talents }
+    };
+}
+
+/**
+ * Pick the authoring format from a file name
+ * @param {string} filePath - File path
+ * @returns {'csv'|'yaml'|null}
+ */
+export function formatFromPath(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.csv') return 'csv';
+    if (ext === '.yaml' || ext === '.yml') return 'yaml';
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// ASCII renderer
+// ---------------------------------------------------------------------------
+
+const CELL_WIDTH = 18;
+
+function cellText(talents) {
+    if (talents.length === 0) return '';
+    const talent = talents[0];
+    const prereq = talent.prerequisite || {};
+    const marks = (prereq.talentId ? '^' : '') + (prereq.treePointsRequired ? '#' : '') + (talents.length > 1 ? '!' : '');
+    const suffix = ` ${talent.maxPoints}${marks}`;
+    const room = CELL_WIDTH - 2 - suffix.length;
+    const name = String(talent.name || talent.id);
+    return (name.length > room ? `${name.slice(0, room - 1)}~` : name) + suffix;
+}
+
+/**
+ * Render one tree as an ASCII grid
+ * Cell: "<name> <maxPoints><marks>" where ^ = needs another talent,
+ * # = needs tree points, ! = more than one talent in this cell.
+ * @param {string} classId - Class id
+ * @param {string} treeId - Tree id
+ * @param {Object} tree - { id, name, talents }
+ * @returns {string}
+ */
+export function renderTree(classId, treeId, tree) {
+    const talents = Object.values(tree.talents || {});
+    const placed = talents.filter(t => isPositiveInteger(t.row) && isPositiveInteger(t.column));
+    const rows = Math.max(1, ...placed.map(t => t.row));
+    const columns = Math.max(1, ...placed.map(t => t.column));
+    const totalPoints = talents.reduce((sum, t) => sum + (isPositiveInteger(t.maxPoints) ? t.maxPoints : 0), 0);
+
+    const border = '      +' + Array(columns).fill('-'.repeat(CELL_WIDTH)).join('+') + '+';
+    const lines = [
+        `${tree.name || treeId} [${classId}/${treeId}] - ${talents.length} talents, ${totalPoints} points`,
+        '      ' + Array.from({ length: columns }, (_, i) => ` col ${i + 1}`.padEnd(CELL_WIDTH + 1)).join('').trimEnd(),
+        border
+    ];
+
+    for (let row = 1; row <= rows; row++) {
+        const cells = [];
+        for (let column = 1; column <= columns; column++) {
+            const here = placed.filter(t => t.row === row && t.column === column);
+            cells.push(` ${cellText(here)}`.padEnd(CELL_WIDTH));
+        }
+        lines.push(`r${String(row).padEnd(4)} |${cells.join('|')}|`);
+        lines.push(border);
+    }
+
+    const links = talents
+        .filter(t => t.prerequisite && (t.prerequisite.talentId || t.prerequisite.treePointsRequired))
+        .map(t => {
+            const parts = [];
+            if (t.prerequisite.talentId) parts.push(`${t.prerequisite.talentId} (${t.prerequisite.pointsRequired})`);
+            if (t.prerequisite.treePointsRequired) parts.push(`${t.prerequisite.treePointsRequired} tree points`);
+            return `  ${t.id} <- ${parts.join(', ')}`;
+        });
+    if (links.length > 0) {
+        lines.push('Prerequisites:', ...links);
+    }
+
+    const unplaced = talents.filter(t => !placed.includes(t));
+    if (unplaced.length > 0) {
+        lines.push(`Not on the grid: ${unplaced.map(t => t.id).join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Validate Data - Schema and Cross-Reference Checks for road-to-war/data
+ *
+ * Validates every data file against its schema in scripts/schemas/v1 and
+ * checks references between files. Problems are printed as
+ * <file>#<json-pointer>: <message>. Problems listed under "validate" in
+ * scripts/data-known-findings.json are printed as known findings with their
+ * reason and do not fail the run. Exits with code 1 when there are errors.
+ *
+ * Usage:
+ *   node scripts/validate-data.js [options]
+ *   npm run validate:data
+ *
+ * Options:
+ *   --data <dir>       Data directory (default: road-to-war/data)
+ *   --schemas <dir>    Schema directory (default: scripts/schemas/v1)
+ *   --json             Print the result as JSON instead of text
+ *   --strict           Treat warnings as errors
+ *   --known <file>     Known findings baseline (default: scripts/data-known-findings.json)
+ *   --ignore-known     Report known findings as errors/warnings
+ *   --help, -h         Show this help
+ */
+
+import path from 'path';
+import {
+    validateDataDir,
+    loadKnownFindings,
+    DEFAULT_DATA_DIR,
+    DEFAULT_SCHEMA_DIR,
+    DEFAULT_KNOWN_FINDINGS,
+    SCHEMA_VERSION
+} from './utils/data-validation.js';
+
+function printHelp() {
+    console.log(`
+Validate Data - schema and cross-reference checks for road-to-war/data
+
+Usage:
+  node scripts/validate-data.js [options]
+
+Options:
+  --data <dir>       Data directory (default: road-to-war/data)
+  --schemas <dir>    Schema directory (default: scripts/schemas/${SCHEMA_VERSION})
+  --json             Print the result as JSON instead of text
+  --strict           Treat warnings as errors
+  --known <file>     Known findings baseline (default: scripts/data-known-findings.json)
+  --ignore-known     Report known findings as errors/warnings
+  --help, -h         Show this help
+
+Known findings are entries under "validate" in the baseline, keyed as printed
+(<file>#<json-pointer>) with a "reason"; remove an entry once the data is fixed.
+`);
+}
+
+function parseArgs(argv) {
+    const options = {
+        dataDir: DEFAULT_DATA_DIR,
+        schemaDir: DEFAULT_SCHEMA_DIR,
+        knownFile: DEFAULT_KNOWN_FINDINGS,
+        ignoreKnown: false,
+        json: false,
+        strict: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--data':
+            case '--schemas':
+                if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+                options[arg === '--data' ? 'dataDir' : 'schemaDir'] = path.resolve(argv[++i]);
+                break;
+            case '--known':
+                if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+                options.knownFile = path.resolve(argv[++i]);
+                break;
+            case '--ignore-known':
+                options.ignoreKnown = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function formatProblem(problem) {
+    return `${problem.file}#${problem.pointer}: ${problem.message}`;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const known = options.ignoreKnown ? {} : loadKnownFindings('validate', options.knownFile);
+    const result = validateDataDir({ dataDir: options.dataDir, schemaDir: options.schemaDir, known });
+    const failed = result.errors.length > 0 || (options.strict && result.warnings.length > 0);
+
+    if (options.json) {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, ok: !failed, ...result }, null, 2));
+        process.exit(failed ? 1 : 0);
+    }
+
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('        ROAD OF WAR - DATA VALIDATION');
+    console.log('═══════════════════════════════════════════════════════════\n');
+    console.log(`📂 Data:    ${options.dataDir}`);
+    console.log(`📐 Schemas: ${options.schemaDir}`);
+    console.log(`📄 Files:   ${result.files.length}\n`);
+
+    if (result.errors.length > 0) {
+        console.log(`❌ Errors (${result.errors.length}):`);
+        for (const problem of result.errors) {
+            console.log(`   ${formatProblem(problem)}`);
+        }
+        console.log('');
+    }
+
+    if (result.warnings.length > 0) {
+        console.log(`⚠️  Warnings (${result.warnings.length}):`);
+        for (const problem of result.warnings) {
+            console.log(`   ${formatProblem(problem)}`);
+        }
+        console.log('');
+    }
+
+    if (result.known.length > 0) {
+        console.log(`📋 Known findings (${result.known.length}), waiting on a data fix:`);
+        for (const problem of result.known) {
+            console.log(`   ${formatProblem(problem)}`);
+            console.log(`      ↳ ${problem.reason}`);
+        }
+        console.log('');
+    }
+
+    for (const key of result.unusedKnown) {
+        console.log(`⚠️  Known finding no longer reported: ${key} (remove it from ${path.basename(options.knownFile)})`);
+    }
+    if (result.unusedKnown.length > 0) console.log('');
+
+    if (failed) {
+        console.log(`❌ Data validation failed: ${result.errors.length} error(s), ${result.warnings.length} warning(s)\n`);
+        process.exit(1);
+    }
+
+    console.log(`✅ Data validation passed (${result.warnings.length} warning(s), ${result.known.length} known finding(s))\n`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('\n❌ Fatal error:', err.message);
+    process.exit(1);
+}
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+/**
+ * Incremental Asset Build
+ * Manifest-driven build on top of UnifiedAssetGenerator.generate()
+ * - Groups of records (data file entries or inline lists) are declared in tools/asset-manifest.json
+ * - Each record is hashed together with its generator version and the build seed
+ * - A group may name a reference style file (outline, color count) applied to all its sprites
+ * - Outputs whose hash is unchanged (and whose files still exist) are skipped
+ * - A lockfile records every produced file and the hash it came from
+ * - Outputs whose data entry was deleted are removed (orphan pruning)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { UnifiedAssetGenerator } from './unified-asset-generator.js';
+import { SPELL_TYPE_COLORS } from './generators/spell-icon-generator.js';
+import { RARITY_COLORS } from './generators/item-icon-generator.js';
+import { resolveResPathToDisk, isMeaningfulTexture } from './utils/canvas-utils.js';
+import { AssetLockfile, hashValue, hashFile } from './utils/asset-lockfile.js';
+import { loadStyleConfig } from './utils/style-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    MANIFEST: path.join(__dirname, 'asset-manifest.json'),
+    GROUPS: [],
+    SEED: null,
+    FORCE: false,
+    DRY_RUN: false,
+    PRUNE: true
+};
+
+// UnifiedAssetGenerator constructor key for each asset type's size config
+const GENERATOR_CONFIG_KEYS = {
+    hero: 'hero',
+    enemy: 'enemy',
+    item_icon: 'itemIcon',
+    projectile: 'projectile',
+    vfx: 'vfx',
+    equipment: 'equipment'
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG, GROUPS: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--manifest':
+                config.MANIFEST = path.resolve(args[++i] || CONFIG.MANIFEST);
+                break;
+            case '--group':
+                config.GROUPS.push(...String(args[++i] || '').split(',').map(g => g.trim()).filter(Boolean));
+                break;
+            case '--seed':
+                const seed = parseInt(args[++i], 10);
+                config.SEED = isNaN(seed) ? null : seed;
+                break;
+            case '--force':
+                config.FORCE = true;
+                break;
+            case '--dry-run':
+                config.DRY_RUN = true;
+                break;
+            case '--no-prune':
+                config.PRUNE = false;
+                break;
+            case '--help':
+                console.log(`
+Incremental Asset Build
+
+Usage: node tools/build-assets.js [options]
+
+Options:
+  --manifest <path>   Asset manifest (default: tools/asset-manifest.json)
+  --group <ids>       Only build these manifest groups (comma-separated, repeatable)
+  --seed <number>     Override the manifest seed (changes every hash)
+  --force             Regenerate everything, ignoring the lockfile
+  --dry-run           Report what would be generated or pruned without writing
+  --no-prune          Keep outputs whose data entry was deleted
+  --help              Show this help message
+
+Examples:
+  node tools/build-assets.js
+  node tools/build-assets.js --group enemies,spell_icons
+  node tools/build-assets.js --dry-run
+                `);
+                process.exit(0);
+                break;
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Load and sanity-check the asset manifest
+ */
+function loadManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`Asset manifest not found: ${manifestPath}`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (!Array.isArray(manifest.groups)) {
+        throw new Error(`Asset manifest has no "groups" array: ${manifestPath}`);
+    }
+
+    const ids = new Set();
+    for (const group of manifest.groups) {
+        if (!group.id || !group.type || !group.outputDir) {
+            throw new Error(`Manifest group is missing id, type or outputDir: ${JSON.stringify(group)}`);
+        }
+        if (ids.has(group.id)) {
+            throw new Error(`Duplicate manifest group id: ${group.id}`);
+        }
+        ids.add(group.id);
+    }
+
+    return manifest;
+}
+
+/**
+ * Check a record against a group's include/exclude filters
+ * Filter values may be a single value or a list of accepted values
+ */
+function matchesFilter(data, filter) {
+    return Object.entries(filter).every(([key, expected]) => {
+        const accepted = Array.isArray(expected) ? expected : [expected];
+        return accepted.includes(data?.[key]);
+    });
+}
+
+/**
+ * Collect the records for a manifest group
+ * @returns {Array<{id: string, data: Object}>} Records in source order
+ */
+function collectRecords(group) {
+    let entries = [];
+
+    if (group.collect === 'inline') {
+        entries = (group.records || []).map(record => [record.id, record]);
+    } else {
+        const sourcePath = path.join(ROOT, group.source || '');
+        if (!group.source || !fs.existsSync(sourcePath)) {
+            console.warn(`   ${group.source || '(no source)'} not found, skipping ${group.id}`);
+            return [];
+        }
+        const source = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+
+        switch (group.collect) {
+            case 'entries':
+                entries = Object.entries(source);
+                break;
+            case 'nested':
+                // Two levels deep, e.g. abilities.json { className: { abilityId: data } }
+                for (const inner of Object.values(source)) {
+                    entries.push(...Object.entries(inner || {}));
+                }
+                break;
+            case 'categories':
+                for (const category of group.categories || []) {
+                    entries.push(...Object.entries(source[category] || {}));
+                }
+                break;
+            default:
+                throw new Error(`Unknown collect mode "${group.collect}" in group ${group.id}`);
+        }
+    }
+
+    const records = new Map();
+    for (const [id, data] of entries) {
+        if (!id) continue;
+        if (group.include && !matchesFilter(data, group.include)) continue;
+        if (group.exclude && matchesFilter(data, group.exclude)) continue;
+        if (records.has(id)) {
+            console.warn(`   Duplicate id "${id}" in ${group.id}, last entry wins`);
+        }
+        records.set(id, data);
+    }
+
+    return Array.from(records, ([id, data]) => ({ id, data }));
+}
+
+/**
+ * Projectile and VFX generators take colors as numbers; the manifest stores hex strings
+ */
+function normalizeRecordData(type, data) {
+    if ((type === 'projectile' || type === 'vfx') && typeof data.color === 'string') {
+        return { ...data, color: parseInt(data.color.replace('#', ''), 16) };
+    }
+    return data;
+}
+
+/**
+ * Glow color written to the asset metadata (mirrors generate-all-assets.js)
+ */
+function getGlowColor(type, data) {
+    switch (type) {
+        case 'enemy':
+            return data.appearance?.color || '#888888';
+        case 'spell_icon':
+            return (SPELL_TYPE_COLORS[data.type] || SPELL_TYPE_COLORS.attack).primary;
+        case 'item_icon':
+        case 'equipment':
+            return (RARITY_COLORS[data.rarity] || RARITY_COLORS.common).base;
+        case 'projectile':
+        case 'vfx':
+            return '#' + data.color.toString(16).padStart(6, '0');
+        default:
+            return null;
+    }
+}
+
+/**
+ * Build the metadata JSON written next to each PNG
+ */
+function buildMetadata(group, data) {
+    const { asset_type, profile, ...rest } = group.metadata || {};
+    const metadata = {
+        asset_type: asset_type || group.type,
+        profile: profile || group.type,
+        base_size: [group.size, group.size]
+    };
+
+    const glowColor = getGlowColor(group.type, data);
+    if (glowColor) metadata.glow_color = glowColor;
+    if (group.type === 'item_icon' || group.type === 'equipment') {
+        metadata.rarity = data.rarity || 'common';
+    }
+
+    return { ...metadata, ...rest };
+}
+
+/**
+ * Run one manifest group: hash, skip, generate, write, prune
+ */
+async function buildGroup(group, manifest, lockfile, config) {
+    const seed = config.SEED ?? manifest.seed ?? 0;
+    const outputDir = path.join(ROOT, manifest.outputRoot || 'road-to-war/assets', group.outputDir);
+    const configKey = GENERATOR_CONFIG_KEYS[group.type];
+    // Optional reference style (outline, color count) applied to every sprite of the group
+    const style = group.style ? loadStyleConfig(path.join(ROOT, group.style)) : null;
+    const generatorConfig = { size: group.size, ...(style ? { styleConfig: style } : {}) };
+    const generator = new UnifiedAssetGenerator(configKey ? { [configKey]: generatorConfig } : {});
+    const generatorVersion = generator.getVersion(group.type);
+
+    const records = collectRecords(group);
+    const stats = { generated: 0, skipped: 0, pruned: 0, failed: 0 };
+    console.log(`📦 ${group.id}: ${records.length} records (${group.type} v${generatorVersion})`);
+
+    if (!config.DRY_RUN && !fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    let progress = 0;
+    for (const { id, data: rawData } of records) {
+        progress++;
+        const data = normalizeRecordData(group.type, rawData);
+        const metadata = buildMetadata(group, data);
+        const pngPath = path.join(outputDir, `${id}.png`);
+        const jsonPath = path.join(outputDir, `${id}.json`);
+
+        // Item icons may draw an existing texture, so its contents are an input too
+        const texturePath = group.type === 'item_icon' ? resolveResPathToDisk(data.texture) : null;
+
+        const hash = hashValue({
+            type: group.type,
+            generatorVersion,
+            seed,
+            size: group.size,
+            outputDir: group.outputDir,
+            ...(style ? { style } : {}),
+            metadata,
+            record: data,
+            texture: hashFile(texturePath)
+        });
+
+        if (!config.FORCE && lockfile.isFresh(group.id, id, hash)) {
+            stats.skipped++;
+            continue;
+        }
+
+        if (config.DRY_RUN) {
+            console.log(`   would generate ${id}`);
+            stats.generated++;
+            continue;
+        }
+
+        try {
+            const canUseTexture = !!texturePath && fs.existsSync(texturePath) && (await isMeaningfulTexture(texturePath));
+            const canvas = await generator.generate(group.type, data, {
+                heroId: id,
+                enemyId: id,
+                abilityId: id,
+                itemId: id,
+                size: group.size,
+                seed,
+                texturePath,
+                canUseTexture
+            });
+
+            fs.writeFileSync(pngPath, canvas.toBuffer('image/png'));
+            fs.writeFileSync(jsonPath, JSON.stringify(metadata, null, 2));
+            lockfile.set(group.id, id, hash, [pngPath, jsonPath]);
+            stats.generated++;
+            process.stdout.write(`   ${progress}/${records.length} - Creating: ${id.substring(0, 24)}...\r`);
+        } catch (error) {
+            console.error(`\n   Error generating ${group.id}/${id}: ${error.message}`);
+            stats.failed++;
+        }
+    }
+
+    if (config.PRUNE) {
+        const currentIds = new Set(records.map(r => r.id));
+        for (const orphanId of lockfile.findOrphans(group.id, currentIds)) {
+            const removed = lockfile.prune(group.id, orphanId, { dryRun: config.DRY_RUN });
+            for (const file of removed) {
+                console.log(`   ${config.DRY_RUN ? 'would remove' : 'removed'} orphan ${path.relative(ROOT, file)}`);
+            }
+            stats.pruned++;
+        }
+    }
+
+    console.log(`\n   ✓ ${stats.generated} generated, ${stats.skipped} unchanged, ${stats.pruned} pruned${stats.failed ? `, ${stats.failed} failed` : ''}\n`);
+    return stats;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const startTime = Date.now();
+    const config = parseArgs();
+
+    try {
+        const manifest = loadManifest(config.MANIFEST);
+        const lockPath = path.join(ROOT, manifest.lockfile || 'tools/asset-manifest.lock.json');
+        const lockfile = new AssetLockfile(lockPath, ROOT).load();
+
+        const unknown = config.GROUPS.filter(id => !manifest.groups.some(g => g.id === id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown manifest group(s): ${unknown.join(', ')}`);
+        }
+        const groups = config.GROUPS.length > 0
+            ? manifest.groups.filter(g => config.GROUPS.includes(g.id))
+            : manifest.groups;
+
+        console.log(`🚀 Incremental asset build${config.DRY_RUN ? ' (dry run)' : ''}${config.FORCE ? ' (forced)' : ''}\n`);
+
+        const totals = { generated: 0, skipped: 0, pruned: 0, failed: 0 };
+        for (const group of groups) {
+            const stats = await buildGroup(group, manifest, lockfile, config);
+            for (const key of Object.keys(totals)) totals[key] += stats[key];
+        }
+
+        if (!config.DRY_RUN) {
+            lockfile.save();
+        }
+
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`✅ ${totals.generated} generated, ${totals.skipped} unchanged, ${totals.pruned} pruned in ${elapsed}s`);
+        if (!config.DRY_RUN) {
+            console.log(`🔒 Lockfile: ${path.relative(ROOT, lockPath)}`);
+        }
+
+        if (totals.failed > 0) {
+            console.error(`❌ ${totals.failed} asset(s) failed to generate`);
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('❌ Asset build failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
+
+export { main, loadManifest, collectRecords };
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Hero Sheet Builder
+ * Renders one sprite sheet per hero class with every animation in
+ * road-to-war/data/animation-config.json, in all four facing directions, at
+ * the game's frame counts and rates. Next to each sheet it writes a JSON
+ * manifest (frame rects per animation and direction) and a Godot SpriteFrames
+ * resource with one animation per row (walk_down, attack_left, ...).
+ * Animations the hero generator has no motion for yet are reported.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HeroSpriteGenerator } from './generators/hero-sprite-generator.js';
+import { buildHeroSheet } from './utils/hero-sheet.js';
+import { loadAnimationConfig, ANIMATION_CONFIG_PATH } from './utils/animation-config.js';
+import { findGodotProjectDir, toGodotPath, buildSpriteFramesTres } from './utils/godot-tres.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    HEROES: [],
+    CLASSES: path.join(ROOT, 'road-to-war', 'data', 'classes.json'),
+    ANIMATION_CONFIG: ANIMATION_CONFIG_PATH,
+    OUTPUT_DIR: path.join(ROOT, 'road-to-war', 'assets', 'sprites', 'heroes'),
+    FRAME_SIZE: 128,
+    TRES: true,
+    STRICT: false
+};
+
+// Same default look as the single-frame hero sprites (generate-assets.js)
+const DEFAULT_APPEARANCE = {
+    skinColor: '#FFDBAC',
+    hairColor: '#8B4513',
+    eyeColor: '#4A90E2'
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG, HEROES: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--classes':
+                config.CLASSES = path.resolve(args[++i] || CONFIG.CLASSES);
+                break;
+            case '--config':
+                config.ANIMATION_CONFIG = path.resolve(args[++i] || CONFIG.ANIMATION_CONFIG);
+                break;
+            case '--output':
+            case '-o':
+                config.OUTPUT_DIR = path.resolve(args[++i] || CONFIG.OUTPUT_DIR);
+                break;
+            case '--size': {
+                const size = parseInt(args[++i], 10);
+                if (!Number.isInteger(size) || size <= 0) {
+                    throw new Error('--size needs a positive frame size in pixels');
+                }
+                config.FRAME_SIZE = size;
+                break;
+            }
+            case '--no-tres':
+                config.TRES = false;
+                break;
+            case '--strict':
+                config.STRICT = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+Hero Sheet Builder
+
+Usage: node tools/build-hero-sheets.js [hero...] [options]
+
+Builds one sheet per hero (default: every class in classes.json).
+
+Options:
+  --classes <file>    Hero classes (default: road-to-war/data/classes.json)
+  --config <file>     Animation config (default: road-to-war/data/animation-config.json)
+  -o, --output <dir>  Output directory (default: road-to-war/assets/sprites/heroes)
+  --size <px>         Frame size in the sheet (default: 128)
+  --no-tres           Skip the Godot SpriteFrames resource
+  --strict            Exit with code 1 when animation-config.json lists an
+                      animation the hero generator cannot draw yet
+  --help, -h          Show this help message
+
+Output per hero: <hero>_sheet.png (one row per animation and direction,
+directions in up, left, down, right order; one column per frame),
+<hero>_sheet.json (manifest) and <hero>_sheet.tres (SpriteFrames with
+animations named <animation>_<direction>).
+
+Examples:
+  node tools/build-hero-sheets.js
+  node tools/build-hero-sheets.js paladin mage --size 64
+                `);
+                process.exit(0);
+                break;
+            default:
+                if (args[i].startsWith('-')) {
+                    throw new Error(`Unknown option: ${args[i]}`);
+                }
+                config.HEROES.push(args[i]);
+        }
+    }
+
+    return config;
+}
+
+function main() {
+    try {
+        const config = parseArgs();
+        const classes = JSON.parse(fs.readFileSync(config.CLASSES, 'utf8'));
+        const heroes = config.HEROES.length > 0 ? config.HEROES : Object.keys(classes);
+        const unknown = heroes.filter(hero => !classes[hero]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown hero class(es): ${unknown.join(', ')} (known: ${Object.keys(classes).join(', ')})`);
+        }
+
+        const animationConfig = loadAnimationConfig(config.ANIMATION_CONFIG);
+        const generator = new HeroSpriteGenerator();
+        fs.mkdirSync(config.OUTPUT_DIR, { recursive: true });
+        const projectDir = findGodotProjectDir(config.OUTPUT_DIR);
+
+        console.log('🦸 Hero Sheet Builder');
+        console.log('═'.repeat(50));
+        console.log(`📁 Output: ${path.relative(ROOT, config.OUTPUT_DIR) || '.'} (${config.FRAME_SIZE}px frames)\n`);
+
+        let unsupported = [];
+        for (const hero of heroes) {
+            const heroData = { appearance: { ...DEFAULT_APPEARANCE, class: hero } };
+            const { canvas, manifest } = buildHeroSheet(generator, heroData, hero, {
+                animationConfig,
+                frameSize: config.FRAME_SIZE
+            });
+            unsupported = manifest.unsupported;
+
+            const pngPath = path.join(config.OUTPUT_DIR, `${hero}_sheet.png`);
+            fs.writeFileSync(pngPath, canvas.toBuffer('image/png'));
+            fs.writeFileSync(path.join(config.OUTPUT_DIR, `${hero}_sheet.json`), JSON.stringify({
+                ...manifest,
+                image: path.basename(pngPath),
+                generatedAt: new Date().toISOString()
+            }, null, 2) + '\n');
+
+            if (config.TRES) {
+                const texturePath = toGodotPath(pngPath, { projectDir, resourceDir: config.OUTPUT_DIR });
+                const tres = buildSpriteFramesTres(manifest.animations.map(animation => ({ ...animation, texturePath })));
+                fs.writeFileSync(path.join(config.OUTPUT_DIR, `${hero}_sheet.tres`), tres);
+            }
+
+            const frames = manifest.animations.reduce((sum, animation) => sum + animation.frames.length, 0);
+            console.log(`   ✓ ${path.relative(ROOT, pngPath)} (${manifest.rows} rows, ${frames} frames, ${canvas.width}x${canvas.height})`);
+        }
+
+        console.log('');
+        console.log('═'.repeat(50));
+        if (unsupported.length > 0) {
+            console.log(`⚠️  No hero motion yet for: ${unsupported.join(', ')}`);
+            console.log('   Add their formulas to road-to-war/data/keyframe-configs.json to include them.');
+        }
+        console.log(`✅ Built ${heroes.length} hero sheet(s)`);
+        if (config.STRICT && unsupported.length > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('❌ Hero sheet build failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * LPC Sheet Compositor
+ * Builds full LPC character sheets from local layer sheets using the JSON
+ * recipes in tools/lpc-recipes/ (one per class or bloodline). No network access:
+ * layers are read from assets/raw_sprites/ (see `npm run fetch-lpc`).
+ * The composed sheets can then be sliced with tools/extract-spritesheet.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    LPC_RECIPES_DIR,
+    LPC_LAYER_DIR,
+    listRecipes,
+    loadRecipe,
+    checkRecipe,
+    composeRecipe
+} from './utils/lpc-compositor.js';
+import { ProvenanceLedger } from './utils/provenance.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    RECIPES: [],
+    ALL: false,
+    RECIPES_DIR: LPC_RECIPES_DIR,
+    LAYER_DIR: LPC_LAYER_DIR,
+    OUTPUT_DIR: path.join(LPC_LAYER_DIR, 'composed'),
+    CHECK: false
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG, RECIPES: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--all':
+                config.ALL = true;
+                break;
+            case '--recipes':
+                config.RECIPES_DIR = path.resolve(args[++i] || CONFIG.RECIPES_DIR);
+                break;
+            case '--layers':
+                config.LAYER_DIR = path.resolve(args[++i] || CONFIG.LAYER_DIR);
+                break;
+            case '--output':
+            case '-o':
+                config.OUTPUT_DIR = path.resolve(args[++i] || CONFIG.OUTPUT_DIR);
+                break;
+            case '--check':
+                config.CHECK = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+LPC Sheet Compositor
+
+Usage: node tools/compose-lpc.js <recipe...> [options]
+       node tools/compose-lpc.js --all [options]
+
+Options:
+  --all               Compose every recipe
+  --recipes <dir>     Recipe directory (default: tools/lpc-recipes)
+  --layers <dir>      Layer sheet directory (default: assets/raw_sprites)
+  -o, --output <dir>  Output directory (default: assets/raw_sprites/composed)
+  --check             Validate recipes and layer files without composing
+  --help, -h          Show this help message
+
+Output per recipe: <name>.png (832x1344 LPC sheet) and <name>.lpc.json
+(resolved recipe plus the sha256 of every layer used).
+
+Examples:
+  node tools/compose-lpc.js paladin
+  node tools/compose-lpc.js --all --check
+  node tools/compose-lpc.js divine_guardian && node tools/extract-spritesheet.js assets/raw_sprites/composed/divine_guardian.png divine_guardian
+                `);
+                process.exit(0);
+                break;
+            default:
+                if (args[i].startsWith('-')) {
+                    throw new Error(`Unknown option: ${args[i]}`);
+                }
+                config.RECIPES.push(args[i]);
+        }
+    }
+
+    return config;
+}
+
+function printProblems(name, problems) {
+    for (const problem of problems) {
+        const icon = problem.severity === 'error' ? '❌' : '⚠️ ';
+        console.log(`   ${icon} ${name}: ${problem.message}`);
+    }
+}
+
+/**
+ * Provenance notes for the palette changes a recipe makes to its layers
+ */
+function describeRecolors(recipe) {
+    const notes = [];
+    for (const layer of recipe.layers) {
+        const swaps = Object.entries(layer.recolor || {}).map(([from, to]) => `${from}->${to}`);
+        if (swaps.length > 0) notes.push(`${layer.slot} (${layer.file}) recolor ${swaps.join(', ')}`);
+        if (layer.hueShift) notes.push(`${layer.slot} (${layer.file}) hue shift ${layer.hueShift}°`);
+    }
+    return notes;
+}
+
+async function main() {
+    try {
+        const config = parseArgs();
+        const names = config.ALL ? listRecipes(config.RECIPES_DIR) : config.RECIPES;
+        if (names.length === 0) {
+            throw new Error('No recipes given (name one or use --all; --help for usage)');
+        }
+
+        console.log(`🎨 LPC Sheet Compositor${config.CHECK ? ' (check only)' : ''}`);
+        console.log('═'.repeat(50));
+        console.log(`📁 Layers: ${path.relative(ROOT, config.LAYER_DIR) || '.'}\n`);
+
+        const ledger = config.CHECK ? null : new ProvenanceLedger().load();
+        let errors = 0;
+        let composed = 0;
+        for (const name of names) {
+            const recipe = loadRecipe(name, { recipesDir: config.RECIPES_DIR });
+            const problems = checkRecipe(recipe, config.LAYER_DIR);
+            printProblems(name, problems);
+            const recipeErrors = problems.filter(p => p.severity === 'error').length;
+            errors += recipeErrors;
+
+            if (config.CHECK) {
+                if (problems.length === 0) {
+                    console.log(`   ✓ ${name} (${recipe.layers.length} layers)`);
+                }
+                continue;
+            }
+            if (recipeErrors > 0) {
+                console.log(`   ✗ ${name}: skipped\n`);
+                continue;
+            }
+
+            const { canvas, layers } = await composeRecipe(recipe, { layerDir: config.LAYER_DIR });
+            fs.mkdirSync(config.OUTPUT_DIR, { recursive: true });
+            const pngPath = path.join(config.OUTPUT_DIR, `${name}.png`);
+            fs.writeFileSync(pngPath, canvas.toBuffer('image/png'));
+            fs.writeFileSync(path.join(config.OUTPUT_DIR, `${name}.lpc.json`), JSON.stringify({
+                recipe: recipe.name,
+                chain: recipe.chain,
+                description: recipe.description,
+                layers,
+                zOrder: recipe.zOrder
+            }, null, 2) + '\n');
+
+            const drawn = layers.filter(layer => !layer.skipped).map(layer => layer.slot);
+            ledger.derive(
+                pngPath,
+                layers.filter(layer => !layer.skipped).map(layer => path.join(config.LAYER_DIR, layer.file)),
+                [`compose LPC recipe "${recipe.name}" (compose-lpc.js)`, ...describeRecolors(recipe)]
+            );
+            console.log(`   ✓ ${path.relative(ROOT, pngPath)} (${drawn.join(', ')})`);
+            composed++;
+        }
+
+        if (ledger && composed > 0) {
+            ledger.save();
+        }
+
+        console.log('');
+        console.log('═'.repeat(50));
+        if (config.CHECK) {
+            console.log(errors === 0 ? `✅ ${names.length} recipe(s) OK` : `❌ ${errors} error(s) in ${names.length} recipe(s)`);
+        } else {
+            console.log(`✅ Composed ${composed}/${names.length} sheet(s)`);
+        }
+        if (errors > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('❌ LPC composition failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
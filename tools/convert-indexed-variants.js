@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+/**
+ * Indexed Variant Converter
+ * Turns recolored sprite variants (e.g. the tinted sheets from
+ * create-hero-variants.js) into one shared grayscale index texture per base
+ * sprite plus a palette LUT strip per variant, for the PaletteSwap shader.
+ *
+ * Reports palette collisions: pixels that share a base color but ended up with
+ * different colors in the variant (blurred glow, overlays that depend on more
+ * than the pixel's color, quantization merging colors). Those variants cannot be
+ * reproduced exactly by a LUT swap.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createCanvas, loadImage } from 'canvas';
+import { ProvenanceLedger } from './utils/provenance.js';
+import {
+    MAX_INDEXED_COLORS,
+    quantizeImage,
+    createIndexTexture,
+    createPaletteLut,
+    remapVariant,
+    rgbToHexString
+} from './utils/indexed-palette.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const SPRITES_DIR = path.join(ROOT, 'road-to-war', 'assets', 'sprites');
+
+const CONFIG = {
+    VARIANTS: [],
+    BASE: null,
+    OUTPUT_DIR: path.join(SPRITES_DIR, 'indexed'),
+    MAX_COLORS: MAX_INDEXED_COLORS,
+    TOLERANCE: 8,
+    CHECK: false,
+    STRICT: false
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG, VARIANTS: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--base':
+                config.BASE = path.resolve(args[++i]);
+                break;
+            case '--output':
+            case '-o':
+                config.OUTPUT_DIR = path.resolve(args[++i] || CONFIG.OUTPUT_DIR);
+                break;
+            case '--max-colors': {
+                const colors = parseInt(args[++i], 10);
+                config.MAX_COLORS = isNaN(colors) ? CONFIG.MAX_COLORS : colors;
+                break;
+            }
+            case '--tolerance': {
+                const tolerance = parseInt(args[++i], 10);
+                config.TOLERANCE = isNaN(tolerance) ? CONFIG.TOLERANCE : tolerance;
+                break;
+            }
+            case '--check':
+                config.CHECK = true;
+                break;
+            case '--strict':
+                config.STRICT = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+Indexed Variant Converter
+
+Usage: node tools/convert-indexed-variants.js [variant.png...] [options]
+
+Variants default to road-to-war/assets/sprites/*_sheet.png. Each variant is
+converted against its base sprite: --base, or else the single file it was
+derived from in the provenance ledger (tools/asset-provenance.json).
+
+Options:
+  --base <png>        Base (un-recolored) sprite shared by all variants
+  -o, --output <dir>  Output directory (default: road-to-war/assets/sprites/indexed)
+  --max-colors <n>    Palette size limit, 1-${MAX_INDEXED_COLORS} (default: ${CONFIG.MAX_COLORS});
+                      bases with more colors are reduced with median cut
+  --tolerance <n>     Per-channel difference still treated as one color (default: ${CONFIG.TOLERANCE})
+  --check             Report only; write nothing
+  --strict            Exit with code 1 if any variant has palette collisions
+  --help, -h          Show this help message
+
+Output: <base>_index.png per base, <variant>_lut.png per variant and
+indexed-variants.json (palettes plus the collision report).
+
+Examples:
+  node tools/convert-indexed-variants.js --base assets/raw_sprites/base_body_female.png
+  node tools/convert-indexed-variants.js --check --base assets/raw_sprites/base_body_male.png road-to-war/assets/sprites/paladin_sheet.png
+                `);
+                process.exit(0);
+                break;
+            default:
+                if (args[i].startsWith('-')) {
+                    throw new Error(`Unknown option: ${args[i]}`);
+                }
+                config.VARIANTS.push(path.resolve(args[i]));
+        }
+    }
+
+    return config;
+}
+
+function defaultVariants() {
+    return fs.readdirSync(SPRITES_DIR)
+        .filter(file => file.endsWith('_sheet.png'))
+        .sort()
+        .map(file => path.join(SPRITES_DIR, file));
+}
+
+/**
+ * Base sprite of a variant: --base, else its single ledger input
+ */
+function resolveBase(variantPath, config, ledger) {
+    if (config.BASE) return config.BASE;
+    const derivedFrom = ledger.lookup(variantPath)?.derivedFrom || [];
+    if (derivedFrom.length === 1) {
+        return path.resolve(ROOT, derivedFrom[0]);
+    }
+    return null;
+}
+
+async function readImageData(filePath) {
+    const image = await loadImage(filePath);
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+function spriteName(filePath) {
+    return path.basename(filePath, path.extname(filePath));
+}
+
+function relative(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+async function main() {
+    try {
+        const config = parseArgs();
+        const variants = config.VARIANTS.length > 0 ? config.VARIANTS : defaultVariants();
+        if (variants.length === 0) {
+            throw new Error('No variants given and no *_sheet.png found in road-to-war/assets/sprites');
+        }
+
+        console.log(`🎨 Indexed Variant Converter${config.CHECK ? ' (check only)' : ''}`);
+        console.log('═'.repeat(50));
+
+        // Group variants by base so each base is quantized once
+        const ledger = new ProvenanceLedger().load();
+        const groups = new Map();
+        for (const variant of variants) {
+            const base = resolveBase(variant, config, ledger);
+            if (!base) {
+                throw new Error(`No base sprite for ${relative(variant)} (pass --base or record it in the provenance ledger)`);
+            }
+            if (!groups.has(base)) groups.set(base, []);
+            groups.get(base).push(variant);
+        }
+
+        if (!config.CHECK) {
+            fs.mkdirSync(config.OUTPUT_DIR, { recursive: true });
+        }
+
+        const report = { version: 1, tolerance: config.TOLERANCE, bases: {} };
+        let variantsWithCollisions = 0;
+
+        for (const [basePath, groupVariants] of groups) {
+            const baseName = spriteName(basePath);
+            const indexed = quantizeImage(await readImageData(basePath), { maxColors: config.MAX_COLORS });
+            const indexPath = path.join(config.OUTPUT_DIR, `${baseName}_index.png`);
+            console.log(`\n📦 ${relative(basePath)}: ${indexed.palette.length} colors${indexed.exact ? '' : ` (median cut from more than ${config.MAX_COLORS})`}`);
+
+            const baseReport = {
+                source: relative(basePath),
+                index: relative(indexPath),
+                colors: indexed.palette.length,
+                exact: indexed.exact,
+                palette: indexed.palette.map(rgbToHexString),
+                variants: {}
+            };
+            if (!config.CHECK) {
+                fs.writeFileSync(indexPath, createIndexTexture(indexed).toBuffer('image/png'));
+                ledger.derive(indexPath, [basePath], `palette index texture, ${indexed.palette.length} colors (convert-indexed-variants.js)`);
+            }
+
+            for (const variantPath of groupVariants) {
+                const name = spriteName(variantPath);
+                const result = remapVariant(indexed, await readImageData(variantPath), { tolerance: config.TOLERANCE });
+                const lutPath = path.join(config.OUTPUT_DIR, `${name}_lut.png`);
+                if (!config.CHECK) {
+                    fs.writeFileSync(lutPath, createPaletteLut(result.palette).toBuffer('image/png'));
+                    ledger.derive(lutPath, [variantPath], `palette LUT over ${baseName}_index.png (convert-indexed-variants.js)`);
+                }
+
+                baseReport.variants[name] = {
+                    source: relative(variantPath),
+                    lut: relative(lutPath),
+                    palette: result.palette.map(rgbToHexString),
+                    collidingPixels: result.collidingPixels,
+                    uncoveredPixels: result.uncoveredPixels,
+                    clearedPixels: result.clearedPixels,
+                    collisions: result.collisions
+                };
+
+                const lossy = [];
+                if (result.collisions.length > 0) {
+                    lossy.push(`${result.collisions.length} palette collision(s), ${result.collidingPixels} px`);
+                    variantsWithCollisions++;
+                }
+                if (result.uncoveredPixels > 0) lossy.push(`${result.uncoveredPixels} px outside the base`);
+                if (result.clearedPixels > 0) lossy.push(`${result.clearedPixels} px cleared`);
+                if (lossy.length === 0) {
+                    console.log(`   ✓ ${name}: exact`);
+                } else {
+                    console.log(`   ⚠️  ${name}: ${lossy.join(', ')}`);
+                    for (const collision of result.collisions.slice(0, 3)) {
+                        const examples = collision.examples.map(e => `${e.color} (${e.pixels} px)`).join(', ');
+                        console.log(`      index ${collision.index} ${collision.baseColor} → ${collision.lutColor}, also ${examples}`);
+                    }
+                }
+            }
+            report.bases[baseName] = baseReport;
+        }
+
+        if (!config.CHECK) {
+            const reportPath = path.join(config.OUTPUT_DIR, 'indexed-variants.json');
+            fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+            ledger.save();
+            console.log(`\n💾 Report: ${relative(reportPath)}`);
+        }
+
+        console.log('');
+        console.log('═'.repeat(50));
+        if (variantsWithCollisions > 0) {
+            console.log(`⚠️  ${variantsWithCollisions}/${variants.length} variant(s) have palette collisions; their LUT keeps each index's most common color`);
+            if (config.STRICT) {
+                process.exit(1);
+            }
+        } else {
+            console.log(`✅ ${variants.length} variant(s) converted without palette collisions`);
+        }
+    } catch (error) {
+        console.error('❌ Indexed conversion failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
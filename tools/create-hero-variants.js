@@ -9,6 +9,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createCanvas, loadImage } from 'canvas';
+import { ProvenanceLedger } from './utils/provenance.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -233,14 +234,27 @@ async function createHumanoidVariant(baseImage, tierConfig, index) {
 }
 
 /**
- * Save canvas to PNG
+ * Describe what createHeroVariant does for a class, for the provenance ledger
  */
-function saveCanvas(canvas, filename) {
+function describeVariant(config) {
+    const steps = [];
+    if (config.bodyTint) steps.push(`body tint ${JSON.stringify(config.bodyTint)}`);
+    if (config.armorColor) steps.push(`armor overlay rgb(${config.armorColor.r}, ${config.armorColor.g}, ${config.armorColor.b}) at 35%`);
+    if (config.glowColor) steps.push(`glow rgb(${config.glowColor.r}, ${config.glowColor.g}, ${config.glowColor.b})`);
+    return `${config.name} variant: ${steps.join(', ') || 'copy'} (create-hero-variants.js)`;
+}
+
+/**
+ * Save canvas to PNG and record where it came from
+ */
+function saveCanvas(canvas, filename, ledger, sourcePath, transform) {
     const buffer = canvas.toBuffer('image/png');
     
     // Save to both directories
-    fs.writeFileSync(path.join(OUTPUT_DIR, filename), buffer);
-    fs.writeFileSync(path.join(GODOT_OUTPUT_DIR, filename), buffer);
+    for (const dir of [OUTPUT_DIR, GODOT_OUTPUT_DIR]) {
+        fs.writeFileSync(path.join(dir, filename), buffer);
+        ledger.derive(path.join(dir, filename), [sourcePath], transform);
+    }
     
     return filename;
 }
@@ -256,6 +270,8 @@ async function main() {
     if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
     if (!fs.existsSync(GODOT_OUTPUT_DIR)) fs.mkdirSync(GODOT_OUTPUT_DIR, { recursive: true });
 
+    const ledger = new ProvenanceLedger().load();
+
     // Look for the full base sheets
     const baseFiles = ['base_body_male.png', 'base_body_female.png'];
     
@@ -272,7 +288,7 @@ async function main() {
             // but we could support gender in HERO_CLASSES later
             const canvas = await createHeroVariant(baseImage, classId, config);
             const filename = `${classId}_sheet.png`;
-            saveCanvas(canvas, filename);
+            saveCanvas(canvas, filename, ledger, basePath, describeVariant(config));
             console.log(`   ✓ ${config.name} Sheet → ${filename}`);
         }
     }
@@ -287,11 +303,13 @@ async function main() {
             const tierConfig = HUMANOID_TIERS[Math.min(tierIndex, HUMANOID_TIERS.length - 1)];
             const canvas = await createHumanoidVariant(baseImage, tierConfig, i);
             const filename = `humanoid_${i}.png`;
-            saveCanvas(canvas, filename);
+            saveCanvas(canvas, filename, ledger, staticBase, `${tierConfig.name} tier tint ${JSON.stringify(tierConfig.tint)} (create-hero-variants.js)`);
             if (i % 5 === 0) console.log(`   ✓ Tier ${tierIndex} (${tierConfig.name}): humanoid_${i}.png`);
         }
     }
     
+    ledger.save();
+
     console.log('\n' + '='.repeat(50));
     console.log('✅ Full spritesheets created!');
     console.log(`\n📁 Output: ${GODOT_OUTPUT_DIR}`);
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Art Credits Generator
+ * Resolves the provenance of every image shipped in road-to-war/assets from
+ * tools/asset-provenance.json and writes the attribution file the Credits
+ * scene reads (road-to-war/data/credits.json). Fails if any shipped image has
+ * no provenance or a license outside the known list, so nothing ships unlicensed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashFile } from './utils/asset-lockfile.js';
+import { toGodotPath } from './utils/godot-tres.js';
+import { PROVENANCE_PATH, LICENSES, ProvenanceLedger, unknownSources } from './utils/provenance.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const GODOT_PROJECT_DIR = path.join(ROOT, 'road-to-war');
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.svg']);
+
+const CONFIG = {
+    LEDGER: PROVENANCE_PATH,
+    ASSETS_DIR: path.join(GODOT_PROJECT_DIR, 'assets'),
+    OUTPUT: path.join(GODOT_PROJECT_DIR, 'data', 'credits.json'),
+    CHECK: false,
+    ALLOW_UNKNOWN: false
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--ledger':
+                config.LEDGER = path.resolve(args[++i] || CONFIG.LEDGER);
+                break;
+            case '--assets':
+                config.ASSETS_DIR = path.resolve(args[++i] || CONFIG.ASSETS_DIR);
+                break;
+            case '--output':
+            case '-o':
+                config.OUTPUT = path.resolve(args[++i] || CONFIG.OUTPUT);
+                break;
+            case '--check':
+                config.CHECK = true;
+                break;
+            case '--allow-unknown':
+                config.ALLOW_UNKNOWN = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+Art Credits Generator
+
+Usage: node tools/credits.js [options]
+
+Options:
+  --ledger <file>     Provenance ledger (default: tools/asset-provenance.json)
+  --assets <dir>      Shipped asset directory to scan (default: road-to-war/assets)
+  -o, --output <file> Attribution file (default: road-to-war/data/credits.json)
+  --check             Only report; do not write the attribution file
+  --allow-unknown     Write the file even if some images have unknown licensing
+                      (they are listed under "unknown")
+  --help, -h          Show this help message
+
+Exits with code 1 when any shipped image has no provenance or an unknown license.
+Known licenses: ${Object.keys(LICENSES).join(', ')}
+                `);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Find shipped images (editor addons are not part of the game's art)
+ */
+function findImages(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== 'addons') files.push(...findImages(fullPath));
+        } else if (IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Group shipped images by the source they credit
+ * @returns {{attributions: Array<Object>, original: number, unknown: Array<Object>, stale: string[]}}
+ */
+function collectCredits(ledger, images) {
+    const groups = new Map();
+    const unknown = [];
+    const stale = [];
+    let original = 0;
+
+    for (const image of images) {
+        const resPath = toGodotPath(image, { projectDir: GODOT_PROJECT_DIR });
+        const record = ledger.lookup(image);
+        if (!record) {
+            unknown.push({ asset: resPath, reason: 'no provenance' });
+            continue;
+        }
+        if (record.sha256 && record.sha256 !== hashFile(image)) {
+            stale.push(resPath);
+        }
+
+        const missing = unknownSources(record);
+        if (record.sources.length === 0 || missing.length > 0) {
+            const reason = record.sources.length === 0
+                ? 'no sources recorded'
+                : missing.map(source => `${source.url || source.file || source.generator || 'source'}: license ${source.license || 'unknown'}`).join('; ');
+            unknown.push({ asset: resPath, reason });
+            continue;
+        }
+
+        for (const source of record.sources) {
+            if (source.license === 'original') {
+                continue;
+            }
+            const id = JSON.stringify([source.url || source.file || null, source.author, source.license]);
+            if (!groups.has(id)) {
+                const license = LICENSES[source.license];
+                groups.set(id, {
+                    title: source.title || null,
+                    author: source.author || null,
+                    source: source.url || source.file || null,
+                    license: source.license,
+                    licenseName: license.name,
+                    licenseUrl: license.url,
+                    attributionRequired: license.attribution,
+                    assets: []
+                });
+            }
+            groups.get(id).assets.push(resPath);
+        }
+        if (record.sources.every(source => source.license === 'original')) {
+            original++;
+        }
+    }
+
+    const attributions = [...groups.values()].sort((a, b) =>
+        (a.author || '').localeCompare(b.author || '') || (a.source || '').localeCompare(b.source || ''));
+    return { attributions, original, unknown, stale };
+}
+
+function main() {
+    try {
+        const config = parseArgs();
+
+        console.log(`📜 Art Credits Generator${config.CHECK ? ' (check only)' : ''}`);
+        console.log('═'.repeat(50));
+
+        const ledger = new ProvenanceLedger(config.LEDGER).load();
+        const images = findImages(config.ASSETS_DIR);
+        const { attributions, original, unknown, stale } = collectCredits(ledger, images);
+
+        console.log(`📁 ${images.length} image(s) in ${path.relative(ROOT, config.ASSETS_DIR)}`);
+        console.log(`   🎨 ${original} original`);
+        for (const attribution of attributions) {
+            console.log(`   📎 ${attribution.assets.length} from ${attribution.title || attribution.source} (${attribution.author || 'unknown author'}, ${attribution.licenseName})`);
+        }
+        for (const resPath of stale) {
+            console.log(`   ⚠️  ${resPath}: changed since its provenance was recorded`);
+        }
+        for (const entry of unknown) {
+            console.log(`   ❌ ${entry.asset}: ${entry.reason}`);
+        }
+
+        const blocked = unknown.length > 0 && !config.ALLOW_UNKNOWN;
+        if (!config.CHECK && !blocked) {
+            const credits = {
+                version: 1,
+                original: { author: 'Road of War Development Team', assets: original },
+                attributions
+            };
+            if (unknown.length > 0) {
+                credits.unknown = unknown;
+            }
+            fs.mkdirSync(path.dirname(config.OUTPUT), { recursive: true });
+            fs.writeFileSync(config.OUTPUT, JSON.stringify(credits, null, 2) + '\n');
+            console.log(`\n💾 Wrote ${path.relative(ROOT, config.OUTPUT)}`);
+        }
+
+        console.log('');
+        console.log('═'.repeat(50));
+        if (unknown.length > 0) {
+            console.log(`${config.ALLOW_UNKNOWN ? '⚠️ ' : '❌'} ${unknown.length} image(s) with unknown licensing (record them in ${path.relative(ROOT, config.LEDGER)})`);
+            if (blocked) {
+                process.exit(1);
+            }
+        } else {
+            console.log(`✅ All ${images.length} image(s) have known licensing`);
+        }
+    } catch (error) {
+        console.error('❌ Credits generation failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -12,6 +12,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createCanvas, loadImage } from 'canvas';
+import { ProvenanceLedger } from './utils/provenance.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -654,6 +655,16 @@ async function main() {
         fs.mkdirSync(GODOT_OUTPUT_DIR, { recursive: true });
     }
     
+    // These sprites are drawn here, not downloaded: record them as original work
+    const ledger = new ProvenanceLedger().load();
+    const recordGenerated = (filePath, description) => ledger.record(filePath, {
+        source: { generator: 'tools/download-lpc-assets.js' },
+        title: description,
+        author: 'Road of War Development Team',
+        license: 'original',
+        transforms: ['procedural LPC-style sprite']
+    });
+
     console.log('📦 Generating class sprites...\n');
     
     // Generate class sprites
@@ -664,8 +675,9 @@ async function main() {
         const filename = `${classId}.png`;
         
         // Save to both directories
-        saveCanvas(canvas, filename, OUTPUT_DIR);
+        recordGenerated(saveCanvas(canvas, filename, OUTPUT_DIR), config.description);
         const godotPath = saveCanvas(canvas, filename, GODOT_OUTPUT_DIR);
+        recordGenerated(godotPath, config.description);
         
         // Also save metadata
         const metadata = {
@@ -711,8 +723,8 @@ async function main() {
         const canvas = createHumanoidSprite(varColor, tier, 64);
         const filename = `humanoid_${i}.png`;
         
-        saveCanvas(canvas, filename, OUTPUT_DIR);
-        saveCanvas(canvas, filename, GODOT_OUTPUT_DIR);
+        recordGenerated(saveCanvas(canvas, filename, OUTPUT_DIR), `${tierInfo.name} humanoid`);
+        recordGenerated(saveCanvas(canvas, filename, GODOT_OUTPUT_DIR), `${tierInfo.name} humanoid`);
         
         const metadata = {
             id: `humanoid_${i}`,
@@ -737,6 +749,8 @@ async function main() {
         }
     }
     
+    ledger.save();
+
     console.log('\n✅ Asset generation complete!');
     console.log(`\n📁 Output directories:`);
     console.log(`   - ${OUTPUT_DIR}`);
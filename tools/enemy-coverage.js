@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Enemy Renderer Coverage
+ * Lists which enemies.json entries have a dedicated body renderer variant
+ * (tools/generators/enemy-bodies), which are drawn with their body type's
+ * generic look, and which fall back to the plain creature body because no
+ * renderer handles their appearance.bodyType.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { enemyRendererCoverage, listEnemyBodies } from './generators/enemy-bodies/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    ENEMIES: path.join(ROOT, 'road-to-war', 'data', 'enemies.json'),
+    JSON: false,
+    STRICT: false
+};
+
+const STATUS_ICONS = {
+    dedicated: '✅',
+    generic: '⚠️ ',
+    fallback: '❌'
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--enemies':
+                config.ENEMIES = path.resolve(args[++i] || CONFIG.ENEMIES);
+                break;
+            case '--json':
+                config.JSON = true;
+                break;
+            case '--strict':
+                config.STRICT = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+Enemy Renderer Coverage
+
+Usage: node tools/enemy-coverage.js [options]
+
+Options:
+  --enemies <file>    Enemy data (default: road-to-war/data/enemies.json)
+  --json              Print the coverage report as JSON
+  --strict            Also fail when an enemy has no dedicated variant
+                      (drawn with its body type's generic look)
+  --help, -h          Show this help message
+
+Exits with code 1 when any enemy falls back to the creature body
+(no renderer for its bodyType), or with --strict when any enemy
+is not covered by a dedicated variant.
+Body renderers: ${listEnemyBodies().join(', ')}
+                `);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    return config;
+}
+
+function main() {
+    try {
+        const config = parseArgs();
+        const enemies = JSON.parse(fs.readFileSync(config.ENEMIES, 'utf8'));
+        const coverage = enemyRendererCoverage(enemies);
+        const failed = coverage.fallback > 0 || (config.STRICT && coverage.generic > 0);
+
+        if (config.JSON) {
+            console.log(JSON.stringify(coverage, null, 2));
+            process.exit(failed ? 1 : 0);
+        }
+
+        console.log('👾 Enemy Renderer Coverage');
+        console.log('═'.repeat(50));
+        console.log(`📁 ${coverage.total} enemies in ${path.relative(ROOT, config.ENEMIES)}`);
+
+        const byBody = new Map();
+        for (const entry of coverage.entries) {
+            const key = entry.bodyType || '(none)';
+            if (!byBody.has(key)) byBody.set(key, []);
+            byBody.get(key).push(entry);
+        }
+        for (const [bodyType, entries] of [...byBody.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+            const dedicated = entries.filter(entry => entry.status === 'dedicated').length;
+            console.log(`   ${bodyType}: ${dedicated}/${entries.length} dedicated (renderer: ${entries[0].renderer})`);
+        }
+
+        const uncovered = coverage.entries.filter(entry => entry.status !== 'dedicated');
+        if (uncovered.length > 0) {
+            console.log('\nWithout a dedicated renderer:');
+            for (const entry of uncovered) {
+                const detail = entry.status === 'fallback'
+                    ? `no renderer for bodyType "${entry.bodyType}", drawn as ${entry.renderer}`
+                    : `generic ${entry.renderer} body`;
+                console.log(`   ${STATUS_ICONS[entry.status]} ${entry.id} (${entry.type}): ${detail}`);
+            }
+        }
+
+        console.log('');
+        console.log(`${failed ? '❌' : '✅'} ${coverage.dedicated} dedicated, ${coverage.generic} generic, ${coverage.fallback} fallback`);
+        process.exit(failed ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Enemy coverage failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
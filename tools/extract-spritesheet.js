@@ -18,6 +18,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createCanvas, loadImage } from 'canvas';
+import { ProvenanceLedger } from './utils/provenance.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,40 +27,7 @@ const __dirname = path.dirname(__filename);
 const OUTPUT_DIR = path.join(__dirname, '..', 'assets', 'sprites');
 const GODOT_OUTPUT_DIR = path.join(__dirname, '..', 'road-to-war', 'assets', 'sprites');
 
-// Standard LPC spritesheet layout
-// Rows are typically organized as:
-// 0-3: Spellcast (up, left, down, right)
-// 4-7: Thrust (up, left, down, right)
-// 8-11: Walk (up, left, down, right)
-// 12-15: Slash (up, left, down, right)
-// 16-19: Shoot (up, left, down, right)
-// 20: Hurt
-
-const LPC_ANIMATIONS = {
-    spellcast_up: { row: 0, frames: 7 },
-    spellcast_left: { row: 1, frames: 7 },
-    spellcast_down: { row: 2, frames: 7 },
-    spellcast_right: { row: 3, frames: 7 },
-    thrust_up: { row: 4, frames: 8 },
-    thrust_left: { row: 5, frames: 8 },
-    thrust_down: { row: 6, frames: 8 },
-    thrust_right: { row: 7, frames: 8 },
-    walk_up: { row: 8, frames: 9 },
-    walk_left: { row: 9, frames: 9 },
-    walk_down: { row: 10, frames: 9 },
-    walk_right: { row: 11, frames: 9 },
-    slash_up: { row: 12, frames: 6 },
-    slash_left: { row: 13, frames: 6 },
-    slash_down: { row: 14, frames: 6 },
-    slash_right: { row: 15, frames: 6 },
-    shoot_up: { row: 16, frames: 13 },
-    shoot_left: { row: 17, frames: 13 },
-    shoot_down: { row: 18, frames: 13 },
-    shoot_right: { row: 19, frames: 13 },
-    hurt: { row: 20, frames: 6 }
-};
-
-// Key frames for idle RPG (front-facing)
+// Key frames for idle RPG (front-facing); full row layout in utils/lpc-layout.js
 const IDLE_RPG_FRAMES = {
     idle: { row: 10, col: 0 },      // walk_down first frame (standing)
     walk: { row: 10, cols: [1, 2, 3, 4, 5, 6, 7, 8] },  // walk_down animation
@@ -168,6 +136,8 @@ async function processSpritesheetForGame(imagePath, outputName, options = {}) {
         sprites: [],
         animations: []
     };
+    const ledger = new ProvenanceLedger().load();
+    const scaleNote = frameSize.width === 64 && frameSize.height === 64 ? '' : `, scaled from ${frameSize.width}x${frameSize.height} to 64x64`;
     
     // Extract main idle frame (front-facing standing pose)
     console.log(`\n📦 Extracting main sprite...`);
@@ -181,8 +151,10 @@ async function processSpritesheetForGame(imagePath, outputName, options = {}) {
     );
     
     const mainFilename = `${outputName}.png`;
-    saveCanvas(idleFrame, mainFilename, OUTPUT_DIR);
-    saveCanvas(idleFrame, mainFilename, GODOT_OUTPUT_DIR);
+    for (const dir of [OUTPUT_DIR, GODOT_OUTPUT_DIR]) {
+        ledger.derive(saveCanvas(idleFrame, mainFilename, dir), [imagePath],
+            `extract frame row ${IDLE_RPG_FRAMES.idle.row} col ${IDLE_RPG_FRAMES.idle.col}${scaleNote} (extract-spritesheet.js)`);
+    }
     results.sprites.push(mainFilename);
     console.log(`   ✓ Saved: ${mainFilename}`);
     
@@ -204,8 +176,10 @@ async function processSpritesheetForGame(imagePath, outputName, options = {}) {
                     );
                     
                     const stripFilename = `${outputName}_${animName}.png`;
-                    saveCanvas(strip, stripFilename, OUTPUT_DIR);
-                    saveCanvas(strip, stripFilename, GODOT_OUTPUT_DIR);
+                    for (const dir of [OUTPUT_DIR, GODOT_OUTPUT_DIR]) {
+                        ledger.derive(saveCanvas(strip, stripFilename, dir), [imagePath],
+                            `extract ${animName} strip row ${animData.row} cols ${animData.cols.join(',')}${scaleNote} (extract-spritesheet.js)`);
+                    }
                     results.animations.push({ name: animName, file: stripFilename, frames: animData.cols.length });
                     console.log(`   ✓ Saved: ${stripFilename} (${animData.cols.length} frames)`);
                 }
@@ -213,6 +187,8 @@ async function processSpritesheetForGame(imagePath, outputName, options = {}) {
         }
     }
     
+    ledger.save();
+
     // Save metadata
     const metadata = {
         source: path.basename(imagePath),
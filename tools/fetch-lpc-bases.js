@@ -10,12 +10,16 @@ import http from 'http';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ProvenanceLedger } from './utils/provenance.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const RAW_DIR = path.join(__dirname, '..', 'assets', 'raw_sprites');
 
+// Credit line for the Universal LPC spritesheet layers (per-file authors are in its AUTHORS list)
+const LPC_AUTHORS = 'Universal LPC Spritesheet contributors';
+
 // High-quality LPC character bases from OpenGameArt (CC-BY 3.0 / CC-BY-SA 3.0)
 // Using working URLs from the LPC Sprite Generator project
 const LPC_SOURCES = [
@@ -23,31 +27,36 @@ const LPC_SOURCES = [
         name: 'base_body_male',
         description: 'Male base body',
         url: 'https://raw.githubusercontent.com/jrconway3/Universal-LPC-spritesheet/master/body/male/light.png',
-        license: 'CC-BY-SA 3.0'
+        license: 'CC-BY-SA 3.0',
+        author: LPC_AUTHORS
     },
     {
         name: 'base_body_female', 
         description: 'Female base body',
         url: 'https://raw.githubusercontent.com/jrconway3/Universal-LPC-spritesheet/master/body/female/light.png',
-        license: 'CC-BY-SA 3.0'
+        license: 'CC-BY-SA 3.0',
+        author: LPC_AUTHORS
     },
     {
         name: 'plate_armor',
         description: 'Plate armor overlay',
         url: 'https://raw.githubusercontent.com/jrconway3/Universal-LPC-spritesheet/master/torso/chain/mail.png',
-        license: 'CC-BY-SA 3.0'
+        license: 'CC-BY-SA 3.0',
+        author: LPC_AUTHORS
     },
     {
         name: 'leather_armor',
         description: 'Leather armor overlay', 
         url: 'https://raw.githubusercontent.com/jrconway3/Universal-LPC-spritesheet/master/torso/leather/chest.png',
-        license: 'CC-BY-SA 3.0'
+        license: 'CC-BY-SA 3.0',
+        author: LPC_AUTHORS
     },
     {
         name: 'robe',
         description: 'Mage robe overlay',
         url: 'https://raw.githubusercontent.com/jrconway3/Universal-LPC-spritesheet/master/torso/robes/brown.png',
-        license: 'CC-BY-SA 3.0'
+        license: 'CC-BY-SA 3.0',
+        author: LPC_AUTHORS
     }
 ];
 
@@ -110,6 +119,7 @@ async function main() {
     
     let successCount = 0;
     let failCount = 0;
+    const ledger = new ProvenanceLedger().load();
     
     for (const source of LPC_SOURCES) {
         const destPath = path.join(RAW_DIR, `${source.name}.png`);
@@ -120,6 +130,12 @@ async function main() {
             await downloadFile(source.url, destPath);
             console.log(`   ✓ Saved to: ${source.name}.png`);
             console.log(`   License: ${source.license}\n`);
+            ledger.record(destPath, {
+                source: { url: source.url },
+                title: source.description,
+                author: source.author,
+                license: source.license
+            });
             successCount++;
         } catch (error) {
             console.log(`   ✗ Failed: ${error.message}\n`);
@@ -127,6 +143,8 @@ async function main() {
         }
     }
     
+    ledger.save();
+
     console.log('===================================');
     console.log(`✅ Downloaded: ${successCount}/${LPC_SOURCES.length} files`);
     
@@ -142,6 +160,9 @@ async function main() {
    4. Put them in: ${RAW_DIR}
    5. Run: node tools/extract-spritesheet.js --dir=${RAW_DIR}
 
+Or compose class/bloodline sheets from these layers (recipes in tools/lpc-recipes/):
+   node tools/compose-lpc.js --all
+
 Or use the downloaded base sprites directly:
    node tools/extract-spritesheet.js ${path.join(RAW_DIR, 'base_body_male.png')} warrior_base
 `);
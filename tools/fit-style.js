@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * Style Fit
+ * Analyzes a reference sprite with ImageAnalyzer, then fits one of the
+ * class-based generators to it: generate, re-analyze, adjust proportions and
+ * color count, until the measurements are within tolerance of the reference.
+ * Writes the best sprite and its fitted style config, which
+ * generate-assets.js --style accepts like any other style config.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createCanvas } from 'canvas';
+import { HeroSpriteGenerator } from './generators/hero-sprite-generator.js';
+import { HumanoidGenerator } from './generators/humanoid-generator.js';
+import { EnemySpriteGenerator } from './generators/enemy-sprite-generator.js';
+import { ImageAnalyzer } from './utils/image-analyzer.js';
+import { SeededRNG } from './utils/seeded-rng.js';
+import { fitStyle, FIT_DEFAULTS, FIT_METRICS } from './utils/style-fit.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    REFERENCE: null,
+    GENERATOR: 'hero',
+    HERO: 'paladin',
+    BLOODLINE: null,
+    ENEMY: null,
+    ENEMIES: path.join(ROOT, 'road-to-war', 'data', 'enemies.json'),
+    SEED: 12345,
+    SIZE: null,
+    TOLERANCE: FIT_DEFAULTS.tolerance,
+    MAX_ITERATIONS: FIT_DEFAULTS.maxIterations,
+    OUTPUT_DIR: path.join(__dirname, 'style-fit')
+};
+
+/**
+ * Generators that can be fitted. render(style) draws one sprite with a resolved style;
+ * metrics are the measurements that mean something for the generator's sprites.
+ */
+const SUBJECTS = {
+    hero: {
+        metrics: FIT_METRICS,
+        label: config => config.HERO,
+        create(config) {
+            const heroData = { appearance: { class: config.HERO } };
+            return style => new HeroSpriteGenerator({ styleConfig: style }).generate(heroData, config.HERO);
+        }
+    },
+    humanoid: {
+        metrics: FIT_METRICS,
+        label: config => config.BLOODLINE || 'humanoid',
+        create(config) {
+            const size = config.SIZE || 512;
+            return style => {
+                const canvas = createCanvas(size, size);
+                new HumanoidGenerator(canvas, new SeededRNG(config.SEED), {
+                    bloodline: config.BLOODLINE,
+                    styleConfig: style
+                }).generate();
+                return canvas;
+            };
+        }
+    },
+    enemy: {
+        // Enemy bodies have no head/torso/legs layout to measure
+        metrics: ['colorCount'],
+        label: config => config.ENEMY,
+        create(config) {
+            if (!config.ENEMY) {
+                throw new Error('--generator enemy needs --enemy <id>');
+            }
+            const enemies = JSON.parse(fs.readFileSync(config.ENEMIES, 'utf8'));
+            const enemyData = enemies[config.ENEMY];
+            if (!enemyData) {
+                throw new Error(`Unknown enemy "${config.ENEMY}" in ${path.relative(ROOT, config.ENEMIES)}`);
+            }
+            return style => new EnemySpriteGenerator({ size: config.SIZE || 128, styleConfig: style }).generate(enemyData, config.ENEMY);
+        }
+    }
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG };
+
+    const number = (flag, value, valid) => {
+        const parsed = Number(value);
+        if (!valid(parsed)) {
+            throw new Error(`Invalid value for ${flag}: ${value}`);
+        }
+        return parsed;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--generator':
+            case '-g':
+                config.GENERATOR = args[++i];
+                if (!SUBJECTS[config.GENERATOR]) {
+                    throw new Error(`Unknown generator "${config.GENERATOR}" (expected one of: ${Object.keys(SUBJECTS).join(', ')})`);
+                }
+                break;
+            case '--hero':
+                config.HERO = args[++i] || CONFIG.HERO;
+                break;
+            case '--bloodline':
+                config.BLOODLINE = args[++i] || null;
+                break;
+            case '--enemy':
+                config.ENEMY = args[++i] || null;
+                break;
+            case '--enemies':
+                config.ENEMIES = path.resolve(args[++i] || CONFIG.ENEMIES);
+                break;
+            case '--seed':
+                config.SEED = number('--seed', args[++i], Number.isInteger);
+                break;
+            case '--size':
+                config.SIZE = number('--size', args[++i], n => Number.isInteger(n) && n > 0);
+                break;
+            case '--tolerance':
+                config.TOLERANCE = number('--tolerance', args[++i], n => n > 0 && n < 1);
+                break;
+            case '--iterations':
+                config.MAX_ITERATIONS = number('--iterations', args[++i], n => Number.isInteger(n) && n > 0);
+                break;
+            case '--output':
+            case '-o':
+                config.OUTPUT_DIR = path.resolve(args[++i] || CONFIG.OUTPUT_DIR);
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+Style Fit
+
+Usage: node tools/fit-style.js <reference.png> [options]
+
+Fits a generator to a reference sprite: generate, re-analyze with
+ImageAnalyzer, adjust proportions and color count, repeat until every
+measurement is within tolerance of the reference.
+
+Options:
+  -g, --generator <name>  hero, humanoid or enemy (default: hero)
+  --hero <class>          Hero class to draw (default: paladin)
+  --bloodline <id>        Humanoid bloodline (default: none)
+  --enemy <id>            Enemy to draw (required for --generator enemy)
+  --enemies <file>        Enemy data (default: road-to-war/data/enemies.json)
+  --seed <n>              Humanoid seed (default: ${CONFIG.SEED})
+  --size <px>             Humanoid/enemy canvas size (default: 512 / 128)
+  --tolerance <0-1>       Largest relative error per metric (default: ${CONFIG.TOLERANCE})
+  --iterations <n>        Iteration budget (default: ${CONFIG.MAX_ITERATIONS})
+  -o, --output <dir>      Output directory (default: tools/style-fit)
+  --help, -h              Show this help message
+
+Output: <reference>-<subject>-fit.png (best sprite) and
+<reference>-<subject>-fit.json (fitted style config plus the fit history;
+usable with generate-assets.js --style). Exits with code 1 when the fit
+does not converge.
+
+Examples:
+  node tools/fit-style.js reference/knight.png --hero warrior
+  node tools/fit-style.js reference/orc.png -g enemy --enemy orc --size 64
+                `);
+                process.exit(0);
+                break;
+            default:
+                if (args[i].startsWith('-') || config.REFERENCE) {
+                    throw new Error(`Unknown option: ${args[i]}`);
+                }
+                config.REFERENCE = path.resolve(args[i]);
+        }
+    }
+
+    if (!config.REFERENCE) {
+        throw new Error('Missing reference image (see --help)');
+    }
+    return config;
+}
+
+function formatValue(value) {
+    if (value === null) return 'none';
+    return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+async function main() {
+    try {
+        const config = parseArgs();
+        if (!fs.existsSync(config.REFERENCE)) {
+            throw new Error(`Reference image not found: ${config.REFERENCE}`);
+        }
+        const subject = SUBJECTS[config.GENERATOR];
+        const render = subject.create(config);
+        const name = `${path.basename(config.REFERENCE, path.extname(config.REFERENCE))}-${subject.label(config)}-fit`;
+
+        console.log('🎯 Style Fit');
+        console.log('═'.repeat(50));
+        console.log(`📁 Reference: ${path.relative(ROOT, config.REFERENCE)}`);
+        console.log(`🎨 Generator: ${config.GENERATOR} (${subject.label(config)}), fitting ${subject.metrics.join(', ')}\n`);
+
+        const analyzer = new ImageAnalyzer();
+        const reference = await analyzer.analyzeReference(config.REFERENCE);
+        const result = fitStyle(reference, render, {
+            analyzer,
+            metrics: subject.metrics,
+            tolerance: config.TOLERANCE,
+            maxIterations: config.MAX_ITERATIONS,
+            onIteration: entry => {
+                const worst = entry.comparison.metrics.reduce((a, b) => (b.error > a.error ? b : a));
+                console.log(`   ${entry.comparison.within ? '✓' : '·'} Iteration ${entry.iteration}: max error ${(entry.comparison.maxError * 100).toFixed(1)}% (${worst.name})`);
+            }
+        });
+
+        fs.mkdirSync(config.OUTPUT_DIR, { recursive: true });
+        const pngPath = path.join(config.OUTPUT_DIR, `${name}.png`);
+        const jsonPath = path.join(config.OUTPUT_DIR, `${name}.json`);
+        fs.writeFileSync(pngPath, result.canvas.toBuffer('image/png'));
+        fs.writeFileSync(jsonPath, JSON.stringify({
+            ...result.style,
+            fit: {
+                generator: config.GENERATOR,
+                subject: subject.label(config),
+                converged: result.converged,
+                iterations: result.iterations,
+                tolerance: config.TOLERANCE,
+                metrics: result.comparison.metrics,
+                history: result.history,
+                fittedAt: new Date().toISOString()
+            }
+        }, null, 2) + '\n');
+
+        console.log('\nBest iteration:');
+        for (const metric of result.comparison.metrics) {
+            const ok = metric.error <= config.TOLERANCE;
+            console.log(`   ${ok ? '✓' : '✗'} ${metric.name}: ${formatValue(metric.measured)} vs ${formatValue(metric.reference)} (${(metric.error * 100).toFixed(1)}%)`);
+        }
+        console.log('');
+        console.log('═'.repeat(50));
+        console.log(`🖼️  ${path.relative(ROOT, pngPath)}`);
+        console.log(`📝 ${path.relative(ROOT, jsonPath)}`);
+        if (!result.converged) {
+            console.log(`❌ No fit within ${(config.TOLERANCE * 100).toFixed(0)}% after ${result.iterations} iteration(s)`);
+            process.exit(1);
+        }
+        console.log(`✅ Fitted in ${result.iterations} iteration(s)`);
+    } catch (error) {
+        console.error('❌ Style fit failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -5,6 +5,7 @@
  * - Paladin sprites via PaladinGenerator
  * - Humanoid sprites via HumanoidGenerator
  * - Bloodline sprites via HumanoidGenerator with bloodline variants
+ * - With --animations: SpriteFrames for every hero and enemy (animation-config.json)
  * 
  * NOTE: For comprehensive asset generation (spell icons, enemies, items, projectiles, VFX),
  * use generate-all-assets.js or unified-asset-generator.js
@@ -18,6 +19,7 @@ import { fileURLToPath } from 'url';
 import { PaladinGenerator } from './generators/paladin-generator.js';
 import { HumanoidGenerator } from './generators/humanoid-generator.js';
 import { HeroSpriteGenerator } from './generators/hero-sprite-generator.js';
+import { EnemySpriteGenerator } from './generators/enemy-sprite-generator.js';
 import { GemGenerator } from './generators/gem-generator.js';
 import { AnimationGenerator } from './generators/animation-generator.js';
 import { SeededRNG } from './utils/seeded-rng.js';
@@ -26,7 +28,7 @@ import { createCanvas } from 'canvas';
 import { ImageAnalyzer } from './utils/image-analyzer.js';
 import { GlowRenderer } from './utils/glow-renderer.js';
 import { QAValidator } from './utils/qa-validator.js';
-import { VariationManager } from './utils/variation-manager.js';
+import { VariationManager, createHeroVariantSource } from './utils/variation-manager.js';
 import { ExportManager } from './utils/export-manager.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -36,6 +38,8 @@ const __dirname = path.dirname(__filename);
 const CONFIG = {
     // Output directly to game directory so Godot can use them immediately
     OUTPUT_DIR: path.join(__dirname, '..', 'road-to-war', 'assets', 'sprites'),
+    ENEMIES: path.join(__dirname, '..', 'road-to-war', 'data', 'enemies.json'),
+    ENEMY_SIZE: 128,
     BASE_SIZE: 16,
     SCALE: 4,
     SPRITE_COUNT: 10,
@@ -48,7 +52,8 @@ const CONFIG = {
     GENERATE_VARIATIONS: false,
     VARIATION_COUNT: 0,
     EXPORT_FORMATS: ['png'],
-    EXPORT_SIZES: []
+    EXPORT_SIZES: [],
+    EXPORT_INDEXED: 0
 };
 
 /**
@@ -94,6 +99,11 @@ function parseArgs() {
                 const sizesStr = args[++i];
                 config.EXPORT_SIZES = sizesStr.split(',').map(s => parseInt(s.trim(), 10)).filter(n => !isNaN(n));
                 break;
+            case '--indexed':
+                const colors = parseInt(args[i + 1], 10);
+                if (!isNaN(colors)) i++;
+                config.EXPORT_INDEXED = isNaN(colors) ? 32 : colors;
+                break;
             case '--help':
                 console.log(`
 Build-Time Pixel-Art Asset Generator
@@ -104,13 +114,20 @@ Options:
   --seed <number>     Seed for deterministic generation (default: ${CONFIG.SEED})
   --count <number>    Number of humanoid sprites to generate (default: ${CONFIG.SPRITE_COUNT})
   --output <path>      Output directory (default: ${CONFIG.OUTPUT_DIR})
-  --style <path>      Path to style configuration JSON file
+  --style <path>      Path to style configuration JSON file (ImageAnalyzer,
+                      analyze-sprite.js or fit-style.js output); applied to the
+                      hero, humanoid and bloodline sprites and the paladin's colors
   --analyze <path>    Analyze reference image and generate style config first
-  --animations        Generate animation frames for sprites
+  --animations        Export every animation in animation-config.json as
+                      per-animation sheets plus a Godot SpriteFrames .tres
+                      (<sprite>_frames.tres) for each hero, the paladin and
+                      every enemy in enemies.json (written to enemies/)
   --glow              Apply class-specific glow effects
   --qa                Run QA validation on generated sprites
-  --variations <n>    Generate N sprite variations (default: 5)
+  --variations <n>    Generate N paladin hero variations (weapon, helmet, shoulder pads, pose; default: 5)
   --export-sizes <s>  Export at multiple sizes (comma-separated, e.g., "32,48,64")
+  --indexed [colors]  Also export paladin sprites as index texture + palette LUT
+                      for the PaletteSwap shader (default: 32 colors)
   --help              Show this help message
 
 Examples:
@@ -151,6 +168,45 @@ function saveMetadata(metadata, filepath) {
     fs.writeFileSync(filepath, JSON.stringify(metadata, null, 2));
 }
 
+/**
+ * Animate a sprite with every animation in animation-config.json and write
+ * <name>_animations.json, one sheet per animation and <name>_frames.tres
+ * @param {Object} sprite - Sprite canvas, or generator result with a canvas
+ * @param {string} name - Output file prefix
+ * @param {string} outputDir - Output directory
+ * @returns {Object} exportSpriteFrames() result plus the unsupported animation names
+ */
+function exportAnimations(sprite, name, outputDir) {
+    const animationGen = new AnimationGenerator();
+    const { animations, unsupported } = animationGen.generateConfiguredAnimations(sprite);
+
+    const animationData = {};
+    for (const [type, frames] of Object.entries(animations)) {
+        animationData[type] = animationGen.generateAnimationData(type, frames);
+    }
+    saveMetadata(animationData, path.join(outputDir, `${name}_animations.json`));
+
+    // Frame rects come from the sheets exportSpriteFrames() writes, one per animation
+    const canvas = sprite.canvas || sprite;
+    const spriteFrames = new ExportManager().exportSpriteFrames(animations, {
+        outputPath: path.join(outputDir, `${name}_frames.tres`),
+        frameWidth: canvas.width,
+        frameHeight: canvas.height
+    });
+
+    return { ...spriteFrames, unsupported };
+}
+
+/**
+ * Print the animations no sprite could be animated for
+ * @param {Array<string>} unsupported - Animation names
+ */
+function reportUnsupportedAnimations(unsupported) {
+    if (unsupported.length > 0) {
+        console.log(`  ⚠️  No motion yet for: ${unsupported.join(', ')} (add formulas to road-to-war/data/keyframe-configs.json)`);
+    }
+}
+
 /**
  * Load style configuration from file
  */
@@ -185,16 +241,19 @@ async function analyzeReference(inputPath, outputPath) {
 }
 
 /**
- * Generate new 128x128 hero sprites using HeroSpriteGenerator
+ * Generate hero sprites using HeroSpriteGenerator. The files keep the
+ * <class>_128x128 name HeroSprite.gd loads; their size is the generator's export size.
  * @param {Object} config - Configuration object
+ * @param {Object} styleConfig - Optional reference style (see utils/style-config.js)
  */
-async function generateNewHeroSprites(config) {
-    console.log('🎨 Generating new 128x128 hero sprites...');
-    const heroGenerator = new HeroSpriteGenerator();
+async function generateNewHeroSprites(config, styleConfig = null) {
+    console.log('🎨 Generating hero sprites...');
+    const heroGenerator = new HeroSpriteGenerator(styleConfig ? { styleConfig } : {});
     
     // Generate heroes for each class/bloodline (including hunter and shaman)
     const heroTypes = ['paladin', 'warrior', 'mage', 'rogue', 'priest', 'druid', 'warlock', 'hunter', 'shaman'];
     const outputDir = config.OUTPUT_DIR;
+    let unsupported = [];
     
     for (const heroType of heroTypes) {
         const heroData = {
@@ -206,7 +265,7 @@ async function generateNewHeroSprites(config) {
             }
         };
         
-        // Generate at 256x256 design size, export at 128x128
+        // Generate at the 256x256 design size, export at the generator's export size
         const designCanvas = heroGenerator.generate(heroData, heroType);
         const exportCanvas = heroGenerator.exportSprite(designCanvas);
         
@@ -217,7 +276,7 @@ async function generateNewHeroSprites(config) {
         saveMetadata({
             asset_type: 'hero_sprite',
             profile: 'hero_sprite',
-            base_size: [128, 128],
+            base_size: [exportCanvas.width, exportCanvas.height],
             design_size: [256, 256],
             hero_type: heroType,
             generatedAt: new Date().toISOString(),
@@ -225,9 +284,16 @@ async function generateNewHeroSprites(config) {
         }, jsonPath);
         
         console.log(`  ✓ Generated ${heroType}_128x128.png`);
+
+        if (config.GENERATE_ANIMATIONS) {
+            const spriteFrames = exportAnimations(exportCanvas, `${heroType}_128x128`, outputDir);
+            unsupported = spriteFrames.unsupported;
+            console.log(`  ✓ Exported ${path.basename(spriteFrames.tresPath)} (${spriteFrames.animations.map(a => `${a.name}:${a.frames}`).join(', ')})`);
+        }
     }
     
-    console.log('✓ New 128x128 hero sprites generated\n');
+    reportUnsupportedAnimations(unsupported);
+    console.log('✓ Hero sprites generated\n');
 }
 
 /**
@@ -286,53 +352,69 @@ async function generatePaladin(config, styleConfig = null) {
     savePNG(result.canvas, pngPath);
     saveMetadata(result.metadata, jsonPath);
 
-    // Generate animations if enabled
-    if (config.GENERATE_ANIMATIONS) {
-        const animationGen = new AnimationGenerator();
-        const animations = {
-            idle: animationGen.generateIdleFrames(result, 4),
-            walk: animationGen.generateWalkFrames(result, 8),
-            attack: animationGen.generateAttackFrames(result, 6),
-            jump: animationGen.generateJumpFrames(result, 4),
-            death: animationGen.generateDeathFrames(result, 5)
-        };
-
-        // Save animation data
-        const animationData = {};
-        for (const [type, frames] of Object.entries(animations)) {
-            animationData[type] = animationGen.generateAnimationData(type, frames);
-        }
-
-        const animationPath = path.join(config.OUTPUT_DIR, 'paladin_animations.json');
-        saveMetadata(animationData, animationPath);
-        
-        // Export sprite sheet if animations generated
+    // Indexed export for palette-swap recoloring
+    if (config.EXPORT_INDEXED > 0) {
         const exportManager = new ExportManager();
-        const idleSheet = exportManager.exportSpriteSheet(animations.idle, {
-            outputPath: path.join(config.OUTPUT_DIR, 'paladin_idle_sheet.png'),
-            frameWidth: result.canvas.width,
-            frameHeight: result.canvas.height
+        const indexed = exportManager.exportIndexed(result, {
+            basePath: path.join(config.OUTPUT_DIR, 'paladin'),
+            maxColors: config.EXPORT_INDEXED
         });
-        console.log(`Exported idle animation sheet: ${idleSheet.pngPath}`);
+        console.log(`Exported indexed sprite: ${indexed.indexPath} + ${path.basename(indexed.lutPath)} (${indexed.colors} colors${indexed.exact ? '' : ', quantized'})`);
+    }
+
+    // Generate animations if enabled
+    if (config.GENERATE_ANIMATIONS) {
+        const spriteFrames = exportAnimations(result, 'paladin', config.OUTPUT_DIR);
+        console.log(`Exported SpriteFrames: ${spriteFrames.tresPath} (${spriteFrames.animations.map(a => a.name).join(', ')})`);
+        reportUnsupportedAnimations(spriteFrames.unsupported);
     }
 
-    // Generate variations if enabled
+    // Generate variations if enabled: the paladin hero re-rendered with swapped
+    // weapons, helmet and shoulder pads and small limb offsets, then color/size jitter
     if (config.GENERATE_VARIATIONS && config.VARIATION_COUNT > 0) {
         const variationManager = new VariationManager(config.SEED);
-        const variations = await variationManager.generateVariations(result, config.VARIATION_COUNT, {
+        const heroSource = createHeroVariantSource({
+            appearance: {
+                skinColor: '#FFDBAC',
+                hairColor: '#8B4513',
+                eyeColor: '#4A90E2',
+                class: 'paladin'
+            }
+        }, 'paladin');
+        const variations = await variationManager.generateVariations(heroSource, config.VARIATION_COUNT, {
+            seed: config.SEED,
             colorVariation: 0.1,
-            sizeVariation: 0.05
+            sizeVariation: 0.05,
+            equipmentVariation: true,
+            poseVariation: true
         });
 
         for (const variation of variations) {
             const varPngPath = path.join(config.OUTPUT_DIR, `paladin_variation_${variation.index}.png`);
             savePNG(variation.sprite.canvas, varPngPath);
+            if (config.EXPORT_INDEXED > 0) {
+                new ExportManager().exportIndexed(variation.sprite, {
+                    basePath: path.join(config.OUTPUT_DIR, `paladin_variation_${variation.index}`),
+                    maxColors: config.EXPORT_INDEXED
+                });
+            }
+            saveMetadata({
+                asset_type: 'hero_sprite_variation',
+                hero_type: 'paladin',
+                seed: variation.seed,
+                size: [variation.sprite.width, variation.sprite.height],
+                equipment: variation.sprite.variant.equipment,
+                pose: variation.sprite.variant.pose
+            }, path.join(config.OUTPUT_DIR, `paladin_variation_${variation.index}.json`));
             
             // Validate variation
             const qaValidator = new QAValidator();
-            const validation = qaValidator.validateSprite(variation.sprite);
-            if (!validation.valid) {
-                console.warn(`Variation ${variation.index} QA issues:`, validation.issues);
+            const issues = [
+                ...variationManager.validateVariation(variation.sprite).issues,
+                ...qaValidator.validateSprite(variation.sprite).issues
+            ];
+            if (issues.length > 0) {
+                console.warn(`Variation ${variation.index} QA issues:`, issues);
             }
         }
         
@@ -344,8 +426,10 @@ async function generatePaladin(config, styleConfig = null) {
 
 /**
  * Generate generic humanoid sprites
+ * @param {Object} config - Configuration object
+ * @param {Object} styleConfig - Optional reference style (see utils/style-config.js)
  */
-function generateHumanoids(config) {
+function generateHumanoids(config, styleConfig = null) {
     const results = [];
     console.log(`Generating ${config.SPRITE_COUNT} humanoid sprites...`);
 
@@ -353,7 +437,7 @@ function generateHumanoids(config) {
         const seed = config.SEED + i;
         const rng = new SeededRNG(seed);
         const canvas = createCanvas(512, 512); // High resolution 512x512
-        const generator = new HumanoidGenerator(canvas, rng, { paletteName: 'warm' });
+        const generator = new HumanoidGenerator(canvas, rng, { paletteName: 'warm', styleConfig });
         const result = generator.generate();
 
         const metadata = {
@@ -385,8 +469,10 @@ function generateHumanoids(config) {
 
 /**
  * Generate bloodline-specific sprites
+ * @param {Object} config - Configuration object
+ * @param {Object} styleConfig - Optional reference style (see utils/style-config.js)
  */
-function generateBloodlineSprites(config) {
+function generateBloodlineSprites(config, styleConfig = null) {
     const bloodlines = [
         'ancient_warrior',
         'arcane_scholar',
@@ -401,7 +487,7 @@ function generateBloodlineSprites(config) {
         const seed = config.SEED + 1000 + index;
         const rng = new SeededRNG(seed);
         const canvas = createCanvas(512, 512); // High resolution 512x512
-        const generator = new HumanoidGenerator(canvas, rng, { bloodline });
+        const generator = new HumanoidGenerator(canvas, rng, { bloodline, styleConfig });
         generator.generate();
 
         const metadata = {
@@ -424,6 +510,39 @@ function generateBloodlineSprites(config) {
     return results;
 }
 
+/**
+ * Export SpriteFrames for every enemy in enemies.json (--animations). Sprites are
+ * drawn the way generate-all-assets.js draws sprites/enemies/<id>.png.
+ * @param {Object} config - Configuration object
+ */
+function generateEnemyAnimations(config) {
+    if (!fs.existsSync(config.ENEMIES)) {
+        console.warn('enemies.json not found, skipping enemy animations');
+        return [];
+    }
+
+    const enemies = JSON.parse(fs.readFileSync(config.ENEMIES, 'utf8'));
+    const outputDir = path.join(config.OUTPUT_DIR, 'enemies');
+    ensureOutputDir(outputDir);
+
+    const generator = new EnemySpriteGenerator({ size: config.ENEMY_SIZE });
+    const results = [];
+    let unsupported = [];
+    console.log(`Exporting SpriteFrames for ${Object.keys(enemies).length} enemies...`);
+
+    for (const [enemyId, enemyData] of Object.entries(enemies)) {
+        const canvas = generator.generate(enemyData, enemyId);
+        const spriteFrames = exportAnimations(canvas, enemyId, outputDir);
+        unsupported = spriteFrames.unsupported;
+        results.push(spriteFrames);
+    }
+
+    reportUnsupportedAnimations(unsupported);
+    console.log(`✓ Exported ${results.length} enemy SpriteFrames to ${outputDir}`);
+
+    return results;
+}
+
 /**
  * Generate skill gem icons
  */
@@ -497,20 +616,25 @@ async function main() {
     }
 
     try {
-        // Generate 128x128 heroes using new HeroSpriteGenerator (NEW)
+        // Generate class heroes using HeroSpriteGenerator
         if (config.GENERATE_NEW_HEROES !== false) {
-            await generateNewHeroSprites(config);
+            await generateNewHeroSprites(config, styleConfig);
         }
 
         // Generate Paladin (legacy 64x64)
         await generatePaladin(config, styleConfig);
 
         // Generate bloodline-specific sprites (legacy)
-        generateBloodlineSprites(config);
+        generateBloodlineSprites(config, styleConfig);
 
         // Generate generic humanoids (512x512 - high resolution)
         if (config.SPRITE_COUNT > 0) {
-            generateHumanoids(config);
+            generateHumanoids(config, styleConfig);
+        }
+
+        // SpriteFrames for every enemy
+        if (config.GENERATE_ANIMATIONS) {
+            generateEnemyAnimations(config);
         }
 
         // Generate skill gem icons
@@ -2,13 +2,38 @@
  * Animation Generator
  * Generates animation frames for sprites (idle, walk, attack, jump, death)
  * Based on Dragumagu-style pixel art animation specifications
+ * Motion comes from road-to-war/data/keyframe-configs.json where an animation has
+ * formulas there; the hardcoded transforms below are the fallback.
  */
 
+import fs from 'fs';
 import { createCanvas } from 'canvas';
 import { PixelDrawer } from '../utils/pixel-drawer.js';
+import { KEYFRAME_CONFIGS_PATH, loadKeyframeConfigs, compileKeyframeConfig, evaluateKeyframe } from '../utils/keyframe-formulas.js';
+import { loadAnimationConfig, getAnimationSettings, listConfiguredAnimations } from '../utils/animation-config.js';
+
+// Keyframe channels that map onto frame transform fields
+const CHANNEL_FIELDS = {
+    x: 'offsetX',
+    y: 'offsetY',
+    rotation: 'rotation',
+    scale: 'scale',
+    scaleX: 'scaleX',
+    scaleY: 'scaleY',
+    alpha: 'alpha'
+};
 
 export class AnimationGenerator {
-    constructor() {
+    /**
+     * @param {Object} options - { keyframeConfigs: parsed keyframe-configs.json (null disables them), animationConfig: parsed animation-config.json }
+     */
+    constructor(options = {}) {
+        this.keyframeConfigs = options.keyframeConfigs !== undefined
+            ? options.keyframeConfigs
+            : (fs.existsSync(KEYFRAME_CONFIGS_PATH) ? loadKeyframeConfigs() : null);
+        this.animationConfig = options.animationConfig || loadAnimationConfig();
+        this.compiledKeyframes = {};
+
         // Animation specifications from style guide
         this.specs = {
             idle: { frames: 4, duration: 2.0, motion: 'vertical', amplitude: 5 },
@@ -26,6 +51,9 @@ export class AnimationGenerator {
      * @returns {Array<Object>} Array of frame objects { canvas, offsetX, offsetY, scale }
      */
     generateIdleFrames(baseSprite, frameCount = 4) {
+        const configured = this.generateKeyframeFrames(baseSprite, 'idle', frameCount);
+        if (configured) return configured;
+
         const frames = [];
         const { amplitude } = this.specs.idle;
         const width = baseSprite.width || 48;
@@ -58,6 +86,9 @@ export class AnimationGenerator {
      * @returns {Array<Object>} Array of frame objects
      */
     generateWalkFrames(baseSprite, frameCount = 8) {
+        const configured = this.generateKeyframeFrames(baseSprite, 'walk', frameCount);
+        if (configured) return configured;
+
         const frames = [];
         const { amplitude } = this.specs.walk;
         const width = baseSprite.width || 48;
@@ -94,6 +125,9 @@ export class AnimationGenerator {
      * @returns {Array<Object>} Array of frame objects
      */
     generateAttackFrames(baseSprite, frameCount = 6) {
+        const configured = this.generateKeyframeFrames(baseSprite, 'attack', frameCount);
+        if (configured) return configured;
+
         const frames = [];
         const { amplitude } = this.specs.attack;
         const width = baseSprite.width || 48;
@@ -174,6 +208,9 @@ export class AnimationGenerator {
      * @returns {Array<Object>} Array of frame objects
      */
     generateDeathFrames(baseSprite, frameCount = 5) {
+        const configured = this.generateKeyframeFrames(baseSprite, 'death', frameCount);
+        if (configured) return configured;
+
         const frames = [];
         const width = baseSprite.width || 48;
         const height = baseSprite.height || 48;
@@ -203,6 +240,89 @@ export class AnimationGenerator {
         return frames;
     }
 
+    /**
+     * Generate frames from the animation's formulas in keyframe-configs.json.
+     * x/y/rotation/scale/scaleX/scaleY/alpha channels become the frame transform
+     * (rotation in degrees); every channel is also kept in frame.channels.
+     * Looping animations (animation-config.json) sample t in [0, 1), others [0, 1].
+     * @param {Object} baseSprite - Base sprite canvas or generator
+     * @param {string} animationType - Animation name in keyframe-configs.json
+     * @param {number} frameCount - Number of frames
+     * @param {Object} overrides - Parameter values replacing the config's
+     * @returns {Array<Object>|null} Frame objects, or null if the animation has no config
+     */
+    generateKeyframeFrames(baseSprite, animationType, frameCount, overrides = {}) {
+        const config = this.keyframeConfigs && this.keyframeConfigs[animationType];
+        if (!config) return null;
+
+        if (!this.compiledKeyframes[animationType]) {
+            try {
+                this.compiledKeyframes[animationType] = compileKeyframeConfig(config);
+            } catch (e) {
+                throw new Error(`keyframe-configs.json "${animationType}": ${e.message}`);
+            }
+        }
+        const compiled = this.compiledKeyframes[animationType];
+        const { loop } = getAnimationSettings(this.animationConfig, animationType);
+        const steps = loop ? frameCount : Math.max(1, frameCount - 1);
+
+        const frames = [];
+        for (let i = 0; i < frameCount; i++) {
+            const channels = evaluateKeyframe(compiled, i / steps, overrides);
+            const frame = {
+                canvas: this.copyCanvas(baseSprite),
+                offsetX: 0,
+                offsetY: 0,
+                scale: 1.0,
+                alpha: 1.0,
+                channels
+            };
+            for (const [channel, field] of Object.entries(CHANNEL_FIELDS)) {
+                if (channel in channels) {
+                    frame[field] = channels[channel];
+                }
+            }
+            frame.offsetX = Math.round(frame.offsetX);
+            frame.offsetY = Math.round(frame.offsetY);
+            frames.push(frame);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Frames for every animation in animation-config.json, at its configured frame count.
+     * idle/walk/attack/jump/death use their generators above; other names need
+     * formulas in keyframe-configs.json and are reported as unsupported without them.
+     * @param {Object} baseSprite - Base sprite canvas or generator
+     * @returns {Object} { animations: { name: frames }, unsupported: [name] }
+     */
+    generateConfiguredAnimations(baseSprite) {
+        const builders = {
+            idle: this.generateIdleFrames,
+            walk: this.generateWalkFrames,
+            attack: this.generateAttackFrames,
+            jump: this.generateJumpFrames,
+            death: this.generateDeathFrames
+        };
+
+        const animations = {};
+        const unsupported = [];
+        for (const name of listConfiguredAnimations(this.animationConfig)) {
+            const { frameCount } = getAnimationSettings(this.animationConfig, name);
+            const frames = builders[name]
+                ? builders[name].call(this, baseSprite, frameCount)
+                : this.generateKeyframeFrames(baseSprite, name, frameCount);
+            if (frames && frames.length > 0) {
+                animations[name] = frames;
+            } else {
+                unsupported.push(name);
+            }
+        }
+
+        return { animations, unsupported };
+    }
+
     /**
      * Apply transform to a frame
      * @param {Object} frame - Frame object
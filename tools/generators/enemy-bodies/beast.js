@@ -0,0 +1,140 @@
+/**
+ * Beast Body Renderer
+ * Four-legged creatures seen head-on: haunched body, planted legs, head with
+ * snout and species features (antlers, spines, boils).
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { outlined, polygon, drawEyes, mirrored } from './shared.js';
+
+const BUILDS = {
+    gaunt: { bodyW: 1.0, bodyH: 0.75, legW: 0.16, headR: 0.42 },
+    hulking: { bodyW: 1.2, bodyH: 0.7, legW: 0.24, headR: 0.5 }
+};
+
+export default {
+    bodyType: 'beast',
+    extent: 1.35,
+    ground: 1.05,
+    poses: {
+        attack: { jaw: 0.6, dy: -0.05 },
+        hurt: { jaw: 0.2 }
+    },
+    variants: {
+        wendigo: { build: 'gaunt', antlers: true, claws: true, mane: true },
+        plagued_beast: { build: 'hulking', spines: true, boils: 5, drool: true }
+    },
+    defaultVariant: { build: 'hulking' },
+
+    draw(ctx, body, variant, pose) {
+        const { cx, cy, r, color, skin } = body;
+        const build = BUILDS[variant.build] || BUILDS.hulking;
+        const dark = darkenHex(color, 0.3);
+        const headR = r * build.headR;
+        const headY = cy - r * 0.4;
+
+        // Legs: rear pair tucked behind, front pair planted
+        mirrored(side => {
+            outlined(ctx, dark, () => ctx.rect(cx + side * r * 0.75 - r * build.legW / 2, cy + r * 0.2, r * build.legW, r * 0.8));
+        });
+        mirrored(side => {
+            const legX = cx + side * r * 0.35 - r * build.legW / 2;
+            outlined(ctx, color, () => ctx.rect(legX, cy + r * 0.3, r * build.legW, r * 0.75));
+            if (variant.claws) {
+                ctx.fillStyle = '#F5F5DC';
+                for (let i = 0; i < 3; i++) {
+                    ctx.fillRect(legX + i * r * build.legW / 3, cy + r * 1.02, Math.max(1, r * 0.04), r * 0.08);
+                }
+            }
+        });
+
+        // Haunched body
+        outlined(ctx, color, () => ctx.ellipse(cx, cy + r * 0.15, r * build.bodyW, r * build.bodyH, 0, 0, Math.PI * 2));
+
+        if (variant.spines) {
+            for (let i = -2; i <= 2; i++) {
+                const x = cx + i * r * 0.3;
+                const baseY = cy + r * 0.15 - r * build.bodyH * Math.sqrt(1 - (i * 0.3 / build.bodyW) ** 2) + r * 0.05;
+                outlined(ctx, darkenHex(skin, 0.2), () => polygon(ctx, [
+                    [x - r * 0.08, baseY], [x, baseY - r * 0.28], [x + r * 0.08, baseY]
+                ]), 1);
+            }
+        }
+        if (variant.mane) {
+            // Shaggy ruff around the neck
+            ctx.fillStyle = lightenHex(color, 0.35);
+            for (let i = 0; i < 7; i++) {
+                const angle = Math.PI * 0.15 + (i * Math.PI * 0.7) / 6;
+                ctx.beginPath();
+                ctx.ellipse(cx + Math.cos(angle) * r * 0.5, headY + r * 0.35 + Math.sin(angle) * r * 0.2, r * 0.14, r * 0.08, angle, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+        for (let i = 0; i < (variant.boils || 0); i++) {
+            const angle = i * 2.4;
+            ctx.fillStyle = lightenHex(skin, 0.25);
+            ctx.beginPath();
+            ctx.arc(cx + Math.cos(angle) * r * 0.6, cy + r * 0.25 + Math.sin(angle) * r * 0.35, r * 0.08, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        if (variant.antlers) {
+            ctx.strokeStyle = '#8B4513';
+            ctx.lineWidth = Math.max(2, r * 0.08);
+            ctx.lineCap = 'round';
+            mirrored(side => {
+                const baseX = cx + side * headR * 0.55;
+                const baseY = headY - headR * 0.7;
+                ctx.beginPath();
+                ctx.moveTo(baseX, baseY);
+                ctx.lineTo(baseX + side * r * 0.35, baseY - r * 0.55);
+                ctx.moveTo(baseX + side * r * 0.15, baseY - r * 0.25);
+                ctx.lineTo(baseX + side * r * 0.02, baseY - r * 0.5);
+                ctx.moveTo(baseX + side * r * 0.28, baseY - r * 0.42);
+                ctx.lineTo(baseX + side * r * 0.55, baseY - r * 0.5);
+                ctx.stroke();
+            });
+            ctx.lineCap = 'butt';
+        }
+
+        // Head and snout
+        outlined(ctx, color, () => ctx.arc(cx, headY, headR, 0, Math.PI * 2));
+        mirrored(side => {
+            outlined(ctx, color, () => polygon(ctx, [
+                [cx + side * headR * 0.4, headY - headR * 0.75],
+                [cx + side * headR * 0.95, headY - headR * 1.25],
+                [cx + side * headR * 0.9, headY - headR * 0.4]
+            ]), 1.5);
+        });
+        const jaw = pose.jaw || 0;
+        outlined(ctx, lightenHex(color, 0.2), () => ctx.ellipse(cx, headY + headR * 0.45, headR * 0.5, headR * 0.35, 0, 0, Math.PI * 2), 1.5);
+        if (jaw > 0) {
+            ctx.fillStyle = '#3B0000';
+            ctx.beginPath();
+            ctx.ellipse(cx, headY + headR * 0.6, headR * 0.35, headR * 0.3 * jaw, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#FFFFFF';
+            mirrored(side => ctx.fillRect(cx + side * headR * 0.22 - 1, headY + headR * 0.45, 2, headR * 0.2));
+        }
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.ellipse(cx, headY + headR * 0.3, headR * 0.15, headR * 0.09, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (variant.drool) {
+            ctx.fillStyle = lightenHex(skin, 0.4);
+            ctx.fillRect(cx + headR * 0.2, headY + headR * 0.75, Math.max(1, r * 0.05), r * 0.2);
+        }
+
+        drawEyes(ctx, cx, headY - headR * 0.2, headR * 0.42, headR * 0.18, {
+            white: variant.antlers ? null : '#FFFFFF',
+            pupil: variant.antlers ? '#00BFFF' : '#000000',
+            shut: pose.eyes === 'shut'
+        });
+
+        return {
+            head: { x: cx, y: headY, r: headR },
+            shoulders: [{ x: cx - r * build.bodyW * 0.7, y: cy - r * 0.2 }, { x: cx + r * build.bodyW * 0.7, y: cy - r * 0.2 }]
+        };
+    }
+};
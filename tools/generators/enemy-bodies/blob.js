@@ -0,0 +1,69 @@
+/**
+ * Blob Body Renderer
+ * Squishy gelatinous bodies with a wavy base; attack squashes, hurt stretches.
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { outlined, drawEyes } from './shared.js';
+
+export default {
+    bodyType: 'blob',
+    extent: 1.1,
+    ground: 0.75,
+    poses: {
+        attack: { squash: 0.8, dx: 0.18, mouth: true },
+        hurt: { squash: 1.12 }
+    },
+    variants: {
+        slime: { core: true, drips: 2, mouth: false }
+    },
+    defaultVariant: { core: false, drips: 0, mouth: false },
+
+    draw(ctx, body, variant, pose) {
+        const { cx, cy, color } = body;
+        const r = body.r * 1.05;
+
+        outlined(ctx, color, () => {
+            ctx.moveTo(cx - r, cy);
+            ctx.quadraticCurveTo(cx - r, cy - r, cx, cy - r);
+            ctx.quadraticCurveTo(cx + r, cy - r, cx + r, cy);
+            // Wavy base
+            ctx.quadraticCurveTo(cx + r * 0.6, cy + r * 0.9, cx, cy + r * 0.75);
+            ctx.quadraticCurveTo(cx - r * 0.6, cy + r * 0.9, cx - r, cy);
+            ctx.closePath();
+        });
+
+        // Swallowed core floating inside the gel
+        if (variant.core) {
+            ctx.fillStyle = darkenHex(color, 0.35);
+            ctx.beginPath();
+            ctx.arc(cx + r * 0.2, cy + r * 0.15, r * 0.18, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        for (let i = 0; i < variant.drips; i++) {
+            const dripX = cx + (i === 0 ? -r * 0.55 : r * 0.45);
+            outlined(ctx, color, () => ctx.ellipse(dripX, cy + r * 0.55, r * 0.08, r * 0.14, 0, 0, Math.PI * 2), 1);
+        }
+
+        // Highlight
+        ctx.fillStyle = lightenHex(color, 0.45);
+        ctx.beginPath();
+        ctx.ellipse(cx - r * 0.25, cy - r * 0.45, r * 0.3, r * 0.18, -0.4, 0, Math.PI * 2);
+        ctx.fill();
+
+        drawEyes(ctx, cx, cy - r * 0.15, r * 0.28, r * 0.12, { shut: pose.eyes === 'shut' });
+
+        if (variant.mouth || pose.mouth) {
+            ctx.fillStyle = darkenHex(color, 0.6);
+            ctx.beginPath();
+            ctx.ellipse(cx, cy + r * 0.2, r * 0.22, r * (pose.mouth ? 0.16 : 0.06), 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        return {
+            head: { x: cx, y: cy - r * 0.7, r: r * 0.45 },
+            shoulders: [{ x: cx - r * 0.8, y: cy - r * 0.35 }, { x: cx + r * 0.8, y: cy - r * 0.35 }]
+        };
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Creature Body Renderer
+ * Fallback for enemies whose bodyType has no renderer: a round body with eyes.
+ */
+
+import { darkenHex } from '../../utils/color-utils.js';
+import { outlined, drawEyes } from './shared.js';
+
+export default {
+    bodyType: 'creature',
+    extent: 1.05,
+    ground: 0.75,
+    poses: {
+        attack: { squash: 0.9 },
+        hurt: { squash: 1.05 }
+    },
+    variants: {},
+    defaultVariant: {},
+
+    draw(ctx, body, variant, pose) {
+        const { cx, cy, r, color } = body;
+
+        outlined(ctx, color, () => ctx.arc(cx, cy, r, 0, Math.PI * 2));
+
+        // Belly shade keeps the circle from reading as a flat disc
+        ctx.fillStyle = darkenHex(color, 0.2);
+        ctx.beginPath();
+        ctx.ellipse(cx, cy + r * 0.45, r * 0.6, r * 0.3, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        drawEyes(ctx, cx, cy - r * 0.2, r * 0.4, r * 0.15, { shut: pose.eyes === 'shut' });
+
+        return {
+            head: { x: cx, y: cy - r * 0.55, r: r * 0.5 },
+            shoulders: [{ x: cx - r * 0.75, y: cy - r * 0.45 }, { x: cx + r * 0.75, y: cy - r * 0.45 }]
+        };
+    }
+};
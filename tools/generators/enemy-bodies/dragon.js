@@ -0,0 +1,181 @@
+/**
+ * Dragon Body Renderer
+ * Winged drakes: spread wings, coiled body, tail, horned head on a raised
+ * neck. Wing angle follows the pose (raised to attack, folded when hurt).
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { outlined, translucent, polygon, drawEyes, mirrored } from './shared.js';
+
+export default {
+    bodyType: 'dragon',
+    extent: 1.5,
+    ground: 0.8,
+    poses: {
+        idle: { wings: 0 },
+        attack: { wings: -0.3, jaw: 0.7, breath: true, dx: 0.05, lean: 0.04 },
+        hurt: { wings: 0.35, jaw: 0.3, dx: -0.05, lean: -0.05 }
+    },
+    variants: {
+        dragon: { wingSpan: 1.45, horns: 'curved', belly: true, backSpikes: 4 },
+        proto_drake: { wingSpan: 1.3, horns: 'spikes', frill: true, belly: true },
+        frost_wyrm: { wingSpan: 1.4, horns: 'curved', skeletal: true, breathColor: '#E0FFFF' },
+        time_lost_drake: { wingSpan: 1.35, horns: 'spikes', frill: true, runes: true, breathColor: '#DA70D6' }
+    },
+    defaultVariant: { wingSpan: 1.3, horns: 'curved', belly: true },
+
+    draw(ctx, body, variant, pose) {
+        const { cx, cy, r, color, skin, armor } = body;
+        const wingLift = pose.wings || 0;
+        const span = variant.wingSpan || 1.3;
+        const membrane = variant.skeletal ? lightenHex(color, 0.3) : darkenHex(color, 0.2);
+
+        // Wings
+        mirrored(side => {
+            const rootX = cx + side * r * 0.25;
+            const rootY = cy - r * 0.35;
+            const tipX = cx + side * r * span;
+            const tipY = cy - r * (0.75 - wingLift);
+            const points = [
+                [rootX, rootY],
+                [tipX, tipY],
+                [cx + side * r * (span - 0.1), cy + r * (0.05 + wingLift * 0.3)],
+                [cx + side * r * (span * 0.7), cy - r * 0.05],
+                [cx + side * r * (span * 0.5), cy + r * 0.2],
+                [rootX + side * r * 0.15, cy + r * 0.1]
+            ];
+            translucent(ctx, variant.skeletal ? 0.75 : 1, membrane, () => polygon(ctx, points));
+            // Wing bones
+            ctx.strokeStyle = variant.skeletal ? '#F5F5F5' : darkenHex(color, 0.45);
+            ctx.lineWidth = Math.max(1.5, r * 0.05);
+            ctx.beginPath();
+            for (const [x, y] of points.slice(2, 5)) {
+                ctx.moveTo(tipX, tipY);
+                ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        });
+
+        // Tail curling around the feet
+        outlined(ctx, color, () => {
+            ctx.moveTo(cx + r * 0.3, cy + r * 0.5);
+            ctx.quadraticCurveTo(cx + r * 1.1, cy + r * 0.7, cx + r * 1.15, cy + r * 0.25);
+            ctx.lineTo(cx + r * 1.25, cy + r * 0.15);
+            ctx.quadraticCurveTo(cx + r * 1.05, cy + r * 0.95, cx + r * 0.15, cy + r * 0.7);
+            ctx.closePath();
+        }, 1.5);
+
+        // Body
+        outlined(ctx, color, () => ctx.ellipse(cx, cy + r * 0.2, r * 0.7, r * 0.55, 0, 0, Math.PI * 2));
+        if (variant.skeletal) {
+            // Ribcage showing through
+            ctx.strokeStyle = '#F5F5F5';
+            ctx.lineWidth = Math.max(1, r * 0.05);
+            for (let i = 0; i < 4; i++) {
+                const y = cy + r * (0.0 + i * 0.14);
+                ctx.beginPath();
+                ctx.moveTo(cx - r * (0.5 - i * 0.06), y);
+                ctx.quadraticCurveTo(cx, y + r * 0.1, cx + r * (0.5 - i * 0.06), y);
+                ctx.stroke();
+            }
+        } else if (variant.belly) {
+            ctx.fillStyle = lightenHex(skin, 0.35);
+            ctx.beginPath();
+            ctx.ellipse(cx, cy + r * 0.3, r * 0.35, r * 0.32, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        if (variant.runes) {
+            ctx.fillStyle = lightenHex(color, 0.6);
+            for (let i = 0; i < 3; i++) {
+                ctx.fillRect(cx - r * 0.35 + i * r * 0.3, cy + r * 0.15, Math.max(2, r * 0.08), Math.max(2, r * 0.16));
+            }
+        }
+
+        // Back spikes along the neck
+        for (let i = 0; i < (variant.backSpikes || 0); i++) {
+            const y = cy - r * (0.05 + i * 0.12);
+            outlined(ctx, armor, () => polygon(ctx, [
+                [cx - r * 0.08, y], [cx - r * 0.22, y - r * 0.1], [cx - r * 0.04, y - r * 0.06]
+            ]), 1);
+        }
+
+        // Neck and head
+        const headY = cy - r * 0.5;
+        const headR = r * 0.3;
+        outlined(ctx, color, () => ctx.rect(cx - r * 0.14, headY, r * 0.28, r * 0.4), 1.5);
+
+        if (variant.frill) {
+            mirrored(side => {
+                outlined(ctx, armor, () => polygon(ctx, [
+                    [cx + side * headR * 0.6, headY - headR * 0.3],
+                    [cx + side * headR * 1.7, headY - headR * 0.8],
+                    [cx + side * headR * 1.4, headY + headR * 0.1],
+                    [cx + side * headR * 1.8, headY + headR * 0.4],
+                    [cx + side * headR * 0.7, headY + headR * 0.4]
+                ]), 1.5);
+            });
+        }
+
+        mirrored(side => {
+            const baseX = cx + side * headR * 0.5;
+            const baseY = headY - headR * 0.7;
+            if (variant.horns === 'spikes') {
+                outlined(ctx, lightenHex(armor, 0.3), () => polygon(ctx, [
+                    [baseX - side * headR * 0.15, baseY + headR * 0.1],
+                    [baseX + side * headR * 0.25, baseY - headR * 1.1],
+                    [baseX + side * headR * 0.3, baseY + headR * 0.15]
+                ]), 1.5);
+            } else {
+                outlined(ctx, '#F5F5DC', () => {
+                    ctx.moveTo(baseX - side * headR * 0.15, baseY + headR * 0.1);
+                    ctx.quadraticCurveTo(baseX + side * headR * 0.2, baseY - headR * 1.2, baseX + side * headR * 1.1, baseY - headR * 1.0);
+                    ctx.quadraticCurveTo(baseX + side * headR * 0.4, baseY - headR * 0.6, baseX + side * headR * 0.3, baseY + headR * 0.15);
+                    ctx.closePath();
+                }, 1.5);
+            }
+        });
+
+        outlined(ctx, color, () => ctx.ellipse(cx, headY, headR * 1.15, headR * 0.9, 0, 0, Math.PI * 2));
+        // Snout
+        const jaw = pose.jaw || 0;
+        outlined(ctx, lightenHex(color, 0.15), () => ctx.ellipse(cx, headY + headR * 0.45, headR * 0.6, headR * (0.35 + jaw * 0.2), 0, 0, Math.PI * 2), 1.5);
+        if (jaw > 0) {
+            ctx.fillStyle = '#3B0000';
+            ctx.beginPath();
+            ctx.ellipse(cx, headY + headR * 0.55, headR * 0.4, headR * 0.25 * jaw, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.fillStyle = '#000000';
+        mirrored(side => ctx.fillRect(cx + side * headR * 0.2 - 1, headY + headR * 0.3, 2, 2));
+
+        if (pose.breath) {
+            const breath = variant.breathColor || '#FF8C00';
+            ctx.save();
+            ctx.globalAlpha = 0.8;
+            ctx.fillStyle = breath;
+            ctx.beginPath();
+            ctx.moveTo(cx - headR * 0.3, headY + headR * 0.75);
+            ctx.lineTo(cx - r * 0.5, cy + r * 0.45);
+            ctx.lineTo(cx + r * 0.2, cy + r * 0.5);
+            ctx.lineTo(cx + headR * 0.3, headY + headR * 0.75);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillStyle = lightenHex(breath, 0.5);
+            ctx.beginPath();
+            ctx.ellipse(cx - r * 0.1, cy + r * 0.2, r * 0.12, r * 0.22, 0.3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
+
+        drawEyes(ctx, cx, headY - headR * 0.2, headR * 0.5, headR * 0.2, {
+            white: '#FFD700',
+            pupil: '#000000',
+            shut: pose.eyes === 'shut'
+        });
+
+        return {
+            head: { x: cx, y: headY, r: headR },
+            shoulders: [{ x: cx - r * 0.45, y: cy - r * 0.15 }, { x: cx + r * 0.45, y: cy - r * 0.15 }]
+        };
+    }
+};
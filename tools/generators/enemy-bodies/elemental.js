@@ -0,0 +1,235 @@
+/**
+ * Elemental Body Renderer
+ * Energy and matter given shape. Every form is filled and then outlined as
+ * one path (the old generator stroked only the last tendril, so elementals
+ * had no outline). The pose's flare scales the form's reach.
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { outlined, polygon, drawEyes, mirrored } from './shared.js';
+
+function coreGradient(ctx, cx, cy, radius, color) {
+    const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+    gradient.addColorStop(0, lightenHex(color, 0.45));
+    gradient.addColorStop(0.7, color);
+    gradient.addColorStop(1, darkenHex(color, 0.3));
+    return gradient;
+}
+
+// Closed star-like path whose points alternate between two radii
+function spikyPath(ctx, cx, cy, points, outer, inner, rotation = -Math.PI / 2) {
+    const path = [];
+    for (let i = 0; i < points * 2; i++) {
+        const angle = rotation + (i * Math.PI) / points;
+        const radius = i % 2 === 0 ? outer(i / 2) : inner;
+        path.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+    }
+    polygon(ctx, path);
+}
+
+const FORMS = {
+    orb(ctx, body, flare) {
+        const { cx, cy, r, color } = body;
+        outlined(ctx, coreGradient(ctx, cx, cy, r * 1.2, color), () =>
+            spikyPath(ctx, cx, cy, 6, () => r * 1.35 * flare, r * 1.0));
+        return cy - r * 0.1;
+    },
+
+    flame(ctx, body, flare) {
+        const { cx, cy, r, color, skin } = body;
+        // Tongues reach highest in the middle
+        outlined(ctx, coreGradient(ctx, cx, cy + r * 0.3, r * 1.3, color), () => {
+            ctx.moveTo(cx - r * 0.8, cy + r * 0.7);
+            const tongues = [[-0.85, -0.3], [-0.55, -0.85], [-0.25, -0.6], [0, -1.3], [0.25, -0.6], [0.55, -0.85], [0.85, -0.3]];
+            for (let i = 0; i < tongues.length; i++) {
+                const [x, y] = tongues[i];
+                const valleyY = cy + r * (y * flare * 0.4);
+                ctx.quadraticCurveTo(cx + r * (x - 0.12), valleyY, cx + r * x, cy + r * y * flare);
+            }
+            ctx.quadraticCurveTo(cx + r * 1.0, cy + r * 0.3, cx + r * 0.8, cy + r * 0.7);
+            ctx.quadraticCurveTo(cx, cy + r * 0.95, cx - r * 0.8, cy + r * 0.7);
+            ctx.closePath();
+        });
+        ctx.fillStyle = lightenHex(skin, 0.5);
+        ctx.beginPath();
+        ctx.ellipse(cx, cy + r * 0.25, r * 0.35, r * 0.45, 0, 0, Math.PI * 2);
+        ctx.fill();
+        return cy - r * 0.15;
+    },
+
+    wave(ctx, body, flare) {
+        const { cx, cy, r, color, skin } = body;
+        // Droplet body rising out of a swirl
+        outlined(ctx, coreGradient(ctx, cx, cy, r * 1.2, color), () => {
+            ctx.moveTo(cx, cy - r * 1.15 * flare);
+            ctx.quadraticCurveTo(cx + r * 0.95, cy - r * 0.1, cx + r * 0.75, cy + r * 0.45);
+            ctx.quadraticCurveTo(cx + r * 1.15, cy + r * 0.75, cx + r * 0.6, cy + r * 0.8);
+            ctx.quadraticCurveTo(cx, cy + r * 0.7, cx - r * 0.6, cy + r * 0.8);
+            ctx.quadraticCurveTo(cx - r * 1.15, cy + r * 0.75, cx - r * 0.75, cy + r * 0.45);
+            ctx.quadraticCurveTo(cx - r * 0.95, cy - r * 0.1, cx, cy - r * 1.15 * flare);
+            ctx.closePath();
+        });
+        ctx.strokeStyle = lightenHex(skin, 0.45);
+        ctx.lineWidth = Math.max(1.5, r * 0.06);
+        ctx.beginPath();
+        ctx.arc(cx - r * 0.1, cy + r * 0.35, r * 0.3, Math.PI * 0.2, Math.PI * 1.4);
+        ctx.moveTo(cx + r * 0.45, cy + r * 0.1);
+        ctx.arc(cx + r * 0.25, cy + r * 0.1, r * 0.2, 0, Math.PI);
+        ctx.stroke();
+        return cy - r * 0.3;
+    },
+
+    rock(ctx, body, flare) {
+        const { cx, cy, r, color, skin } = body;
+        // Boulder arms, then a chunky torso and a small head stone
+        mirrored(side => {
+            outlined(ctx, darkenHex(color, 0.15), () => polygon(ctx, [
+                [cx + side * r * 0.6, cy - r * 0.45],
+                [cx + side * r * 1.2 * flare, cy - r * 0.2],
+                [cx + side * r * 1.25 * flare, cy + r * 0.45],
+                [cx + side * r * 0.85, cy + r * 0.55],
+                [cx + side * r * 0.6, cy + r * 0.1]
+            ]));
+        });
+        outlined(ctx, color, () => polygon(ctx, [
+            [cx - r * 0.7, cy - r * 0.55], [cx - r * 0.2, cy - r * 0.75], [cx + r * 0.55, cy - r * 0.6],
+            [cx + r * 0.75, cy + r * 0.2], [cx + r * 0.45, cy + r * 0.8], [cx - r * 0.5, cy + r * 0.8],
+            [cx - r * 0.8, cy + r * 0.15]
+        ]));
+        outlined(ctx, lightenHex(color, 0.1), () => polygon(ctx, [
+            [cx - r * 0.3, cy - r * 0.7], [cx - r * 0.1, cy - r * 1.1], [cx + r * 0.3, cy - r * 1.05], [cx + r * 0.35, cy - r * 0.65]
+        ]));
+        // Cracks with the core showing through
+        ctx.strokeStyle = lightenHex(skin, 0.4);
+        ctx.lineWidth = Math.max(1, r * 0.05);
+        ctx.beginPath();
+        ctx.moveTo(cx - r * 0.3, cy - r * 0.2);
+        ctx.lineTo(cx - r * 0.05, cy + r * 0.15);
+        ctx.lineTo(cx + r * 0.2, cy + r * 0.05);
+        ctx.moveTo(cx - r * 0.05, cy + r * 0.15);
+        ctx.lineTo(cx - r * 0.1, cy + r * 0.5);
+        ctx.stroke();
+        return cy - r * 0.88;
+    },
+
+    vortex(ctx, body, flare) {
+        const { cx, cy, r, color, armor } = body;
+        // Funnel: wide swirling top narrowing to a point at the ground
+        outlined(ctx, coreGradient(ctx, cx, cy - r * 0.3, r * 1.2, color), () => {
+            ctx.moveTo(cx - r * 1.05 * flare, cy - r * 0.55);
+            ctx.quadraticCurveTo(cx, cy - r * 1.15, cx + r * 1.05 * flare, cy - r * 0.55);
+            ctx.quadraticCurveTo(cx + r * 0.6, cy + r * 0.1, cx + r * 0.1, cy + r * 0.85);
+            ctx.lineTo(cx - r * 0.1, cy + r * 0.85);
+            ctx.quadraticCurveTo(cx - r * 0.6, cy + r * 0.1, cx - r * 1.05 * flare, cy - r * 0.55);
+            ctx.closePath();
+        });
+        ctx.strokeStyle = darkenHex(armor, 0.1);
+        ctx.lineWidth = Math.max(1.5, r * 0.06);
+        for (let i = 0; i < 4; i++) {
+            const y = cy - r * 0.45 + i * r * 0.3;
+            const halfW = r * (0.8 - i * 0.18) * flare;
+            ctx.beginPath();
+            ctx.moveTo(cx - halfW, y);
+            ctx.quadraticCurveTo(cx, y + r * 0.15, cx + halfW * 0.8, y - r * 0.05);
+            ctx.stroke();
+        }
+        return cy - r * 0.55;
+    },
+
+    crystal(ctx, body, flare) {
+        const { cx, cy, r, color, skin } = body;
+        // Spider of crystal: shard legs around a faceted abdomen
+        mirrored(side => {
+            for (let i = 0; i < 4; i++) {
+                const rootY = cy - r * 0.15 + i * r * 0.18;
+                const tipX = cx + side * r * (1.05 + (i % 2) * 0.15) * flare;
+                const tipY = cy + r * (0.85 - (i === 0 ? 0.6 : 0));
+                outlined(ctx, lightenHex(skin, 0.1), () => polygon(ctx, [
+                    [cx + side * r * 0.35, rootY - r * 0.06],
+                    [cx + side * r * 0.8, rootY - r * 0.45],
+                    [tipX, tipY],
+                    [cx + side * r * 0.75, rootY - r * 0.25],
+                    [cx + side * r * 0.35, rootY + r * 0.06]
+                ]), 1.5);
+            }
+        });
+        outlined(ctx, color, () => polygon(ctx, [
+            [cx, cy - r * 0.75], [cx + r * 0.5, cy - r * 0.2], [cx + r * 0.4, cy + r * 0.55],
+            [cx, cy + r * 0.75], [cx - r * 0.4, cy + r * 0.55], [cx - r * 0.5, cy - r * 0.2]
+        ]));
+        // Facets
+        ctx.fillStyle = lightenHex(color, 0.45);
+        ctx.beginPath();
+        polygon(ctx, [[cx, cy - r * 0.7], [cx + r * 0.45, cy - r * 0.2], [cx, cy]]);
+        ctx.fill();
+        ctx.fillStyle = darkenHex(color, 0.25);
+        ctx.beginPath();
+        polygon(ctx, [[cx, cy], [cx - r * 0.38, cy + r * 0.5], [cx, cy + r * 0.7]]);
+        ctx.fill();
+        return cy - r * 0.3;
+    },
+
+    void(ctx, body, flare) {
+        const { cx, cy, r, color, armor } = body;
+        // Hooded shadow with drifting bracers and a ragged hem
+        mirrored(side => {
+            outlined(ctx, lightenHex(armor, 0.25), () => ctx.rect(cx + side * r * 0.95 * flare - r * 0.15, cy - r * 0.05, r * 0.3, r * 0.3), 1.5);
+        });
+        outlined(ctx, coreGradient(ctx, cx, cy - r * 0.2, r * 1.2, color), () => {
+            ctx.moveTo(cx, cy - r * 1.2);
+            ctx.quadraticCurveTo(cx + r * 0.75, cy - r * 0.9, cx + r * 0.8, cy + r * 0.2);
+            for (let i = 0; i < 5; i++) {
+                const x = cx + r * (0.8 - (i + 0.5) * 0.32);
+                ctx.lineTo(x, cy + r * (0.85 + (i % 2) * 0.15));
+                ctx.lineTo(x - r * 0.16, cy + r * 0.65);
+            }
+            ctx.lineTo(cx - r * 0.8, cy + r * 0.2);
+            ctx.quadraticCurveTo(cx - r * 0.75, cy - r * 0.9, cx, cy - r * 1.2);
+            ctx.closePath();
+        });
+        // Starfield specks
+        ctx.fillStyle = lightenHex(color, 0.7);
+        for (let i = 0; i < 6; i++) {
+            ctx.fillRect(cx + Math.cos(i * 2.1) * r * 0.45, cy + r * 0.15 + Math.sin(i * 1.7) * r * 0.35, 1.5, 1.5);
+        }
+        return cy - r * 0.55;
+    }
+};
+
+export default {
+    bodyType: 'elemental',
+    extent: 1.45,
+    ground: 0.85,
+    poses: {
+        idle: { flare: 1.0 },
+        attack: { flare: 1.12, dx: 0.08 },
+        hurt: { flare: 0.85 }
+    },
+    variants: {
+        fire_elemental: { form: 'flame', eyes: '#FFFF66' },
+        water_spirit: { form: 'wave', eyes: '#E0FFFF' },
+        earth_golem: { form: 'rock', eyes: '#FFA500' },
+        air_elemental: { form: 'vortex', eyes: '#4682B4' },
+        crystal_spider: { form: 'crystal', eyes: '#FF00FF', eyeCount: 4 },
+        voidwalker: { form: 'void', eyes: '#00FFFF' }
+    },
+    defaultVariant: { form: 'orb', eyes: '#FFFFFF' },
+
+    draw(ctx, body, variant, pose) {
+        const { cx, r } = body;
+        const drawForm = FORMS[variant.form] || FORMS.orb;
+        const eyeY = drawForm(ctx, body, pose.flare || 1);
+
+        // Glowing eyes, no whites
+        const options = { white: null, pupil: variant.eyes || '#FFFFFF', shut: pose.eyes === 'shut' };
+        drawEyes(ctx, cx, eyeY, r * 0.25, r * 0.1, options);
+        if (variant.eyeCount === 4) {
+            drawEyes(ctx, cx, eyeY - r * 0.18, r * 0.13, r * 0.07, options);
+        }
+
+        return {
+            head: { x: cx, y: eyeY - r * 0.1, r: r * 0.4 },
+            shoulders: [{ x: cx - r * 0.65, y: eyeY + r * 0.2 }, { x: cx + r * 0.65, y: eyeY + r * 0.2 }]
+        };
+    }
+};
@@ -0,0 +1,513 @@
+/**
+ * Humanoid Body Renderer
+ * Two-armed fighters assembled from parts: build, head, headgear, weapon,
+ * off-hand, lower body and extras. The weapon arm swings with the pose's arm
+ * angle, so attack and hurt frames move the silhouette, not just the eyes.
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { outlined, translucent, polygon, drawEyes, mirrored } from './shared.js';
+
+const FEET = 1.2; // Feet sit this many radii below the body center
+
+const BUILDS = {
+    slim: { torsoW: 0.68, torsoH: 0.8, armW: 0.2, headR: 0.4 },
+    normal: { torsoW: 0.8, torsoH: 0.85, armW: 0.24, headR: 0.4 },
+    bulky: { torsoW: 0.95, torsoH: 0.85, armW: 0.3, headR: 0.4 },
+    huge: { torsoW: 1.1, torsoH: 0.9, armW: 0.34, headR: 0.38 }
+};
+
+const WOOD = '#8B4513';
+const STEEL = '#C0C0C0';
+const BONE = '#F5F5DC';
+
+// Weapons are drawn in hand space: the hand at (0, 0), blades pointing up (-y)
+const WEAPONS = {
+    sword(ctx, r) {
+        outlined(ctx, STEEL, () => polygon(ctx, [[-r * 0.05, -r * 0.1], [-r * 0.05, -r * 0.85], [0, -r * 0.95], [r * 0.05, -r * 0.85], [r * 0.05, -r * 0.1]]), 1.5);
+        outlined(ctx, '#DAA520', () => ctx.rect(-r * 0.15, -r * 0.12, r * 0.3, r * 0.06), 1);
+        ctx.fillStyle = WOOD;
+        ctx.fillRect(-r * 0.03, -r * 0.06, r * 0.06, r * 0.14);
+    },
+    greatsword(ctx, r, glow) {
+        outlined(ctx, STEEL, () => polygon(ctx, [[-r * 0.08, -r * 0.12], [-r * 0.08, -r * 1.15], [0, -r * 1.3], [r * 0.08, -r * 1.15], [r * 0.08, -r * 0.12]]), 1.5);
+        if (glow) {
+            ctx.fillStyle = glow;
+            for (let i = 0; i < 3; i++) {
+                ctx.fillRect(-r * 0.03, -r * (0.35 + i * 0.28), r * 0.06, r * 0.12);
+            }
+        }
+        outlined(ctx, '#4A4A4A', () => ctx.rect(-r * 0.22, -r * 0.15, r * 0.44, r * 0.07), 1);
+        ctx.fillStyle = '#2F2F2F';
+        ctx.fillRect(-r * 0.04, -r * 0.08, r * 0.08, r * 0.22);
+    },
+    axe(ctx, r) {
+        outlined(ctx, WOOD, () => ctx.rect(-r * 0.04, -r * 1.0, r * 0.08, r * 1.15), 1.5);
+        outlined(ctx, STEEL, () => {
+            ctx.moveTo(r * 0.04, -r * 0.95);
+            ctx.quadraticCurveTo(r * 0.5, -r * 0.85, r * 0.42, -r * 0.5);
+            ctx.lineTo(r * 0.04, -r * 0.62);
+            ctx.closePath();
+        }, 1.5);
+    },
+    hammer(ctx, r) {
+        outlined(ctx, WOOD, () => ctx.rect(-r * 0.04, -r * 0.9, r * 0.08, r * 1.05), 1.5);
+        outlined(ctx, '#808080', () => ctx.rect(-r * 0.25, -r * 1.1, r * 0.5, r * 0.28), 1.5);
+    },
+    club(ctx, r) {
+        outlined(ctx, WOOD, () => polygon(ctx, [[-r * 0.05, r * 0.1], [-r * 0.16, -r * 0.9], [0, -r * 1.05], [r * 0.16, -r * 0.9], [r * 0.05, r * 0.1]]), 1.5);
+        ctx.fillStyle = BONE;
+        mirrored(side => ctx.fillRect(side * r * 0.14 - r * 0.04, -r * 0.7, r * 0.08, r * 0.05));
+    },
+    spear(ctx, r) {
+        outlined(ctx, WOOD, () => ctx.rect(-r * 0.03, -r * 1.1, r * 0.06, r * 1.4), 1.5);
+        outlined(ctx, STEEL, () => polygon(ctx, [[-r * 0.09, -r * 1.05], [0, -r * 1.4], [r * 0.09, -r * 1.05]]), 1.5);
+    },
+    staff(ctx, r, glow) {
+        outlined(ctx, WOOD, () => ctx.rect(-r * 0.035, -r * 1.0, r * 0.07, r * 1.25), 1.5);
+        outlined(ctx, glow || '#ADD8E6', () => ctx.arc(0, -r * 1.08, r * 0.13, 0, Math.PI * 2), 1.5);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(-r * 0.05, -r * 1.14, r * 0.05, r * 0.05);
+    },
+    totem(ctx, r, glow) {
+        outlined(ctx, WOOD, () => ctx.rect(-r * 0.04, -r * 0.9, r * 0.08, r * 1.15), 1.5);
+        outlined(ctx, darkenHex(WOOD, 0.2), () => ctx.rect(-r * 0.14, -r * 1.2, r * 0.28, r * 0.32), 1.5);
+        ctx.fillStyle = glow || '#FFD700';
+        mirrored(side => ctx.fillRect(side * r * 0.06 - r * 0.03, -r * 1.1, r * 0.06, r * 0.06));
+        ctx.fillStyle = '#B22222';
+        mirrored(side => ctx.fillRect(side * r * 0.17 - r * 0.02, -r * 0.95, r * 0.04, r * 0.18));
+    },
+    bow(ctx, r) {
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = Math.max(3, r * 0.1);
+        ctx.beginPath();
+        ctx.moveTo(0, -r * 0.65);
+        ctx.quadraticCurveTo(r * 0.45, 0, 0, r * 0.65);
+        ctx.stroke();
+        ctx.strokeStyle = WOOD;
+        ctx.lineWidth = Math.max(1.5, r * 0.06);
+        ctx.stroke();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, -r * 0.65);
+        ctx.lineTo(0, r * 0.65);
+        ctx.stroke();
+    },
+    sling(ctx, r) {
+        ctx.strokeStyle = WOOD;
+        ctx.lineWidth = Math.max(1.5, r * 0.04);
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-r * 0.1, r * 0.35);
+        ctx.moveTo(0, 0);
+        ctx.lineTo(r * 0.1, r * 0.35);
+        ctx.stroke();
+        outlined(ctx, '#808080', () => ctx.arc(0, r * 0.38, r * 0.09, 0, Math.PI * 2), 1.5);
+    },
+    dagger(ctx, r) {
+        outlined(ctx, STEEL, () => polygon(ctx, [[-r * 0.04, -r * 0.05], [0, -r * 0.42], [r * 0.04, -r * 0.05]]), 1.5);
+        ctx.fillStyle = '#2F2F2F';
+        ctx.fillRect(-r * 0.1, -r * 0.07, r * 0.2, r * 0.04);
+    },
+    wrench(ctx, r) {
+        outlined(ctx, '#A9A9A9', () => ctx.rect(-r * 0.04, -r * 0.75, r * 0.08, r * 0.85), 1.5);
+        outlined(ctx, '#A9A9A9', () => polygon(ctx, [
+            [-r * 0.16, -r * 0.72], [-r * 0.16, -r * 0.98], [-r * 0.06, -r * 0.98], [-r * 0.06, -r * 0.85],
+            [r * 0.06, -r * 0.85], [r * 0.06, -r * 0.98], [r * 0.16, -r * 0.98], [r * 0.16, -r * 0.72]
+        ]), 1.5);
+    },
+    shield(ctx, r, glow, color) {
+        outlined(ctx, color, () => polygon(ctx, [[-r * 0.28, -r * 0.35], [r * 0.28, -r * 0.35], [r * 0.25, r * 0.1], [0, r * 0.4], [-r * 0.25, r * 0.1]]), 2);
+        ctx.fillStyle = '#DAA520';
+        ctx.beginPath();
+        ctx.arc(0, -r * 0.05, r * 0.08, 0, Math.PI * 2);
+        ctx.fill();
+    }
+};
+
+// Heads draw at (x, y) with radius h; eyes are added afterwards unless headgear covers them
+const HEADS = {
+    round(ctx, x, y, h, skin) {
+        outlined(ctx, skin, () => ctx.arc(x, y, h, 0, Math.PI * 2));
+    },
+    goblin(ctx, x, y, h, skin) {
+        mirrored(side => outlined(ctx, skin, () => polygon(ctx, [
+            [x + side * h * 0.8, y - h * 0.2], [x + side * h * 2.1, y - h * 0.55], [x + side * h * 0.85, y + h * 0.35]
+        ]), 1.5));
+        outlined(ctx, skin, () => ctx.arc(x, y, h, 0, Math.PI * 2));
+        ctx.fillStyle = darkenHex(skin, 0.25);
+        ctx.beginPath();
+        ctx.ellipse(x, y + h * 0.2, h * 0.17, h * 0.12, 0, 0, Math.PI * 2);
+        ctx.fill();
+    },
+    orc(ctx, x, y, h, skin) {
+        outlined(ctx, skin, () => ctx.ellipse(x, y, h * 1.05, h, 0, 0, Math.PI * 2));
+        ctx.fillStyle = darkenHex(skin, 0.3);
+        ctx.fillRect(x - h * 0.8, y - h * 0.45, h * 1.6, h * 0.2);
+        ctx.fillStyle = '#FFFFFF';
+        mirrored(side => ctx.fillRect(x + side * h * 0.35 - h * 0.1, y + h * 0.3, h * 0.2, h * 0.3));
+    },
+    troll(ctx, x, y, h, skin) {
+        mirrored(side => outlined(ctx, skin, () => polygon(ctx, [
+            [x + side * h * 0.8, y - h * 0.3], [x + side * h * 2.0, y - h * 0.9], [x + side * h * 0.9, y + h * 0.2]
+        ]), 1.5));
+        outlined(ctx, skin, () => ctx.ellipse(x, y, h * 0.9, h * 1.05, 0, 0, Math.PI * 2));
+        outlined(ctx, darkenHex(skin, 0.15), () => ctx.ellipse(x, y + h * 0.25, h * 0.2, h * 0.3, 0, 0, Math.PI * 2), 1);
+        ctx.fillStyle = '#FFFFFF';
+        mirrored(side => ctx.fillRect(x + side * h * 0.45 - h * 0.06, y + h * 0.35, h * 0.12, h * 0.35));
+    },
+    wolf(ctx, x, y, h, skin) {
+        mirrored(side => outlined(ctx, skin, () => polygon(ctx, [
+            [x + side * h * 0.3, y - h * 0.8], [x + side * h * 0.85, y - h * 1.55], [x + side * h * 0.95, y - h * 0.35]
+        ]), 1.5));
+        outlined(ctx, skin, () => ctx.arc(x, y, h, 0, Math.PI * 2));
+        outlined(ctx, lightenHex(skin, 0.2), () => ctx.ellipse(x, y + h * 0.45, h * 0.45, h * 0.35, 0, 0, Math.PI * 2), 1.5);
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.ellipse(x, y + h * 0.3, h * 0.15, h * 0.09, 0, 0, Math.PI * 2);
+        ctx.fill();
+    },
+    insect(ctx, x, y, h, skin) {
+        mirrored(side => outlined(ctx, darkenHex(skin, 0.2), () => polygon(ctx, [
+            [x + side * h * 0.25, y + h * 0.6], [x + side * h * 0.6, y + h * 1.25], [x + side * h * 0.05, y + h * 0.95]
+        ]), 1.5));
+        outlined(ctx, skin, () => ctx.ellipse(x, y, h * 0.95, h * 1.05, 0, 0, Math.PI * 2));
+        ctx.fillStyle = lightenHex(skin, 0.25);
+        ctx.fillRect(x - h * 0.06, y - h * 0.95, h * 0.12, h * 0.7);
+    },
+    horned(ctx, x, y, h, skin) {
+        mirrored(side => outlined(ctx, BONE, () => {
+            ctx.moveTo(x + side * h * 0.6, y - h * 0.55);
+            ctx.quadraticCurveTo(x + side * h * 1.6, y - h * 0.5, x + side * h * 1.55, y - h * 1.3);
+            ctx.quadraticCurveTo(x + side * h * 1.25, y - h * 0.8, x + side * h * 0.75, y - h * 0.2);
+            ctx.closePath();
+        }, 1.5));
+        outlined(ctx, skin, () => ctx.arc(x, y, h, 0, Math.PI * 2));
+        outlined(ctx, lightenHex(skin, 0.2), () => ctx.ellipse(x, y + h * 0.45, h * 0.45, h * 0.3, 0, 0, Math.PI * 2), 1.5);
+        ctx.fillStyle = '#000000';
+        mirrored(side => ctx.fillRect(x + side * h * 0.18 - 1, y + h * 0.4, 2, 2));
+    },
+    magnataur(ctx, x, y, h, skin) {
+        outlined(ctx, skin, () => ctx.arc(x, y, h, 0, Math.PI * 2));
+        // Curved tusks sweeping out and up
+        mirrored(side => outlined(ctx, BONE, () => {
+            ctx.moveTo(x + side * h * 0.3, y + h * 0.45);
+            ctx.quadraticCurveTo(x + side * h * 1.5, y + h * 1.1, x + side * h * 1.6, y - h * 0.2);
+            ctx.quadraticCurveTo(x + side * h * 1.2, y + h * 0.6, x + side * h * 0.45, y + h * 0.2);
+            ctx.closePath();
+        }, 1.5));
+        ctx.fillStyle = darkenHex(skin, 0.3);
+        ctx.fillRect(x - h * 0.75, y - h * 0.45, h * 1.5, h * 0.18);
+    },
+    bird(ctx, x, y, h, skin, variant) {
+        // Feather crest
+        for (let i = -1; i <= 1; i++) {
+            outlined(ctx, variant.wingColor || darkenHex(skin, 0.2), () => polygon(ctx, [
+                [x + i * h * 0.3 - h * 0.12, y - h * 0.7], [x + i * h * 0.55, y - h * 1.6], [x + i * h * 0.3 + h * 0.12, y - h * 0.7]
+            ]), 1.5);
+        }
+        outlined(ctx, skin, () => ctx.arc(x, y, h, 0, Math.PI * 2));
+        outlined(ctx, '#FFA500', () => polygon(ctx, [[x - h * 0.2, y + h * 0.15], [x, y + h * 0.65], [x + h * 0.2, y + h * 0.15]]), 1.5);
+    }
+};
+
+// Headgear over the head; returning true hides the default eyes (visors, hoods)
+const HEADGEAR = {
+    helm(ctx, x, y, h, colors) {
+        outlined(ctx, colors.metal, () => ctx.rect(x - h * 1.05, y - h * 1.1, h * 2.1, h * 1.95));
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(x - h * 0.6, y - h * 0.15, h * 1.2, h * 0.18);
+        ctx.fillStyle = lightenHex(colors.metal, 0.35);
+        ctx.fillRect(x - h * 0.08, y - h * 1.0, h * 0.16, h * 0.75);
+        return true;
+    },
+    horned_helm(ctx, x, y, h, colors) {
+        mirrored(side => outlined(ctx, BONE, () => {
+            ctx.moveTo(x + side * h * 0.7, y - h * 0.55);
+            ctx.quadraticCurveTo(x + side * h * 1.7, y - h * 0.7, x + side * h * 1.5, y - h * 1.7);
+            ctx.quadraticCurveTo(x + side * h * 1.35, y - h * 1.0, x + side * h * 0.8, y - h * 0.95);
+            ctx.closePath();
+        }, 1.5));
+        outlined(ctx, colors.metal, () => {
+            ctx.arc(x, y - h * 0.15, h * 1.02, Math.PI, 0);
+            ctx.closePath();
+        });
+        ctx.fillStyle = darkenHex(colors.metal, 0.3);
+        ctx.fillRect(x - h * 0.08, y - h * 0.2, h * 0.16, h * 0.45);
+        return false;
+    },
+    winged_helm(ctx, x, y, h, colors) {
+        mirrored(side => outlined(ctx, '#FFFFFF', () => polygon(ctx, [
+            [x + side * h * 0.85, y - h * 0.45], [x + side * h * 1.7, y - h * 1.4], [x + side * h * 1.45, y - h * 0.75],
+            [x + side * h * 1.6, y - h * 0.6], [x + side * h * 0.95, y - h * 0.15]
+        ]), 1.5));
+        outlined(ctx, colors.metal, () => {
+            ctx.arc(x, y - h * 0.1, h * 1.02, Math.PI, 0);
+            ctx.closePath();
+        });
+        return false;
+    },
+    skull_helm(ctx, x, y, h, colors) {
+        for (let i = -2; i <= 2; i++) {
+            outlined(ctx, colors.metal, () => polygon(ctx, [
+                [x + i * h * 0.38 - h * 0.14, y - h * 0.85], [x + i * h * 0.45, y - h * (1.55 - Math.abs(i) * 0.2)], [x + i * h * 0.38 + h * 0.14, y - h * 0.85]
+            ]), 1.5);
+        }
+        outlined(ctx, colors.metal, () => ctx.rect(x - h * 1.0, y - h * 1.0, h * 2.0, h * 1.85));
+        ctx.fillStyle = colors.eyes || '#00BFFF';
+        mirrored(side => ctx.fillRect(x + side * h * 0.4 - h * 0.2, y - h * 0.15, h * 0.4, h * 0.16));
+        return true;
+    },
+    hood(ctx, x, y, h, colors) {
+        outlined(ctx, colors.cloth, () => {
+            ctx.moveTo(x, y - h * 1.45);
+            ctx.quadraticCurveTo(x + h * 1.35, y - h * 0.9, x + h * 1.15, y + h * 0.95);
+            ctx.lineTo(x - h * 1.15, y + h * 0.95);
+            ctx.quadraticCurveTo(x - h * 1.35, y - h * 0.9, x, y - h * 1.45);
+            ctx.closePath();
+        });
+        ctx.fillStyle = '#1A1A1A';
+        ctx.beginPath();
+        ctx.ellipse(x, y + h * 0.1, h * 0.7, h * 0.75, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = colors.eyes || '#FFFF66';
+        mirrored(side => ctx.fillRect(x + side * h * 0.3 - h * 0.1, y, h * 0.2, h * 0.12));
+        return true;
+    },
+    mohawk(ctx, x, y, h, colors) {
+        outlined(ctx, colors.hair, () => polygon(ctx, [
+            [x - h * 0.18, y - h * 0.8], [x - h * 0.3, y - h * 1.45], [x, y - h * 1.75], [x + h * 0.3, y - h * 1.45], [x + h * 0.18, y - h * 0.8]
+        ]), 1.5);
+        return false;
+    },
+    topknot(ctx, x, y, h, colors) {
+        outlined(ctx, colors.hair, () => ctx.arc(x, y - h * 1.2, h * 0.32, 0, Math.PI * 2), 1.5);
+        ctx.fillStyle = '#B22222';
+        ctx.fillRect(x - h, y - h * 0.6, h * 2, h * 0.2);
+        return false;
+    },
+    goggles(ctx, x, y, h) {
+        ctx.fillStyle = '#4A2F1B';
+        ctx.fillRect(x - h, y - h * 0.35, h * 2, h * 0.22);
+        mirrored(side => outlined(ctx, '#87CEEB', () => ctx.arc(x + side * h * 0.42, y - h * 0.24, h * 0.3, 0, Math.PI * 2), 1.5));
+        return true;
+    }
+};
+
+export default {
+    bodyType: 'humanoid',
+    extent: 1.5,
+    ground: FEET,
+    poses: {
+        idle: { arm: 0 },
+        attack: { arm: 1.35, stride: 0.12 },
+        hurt: { arm: -0.35 }
+    },
+    variants: {
+        goblin: { build: 'slim', head: 'goblin', weapon: 'dagger' },
+        goblin_slinger: { build: 'slim', head: 'goblin', weapon: 'sling', extras: ['pouch'] },
+        goblin_engineer: { build: 'slim', head: 'goblin', headgear: 'goggles', weapon: 'wrench', extras: ['pouch'] },
+        goblin_assassin: { build: 'slim', head: 'goblin', headgear: 'hood', weapon: 'dagger', offhand: 'dagger', eyeColor: '#FF4500' },
+        orc: { build: 'bulky', head: 'orc', weapon: 'axe' },
+        orc_grunt: { build: 'bulky', head: 'orc', weapon: 'axe', offhand: 'shield' },
+        orc_raider: { build: 'normal', head: 'orc', headgear: 'mohawk', weapon: 'sword', extras: ['fur'] },
+        orc_archer: { build: 'normal', head: 'orc', weapon: 'bow', extras: ['quiver'] },
+        orc_shaman: { build: 'normal', head: 'orc', weapon: 'staff', glow: '#7FFFD4', extras: ['fur'] },
+        orc_warlock: { build: 'normal', head: 'orc', headgear: 'hood', weapon: 'staff', glow: '#7CFC00', eyeColor: '#7CFC00', extras: ['cape'] },
+        orc_blademaster: { build: 'normal', head: 'orc', headgear: 'topknot', weapon: 'greatsword', extras: ['cape'] },
+        elite_orc_champion: { build: 'huge', head: 'orc', headgear: 'horned_helm', weapon: 'axe', offhand: 'shield', extras: ['fur'] },
+        war_lord: { build: 'huge', head: 'orc', headgear: 'horned_helm', weapon: 'hammer', extras: ['cape', 'fur'] },
+        dark_knight: { build: 'bulky', head: 'round', headgear: 'helm', weapon: 'greatsword', extras: ['cape'] },
+        death_knight: { build: 'bulky', head: 'round', headgear: 'skull_helm', weapon: 'greatsword', glow: '#00BFFF', eyeColor: '#00BFFF', extras: ['cape'] },
+        worgen_warrior: { build: 'bulky', head: 'wolf', weapon: 'sword', extras: ['claws', 'fur'] },
+        forest_troll_hunter: { build: 'slim', head: 'troll', headgear: 'mohawk', weapon: 'spear' },
+        nerubian_warrior: { build: 'normal', head: 'insect', weapon: 'spear', extras: ['spider_legs'], eyeColor: '#ADFF2F' },
+        magnataur_warrior: { build: 'huge', head: 'magnataur', weapon: 'club', lower: 'quadruped' },
+        vrykul_berserker: { build: 'huge', head: 'round', headgear: 'horned_helm', weapon: 'axe', offhand: 'axe', extras: ['beard', 'fur'] },
+        valkyr: { build: 'normal', head: 'round', headgear: 'winged_helm', weapon: 'spear', lower: 'wisp', extras: ['wings'], wingColor: '#F8F8FF', eyeColor: '#FFD700' },
+        storm_giant: { build: 'huge', head: 'round', weapon: 'hammer', extras: ['beard', 'lightning'], eyeColor: '#E0FFFF' },
+        taunka_shaman: { build: 'bulky', head: 'horned', weapon: 'totem', glow: '#87CEEB', extras: ['fur'] },
+        iron_dwarf: { build: 'bulky', head: 'round', headgear: 'helm', weapon: 'hammer', offhand: 'shield', extras: ['beard'], short: true },
+        harpy: { build: 'slim', head: 'bird', weapon: null, extras: ['wings', 'claws'], wingColor: '#FF1493' }
+    },
+    defaultVariant: { build: 'normal', head: 'round', weapon: 'sword' },
+
+    draw(ctx, body, variant, pose) {
+        const { cx, cy, r, color, skin, armor } = body;
+        const build = BUILDS[variant.build] || BUILDS.normal;
+        const extras = new Set(variant.extras || []);
+        const torsoW = r * build.torsoW;
+        const armW = r * build.armW;
+        const headR = r * build.headR;
+        // Short builds (dwarves) keep the feet planted and drop the shoulders
+        const shoulderY = cy - r * (variant.short ? 0.05 : 0.3);
+        const hipY = shoulderY + r * build.torsoH * (variant.short ? 0.8 : 1);
+        const headY = shoulderY - headR * 0.85;
+        const armLen = r * 0.65;
+        const colors = {
+            metal: darkenHex(armor, 0.15),
+            cloth: darkenHex(color, 0.25),
+            hair: darkenHex(color, 0.35),
+            eyes: variant.eyeColor
+        };
+
+        // Back layer
+        if (extras.has('cape')) {
+            outlined(ctx, darkenHex(color, 0.3), () => polygon(ctx, [
+                [cx - torsoW * 0.55, shoulderY], [cx + torsoW * 0.55, shoulderY],
+                [cx + torsoW * 0.85, cy + r * 1.1], [cx - torsoW * 0.85, cy + r * 1.1]
+            ]));
+        }
+        if (extras.has('wings')) {
+            const wing = variant.wingColor || lightenHex(color, 0.4);
+            mirrored(side => outlined(ctx, wing, () => polygon(ctx, [
+                [cx + side * torsoW * 0.3, shoulderY + r * 0.1],
+                [cx + side * r * 1.35, shoulderY - r * 0.75],
+                [cx + side * r * 1.3, shoulderY - r * 0.35],
+                [cx + side * r * 1.2, shoulderY + r * 0.05],
+                [cx + side * r * 1.05, shoulderY + r * 0.35],
+                [cx + side * torsoW * 0.4, shoulderY + r * 0.55]
+            ])));
+        }
+        if (extras.has('spider_legs')) {
+            ctx.lineCap = 'round';
+            mirrored(side => {
+                for (let i = 0; i < 2; i++) {
+                    const rootY = shoulderY + r * (0.15 + i * 0.25);
+                    const legWidth = Math.max(2, r * 0.07);
+                    ctx.strokeStyle = '#000000';
+                    ctx.lineWidth = legWidth + 4;
+                    ctx.beginPath();
+                    ctx.moveTo(cx + side * torsoW * 0.3, rootY);
+                    ctx.lineTo(cx + side * r * 1.15, rootY - r * 0.55);
+                    ctx.lineTo(cx + side * r * 1.3, rootY + r * 0.3);
+                    ctx.stroke();
+                    ctx.strokeStyle = darkenHex(skin, 0.1);
+                    ctx.lineWidth = legWidth;
+                    ctx.stroke();
+                }
+            });
+            ctx.lineCap = 'butt';
+        }
+        if (extras.has('quiver')) {
+            outlined(ctx, WOOD, () => ctx.rect(cx - torsoW * 0.55, shoulderY - r * 0.35, r * 0.16, r * 0.65), 1.5);
+            ctx.fillStyle = '#FFFFFF';
+            for (let i = 0; i < 3; i++) ctx.fillRect(cx - torsoW * 0.53 + i * r * 0.05, shoulderY - r * 0.45, 1.5, r * 0.12);
+        }
+
+        // Lower body
+        const stride = pose.stride || 0;
+        if (variant.lower === 'quadruped') {
+            outlined(ctx, darkenHex(skin, 0.1), () => ctx.ellipse(cx, hipY + r * 0.05, r * 1.05, r * 0.38, 0, 0, Math.PI * 2));
+            for (const offset of [-0.85, -0.45, 0.45, 0.85]) {
+                outlined(ctx, darkenHex(skin, 0.2), () => ctx.rect(cx + offset * r - r * 0.1, hipY + r * 0.2, r * 0.2, cy + FEET * r - hipY - r * 0.2));
+            }
+        } else if (variant.lower === 'wisp') {
+            translucent(ctx, 0.85, lightenHex(armor, 0.3), () => {
+                ctx.moveTo(cx - torsoW * 0.5, hipY - r * 0.05);
+                ctx.quadraticCurveTo(cx - torsoW * 0.3, cy + r * 0.9, cx + r * 0.25, cy + FEET * r * 0.95);
+                ctx.quadraticCurveTo(cx + torsoW * 0.15, cy + r * 0.6, cx + torsoW * 0.5, hipY - r * 0.05);
+                ctx.closePath();
+            });
+        } else {
+            const legW = Math.min(torsoW * 0.42, r * 0.34);
+            mirrored(side => {
+                const legX = cx + side * (torsoW * 0.5 - legW / 2) + side * stride * r - legW / 2;
+                outlined(ctx, darkenHex(armor, 0.2), () => ctx.rect(legX, hipY, legW, cy + FEET * r - hipY));
+                outlined(ctx, '#3B2A1A', () => ctx.rect(legX - r * 0.03, cy + FEET * r - r * 0.12, legW + r * 0.06, r * 0.12), 1.5);
+            });
+        }
+
+        // Off-hand arm (left), straight down
+        const leftHand = { x: cx - torsoW / 2 - armW / 2, y: shoulderY + armLen };
+        outlined(ctx, armor, () => ctx.rect(cx - torsoW / 2 - armW, shoulderY, armW, armLen));
+        outlined(ctx, skin, () => ctx.arc(leftHand.x, leftHand.y, armW * 0.55, 0, Math.PI * 2), 1.5);
+        if (variant.offhand) {
+            ctx.save();
+            ctx.translate(leftHand.x, leftHand.y);
+            WEAPONS[variant.offhand](ctx, r, variant.glow, lightenHex(armor, 0.2));
+            ctx.restore();
+        }
+
+        // Torso
+        outlined(ctx, armor, () => ctx.rect(cx - torsoW / 2, shoulderY, torsoW, hipY - shoulderY));
+        ctx.fillStyle = lightenHex(armor, 0.25);
+        ctx.fillRect(cx - torsoW * 0.3, shoulderY + r * 0.1, torsoW * 0.25, (hipY - shoulderY) * 0.35);
+        ctx.fillStyle = darkenHex(armor, 0.45);
+        ctx.fillRect(cx - torsoW / 2 + 1, hipY - r * 0.16, torsoW - 2, r * 0.1);
+        if (extras.has('pouch')) {
+            outlined(ctx, WOOD, () => ctx.rect(cx + torsoW * 0.1, hipY - r * 0.2, r * 0.16, r * 0.16), 1);
+        }
+        if (extras.has('fur')) {
+            ctx.fillStyle = lightenHex(WOOD, 0.35);
+            for (let i = 0; i < 5; i++) {
+                ctx.beginPath();
+                ctx.arc(cx - torsoW * 0.5 + (i * torsoW) / 4, shoulderY + r * 0.02, r * 0.12, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        // Head, headgear, face
+        HEADS[variant.head || 'round'](ctx, cx, headY, headR, skin, variant);
+        const hidesEyes = variant.headgear ? HEADGEAR[variant.headgear](ctx, cx, headY, headR, colors) : false;
+        if (!hidesEyes) {
+            const eyeColor = variant.eyeColor;
+            drawEyes(ctx, cx, headY - headR * 0.1, headR * 0.4, headR * 0.2, {
+                white: eyeColor ? null : '#FFFFFF',
+                pupil: eyeColor || '#000000',
+                shut: pose.eyes === 'shut'
+            });
+        }
+        if (extras.has('beard')) {
+            outlined(ctx, variant.beardColor || lightenHex(WOOD, 0.2), () => polygon(ctx, [
+                [cx - headR * 0.8, headY + headR * 0.25], [cx + headR * 0.8, headY + headR * 0.25],
+                [cx + headR * 0.5, headY + headR * 1.2], [cx, headY + headR * 1.5], [cx - headR * 0.5, headY + headR * 1.2]
+            ]), 1.5);
+        }
+
+        // Weapon arm (right), swung by the pose
+        const shoulder = { x: cx + torsoW / 2 + armW / 2, y: shoulderY + armW * 0.4 };
+        ctx.save();
+        ctx.translate(shoulder.x, shoulder.y);
+        ctx.rotate(-(pose.arm || 0));
+        outlined(ctx, armor, () => ctx.rect(-armW / 2, -armW * 0.4, armW, armLen));
+        if (variant.weapon) {
+            ctx.save();
+            ctx.translate(0, armLen - armW * 0.4);
+            // Weapons tip forward as the arm rises so the swing reads as a strike
+            ctx.rotate((pose.arm || 0) * 0.5);
+            WEAPONS[variant.weapon](ctx, r, variant.glow, lightenHex(armor, 0.2));
+            ctx.restore();
+        }
+        outlined(ctx, skin, () => ctx.arc(0, armLen - armW * 0.4, armW * 0.55, 0, Math.PI * 2), 1.5);
+        if (extras.has('claws')) {
+            ctx.fillStyle = BONE;
+            for (let i = -1; i <= 1; i++) ctx.fillRect(i * armW * 0.3 - 0.5, armLen - armW * 0.1, 1.5, r * 0.12);
+        }
+        ctx.restore();
+
+        if (extras.has('claws')) {
+            ctx.fillStyle = BONE;
+            for (let i = -1; i <= 1; i++) ctx.fillRect(leftHand.x + i * armW * 0.3 - 0.5, leftHand.y + armW * 0.3, 1.5, r * 0.12);
+        }
+        if (extras.has('lightning')) {
+            ctx.strokeStyle = '#E0FFFF';
+            ctx.lineWidth = Math.max(1.5, r * 0.05);
+            mirrored(side => {
+                const x = cx + side * (torsoW / 2 + armW * 1.6);
+                ctx.beginPath();
+                ctx.moveTo(x, shoulderY - r * 0.3);
+                ctx.lineTo(x + side * r * 0.12, shoulderY);
+                ctx.lineTo(x - side * r * 0.02, shoulderY + r * 0.1);
+                ctx.lineTo(x + side * r * 0.1, shoulderY + r * 0.4);
+                ctx.stroke();
+            });
+        }
+
+        return {
+            head: { x: cx, y: headY, r: headR },
+            shoulders: [{ x: cx - torsoW / 2 - armW / 2, y: shoulderY }, { x: shoulder.x, y: shoulderY }]
+        };
+    }
+};
@@ -0,0 +1,153 @@
+/**
+ * Enemy Body Renderer Registry
+ * Each enemies.json appearance.bodyType is drawn by its own renderer module.
+ * A renderer is a plain object:
+ *
+ *   {
+ *     bodyType: 'dragon',
+ *     extent: 1.45,              // furthest reach from the body center, in body radii
+ *     poses: { attack: {...} },  // per-pose parameters merged over BASE_POSES
+ *     variants: { dragon: {...} },  // per-enemy drawing parameters, keyed by enemy id
+ *     defaultVariant: {...},     // used for enemies of this bodyType with no variant yet
+ *     draw(ctx, body, variant, pose)  // returns anchors { head: { x, y, r }, shoulders: [{ x, y }, ...] }
+ *   }
+ *
+ * body is { cx, cy, r, color, skin, armor, rank, size }. Rank marks (crowns,
+ * pauldrons, auras) are placed on the anchors by rank.js, so a renderer only
+ * has to report where its head and shoulders are.
+ */
+
+import blob from './blob.js';
+import beast from './beast.js';
+import creature from './creature.js';
+import dragon from './dragon.js';
+import elemental from './elemental.js';
+import humanoid from './humanoid.js';
+import insectoid from './insectoid.js';
+import mechanical from './mechanical.js';
+import undead from './undead.js';
+
+export const FALLBACK_BODY = 'creature';
+
+/**
+ * Shared pose transforms; dx/dy are in body radii, lean is in radians,
+ * squash scales height (width gets the inverse)
+ */
+export const BASE_POSES = {
+    idle: { dx: 0, dy: 0, lean: 0, squash: 1 },
+    attack: { dx: 0.12, dy: 0, lean: 0.1, squash: 1 },
+    hurt: { dx: -0.1, dy: 0.04, lean: -0.14, squash: 0.95, eyes: 'shut' }
+};
+
+const renderers = new Map();
+
+/**
+ * Register (or replace) the renderer for a body type
+ * @param {Object} renderer - Renderer module (see header)
+ */
+export function registerEnemyBody(renderer) {
+    if (!renderer || typeof renderer.bodyType !== 'string' || typeof renderer.draw !== 'function') {
+        throw new Error('Enemy body renderer needs a bodyType string and a draw() function');
+    }
+    renderers.set(renderer.bodyType, renderer);
+}
+
+/**
+ * Renderer for a body type
+ * @param {string} bodyType - appearance.bodyType
+ * @returns {Object|null} Renderer or null if none is registered
+ */
+export function getEnemyBody(bodyType) {
+    return renderers.get(bodyType) || null;
+}
+
+/**
+ * Registered body types
+ * @returns {Array<string>} Body types, sorted
+ */
+export function listEnemyBodies() {
+    return Array.from(renderers.keys()).sort();
+}
+
+/**
+ * Pose parameters for a renderer
+ * @param {Object} renderer - Renderer module
+ * @param {string} poseName - Pose name (idle, attack, hurt)
+ * @returns {Object} BASE_POSES entry merged with the renderer's own pose parameters
+ */
+export function resolveEnemyPose(renderer, poseName = 'idle') {
+    if (!BASE_POSES[poseName]) {
+        throw new Error(`Unknown enemy pose "${poseName}" (expected one of: ${Object.keys(BASE_POSES).join(', ')})`);
+    }
+    return { ...BASE_POSES[poseName], ...(renderer.poses?.[poseName] || {}) };
+}
+
+/**
+ * Furthest reach of a renderer over all poses, in body radii
+ * Sprites are fitted to this so every pose of an enemy shares one scale.
+ * @param {Object} renderer - Renderer module
+ * @returns {number} Reach in body radii
+ */
+export function enemyPoseReach(renderer) {
+    return Math.max(...Object.keys(BASE_POSES).map(poseName => {
+        const pose = resolveEnemyPose(renderer, poseName);
+        const stretch = Math.max(pose.squash, 1 / pose.squash);
+        return renderer.extent * stretch * (1 + Math.abs(pose.lean)) + Math.abs(pose.dx);
+    }));
+}
+
+/**
+ * Pick the renderer and variant for an enemy
+ * Enemies without a bodyType are matched by id against the renderers'
+ * variants (the old generator special-cased "slime" and "dragon" the same way).
+ * @param {string} enemyId - Enemy identifier
+ * @param {Object} enemyData - Enemy data from enemies.json
+ * @returns {Object} { renderer, variant, bodyType, status } where status is
+ *   'dedicated' (renderer has a variant for this enemy), 'generic' (renderer
+ *   for the bodyType, default variant) or 'fallback' (no renderer for the bodyType)
+ */
+export function resolveEnemyRenderer(enemyId, enemyData = {}) {
+    const bodyType = enemyData.appearance?.bodyType || null;
+    let renderer = bodyType ? getEnemyBody(bodyType) : null;
+    if (!renderer && !bodyType) {
+        renderer = Array.from(renderers.values()).find(candidate => candidate.variants?.[enemyId]) || null;
+    }
+
+    if (!renderer) {
+        const fallback = getEnemyBody(FALLBACK_BODY);
+        return { renderer: fallback, variant: fallback.defaultVariant || {}, bodyType, status: 'fallback' };
+    }
+
+    const variant = renderer.variants?.[enemyId];
+    return {
+        renderer,
+        variant: variant || renderer.defaultVariant || {},
+        bodyType,
+        status: variant ? 'dedicated' : 'generic'
+    };
+}
+
+/**
+ * Renderer coverage of an enemy table
+ * @param {Object} enemies - Enemy map from enemies.json
+ * @returns {Object} { total, dedicated, generic, fallback, entries: [{ id, type, bodyType, renderer, status }] }
+ */
+export function enemyRendererCoverage(enemies) {
+    const entries = Object.entries(enemies).map(([id, data]) => {
+        const { renderer, bodyType, status } = resolveEnemyRenderer(id, data);
+        return { id, type: data.type || 'basic', bodyType, renderer: renderer.bodyType, status };
+    });
+
+    const count = status => entries.filter(entry => entry.status === status).length;
+    return {
+        total: entries.length,
+        dedicated: count('dedicated'),
+        generic: count('generic'),
+        fallback: count('fallback'),
+        entries
+    };
+}
+
+for (const renderer of [blob, beast, creature, dragon, elemental, humanoid, insectoid, mechanical, undead]) {
+    registerEnemyBody(renderer);
+}
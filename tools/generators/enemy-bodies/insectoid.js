@@ -0,0 +1,166 @@
+/**
+ * Insectoid Body Renderer
+ * Many-legged horrors: carapaced fiends on spider legs and eyeless
+ * tentacled masses. Legs and tentacles lift with the attack pose.
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { outlined, polygon, drawEyes, mirrored } from './shared.js';
+
+// Jointed leg drawn as a thick dark stroke with a colored core
+function drawLeg(ctx, points, color, width) {
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(points[0][0], points[0][1]);
+    for (const [x, y] of points.slice(1)) ctx.lineTo(x, y);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = width + 4;
+    ctx.stroke();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.stroke();
+    ctx.lineCap = 'butt';
+    ctx.lineJoin = 'miter';
+}
+
+const FORMS = {
+    beetle(ctx, body, variant, pose) {
+        const { cx, cy, r, color } = body;
+        const lift = pose.lift || 0;
+        mirrored(side => {
+            for (let i = 0; i < 3; i++) {
+                const rootY = cy + r * (i * 0.25 - 0.1);
+                drawLeg(ctx, [
+                    [cx + side * r * 0.5, rootY],
+                    [cx + side * r * 1.0, rootY - r * 0.3],
+                    [cx + side * r * 1.15, rootY + r * 0.6]
+                ], darkenHex(color, 0.3), Math.max(2, r * 0.08));
+            }
+        });
+        outlined(ctx, color, () => ctx.ellipse(cx, cy + r * 0.15, r * 0.7, r * 0.65, 0, 0, Math.PI * 2));
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - r * 0.4);
+        ctx.lineTo(cx, cy + r * 0.8);
+        ctx.stroke();
+        const head = { x: cx, y: cy - r * (0.55 + lift * 0.2), r: r * 0.32 };
+        outlined(ctx, darkenHex(color, 0.15), () => ctx.arc(head.x, head.y, head.r, 0, Math.PI * 2));
+        return { head, eyeColor: '#FF4500' };
+    },
+
+    fiend(ctx, body, variant, pose) {
+        const { cx, cy, r, color, skin } = body;
+        const lift = pose.lift || 0;
+        const shell = darkenHex(color, 0.15);
+        // Six walking legs around a heavy abdomen
+        mirrored(side => {
+            for (let i = 0; i < 3; i++) {
+                const rootY = cy + r * (0.25 + i * 0.12);
+                drawLeg(ctx, [
+                    [cx + side * r * 0.45, rootY],
+                    [cx + side * r * (0.95 + i * 0.1), rootY - r * (0.45 - i * 0.1)],
+                    [cx + side * r * (1.2 + i * 0.1), cy + r * 0.95]
+                ], darkenHex(skin, 0.2), Math.max(2, r * 0.09));
+            }
+        });
+        outlined(ctx, shell, () => ctx.ellipse(cx, cy + r * 0.45, r * 0.75, r * 0.45, 0, 0, Math.PI * 2));
+        ctx.fillStyle = lightenHex(variant.markings || '#ADFF2F', 0.1);
+        for (let i = 0; i < 3; i++) ctx.fillRect(cx - r * 0.35 + i * r * 0.3, cy + r * 0.4, r * 0.1, r * 0.1);
+
+        // Scythe forelegs raised for the strike
+        mirrored(side => drawLeg(ctx, [
+            [cx + side * r * 0.3, cy - r * 0.25],
+            [cx + side * r * 0.8, cy - r * (0.75 + lift)],
+            [cx + side * r * 0.55, cy - r * (0.3 + lift * 0.5)]
+        ], lightenHex(skin, 0.15), Math.max(2, r * 0.09)));
+
+        // Upright carapace torso
+        outlined(ctx, color, () => polygon(ctx, [
+            [cx - r * 0.35, cy - r * 0.35], [cx + r * 0.35, cy - r * 0.35], [cx + r * 0.25, cy + r * 0.25], [cx - r * 0.25, cy + r * 0.25]
+        ]));
+        const head = { x: cx, y: cy - r * 0.55, r: r * 0.27 };
+        outlined(ctx, shell, () => ctx.arc(head.x, head.y, head.r, 0, Math.PI * 2));
+        mirrored(side => outlined(ctx, '#F5F5DC', () => polygon(ctx, [
+            [head.x + side * head.r * 0.3, head.y + head.r * 0.6], [head.x + side * head.r * 0.7, head.y + head.r * 1.3], [head.x + side * head.r * 0.05, head.y + head.r * 0.95]
+        ]), 1.5));
+        return { head, eyeColor: variant.markings || '#ADFF2F' };
+    },
+
+    horror(ctx, body, variant, pose) {
+        const { cx, cy, r, color } = body;
+        const lift = pose.lift || 0;
+        // Tentacles fanning out around the base
+        for (let i = 0; i < 6; i++) {
+            const side = i < 3 ? -1 : 1;
+            const k = i % 3;
+            const rootX = cx + side * r * (0.2 + k * 0.12);
+            outlined(ctx, lightenHex(color, 0.25), () => {
+                ctx.moveTo(rootX - r * 0.12, cy + r * 0.3);
+                ctx.quadraticCurveTo(
+                    rootX + side * r * 0.5, cy + r * (0.5 - k * 0.4 - lift),
+                    rootX + side * r * (0.6 + k * 0.1), cy + r * (0.95 - k * 0.55 - lift)
+                );
+                ctx.quadraticCurveTo(rootX + side * r * 0.3, cy + r * 0.6, rootX + r * 0.12, cy + r * 0.45);
+                ctx.closePath();
+            }, 1.5);
+        }
+        // Towering body with a vertical maw instead of a face
+        outlined(ctx, color, () => {
+            ctx.moveTo(cx - r * 0.6, cy + r * 0.8);
+            ctx.quadraticCurveTo(cx - r * 0.8, cy - r * 0.4, cx - r * 0.3, cy - r * 1.0);
+            ctx.quadraticCurveTo(cx, cy - r * 1.2, cx + r * 0.3, cy - r * 1.0);
+            ctx.quadraticCurveTo(cx + r * 0.8, cy - r * 0.4, cx + r * 0.6, cy + r * 0.8);
+            ctx.closePath();
+        });
+        ctx.fillStyle = lightenHex(color, 0.2);
+        mirrored(side => ctx.fillRect(cx + side * r * 0.4 - r * 0.05, cy - r * 0.2, r * 0.1, r * 0.6));
+        const mawOpen = 0.22 + lift * 0.25;
+        ctx.fillStyle = '#3B0000';
+        ctx.beginPath();
+        ctx.ellipse(cx, cy - r * 0.4, r * mawOpen, r * 0.42, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#F5F5DC';
+        for (let i = 0; i < 4; i++) {
+            const y = cy - r * 0.7 + i * r * 0.18;
+            ctx.beginPath();
+            polygon(ctx, [[cx - r * mawOpen, y], [cx - r * mawOpen * 0.4, y + r * 0.05], [cx - r * mawOpen, y + r * 0.1]]);
+            polygon(ctx, [[cx + r * mawOpen, y], [cx + r * mawOpen * 0.4, y + r * 0.05], [cx + r * mawOpen, y + r * 0.1]]);
+            ctx.fill();
+        }
+        return { head: { x: cx, y: cy - r * 0.75, r: r * 0.35 }, eyeless: true };
+    }
+};
+
+export default {
+    bodyType: 'insectoid',
+    extent: 1.4,
+    ground: 0.95,
+    poses: {
+        attack: { lift: 0.3 },
+        hurt: { lift: -0.1 }
+    },
+    variants: {
+        crypt_fiend: { form: 'fiend', markings: '#ADFF2F' },
+        faceless_horror: { form: 'horror' }
+    },
+    defaultVariant: { form: 'beetle' },
+
+    draw(ctx, body, variant, pose) {
+        const { cx, r } = body;
+        const drawForm = FORMS[variant.form] || FORMS.beetle;
+        const { head, eyeColor, eyeless } = drawForm(ctx, body, variant, pose);
+
+        if (!eyeless) {
+            const options = { white: null, pupil: eyeColor, shut: pose.eyes === 'shut' };
+            drawEyes(ctx, head.x, head.y - head.r * 0.1, head.r * 0.45, head.r * 0.16, options);
+            drawEyes(ctx, head.x, head.y - head.r * 0.45, head.r * 0.22, head.r * 0.1, options);
+        }
+
+        return {
+            head,
+            shoulders: [{ x: cx - r * 0.4, y: head.y + head.r * 1.3 }, { x: cx + r * 0.4, y: head.y + head.r * 1.3 }]
+        };
+    }
+};
@@ -0,0 +1,216 @@
+/**
+ * Mechanical Body Renderer
+ * Constructs of plate and gear: golems, clockwork walkers, harvesters and
+ * siege engines. Every form carries a glowing core that brightens on attack.
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { outlined, polygon, drawEyes, mirrored } from './shared.js';
+
+function rivets(ctx, points, size) {
+    ctx.fillStyle = '#2F2F2F';
+    for (const [x, y] of points) ctx.fillRect(x - size / 2, y - size / 2, size, size);
+}
+
+function drawCore(ctx, x, y, radius, color, charge) {
+    outlined(ctx, darkenHex(color, 0.4), () => ctx.arc(x, y, radius, 0, Math.PI * 2), 1.5);
+    ctx.fillStyle = lightenHex(color, 0.3 + charge * 0.4);
+    ctx.beginPath();
+    ctx.arc(x, y, radius * 0.6, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+const FORMS = {
+    golem(ctx, body, variant, pose) {
+        const { cx, cy, r, color, armor } = body;
+        const plate = color;
+        const raise = pose.raise || 0;
+        mirrored(side => outlined(ctx, darkenHex(plate, 0.25), () => ctx.rect(cx + side * r * 0.35 - r * 0.18, cy + r * 0.45, r * 0.36, r * 0.6)));
+        outlined(ctx, plate, () => polygon(ctx, [
+            [cx - r * 0.75, cy - r * 0.45], [cx + r * 0.75, cy - r * 0.45], [cx + r * 0.55, cy + r * 0.5], [cx - r * 0.55, cy + r * 0.5]
+        ]));
+        // Massive fists
+        mirrored(side => {
+            const fistY = cy + r * (0.35 - (side > 0 ? raise : 0));
+            outlined(ctx, darkenHex(plate, 0.1), () => ctx.rect(cx + side * r * 0.95 - r * 0.2, cy - r * 0.45, r * 0.4, fistY - cy + r * 0.45));
+            outlined(ctx, darkenHex(armor, 0.1), () => ctx.rect(cx + side * r * 0.95 - r * 0.25, fistY, r * 0.5, r * 0.4));
+        });
+        rivets(ctx, [[cx - r * 0.6, cy - r * 0.35], [cx + r * 0.6, cy - r * 0.35], [cx - r * 0.45, cy + r * 0.4], [cx + r * 0.45, cy + r * 0.4]], Math.max(2, r * 0.07));
+        drawCore(ctx, cx, cy + r * 0.05, r * 0.22, variant.core || '#FF8C00', raise);
+        const head = { x: cx, y: cy - r * 0.7, r: r * 0.28 };
+        outlined(ctx, darkenHex(plate, 0.15), () => ctx.rect(head.x - head.r, head.y - head.r, head.r * 2, head.r * 1.6));
+        return { head, visor: true };
+    },
+
+    titan(ctx, body, variant, pose) {
+        const { cx, cy, r, color, skin } = body;
+        const raise = pose.raise || 0;
+        mirrored(side => outlined(ctx, darkenHex(color, 0.3), () => polygon(ctx, [
+            [cx + side * r * 0.15, cy + r * 0.45], [cx + side * r * 0.55, cy + r * 0.45], [cx + side * r * 0.6, cy + r * 1.05], [cx + side * r * 0.1, cy + r * 1.05]
+        ])));
+        // Tapered golden torso with runes
+        outlined(ctx, color, () => polygon(ctx, [
+            [cx - r * 0.8, cy - r * 0.5], [cx + r * 0.8, cy - r * 0.5], [cx + r * 0.45, cy + r * 0.5], [cx - r * 0.45, cy + r * 0.5]
+        ]));
+        mirrored(side => {
+            outlined(ctx, skin, () => ctx.ellipse(cx + side * r * 0.85, cy - r * 0.45, r * 0.3, r * 0.22, 0, 0, Math.PI * 2));
+            const handY = cy + r * (0.45 - (side > 0 ? raise * 1.4 : 0));
+            outlined(ctx, darkenHex(color, 0.15), () => ctx.rect(cx + side * r * 0.9 - r * 0.13, cy - r * 0.3, r * 0.26, handY - cy + r * 0.3));
+            outlined(ctx, darkenHex(color, 0.3), () => ctx.arc(cx + side * r * 0.9, handY, r * 0.17, 0, Math.PI * 2), 1.5);
+        });
+        ctx.fillStyle = lightenHex(variant.core || '#00FFFF', 0.2 + raise * 0.5);
+        for (let i = 0; i < 3; i++) ctx.fillRect(cx - r * 0.3 + i * r * 0.25, cy + r * 0.15, r * 0.1, r * 0.18);
+        drawCore(ctx, cx, cy - r * 0.15, r * 0.16, variant.core || '#00FFFF', raise);
+        const head = { x: cx, y: cy - r * 0.75, r: r * 0.26 };
+        outlined(ctx, lightenHex(color, 0.15), () => polygon(ctx, [
+            [head.x - head.r, head.y + head.r * 0.7], [head.x - head.r, head.y - head.r * 0.5], [head.x, head.y - head.r * 1.2],
+            [head.x + head.r, head.y - head.r * 0.5], [head.x + head.r, head.y + head.r * 0.7]
+        ]));
+        return { head, visor: true };
+    },
+
+    spider(ctx, body, variant, pose) {
+        const { cx, cy, r, color, armor } = body;
+        const raise = pose.raise || 0;
+        // Eight jointed legs
+        mirrored(side => {
+            for (let i = 0; i < 4; i++) {
+                const rootY = cy + r * (i * 0.15 - 0.1);
+                const kneeX = cx + side * r * (0.85 + i * 0.05);
+                const kneeY = cy - r * (0.5 - i * 0.05 + (i === 0 ? raise : 0));
+                const legWidth = Math.max(2, r * 0.06);
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = legWidth + 4;
+                ctx.beginPath();
+                ctx.moveTo(cx + side * r * 0.4, rootY);
+                ctx.lineTo(kneeX, kneeY);
+                ctx.lineTo(cx + side * r * (1.15 + i * 0.05), cy + r * (i === 0 ? 0.6 - raise : 0.9));
+                ctx.stroke();
+                ctx.strokeStyle = armor;
+                ctx.lineWidth = legWidth;
+                ctx.stroke();
+                outlined(ctx, lightenHex(armor, 0.3), () => ctx.arc(kneeX, kneeY, r * 0.06, 0, Math.PI * 2), 1);
+            }
+        });
+        outlined(ctx, color, () => ctx.arc(cx, cy + r * 0.1, r * 0.55, 0, Math.PI * 2));
+        // Exposed gear on the back plate
+        ctx.fillStyle = darkenHex(color, 0.3);
+        for (let i = 0; i < 8; i++) {
+            const angle = (i * Math.PI) / 4;
+            ctx.fillRect(cx + Math.cos(angle) * r * 0.28 - r * 0.04, cy + r * 0.2 + Math.sin(angle) * r * 0.28 - r * 0.04, r * 0.08, r * 0.08);
+        }
+        drawCore(ctx, cx, cy + r * 0.2, r * 0.2, variant.core || '#FFD700', raise);
+        const head = { x: cx, y: cy - r * 0.45, r: r * 0.25 };
+        outlined(ctx, darkenHex(color, 0.15), () => ctx.ellipse(head.x, head.y, head.r * 1.2, head.r * 0.85, 0, 0, Math.PI * 2));
+        return { head, visor: false };
+    },
+
+    harvester(ctx, body, variant, pose) {
+        const { cx, cy, r, color, armor } = body;
+        const raise = pose.raise || 0;
+        // Stilt legs under a barrel body
+        mirrored(side => outlined(ctx, darkenHex(armor, 0.3), () => ctx.rect(cx + side * r * 0.3 - r * 0.08, cy + r * 0.4, r * 0.16, r * 0.65)));
+        outlined(ctx, color, () => ctx.ellipse(cx, cy + r * 0.05, r * 0.6, r * 0.5, 0, 0, Math.PI * 2));
+        ctx.strokeStyle = darkenHex(color, 0.45);
+        ctx.lineWidth = Math.max(1.5, r * 0.05);
+        for (const offset of [-0.25, 0.25]) {
+            ctx.beginPath();
+            ctx.moveTo(cx - r * 0.58, cy + r * offset);
+            ctx.lineTo(cx + r * 0.58, cy + r * offset);
+            ctx.stroke();
+        }
+        // Scythe arm on the right, grabber on the left
+        ctx.save();
+        ctx.translate(cx + r * 0.55, cy - r * 0.15);
+        ctx.rotate(-raise);
+        outlined(ctx, darkenHex(armor, 0.2), () => ctx.rect(0, -r * 0.06, r * 0.55, r * 0.12), 1.5);
+        outlined(ctx, '#C0C0C0', () => {
+            ctx.moveTo(r * 0.5, -r * 0.05);
+            ctx.quadraticCurveTo(r * 0.75, -r * 0.75, r * 0.25, -r * 0.95);
+            ctx.quadraticCurveTo(r * 0.55, -r * 0.55, r * 0.4, -r * 0.05);
+            ctx.closePath();
+        }, 1.5);
+        ctx.restore();
+        outlined(ctx, darkenHex(armor, 0.2), () => polygon(ctx, [
+            [cx - r * 0.55, cy - r * 0.2], [cx - r * 1.05, cy + r * 0.2], [cx - r * 0.95, cy + r * 0.3], [cx - r * 0.55, cy]
+        ]), 1.5);
+        drawCore(ctx, cx, cy + r * 0.05, r * 0.15, variant.core || '#7CFC00', raise);
+        const head = { x: cx, y: cy - r * 0.65, r: r * 0.25 };
+        // Pumpkin-lantern head
+        outlined(ctx, '#FF8C00', () => ctx.ellipse(head.x, head.y, head.r * 1.2, head.r, 0, 0, Math.PI * 2));
+        outlined(ctx, '#228B22', () => ctx.rect(head.x - head.r * 0.1, head.y - head.r * 1.35, head.r * 0.2, head.r * 0.4), 1);
+        return { head, visor: false };
+    },
+
+    tank(ctx, body, variant, pose) {
+        const { cx, cy, r, color, armor } = body;
+        const raise = pose.raise || 0;
+        // Treads
+        outlined(ctx, darkenHex(armor, 0.1), () => ctx.rect(cx - r * 1.0, cy + r * 0.45, r * 2.0, r * 0.5));
+        ctx.fillStyle = '#808080';
+        for (let i = 0; i < 5; i++) {
+            ctx.beginPath();
+            ctx.arc(cx - r * 0.8 + i * r * 0.4, cy + r * 0.7, r * 0.13, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        // Hull and turret
+        outlined(ctx, color, () => polygon(ctx, [
+            [cx - r * 0.9, cy + r * 0.45], [cx - r * 0.7, cy - r * 0.05], [cx + r * 0.7, cy - r * 0.05], [cx + r * 0.9, cy + r * 0.45]
+        ]));
+        // Cannon lifts on attack
+        ctx.save();
+        ctx.translate(cx + r * 0.2, cy - r * 0.3);
+        ctx.rotate(-0.25 - raise * 0.6);
+        outlined(ctx, darkenHex(color, 0.2), () => ctx.rect(0, -r * 0.08, r * 0.85, r * 0.16), 1.5);
+        ctx.restore();
+        outlined(ctx, lightenHex(color, 0.1), () => ctx.rect(cx - r * 0.45, cy - r * 0.5, r * 0.8, r * 0.45));
+        // Smokestack
+        outlined(ctx, '#4A4A4A', () => ctx.rect(cx - r * 0.4, cy - r * 0.95, r * 0.18, r * 0.45), 1.5);
+        ctx.fillStyle = 'rgba(200,200,200,0.7)';
+        ctx.beginPath();
+        ctx.arc(cx - r * 0.35, cy - r * (1.05 + raise * 0.2), r * 0.12, 0, Math.PI * 2);
+        ctx.arc(cx - r * 0.2, cy - r * (1.15 + raise * 0.2), r * 0.1, 0, Math.PI * 2);
+        ctx.fill();
+        rivets(ctx, [[cx - r * 0.35, cy - r * 0.4], [cx + r * 0.25, cy - r * 0.4], [cx - r * 0.5, cy + r * 0.15], [cx + r * 0.5, cy + r * 0.15]], Math.max(2, r * 0.07));
+        const head = { x: cx - r * 0.05, y: cy - r * 0.3, r: r * 0.25 };
+        return { head, visor: true };
+    }
+};
+
+export default {
+    bodyType: 'mechanical',
+    extent: 1.35,
+    ground: 1.0,
+    poses: {
+        attack: { raise: 0.5 },
+        hurt: { raise: -0.1, dy: 0.03 }
+    },
+    variants: {
+        iron_golem: { form: 'golem', core: '#FF8C00', eyes: '#FF4500' },
+        titan_construct: { form: 'titan', core: '#00FFFF', eyes: '#00FFFF' },
+        clockwork_spider: { form: 'spider', core: '#FFD700', eyes: '#FF0000' },
+        harvest_golem: { form: 'harvester', core: '#7CFC00', eyes: '#FFFF00' },
+        steam_tank: { form: 'tank', eyes: '#FF4500' }
+    },
+    defaultVariant: { form: 'golem', core: '#FF8C00', eyes: '#FF4500' },
+
+    draw(ctx, body, variant, pose) {
+        const { cx, r } = body;
+        const drawForm = FORMS[variant.form] || FORMS.golem;
+        const { head, visor } = drawForm(ctx, body, variant, pose);
+        const eyes = variant.eyes || '#FF4500';
+
+        if (visor) {
+            // Glowing slit; flickers out when hit
+            ctx.fillStyle = pose.eyes === 'shut' ? '#2F2F2F' : eyes;
+            ctx.fillRect(head.x - head.r * 0.7, head.y - head.r * 0.15, head.r * 1.4, Math.max(2, head.r * 0.3));
+        } else {
+            drawEyes(ctx, head.x, head.y, head.r * 0.45, head.r * 0.2, { white: null, pupil: eyes, shut: pose.eyes === 'shut' });
+        }
+
+        return {
+            head,
+            shoulders: [{ x: cx - r * 0.6, y: head.y + head.r * 1.4 }, { x: cx + r * 0.6, y: head.y + head.r * 1.4 }]
+        };
+    }
+};
@@ -0,0 +1,142 @@
+/**
+ * Enemy Rank Embellishments
+ * Elites and bosses (enemies.json "type") get a larger body and marks that
+ * change their silhouette, so they read as different from their basic
+ * counterparts whatever body renderer draws them:
+ *   elite - spiked pauldrons and a thin aura ring
+ *   boss  - crown, jagged halo behind the body, spiked pauldrons
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { OUTLINE_COLOR, outlined, polygon, mirrored } from './shared.js';
+
+export const ENEMY_RANKS = {
+    basic: { scale: 1.0 },
+    elite: { scale: 1.15 },
+    boss: { scale: 1.3 }
+};
+
+const CROWN_GOLD = '#FFD700';
+const CROWN_GEM = '#DC143C';
+
+// Auras hug the body core, not the full reach of wings and weapons
+const AURA_BASE = 1.25;
+const AURA_SPREAD = { elite: 1.05, boss: 1.18 };
+
+/**
+ * Rank of an enemy (unknown types count as basic)
+ * @param {Object} enemyData - Enemy data from enemies.json
+ * @returns {string} 'basic', 'elite' or 'boss'
+ */
+export function resolveRank(enemyData) {
+    return ENEMY_RANKS[enemyData?.type] ? enemyData.type : 'basic';
+}
+
+/**
+ * Furthest reach of a ranked body including its aura
+ * @param {number} extent - Renderer extent in body radii
+ * @param {string} rank - Enemy rank
+ * @returns {number} Reach in body radii
+ */
+export function rankReach(extent, rank) {
+    if (!AURA_SPREAD[rank]) return extent;
+    return Math.max(extent, Math.min(extent, AURA_BASE) * AURA_SPREAD[rank] + 0.05);
+}
+
+/**
+ * Draw the rank aura behind the body
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {Object} body - { cx, cy, r, color, rank }
+ * @param {number} extent - Body reach in radii (the aura sits just outside it)
+ */
+export function drawRankAura(ctx, body, extent) {
+    const { cx, cy, r, color, rank } = body;
+    if (rank === 'basic') return;
+
+    const reach = r * Math.min(extent, AURA_BASE);
+    ctx.save();
+    if (rank === 'boss') {
+        // Jagged halo: 12-point star behind the body
+        const points = [];
+        for (let i = 0; i < 24; i++) {
+            const angle = (i * Math.PI) / 12 - Math.PI / 2;
+            const radius = i % 2 === 0 ? reach * AURA_SPREAD.boss : reach * 1.02;
+            points.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+        }
+        ctx.globalAlpha = 0.45;
+        ctx.fillStyle = lightenHex(color, 0.5);
+        ctx.beginPath();
+        polygon(ctx, points);
+        ctx.fill();
+        // Opaque dark rim so the halo reads as part of the outlined silhouette
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = OUTLINE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    } else {
+        ctx.globalAlpha = 0.5;
+        ctx.strokeStyle = lightenHex(color, 0.45);
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(cx, cy, reach * AURA_SPREAD.elite, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+/**
+ * Draw the rank marks on top of the body
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {Object} body - { r, armor, rank }
+ * @param {Object} anchors - From the renderer's draw(): { head: { x, y, r }, shoulders: [{ x, y }, { x, y }] }
+ */
+export function drawRankMarks(ctx, body, anchors) {
+    const { r, armor, rank } = body;
+    if (rank === 'basic') return;
+
+    // Spiked pauldrons
+    const spike = r * (rank === 'boss' ? 0.38 : 0.3);
+    const metal = lightenHex(armor, 0.25);
+    for (const shoulder of anchors.shoulders || []) {
+        const side = shoulder.x < anchors.head.x ? -1 : 1;
+        outlined(ctx, metal, () => polygon(ctx, [
+            [shoulder.x - side * spike * 0.2, shoulder.y + spike * 0.3],
+            [shoulder.x + side * spike * 0.9, shoulder.y - spike * 0.9],
+            [shoulder.x + side * spike * 0.5, shoulder.y + spike * 0.35]
+        ]), 1.5);
+    }
+
+    if (rank === 'boss') {
+        drawCrown(ctx, anchors.head, r);
+    }
+}
+
+function drawCrown(ctx, head, r) {
+    const width = Math.max(head.r * 1.5, r * 0.45);
+    const height = width * 0.55;
+    const baseY = head.y - head.r * 0.7;
+    const left = head.x - width / 2;
+
+    outlined(ctx, CROWN_GOLD, () => polygon(ctx, [
+        [left, baseY],
+        [left, baseY - height * 0.6],
+        [left + width * 0.2, baseY - height * 0.25],
+        [head.x, baseY - height],
+        [left + width * 0.8, baseY - height * 0.25],
+        [left + width, baseY - height * 0.6],
+        [left + width, baseY]
+    ]), 1.5);
+
+    ctx.fillStyle = CROWN_GEM;
+    ctx.beginPath();
+    ctx.arc(head.x, baseY - height * 0.3, Math.max(1.5, width * 0.09), 0, Math.PI * 2);
+    ctx.fill();
+
+    // Band shadow keeps the crown readable on light heads
+    ctx.fillStyle = darkenHex(CROWN_GOLD, 0.35);
+    ctx.fillRect(left, baseY - Math.max(1, height * 0.12), width, Math.max(1, height * 0.12));
+    mirrored(side => {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(head.x + side * width * 0.3, baseY - height * 0.45, 1, 1);
+    });
+}
@@ -0,0 +1,103 @@
+/**
+ * Enemy Body Drawing Helpers
+ * Small canvas helpers shared by the enemy body renderers.
+ */
+
+export const OUTLINE_COLOR = '#000000';
+
+/**
+ * Fill a path and stroke it with the enemy outline
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {string} fill - Fill color (or gradient)
+ * @param {Function} buildPath - Adds the shape to the current path
+ * @param {number} lineWidth - Outline width (default 2)
+ */
+export function outlined(ctx, fill, buildPath, lineWidth = 2) {
+    ctx.fillStyle = fill;
+    ctx.beginPath();
+    buildPath();
+    ctx.fill();
+    ctx.strokeStyle = OUTLINE_COLOR;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+}
+
+/**
+ * Like outlined(), but the fill is see-through while the outline stays opaque
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {number} alpha - Fill opacity
+ * @param {string} fill - Fill color
+ * @param {Function} buildPath - Adds the shape to the current path
+ * @param {number} lineWidth - Outline width (default 2)
+ */
+export function translucent(ctx, alpha, fill, buildPath, lineWidth = 2) {
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = fill;
+    ctx.beginPath();
+    buildPath();
+    ctx.fill();
+    ctx.restore();
+    ctx.strokeStyle = OUTLINE_COLOR;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+}
+
+/**
+ * Add a closed polygon to the current path
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {Array<Array<number>>} points - [x, y] pairs
+ */
+export function polygon(ctx, points) {
+    ctx.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i][0], points[i][1]);
+    }
+    ctx.closePath();
+}
+
+/**
+ * Draw a pair of eyes
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {number} x - Center between the eyes
+ * @param {number} y - Eye line
+ * @param {number} spacing - Distance from center to each eye
+ * @param {number} radius - Eye radius
+ * @param {Object} options - { white = '#FFFFFF', pupil = '#000000', shut = false } (white null = glowing pupils only)
+ */
+export function drawEyes(ctx, x, y, spacing, radius, { white = '#FFFFFF', pupil = '#000000', shut = false } = {}) {
+    const eyeRadius = Math.max(1.5, radius);
+    if (shut) {
+        // Squeezed shut (hurt pose)
+        ctx.strokeStyle = OUTLINE_COLOR;
+        ctx.lineWidth = Math.max(1, eyeRadius * 0.5);
+        ctx.beginPath();
+        ctx.moveTo(x - spacing - eyeRadius, y - eyeRadius * 0.4);
+        ctx.lineTo(x - spacing + eyeRadius, y + eyeRadius * 0.2);
+        ctx.moveTo(x + spacing + eyeRadius, y - eyeRadius * 0.4);
+        ctx.lineTo(x + spacing - eyeRadius, y + eyeRadius * 0.2);
+        ctx.stroke();
+        return;
+    }
+    if (white) {
+        ctx.fillStyle = white;
+        ctx.beginPath();
+        ctx.arc(x - spacing, y, eyeRadius, 0, Math.PI * 2);
+        ctx.arc(x + spacing, y, eyeRadius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.fillStyle = pupil;
+    ctx.beginPath();
+    ctx.arc(x - spacing, y, eyeRadius * (white ? 0.6 : 1), 0, Math.PI * 2);
+    ctx.arc(x + spacing, y, eyeRadius * (white ? 0.6 : 1), 0, Math.PI * 2);
+    ctx.fill();
+}
+
+/**
+ * Draw a mirrored pair: draw(side) is called with side = -1 (left) and 1 (right)
+ * @param {Function} draw - Drawing callback
+ */
+export function mirrored(draw) {
+    draw(-1);
+    draw(1);
+}
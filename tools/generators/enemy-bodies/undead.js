@@ -0,0 +1,228 @@
+/**
+ * Undead Body Renderer
+ * Risen corpses and restless spirits: hunched ghouls, stitched
+ * abominations, robed liches and trailing spectres.
+ */
+
+import { lightenHex, darkenHex } from '../../utils/color-utils.js';
+import { outlined, translucent, polygon, drawEyes, mirrored } from './shared.js';
+
+const BONE = '#F5F5DC';
+
+const FORMS = {
+    ghoul(ctx, body, variant, pose) {
+        const { cx, cy, r, color, skin } = body;
+        const reach = pose.reach || 0;
+        // Bent legs, hunched torso, long clawed arms
+        mirrored(side => outlined(ctx, darkenHex(color, 0.25), () => polygon(ctx, [
+            [cx + side * r * 0.15, cy + r * 0.35], [cx + side * r * 0.55, cy + r * 0.7],
+            [cx + side * r * 0.35, cy + r * 1.05], [cx + side * r * 0.2, cy + r * 1.05], [cx + side * r * 0.3, cy + r * 0.75], [cx, cy + r * 0.5]
+        ])));
+        outlined(ctx, color, () => ctx.ellipse(cx, cy + r * 0.05, r * 0.6, r * 0.5, 0, 0, Math.PI * 2));
+        ctx.strokeStyle = darkenHex(color, 0.45);
+        ctx.lineWidth = Math.max(1, r * 0.05);
+        for (let i = 0; i < 3; i++) {
+            ctx.beginPath();
+            ctx.moveTo(cx - r * 0.35, cy - r * 0.05 + i * r * 0.15);
+            ctx.quadraticCurveTo(cx, cy + i * r * 0.15 + r * 0.05, cx + r * 0.35, cy - r * 0.05 + i * r * 0.15);
+            ctx.stroke();
+        }
+        mirrored(side => {
+            const handX = cx + side * r * (0.95 + (side > 0 ? reach : 0));
+            const handY = cy + r * (0.55 - (side > 0 ? reach : 0));
+            outlined(ctx, skin, () => polygon(ctx, [
+                [cx + side * r * 0.45, cy - r * 0.3], [handX, handY - r * 0.1], [handX, handY + r * 0.05], [cx + side * r * 0.5, cy - r * 0.05]
+            ]), 1.5);
+            ctx.fillStyle = BONE;
+            for (let i = 0; i < 3; i++) ctx.fillRect(handX - r * 0.08 + i * r * 0.07, handY + r * 0.03, 1.5, r * 0.14);
+        });
+        const head = { x: cx, y: cy - r * 0.55, r: r * 0.35 };
+        outlined(ctx, skin, () => ctx.arc(head.x, head.y, head.r, 0, Math.PI * 2));
+        // Hanging jaw
+        outlined(ctx, darkenHex(skin, 0.3), () => ctx.rect(head.x - head.r * 0.45, head.y + head.r * 0.45, head.r * 0.9, head.r * (0.35 + reach)), 1.5);
+        return { head, eyes: { y: head.y - head.r * 0.1, glow: variant.eyes } };
+    },
+
+    abomination(ctx, body, variant, pose) {
+        const { cx, cy, r, color, skin } = body;
+        const reach = pose.reach || 0;
+        mirrored(side => outlined(ctx, darkenHex(color, 0.2), () => ctx.rect(cx + side * r * 0.4 - r * 0.15, cy + r * 0.45, r * 0.3, r * 0.55)));
+        // Bloated gut
+        outlined(ctx, color, () => ctx.ellipse(cx, cy + r * 0.1, r * 0.95, r * 0.75, 0, 0, Math.PI * 2));
+        outlined(ctx, lightenHex(skin, 0.15), () => ctx.ellipse(cx + r * 0.1, cy + r * 0.3, r * 0.4, r * 0.3, 0, 0, Math.PI * 2), 1.5);
+        // Stitches
+        ctx.strokeStyle = '#1A1A1A';
+        ctx.lineWidth = Math.max(1, r * 0.04);
+        ctx.beginPath();
+        ctx.moveTo(cx - r * 0.55, cy - r * 0.3);
+        ctx.lineTo(cx + r * 0.1, cy + r * 0.55);
+        for (let i = 1; i < 6; i++) {
+            const x = cx - r * 0.55 + i * r * 0.11;
+            const y = cy - r * 0.3 + i * r * 0.14;
+            ctx.moveTo(x - r * 0.06, y + r * 0.05);
+            ctx.lineTo(x + r * 0.06, y - r * 0.05);
+        }
+        ctx.stroke();
+        // Hook arm and cleaver arm
+        mirrored(side => {
+            const handX = cx + side * r * (1.1 + (side > 0 ? reach * 0.5 : 0));
+            const handY = cy + r * (0.2 - (side > 0 ? reach : 0));
+            outlined(ctx, skin, () => polygon(ctx, [
+                [cx + side * r * 0.75, cy - r * 0.35], [handX + side * r * 0.1, handY - r * 0.1],
+                [handX, handY + r * 0.15], [cx + side * r * 0.75, cy - r * 0.05]
+            ]));
+            if (side < 0) {
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = Math.max(3, r * 0.1);
+                ctx.beginPath();
+                ctx.arc(handX, handY + r * 0.35, r * 0.18, -Math.PI / 2, Math.PI * 0.9);
+                ctx.stroke();
+                ctx.strokeStyle = '#A9A9A9';
+                ctx.lineWidth = Math.max(1.5, r * 0.05);
+                ctx.stroke();
+            } else {
+                outlined(ctx, '#A9A9A9', () => ctx.rect(handX - r * 0.05, handY - r * 0.45, r * 0.3, r * 0.35), 1.5);
+            }
+        });
+        const head = { x: cx, y: cy - r * 0.65, r: r * 0.28 };
+        outlined(ctx, skin, () => ctx.arc(head.x, head.y, head.r, 0, Math.PI * 2));
+        return { head, eyes: { y: head.y - head.r * 0.1, glow: variant.eyes } };
+    },
+
+    lich(ctx, body, variant) {
+        const { cx, cy, r, color, armor } = body;
+        // Robe, flared at the hem
+        outlined(ctx, color, () => polygon(ctx, [
+            [cx - r * 0.4, cy - r * 0.4], [cx + r * 0.4, cy - r * 0.4], [cx + r * 0.8, cy + r * 1.0],
+            [cx + r * 0.4, cy + r * 0.9], [cx, cy + r * 1.05], [cx - r * 0.4, cy + r * 0.9], [cx - r * 0.8, cy + r * 1.0]
+        ]));
+        ctx.fillStyle = lightenHex(armor, 0.35);
+        ctx.fillRect(cx - r * 0.06, cy - r * 0.3, r * 0.12, r * 1.2);
+        // Staff with phylactery
+        outlined(ctx, '#4A4A4A', () => ctx.rect(cx + r * 0.7, cy - r * 1.0, r * 0.08, r * 2.0), 1.5);
+        outlined(ctx, variant.eyes || '#00FFFF', () => polygon(ctx, [
+            [cx + r * 0.74, cy - r * 1.35], [cx + r * 0.9, cy - r * 1.12], [cx + r * 0.74, cy - r * 0.9], [cx + r * 0.58, cy - r * 1.12]
+        ]), 1.5);
+        mirrored(side => outlined(ctx, BONE, () => ctx.arc(cx + side * r * 0.55, cy + r * 0.05, r * 0.12, 0, Math.PI * 2), 1.5));
+        // Skull under a high collar
+        mirrored(side => outlined(ctx, darkenHex(color, 0.3), () => polygon(ctx, [
+            [cx + side * r * 0.2, cy - r * 0.35], [cx + side * r * 0.6, cy - r * 0.95], [cx + side * r * 0.55, cy - r * 0.3]
+        ]), 1.5));
+        const head = { x: cx, y: cy - r * 0.65, r: r * 0.3 };
+        outlined(ctx, BONE, () => ctx.arc(head.x, head.y, head.r, 0, Math.PI * 2));
+        ctx.fillStyle = '#1A1A1A';
+        ctx.fillRect(head.x - head.r * 0.35, head.y + head.r * 0.45, head.r * 0.7, head.r * 0.2);
+        return { head, eyes: { y: head.y - head.r * 0.05, glow: variant.eyes || '#00FFFF', sockets: true } };
+    },
+
+    spirit(ctx, body, variant, pose) {
+        const { cx, cy, r, color, skin } = body;
+        const sway = (pose.reach || 0) * 0.5;
+        // Head-and-shoulders tapering into a curling tail
+        translucent(ctx, 0.85, color, () => {
+            ctx.moveTo(cx - r * 0.55, cy - r * 0.5);
+            ctx.quadraticCurveTo(cx - r * 0.75, cy + r * 0.3, cx - r * 0.2, cy + r * 0.7);
+            ctx.quadraticCurveTo(cx + r * (0.1 + sway), cy + r * 1.0, cx + r * (0.45 + sway), cy + r * 1.05);
+            ctx.quadraticCurveTo(cx + r * 0.2, cy + r * 0.7, cx + r * 0.6, cy + r * 0.1);
+            ctx.quadraticCurveTo(cx + r * 0.7, cy - r * 0.45, cx + r * 0.55, cy - r * 0.5);
+            ctx.quadraticCurveTo(cx, cy - r * 1.3, cx - r * 0.55, cy - r * 0.5);
+            ctx.closePath();
+        });
+
+        // Wisps streaming down the tail
+        ctx.strokeStyle = lightenHex(color, 0.3);
+        ctx.lineWidth = Math.max(1, r * 0.04);
+        for (let i = 0; i < 3; i++) {
+            const x = cx - r * 0.3 + i * r * 0.22;
+            ctx.beginPath();
+            ctx.moveTo(x, cy + r * 0.15);
+            ctx.quadraticCurveTo(x - r * 0.05, cy + r * 0.45, x + r * (0.1 + sway * 0.5), cy + r * 0.6);
+            ctx.stroke();
+        }
+
+        if (variant.hair) {
+            ctx.fillStyle = variant.hair;
+            mirrored(side => {
+                ctx.beginPath();
+                polygon(ctx, [
+                    [cx + side * r * 0.25, cy - r * 0.85], [cx + side * r * 0.85, cy - r * 0.3],
+                    [cx + side * r * 0.75, cy + r * 0.4], [cx + side * r * 0.45, cy - r * 0.3]
+                ]);
+                ctx.fill();
+                ctx.strokeStyle = '#000000';
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            });
+        }
+        if (variant.hood) {
+            outlined(ctx, darkenHex(skin, 0.45), () => {
+                ctx.moveTo(cx, cy - r * 1.05);
+                ctx.quadraticCurveTo(cx + r * 0.65, cy - r * 0.75, cx + r * 0.5, cy - r * 0.15);
+                ctx.lineTo(cx - r * 0.5, cy - r * 0.15);
+                ctx.quadraticCurveTo(cx - r * 0.65, cy - r * 0.75, cx, cy - r * 1.05);
+                ctx.closePath();
+            });
+            ctx.fillStyle = '#1A1A1A';
+            ctx.beginPath();
+            ctx.ellipse(cx, cy - r * 0.45, r * 0.3, r * 0.25, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        if (variant.blades) {
+            mirrored(side => outlined(ctx, lightenHex(skin, 0.3), () => polygon(ctx, [
+                [cx + side * r * 0.55, cy + r * 0.05], [cx + side * r * 1.05, cy - r * (0.5 + sway)], [cx + side * r * 0.65, cy + r * 0.15]
+            ]), 1.5));
+        }
+        if (variant.wail) {
+            ctx.fillStyle = '#1A1A1A';
+            ctx.beginPath();
+            ctx.ellipse(cx, cy - r * 0.2, r * 0.12, r * (0.15 + sway * 0.3), 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        const head = { x: cx, y: cy - r * 0.55, r: r * 0.4 };
+        return { head, eyes: { y: cy - r * 0.5, glow: variant.eyes, sockets: !variant.hood } };
+    }
+};
+
+export default {
+    bodyType: 'undead',
+    extent: 1.4,
+    ground: 1.0,
+    poses: {
+        attack: { reach: 0.35 },
+        hurt: { reach: -0.1 }
+    },
+    variants: {
+        ghoul: { form: 'ghoul', eyes: '#ADFF2F' },
+        abomination: { form: 'abomination', eyes: '#FFFF00' },
+        lich: { form: 'lich', eyes: '#00FFFF' },
+        ghost: { form: 'spirit', eyes: '#87CEEB' },
+        banshee: { form: 'spirit', eyes: '#FFFFFF', hair: '#E6E6FA', wail: true },
+        spectral_assassin: { form: 'spirit', eyes: '#9370DB', hood: true, blades: true }
+    },
+    defaultVariant: { form: 'ghoul' },
+
+    draw(ctx, body, variant, pose) {
+        const { cx, r } = body;
+        const drawForm = FORMS[variant.form] || FORMS.ghoul;
+        const { head, eyes } = drawForm(ctx, body, variant, pose);
+
+        if (eyes.sockets) {
+            ctx.fillStyle = '#1A1A1A';
+            mirrored(side => {
+                ctx.beginPath();
+                ctx.arc(cx + side * head.r * 0.4, eyes.y, head.r * 0.28, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+        drawEyes(ctx, cx, eyes.y, head.r * 0.4, head.r * 0.16, {
+            white: null,
+            pupil: eyes.glow || '#FF0000',
+            shut: pose.eyes === 'shut'
+        });
+
+        return {
+            head,
+            shoulders: [{ x: cx - r * 0.55, y: head.y + head.r * 1.2 }, { x: cx + r * 0.55, y: head.y + head.r * 1.2 }]
+        };
+    }
+};
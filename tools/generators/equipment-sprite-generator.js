@@ -24,11 +24,6 @@ export class EquipmentSpriteGenerator extends BaseGenerator {
             size: config.size || 256, // Match hero sprite size for anatomical overlay
             ...config
         };
-        this.equipmentGenerator = new EquipmentGenerator(
-            createCanvas(this.config.size, this.config.size),
-            null,
-            'metallic'
-        );
     }
 
     /**
@@ -176,7 +171,7 @@ export class EquipmentSpriteGenerator extends BaseGenerator {
         const tempGenerator = new EquipmentGenerator(tempCanvas, null, 'metallic');
 
         // Generate the equipment on the temp canvas
-        this._generateEquipmentOnCanvas(tempCtx, itemData, itemId);
+        this._generateEquipmentOnCanvas(tempCtx, tempGenerator, itemData, itemId);
 
         // Draw the temp canvas onto our main canvas
         ctx.drawImage(tempCanvas, offsetX, offsetY);
@@ -184,8 +179,10 @@ export class EquipmentSpriteGenerator extends BaseGenerator {
 
     /**
      * Generate equipment on a canvas using EquipmentGenerator methods
+     * @param {CanvasRenderingContext2D} ctx - Context of the generator's canvas
+     * @param {EquipmentGenerator} generator - Generator drawing into that canvas (flushed with drawer.apply())
      */
-    _generateEquipmentOnCanvas(ctx, itemData, itemId) {
+    _generateEquipmentOnCanvas(ctx, generator, itemData, itemId) {
         const slot = itemData.slot || '';
         const itemType = itemData.type || 'weapon';
         const weaponType = itemData.weapon_type || '';
@@ -200,17 +197,20 @@ export class EquipmentSpriteGenerator extends BaseGenerator {
         // Generate based on item type
         if (itemType === 'weapon') {
             if (weaponType === 'sword' || !weaponType) {
-                this.equipmentGenerator.drawSword(centerX + 8, centerY, 24, 0xC0C0C0);
+                generator.drawSword(centerX + 8, centerY, 24, 0xC0C0C0);
             } else if (weaponType === 'staff' || weaponType === 'wand') {
-                this.equipmentGenerator.drawStaff(centerX, centerY, 28, 0x8B4513);
+                generator.drawStaff(centerX, centerY, 28, 0x8B4513);
             } else if (weaponType === 'shield') {
-                this.equipmentGenerator.drawShield(centerX, centerY, 16, 0x8B7355);
+                generator.drawShield(centerX, centerY, 16, 0x8B7355);
             }
+            generator.drawer.apply();
         } else if (itemType === 'armor') {
             if (slot === 'chest') {
-                this.equipmentGenerator.drawChestArmor(centerX, centerY, 20, 24, 0x8B7355);
+                generator.drawChestArmor(centerX, centerY, 20, 24, 0x8B7355);
+                generator.drawer.apply();
             } else if (slot === 'head' || slot === 'helmet') {
-                this.equipmentGenerator.drawHelmet(centerX, centerY - 8, 12, 0x8B7355);
+                generator.drawHelmet(centerX, centerY - 8, 12, 0x8B7355);
+                generator.drawer.apply();
             } else if (slot === 'legs') {
                 // Simple leg armor representation
                 ctx.fillStyle = '#8B7355';
@@ -23,7 +23,7 @@ export class GemGenerator {
      * @returns {Object} Generated gem icon data
      */
     generate(gemData) {
-        this.drawer.clear(0x00000000);
+        this.drawer.clear();
 
         const centerX = Math.floor(this.width / 2);
         const centerY = Math.floor(this.height / 2);
@@ -19,6 +19,10 @@ import { setupCanvasContext } from '../utils/canvas-utils.js';
 import { PixelDrawer } from '../utils/pixel-drawer.js';
 import { MaterialShader } from '../utils/material-shader.js';
 import { PaletteManager } from '../utils/palette-manager.js';
+import { ExportManager } from '../utils/export-manager.js';
+import { loadKeyframeConfigs, compileKeyframeConfig, evaluateKeyframe } from '../utils/keyframe-formulas.js';
+import { loadAnimationConfig, getAnimationSettings } from '../utils/animation-config.js';
+import { resolveStyleConfig, applyStyle } from '../utils/style-config.js';
 import { clamp, hexToRgb, rgbToHex, mixHex, lightenHex, darkenHex, ensureVisibleFill, hexToRgbArray } from '../utils/color-utils.js';
 
 // Hero sprite configuration with realistic proportions
@@ -45,108 +49,161 @@ const HERO_SPRITE_CONFIG = {
     }
 };
 
-// Class-specific equipment and appearance
+// Class-specific equipment and appearance (colors come from road-to-war/data/palettes.json)
 const CLASS_STYLES = {
     paladin: {
-        armorColor: '#C0C0C0',      // Silver
-        clothColor: '#2C3E50',      // Dark blue-gray
-        accentColor: '#4169E1',     // Royal blue
         hasHelmet: true,
         weapon: 'sword',
         armorStyle: 'plate'
     },
     warrior: {
-        armorColor: '#8B4513',      // Brown leather
-        clothColor: '#4A4A4A',      // Dark gray
-        accentColor: '#A0522D',     // Sienna
         hasHelmet: false,
         weapon: 'axe',
         armorStyle: 'leather'
     },
     mage: {
-        armorColor: '#1A237E',      // Dark blue
-        clothColor: '#3949AB',      // Indigo
-        accentColor: '#5C6BC0',     // Light indigo
         hasHelmet: false,
         weapon: 'staff',
         armorStyle: 'robe'
     },
     rogue: {
-        armorColor: '#2C2C2C',      // Very dark gray
-        clothColor: '#424242',      // Dark gray
-        accentColor: '#616161',     // Medium gray
         hasHelmet: false,
         weapon: 'dagger',
         armorStyle: 'leather'
     },
     druid: {
-        armorColor: '#2E7D32',      // Forest green
-        clothColor: '#4CAF50',      // Green
-        accentColor: '#66BB6A',     // Light green
         hasHelmet: false,
         weapon: 'staff',
         armorStyle: 'cloth'
     },
     priest: {
-        armorColor: '#FFFFFF',      // White
-        clothColor: '#F5F5F5',      // Off-white
-        accentColor: '#FFD700',     // Gold accents
         hasHelmet: false,
         weapon: 'staff',
         armorStyle: 'robe'
     },
     warlock: {
-        armorColor: '#4A148C',      // Deep purple
-        clothColor: '#6A1B9A',      // Purple
-        accentColor: '#9C27B0',     // Bright purple
         hasHelmet: false,
         weapon: 'staff',
         armorStyle: 'robe'
     },
     hunter: {
-        armorColor: '#8B7355',      // Brown leather (mail-like)
-        clothColor: '#6B8E23',      // Olive drab
-        accentColor: '#9ACD32',     // Yellow-green
         hasHelmet: false,
         weapon: 'axe',              // Could also be bow/staff, but axe works for now
         armorStyle: 'leather'
     },
     shaman: {
-        armorColor: '#4682B4',      // Steel blue (mail)
-        clothColor: '#2F4F4F',      // Dark slate gray
-        accentColor: '#00CED1',     // Dark turquoise
         hasHelmet: false,
         weapon: 'staff',
         armorStyle: 'robe'
     }
 };
 
+// Weapon types drawEquipment() can draw (a variant's equipment.weapon must be one of these)
+export const HERO_WEAPONS = ['sword', 'axe', 'staff', 'dagger'];
+
+// Facing directions, in LPC sheet row order (see lpc-layout.js)
+export const HERO_DIRECTIONS = ['up', 'left', 'down', 'right'];
+
+// Older direction names used by generateAnimationFrame() callers
+const DIRECTION_ALIASES = { front: 'down', back: 'up', side: 'right' };
+
+// Body width in profile relative to the front view
+const PROFILE_WIDTH = 0.6;
+
+// Pixels of limb travel per unit of the walk cycle's limb channels (keyframe-configs.json)
+const LIMB_TRAVEL = {
+    stride: 40,   // hip flexion -> leg forward/back (profile)
+    lift: 12,     // knee bend / ankle lift -> foot raised
+    swing: 24,    // arm swing -> hand forward/back (profile)
+    armLift: 6    // arm swing -> hand raised (front and back)
+};
+
+/**
+ * Normalize a facing direction
+ * @param {string} direction - up, left, down, right (or front, back, side)
+ * @returns {string} One of HERO_DIRECTIONS
+ */
+export function resolveHeroDirection(direction = 'down') {
+    const resolved = DIRECTION_ALIASES[direction] || direction;
+    if (!HERO_DIRECTIONS.includes(resolved)) {
+        throw new Error(`Unknown hero direction "${direction}" (expected one of: ${HERO_DIRECTIONS.join(', ')})`);
+    }
+    return resolved;
+}
+
+/**
+ * Generator proportions from a style's proportions (both are fractions of the figure's height)
+ * Parts the style could not measure keep their defaults; head, torso and legs
+ * are shrunk together if they would not fit in the body height.
+ * @param {Object} proportions - { head, torso, legs, arms }
+ * @returns {Object} { head_ratio, torso_ratio, leg_ratio, arm_ratio }
+ */
+export function styleProportions(proportions) {
+    const defaults = HERO_SPRITE_CONFIG.proportions;
+    const ratio = (fraction, fallback) => (Number.isFinite(fraction) && fraction > 0 ? fraction : fallback);
+    const head = ratio(proportions.head, defaults.head_ratio);
+    const torso = ratio(proportions.torso, defaults.torso_ratio);
+    const legs = ratio(proportions.legs, defaults.leg_ratio);
+    const fit = Math.min(1, 1 / (head + torso + legs));
+    return {
+        head_ratio: head * fit,
+        torso_ratio: torso * fit,
+        leg_ratio: legs * fit,
+        arm_ratio: ratio(proportions.arms, defaults.arm_ratio)
+    };
+}
+
 export class HeroSpriteGenerator extends BaseGenerator {
+    /**
+     * @param {Object} config - Overrides of HERO_SPRITE_CONFIG, plus
+     *   styleConfig: reference style (see style-config.js). Its proportions replace
+     *   the default ones unless config.proportions is given, its skin, armor, cloth
+     *   and accent colors replace the palette's (and the hero's skinColor), and its
+     *   outline and color count are applied to every finished sprite.
+     */
     constructor(config = {}) {
         super();
         this.config = { ...HERO_SPRITE_CONFIG, ...config };
+        this.style = config.styleConfig ? resolveStyleConfig(config.styleConfig) : null;
+        if (this.style?.proportions && !config.proportions) {
+            this.config.proportions = styleProportions(this.style.proportions);
+        }
         this.materialShader = new MaterialShader();
         this.paletteManager = new PaletteManager();
+        this.exportManager = new ExportManager();
+        // Loaded on first animation frame
+        this.keyframeConfigs = null;
+        this.animationConfig = null;
+        this.compiledMotion = {};
     }
 
     /**
      * Generate a hero sprite at design resolution (256x256)
      * @param {Object} heroData - Hero appearance data
      * @param {string} heroId - Hero identifier (used to determine class)
+     * @param {Object} variant - Optional part-level variation (see VariationManager):
+     *   equipment: { weapon, hasHelmet, shoulderPads } overriding the class defaults
+     *   pose: { head, leftArm, rightArm, leftLeg, rightLeg } pixel offsets ({ x, y })
+     *   facing: one of HERO_DIRECTIONS (default 'down', the front view)
      * @returns {HTMLCanvasElement} Canvas with hero sprite
      */
-    generate(heroData, heroId) {
+    generate(heroData, heroId, variant = {}) {
         const size = this.config.design_size;
         const canvas = createCanvas(size, size);
         const ctx = canvas.getContext('2d');
         setupCanvasContext(ctx, size);
         
         const drawer = new PixelDrawer(ctx, size, size);
-        drawer.clear(0x00000000); // Transparent background
+        drawer.clear(); // Transparent background
 
         const appearance = heroData?.appearance || {};
         const heroClass = appearance.class || heroId?.split('_')[0] || 'paladin';
-        const classStyle = CLASS_STYLES[heroClass] || CLASS_STYLES.paladin;
+        const classStyle = this.resolveClassStyle(heroClass, variant.equipment);
+        const pose = variant.pose || {};
+        const facing = resolveHeroDirection(variant.facing);
+        // Left is the right profile mirrored
+        const view = facing === 'left' ? 'right' : facing;
+        const bodyWidth = view === 'right' ? PROFILE_WIDTH : 1;
         
         const proportions = this.config.proportions;
         const centerX = size / 2;
@@ -165,45 +222,140 @@ export class HeroSpriteGenerator extends BaseGenerator {
         const headY = torsoY - headHeight;
         
         // Colors
-        const skinColor = ensureVisibleFill(appearance.skinColor || '#FFDBAC');
+        const skinColor = ensureVisibleFill(this.style?.colors.skin || appearance.skinColor || '#FFDBAC');
         const hairColor = appearance.hairColor || '#8B4513';
         const eyeColor = appearance.eyeColor || '#4A90E2';
         const armorColor = classStyle.armorColor;
         const clothColor = classStyle.clothColor;
         const accentColor = classStyle.accentColor;
 
+        if (facing === 'left') {
+            ctx.save();
+            ctx.translate(size, 0);
+            ctx.scale(-1, 1);
+        }
+
+        // Class-specific equipment (weapons, accessories), moving with the hand that holds it
+        const drawWeapon = () => this.withWidth(ctx, centerX, bodyWidth, () => {
+            this.withOffset(ctx, classStyle.weapon === 'staff' ? pose.leftArm : pose.rightArm, () => {
+                this.drawEquipment(ctx, drawer, centerX, torsoY, armLength, classStyle);
+            });
+        });
+
+        // Seen from behind, the weapon is carried in front of the body
+        if (view === 'up') {
+            drawWeapon();
+        }
+
         // Draw from bottom to top for proper layering
-        // 1. Legs and feet
-        this.drawLegsDetailed(ctx, drawer, centerX, legY, legHeight, skinColor, clothColor, classStyle);
-        
-        // 2. Torso base
-        this.drawTorsoDetailed(ctx, drawer, centerX, torsoY, torsoHeight, skinColor, classStyle);
-        
-        // 3. Clothing/armor layers
-        this.drawClothingDetailed(ctx, drawer, centerX, torsoY, torsoHeight, legY, legHeight, classStyle);
-        
-        // 4. Arms with hands
-        this.drawArmsDetailed(ctx, drawer, centerX, torsoY, armLength, skinColor, classStyle);
+        this.withWidth(ctx, centerX, bodyWidth, () => {
+            // 1. Legs and feet
+            this.drawLegsDetailed(ctx, drawer, centerX, legY, legHeight, skinColor, clothColor, classStyle, pose);
+            
+            // 2. Torso base
+            this.drawTorsoDetailed(ctx, drawer, centerX, torsoY, torsoHeight, skinColor, classStyle);
+            
+            // 3. Clothing/armor layers
+            this.drawClothingDetailed(ctx, drawer, centerX, torsoY, torsoHeight, legY, legHeight, classStyle);
+            
+            // 4. Arms with hands
+            this.drawArmsDetailed(ctx, drawer, centerX, torsoY, armLength, skinColor, classStyle, pose);
+        });
         
         // 5. Head with features
-        this.drawHeadDetailed(ctx, drawer, centerX, headY, headHeight, skinColor, hairColor, eyeColor, appearance, classStyle);
+        this.withOffset(ctx, pose.head, () => {
+            this.drawHeadDetailed(ctx, drawer, centerX, headY, headHeight, skinColor, hairColor, eyeColor, appearance, classStyle, view);
+        });
         
-        // 6. Class-specific equipment (weapons, accessories)
-        this.drawEquipment(ctx, drawer, centerX, torsoY, armLength, classStyle);
+        // 6. Weapon in hand
+        if (view !== 'up') {
+            drawWeapon();
+        }
+
+        if (facing === 'left') {
+            ctx.restore();
+        }
         
         // 7. Apply selective outlining (selout) instead of black outlines
         if (this.config.details.selout) {
             this.applySelectiveOutline(ctx, drawer, size);
         }
+        
+        // 8. Reference style outline and color count
+        if (this.style) {
+            applyStyle(canvas, this.style);
+        }
 
         return canvas;
     }
 
+    /**
+     * Class style with a variant's equipment applied
+     * @param {string} heroClass - Class id (unknown classes use paladin)
+     * @param {Object} equipment - { weapon, hasHelmet, shoulderPads }; missing fields keep the class default
+     * @returns {Object} Class style
+     */
+    resolveClassStyle(heroClass, equipment = {}) {
+        const styleClass = CLASS_STYLES[heroClass] ? heroClass : 'paladin';
+        const base = CLASS_STYLES[styleClass];
+        const colors = this.style?.colors || {};
+        const style = {
+            ...base,
+            armorColor: colors.armor || this.paletteManager.getBaseHex(styleClass, 'armor'),
+            clothColor: colors.cloth || this.paletteManager.getBaseHex(styleClass, 'cloth'),
+            accentColor: colors.accent || this.paletteManager.getBaseHex(styleClass, 'accent'),
+            shoulderPads: base.armorStyle === 'plate'
+        };
+        
+        if (equipment.weapon !== undefined) {
+            if (!HERO_WEAPONS.includes(equipment.weapon)) {
+                throw new Error(`Unknown weapon type "${equipment.weapon}" (expected one of: ${HERO_WEAPONS.join(', ')})`);
+            }
+            style.weapon = equipment.weapon;
+        }
+        if (equipment.hasHelmet !== undefined) style.hasHelmet = Boolean(equipment.hasHelmet);
+        if (equipment.shoulderPads !== undefined) style.shoulderPads = Boolean(equipment.shoulderPads);
+        
+        return style;
+    }
+
+    /**
+     * Run draw() with the context shifted by a pose offset
+     * @private
+     */
+    withOffset(ctx, offset, draw) {
+        if (!offset || (!offset.x && !offset.y)) {
+            draw();
+            return;
+        }
+        ctx.save();
+        ctx.translate(Math.round(offset.x || 0), Math.round(offset.y || 0));
+        draw();
+        ctx.restore();
+    }
+
+    /**
+     * Run draw() with the context narrowed horizontally around centerX
+     * @private
+     */
+    withWidth(ctx, centerX, scaleX, draw) {
+        if (scaleX === 1) {
+            draw();
+            return;
+        }
+        ctx.save();
+        ctx.translate(centerX, 0);
+        ctx.scale(scaleX, 1);
+        ctx.translate(-centerX, 0);
+        draw();
+        ctx.restore();
+    }
+
     /**
      * Draw detailed legs with thighs, shins, and feet
      * @private
      */
-    drawLegsDetailed(ctx, drawer, centerX, y, height, skinColor, clothColor, classStyle) {
+    drawLegsDetailed(ctx, drawer, centerX, y, height, skinColor, clothColor, classStyle, pose = {}) {
         const thighHeight = Math.round(height * 0.5);
         const shinHeight = Math.round(height * 0.4);
         const footHeight = Math.round(height * 0.1);
@@ -219,23 +371,31 @@ export class HeroSpriteGenerator extends BaseGenerator {
         const skinColorNum = parseInt(skinColor.replace('#', ''), 16);
         const skinPalette = this.materialShader.generatePalette(skinColorNum, 'skin');
         
-        // Left leg
-        this.drawCelShadedRect(ctx, drawer, centerX - thighWidth - 8, thighY, thighWidth, thighHeight, skinPalette, 'left');
-        this.drawCelShadedRect(ctx, drawer, centerX - shinWidth - 6, shinY, shinWidth, shinHeight, skinPalette, 'left');
-        this.drawFoot(ctx, drawer, centerX - footWidth - 4, footY, footWidth, footHeight, skinPalette);
+        // Pants/leg armor if applicable
+        const hasPants = classStyle.armorStyle === 'leather' || classStyle.armorStyle === 'plate';
+        const pantsPalette = hasPants
+            ? this.materialShader.generatePalette(parseInt(clothColor.replace('#', ''), 16), 'cloth')
+            : null;
+        
+        // Left leg (the legs don't overlap, so each is drawn with its own pants)
+        this.withOffset(ctx, pose.leftLeg, () => {
+            this.drawCelShadedRect(ctx, drawer, centerX - thighWidth - 8, thighY, thighWidth, thighHeight, skinPalette, 'left');
+            this.drawCelShadedRect(ctx, drawer, centerX - shinWidth - 6, shinY, shinWidth, shinHeight, skinPalette, 'left');
+            this.drawFoot(ctx, drawer, centerX - footWidth - 4, footY, footWidth, footHeight, skinPalette);
+            if (pantsPalette) {
+                this.drawCelShadedRect(ctx, drawer, centerX - thighWidth - 7, thighY + 2, thighWidth - 2, thighHeight - 2, pantsPalette, 'left');
+            }
+        });
         
         // Right leg
-        this.drawCelShadedRect(ctx, drawer, centerX + 8, thighY, thighWidth, thighHeight, skinPalette, 'right');
-        this.drawCelShadedRect(ctx, drawer, centerX + 6, shinY, shinWidth, shinHeight, skinPalette, 'right');
-        this.drawFoot(ctx, drawer, centerX + 4, footY, footWidth, footHeight, skinPalette);
-        
-        // Pants/leg armor if applicable
-        if (classStyle.armorStyle === 'leather' || classStyle.armorStyle === 'plate') {
-            const clothColorNum = parseInt(clothColor.replace('#', ''), 16);
-            const pantsPalette = this.materialShader.generatePalette(clothColorNum, 'cloth');
-            this.drawCelShadedRect(ctx, drawer, centerX - thighWidth - 7, thighY + 2, thighWidth - 2, thighHeight - 2, pantsPalette, 'left');
-            this.drawCelShadedRect(ctx, drawer, centerX + 9, thighY + 2, thighWidth - 2, thighHeight - 2, pantsPalette, 'right');
-        }
+        this.withOffset(ctx, pose.rightLeg, () => {
+            this.drawCelShadedRect(ctx, drawer, centerX + 8, thighY, thighWidth, thighHeight, skinPalette, 'right');
+            this.drawCelShadedRect(ctx, drawer, centerX + 6, shinY, shinWidth, shinHeight, skinPalette, 'right');
+            this.drawFoot(ctx, drawer, centerX + 4, footY, footWidth, footHeight, skinPalette);
+            if (pantsPalette) {
+                this.drawCelShadedRect(ctx, drawer, centerX + 9, thighY + 2, thighWidth - 2, thighHeight - 2, pantsPalette, 'right');
+            }
+        });
     }
 
     /**
@@ -275,7 +435,7 @@ export class HeroSpriteGenerator extends BaseGenerator {
      * Draw detailed arms with upper arm, forearm, and hands
      * @private
      */
-    drawArmsDetailed(ctx, drawer, centerX, torsoY, length, skinColor, classStyle) {
+    drawArmsDetailed(ctx, drawer, centerX, torsoY, length, skinColor, classStyle, pose = {}) {
         const upperArmLength = Math.round(length * 0.5);
         const forearmLength = Math.round(length * 0.4);
         const handLength = Math.round(length * 0.1);
@@ -296,21 +456,25 @@ export class HeroSpriteGenerator extends BaseGenerator {
         const rightArmX = centerX + torsoWidth / 2 + upperArmWidth / 2;
         
         // Left arm (character's right, screen left)
-        this.drawCelShadedRect(ctx, drawer, leftArmX, upperArmY, upperArmWidth, upperArmLength, skinPalette, 'left');
-        this.drawCelShadedRect(ctx, drawer, leftArmX + 2, forearmY, forearmWidth, forearmLength, skinPalette, 'left');
-        this.drawHand(ctx, drawer, leftArmX + 4, handY, forearmWidth, handLength, skinPalette, 'left');
+        this.withOffset(ctx, pose.leftArm, () => {
+            this.drawCelShadedRect(ctx, drawer, leftArmX, upperArmY, upperArmWidth, upperArmLength, skinPalette, 'left');
+            this.drawCelShadedRect(ctx, drawer, leftArmX + 2, forearmY, forearmWidth, forearmLength, skinPalette, 'left');
+            this.drawHand(ctx, drawer, leftArmX + 4, handY, forearmWidth, handLength, skinPalette, 'left');
+        });
         
         // Right arm (character's left, screen right)
-        this.drawCelShadedRect(ctx, drawer, rightArmX - upperArmWidth, upperArmY, upperArmWidth, upperArmLength, skinPalette, 'right');
-        this.drawCelShadedRect(ctx, drawer, rightArmX - forearmWidth - 2, forearmY, forearmWidth, forearmLength, skinPalette, 'right');
-        this.drawHand(ctx, drawer, rightArmX - forearmWidth - 4, handY, forearmWidth, handLength, skinPalette, 'right');
+        this.withOffset(ctx, pose.rightArm, () => {
+            this.drawCelShadedRect(ctx, drawer, rightArmX - upperArmWidth, upperArmY, upperArmWidth, upperArmLength, skinPalette, 'right');
+            this.drawCelShadedRect(ctx, drawer, rightArmX - forearmWidth - 2, forearmY, forearmWidth, forearmLength, skinPalette, 'right');
+            this.drawHand(ctx, drawer, rightArmX - forearmWidth - 4, handY, forearmWidth, handLength, skinPalette, 'right');
+        });
     }
 
     /**
      * Draw detailed head with better facial features
      * @private
      */
-    drawHeadDetailed(ctx, drawer, centerX, y, height, skinColor, hairColor, eyeColor, appearance, classStyle) {
+    drawHeadDetailed(ctx, drawer, centerX, y, height, skinColor, hairColor, eyeColor, appearance, classStyle, view = 'down') {
         const width = Math.round(height * 0.75); // Head width (realistic proportions)
         
         // Generate cel-shade palette for skin (convert hex string to number)
@@ -319,6 +483,15 @@ export class HeroSpriteGenerator extends BaseGenerator {
         
         // Head shape (more oval, less round) with cel shading
         this.drawCelShadedEllipse(ctx, drawer, centerX, y + height / 2, width / 2, height / 2, skinPalette);
+
+        if (view === 'up') {
+            this.drawHeadBack(ctx, drawer, centerX, y, height, width, hairColor, classStyle);
+            return;
+        }
+        if (view === 'right') {
+            this.drawHeadProfile(ctx, drawer, centerX, y, height, width, skinColor, hairColor, eyeColor, appearance, classStyle);
+            return;
+        }
         
         // Hair (if not wearing helmet)
         if (!classStyle.hasHelmet) {
@@ -427,6 +600,108 @@ export class HeroSpriteGenerator extends BaseGenerator {
         ctx.fill();
     }
 
+    /**
+     * Back of the head: hair (or helmet) over the whole head, no face
+     * @private
+     */
+    drawHeadBack(ctx, drawer, centerX, y, height, width, hairColor, classStyle) {
+        if (classStyle.hasHelmet) {
+            this.drawHelmet(ctx, drawer, centerX, y, height, width, classStyle, 'up');
+            return;
+        }
+
+        ctx.fillStyle = hairColor;
+        ctx.beginPath();
+        ctx.ellipse(centerX, y + height * 0.42, width / 2, height * 0.45, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = lightenHex(hairColor, 0.2);
+        ctx.beginPath();
+        ctx.ellipse(centerX - width * 0.08, y + height * 0.2, width / 3, height * 0.15, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Strands falling to the nape
+        ctx.strokeStyle = darkenHex(hairColor, 0.2);
+        ctx.lineWidth = 1;
+        for (let i = 0; i < 5; i++) {
+            const offsetX = (i - 2) * (width / 7);
+            ctx.beginPath();
+            ctx.moveTo(centerX + offsetX, y + height * 0.35);
+            ctx.lineTo(centerX + offsetX * 1.1, y + height * 0.8);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Head in profile, facing right: hair over the back half, one eye, nose on the edge
+     * @private
+     */
+    drawHeadProfile(ctx, drawer, centerX, y, height, width, skinColor, hairColor, eyeColor, appearance, classStyle) {
+        if (classStyle.hasHelmet) {
+            this.drawHelmet(ctx, drawer, centerX, y, height, width, classStyle, 'right');
+        } else {
+            ctx.fillStyle = hairColor;
+            ctx.beginPath();
+            ctx.ellipse(centerX - width * 0.12, y + height * 0.3, width / 2.1, height * 0.36, 0, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = lightenHex(hairColor, 0.2);
+            ctx.beginPath();
+            ctx.ellipse(centerX - width * 0.05, y + height * 0.15, width / 3, height * 0.15, 0, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Hair reaching down the back of the neck
+            ctx.fillStyle = hairColor;
+            ctx.fillRect(centerX - width / 2, y + height * 0.3, width * 0.3, height * 0.45);
+        }
+
+        const frontX = centerX + width / 2;
+        const eyeY = y + height * 0.45;
+        const eyeX = centerX + width * 0.22;
+
+        // Eyebrow and eye
+        ctx.fillStyle = darkenHex(hairColor, 0.3);
+        ctx.fillRect(eyeX - 4, y + height * 0.35, width * 0.14, 2);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.beginPath();
+        ctx.ellipse(eyeX, eyeY, 3, 4.8, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = eyeColor;
+        ctx.beginPath();
+        ctx.ellipse(eyeX + 1, eyeY, 2.5, 3.5, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Nose breaking the outline
+        ctx.fillStyle = skinColor;
+        ctx.beginPath();
+        ctx.moveTo(frontX - 2, y + height * 0.45);
+        ctx.lineTo(frontX + 4, y + height * 0.62);
+        ctx.lineTo(frontX - 2, y + height * 0.64);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = darkenHex(skinColor, 0.2);
+        ctx.fillRect(frontX - 1, y + height * 0.62, 3, 2);
+
+        // Mouth
+        const expression = appearance.expression || 'neutral';
+        const mouthY = y + height * (expression === 'frown' ? 0.73 : 0.7);
+        ctx.fillStyle = '#8B0000';
+        ctx.fillRect(frontX - 7, mouthY, 5, 2);
+        if (expression === 'smile') {
+            ctx.fillRect(frontX - 3, mouthY - 2, 2, 2);
+        }
+
+        // Ear and jaw shadow
+        ctx.fillStyle = darkenHex(skinColor, 0.15);
+        ctx.beginPath();
+        ctx.ellipse(centerX - width * 0.05, y + height * 0.5, 3, 5, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = darkenHex(skinColor, 0.25);
+        ctx.beginPath();
+        ctx.ellipse(centerX + width * 0.12, y + height * 0.85, width * 0.22, height * 0.08, 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
     /**
      * Draw detailed clothing/armor with proper segmentation and class styles
      * @private
@@ -452,6 +727,14 @@ export class HeroSpriteGenerator extends BaseGenerator {
             // Leather/cloth armor
             this.drawLeatherArmor(ctx, drawer, centerX, torsoY, torsoHeight, clothingPalette, accentColor);
         }
+        
+        // Shoulder pads (plate armor has them by default; variants can add or remove them)
+        if (classStyle.shoulderPads) {
+            const chestWidth = Math.round(torsoHeight * 0.6);
+            const shoulderPadSize = Math.round(torsoHeight / 3) * 0.6;
+            this.drawShoulderPad(ctx, drawer, centerX - chestWidth / 2 - 5, torsoY, shoulderPadSize, clothingPalette, accentColor, 'left');
+            this.drawShoulderPad(ctx, drawer, centerX + chestWidth / 2 + 5, torsoY, shoulderPadSize, clothingPalette, accentColor, 'right');
+        }
     }
 
     /**
@@ -485,11 +768,6 @@ export class HeroSpriteGenerator extends BaseGenerator {
                 ctx.fill();
             }
         }
-        
-        // Shoulder pads
-        const shoulderPadSize = plateHeight * 0.6;
-        this.drawShoulderPad(ctx, drawer, centerX - chestWidth / 2 - 5, torsoY, shoulderPadSize, palette, accentColor, 'left');
-        this.drawShoulderPad(ctx, drawer, centerX + chestWidth / 2 + 5, torsoY, shoulderPadSize, palette, accentColor, 'right');
     }
 
     /**
@@ -709,16 +987,20 @@ export class HeroSpriteGenerator extends BaseGenerator {
      * Draw helmet
      * @private
      */
-    drawHelmet(ctx, drawer, centerX, headY, headHeight, headWidth, classStyle) {
+    drawHelmet(ctx, drawer, centerX, headY, headHeight, headWidth, classStyle, view = 'down') {
         const armorColorNum = parseInt(classStyle.armorColor.replace('#', ''), 16);
         const helmetPalette = this.materialShader.generatePalette(armorColorNum, 'metal');
         
         // Helmet base (covers most of head)
         this.drawCelShadedEllipse(ctx, drawer, centerX, headY + headHeight * 0.3, headWidth / 2.2, headHeight * 0.5, helmetPalette);
         
-        // Visor (horizontal slit)
+        // Visor (horizontal slit), only on the front half in profile and hidden from behind
         ctx.fillStyle = '#000000';
-        ctx.fillRect(centerX - headWidth * 0.3, headY + headHeight * 0.45, headWidth * 0.6, 2);
+        if (view === 'down') {
+            ctx.fillRect(centerX - headWidth * 0.3, headY + headHeight * 0.45, headWidth * 0.6, 2);
+        } else if (view === 'right') {
+            ctx.fillRect(centerX + headWidth * 0.05, headY + headHeight * 0.45, headWidth * 0.4, 2);
+        }
         
         // Helmet crest/plume (optional, for paladins)
         if (classStyle.accentColor) {
@@ -732,14 +1014,22 @@ export class HeroSpriteGenerator extends BaseGenerator {
      * @private
      */
     drawShoulderPad(ctx, drawer, x, y, size, palette, accentColor, side) {
+        // Convert palette colors (numbers) to hex strings for canvas
+        const toHex = (num) => {
+            const r = (num >> 16) & 0xFF;
+            const g = (num >> 8) & 0xFF;
+            const b = num & 0xFF;
+            return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+        };
+        
         // Rounded shoulder pad
-        ctx.fillStyle = palette.base;
+        ctx.fillStyle = toHex(palette.base);
         ctx.beginPath();
         ctx.ellipse(x, y, size / 2, size / 2, side === 'left' ? -0.3 : 0.3, 0, Math.PI * 2);
         ctx.fill();
         
         // Highlight
-        ctx.fillStyle = palette.light1;
+        ctx.fillStyle = toHex(palette.light1);
         ctx.beginPath();
         ctx.ellipse(x - size * 0.15, y - size * 0.15, size * 0.3, size * 0.3, 0, 0, Math.PI * 2);
         ctx.fill();
@@ -995,24 +1285,116 @@ export class HeroSpriteGenerator extends BaseGenerator {
         return exportCanvas;
     }
 
+    /**
+     * Hero animations with motion in keyframe-configs.json
+     * @returns {Array<string>} Animation names generateAnimationFrame() can draw
+     */
+    listHeroAnimations() {
+        if (!this.keyframeConfigs) this.keyframeConfigs = loadKeyframeConfigs();
+        return Object.keys(this.keyframeConfigs);
+    }
+
+    /**
+     * Frame count, FPS and loop flag of an animation from animation-config.json
+     * @param {string} animation - Animation name
+     * @returns {{frameCount: number, fps: number, loop: boolean}}
+     */
+    getAnimationSettings(animation) {
+        if (!this.animationConfig) this.animationConfig = loadAnimationConfig();
+        return getAnimationSettings(this.animationConfig, animation);
+    }
+
     /**
      * Generate animation frame for a specific animation and direction
-     * @param {string} animation - Animation name (idle, walk, attack, cast, hurt, death, victory)
-     * @param {string} direction - Direction (front, back, side)
+     * Motion comes from the animation's formulas in keyframe-configs.json: the
+     * walk cycle's limb channels move legs and arms, and x/y/rotation/scale/alpha
+     * move the whole body (as AnimationGenerator does). Frame counts and loop
+     * flags come from animation-config.json.
+     * @param {string} animation - Animation name (see listHeroAnimations())
+     * @param {string} direction - One of HERO_DIRECTIONS (front, back and side are accepted too)
      * @param {number} frame - Frame number (0-based)
      * @param {Object} heroData - Hero appearance data
      * @param {string} heroId - Hero identifier
+     * @param {Object} variant - Part-level variation passed to generate() (pose offsets are added to the motion)
      * @returns {HTMLCanvasElement} Canvas with animation frame
      */
-    generateAnimationFrame(animation, direction, frame, heroData, heroId) {
-        // Generate base sprite first
-        const baseCanvas = this.generate(heroData, heroId);
-        const ctx = baseCanvas.getContext('2d');
-        
-        // Animation-specific modifications
-        // For now, return base sprite - full animation implementation would modify body part positions
-        // Example: walk animation would adjust leg positions based on frame
-        
-        return baseCanvas;
+    generateAnimationFrame(animation, direction, frame, heroData, heroId, variant = {}) {
+        const facing = resolveHeroDirection(direction);
+        const motion = this.getMotion(animation);
+        const { frameCount, loop } = this.getAnimationSettings(animation);
+        if (!Number.isInteger(frame) || frame < 0 || frame >= frameCount) {
+            throw new Error(`Frame ${frame} is out of range for hero animation "${animation}" (${frameCount} frames)`);
+        }
+
+        const steps = loop ? frameCount : Math.max(1, frameCount - 1);
+        const channels = evaluateKeyframe(motion, frame / steps);
+
+        const pose = { ...(variant.pose || {}) };
+        for (const [part, offset] of Object.entries(this.limbOffsets(channels, facing))) {
+            const base = pose[part] || {};
+            pose[part] = { x: (base.x || 0) + offset.x, y: (base.y || 0) + offset.y };
+        }
+        const baseCanvas = this.generate(heroData, heroId, { ...variant, facing, pose });
+
+        // Forward motion and lean follow the facing
+        const mirror = facing === 'left' ? -1 : 1;
+        const size = this.config.design_size;
+        return this.exportManager.renderFrame({
+            canvas: baseCanvas,
+            offsetX: Math.round((channels.x || 0) * mirror),
+            offsetY: Math.round(channels.y || 0),
+            rotation: (channels.rotation || 0) * mirror,
+            scale: channels.scale,
+            scaleX: channels.scaleX,
+            scaleY: channels.scaleY,
+            alpha: channels.alpha
+        }, size, size);
+    }
+
+    /**
+     * Compiled keyframe-configs.json formulas for a hero animation
+     * @private
+     */
+    getMotion(animation) {
+        if (!this.compiledMotion[animation]) {
+            const available = this.listHeroAnimations();
+            if (!available.includes(animation)) {
+                throw new Error(`Hero animation "${animation}" has no motion in keyframe-configs.json (available: ${available.join(', ')})`);
+            }
+            try {
+                this.compiledMotion[animation] = compileKeyframeConfig(this.keyframeConfigs[animation]);
+            } catch (e) {
+                throw new Error(`keyframe-configs.json "${animation}": ${e.message}`);
+            }
+        }
+        return this.compiledMotion[animation];
+    }
+
+    /**
+     * Pose offsets from the walk cycle's limb channels
+     * In profile legs and arms swing forward and back; seen from the front or
+     * back the same motion shows as feet and hands rising.
+     * @private
+     */
+    limbOffsets(channels, facing) {
+        const profile = facing === 'left' || facing === 'right';
+        const offsets = {};
+        for (const side of ['left', 'right']) {
+            const hip = channels[`${side}HipFlexion`] || 0;
+            const knee = channels[`${side}KneeBend`] || 0;
+            const ankle = channels[`${side}AnkleLift`] || 0;
+            const arm = channels[`${side}ArmSwing`] || 0;
+            if (hip || knee || ankle) {
+                offsets[`${side}Leg`] = profile
+                    ? { x: hip * LIMB_TRAVEL.stride, y: -ankle * LIMB_TRAVEL.lift }
+                    : { x: 0, y: -Math.max(0, knee) * LIMB_TRAVEL.lift };
+            }
+            if (arm) {
+                offsets[`${side}Arm`] = profile
+                    ? { x: arm * LIMB_TRAVEL.swing, y: 0 }
+                    : { x: 0, y: -Math.abs(arm) * LIMB_TRAVEL.armLift };
+            }
+        }
+        return offsets;
     }
 }
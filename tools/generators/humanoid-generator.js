@@ -26,9 +26,14 @@
 import { PixelDrawer } from '../utils/pixel-drawer.js';
 import { PaletteManager } from '../utils/palette-manager.js';
 import { MaterialShader } from '../utils/material-shader.js';
-import { ProportionManager } from '../utils/proportion-manager.js';
+import { ProportionManager, CHIBI_RATIOS } from '../utils/proportion-manager.js';
 import { TextureGenerator } from '../utils/texture-generator.js';
 import { lightenHex, darkenHex, hexToRgb, rgbToHex, mixHex, hexToRgbArray } from '../utils/color-utils.js';
+import { resolveStyleConfig, applyStyle } from '../utils/style-config.js';
+
+// Space above the head as a fraction of the canvas height (the hair reaches
+// about 4% above it, a style outline a few pixels more)
+const HEADROOM = 0.06;
 
 export class HumanoidGenerator {
     constructor(canvas, rng, options = {}) {
@@ -37,10 +42,14 @@ export class HumanoidGenerator {
         this.rng = rng;
         this.paletteManager = new PaletteManager();
         
-        // Options: paletteName, bloodline, classId
+        // Options: paletteName, bloodline, classId, pose, styleConfig
         this.paletteName = options.paletteName || 'warm';
         this.bloodline = options.bloodline || null;
         
+        // Pose offsets ({ x, y } pixels) for head, leftArm and leftLeg. Limbs are drawn
+        // left-side only and mirrored, so the right side always mirrors the left.
+        this.pose = options.pose || {};
+        
         // If bloodline is provided, use its palette
         if (this.bloodline) {
             this.paletteName = this.bloodline;
@@ -48,6 +57,14 @@ export class HumanoidGenerator {
         
         this.palette = this.paletteManager.getPalette(this.paletteName) || this.paletteManager.getPalette('warm');
         
+        // Reference style (see style-config.js): its material colors replace the
+        // palette's, its proportions the chibi ratios; outline and color count
+        // are applied to the finished sprite
+        this.style = options.styleConfig ? resolveStyleConfig(options.styleConfig) : null;
+        if (this.style?.colors.skin) {
+            this.palette = { ...this.palette, skin: [this.styleColor('skin')] };
+        }
+        
         // Initialize MaterialShader for 5-level cel-shading
         this.materialShader = new MaterialShader();
         
@@ -59,8 +76,9 @@ export class HumanoidGenerator {
         this.width = canvas.width || 512;
         this.height = canvas.height || 512;
         
-        // Initialize ProportionManager for chibi proportions (scaled for 512x512)
-        this.proportionManager = new ProportionManager(this.height);
+        // Initialize ProportionManager for chibi proportions (scaled for 512x512),
+        // with headroom so the hair stays off the top edge
+        this.proportionManager = new ProportionManager(this.height, this.styleRatios(), Math.round(this.height * HEADROOM));
         
         this.drawer = new PixelDrawer(this.ctx, this.width, this.height);
         
@@ -81,7 +99,7 @@ export class HumanoidGenerator {
      * @returns {Object} Generated sprite data
      */
     generate() {
-        this.drawer.clear(0x00000000); // Clear with transparency
+        this.drawer.clear(); // Clear with transparency
 
         const centerX = Math.floor(this.width / 2);
         const centerY = Math.floor(this.height / 2);
@@ -106,16 +124,19 @@ export class HumanoidGenerator {
         this.drawTorsoEnhanced(centerX, centerY);
         
         // 2. Draw legs (connect to torso at hips - overlap)
-        this.drawLegsEnhanced(centerX, centerY);
+        const legs = this.poseOffset('leftLeg');
+        this.drawLegsEnhanced(centerX + legs.x, centerY + legs.y);
         
         // 3. Draw arms (connect to torso at shoulders - overlap)
-        this.drawArmsEnhanced(centerX, centerY);
+        const arms = this.poseOffset('leftArm');
+        this.drawArmsEnhanced(centerX + arms.x, centerY + arms.y);
         
         // Apply symmetry BEFORE drawing head (so head doesn't get split)
         this.drawer.mirrorHorizontal(centerX);
 
         // Draw head AFTER mirroring, so it's fully symmetric and doesn't get split
-        this.drawHeadEnhanced(centerX, centerY);
+        const head = this.poseOffset('head');
+        this.drawHeadEnhanced(centerX + head.x, centerY + head.y);
 
         // Draw Bloodline Enhancements (some may need to be after mirror)
         if (this.bloodline) {
@@ -127,6 +148,9 @@ export class HumanoidGenerator {
 
         // Final application to canvas
         this.drawer.apply();
+        if (this.style) {
+            applyStyle(this.canvas, this.style);
+        }
 
         return {
             width: this.width,
@@ -139,6 +163,47 @@ export class HumanoidGenerator {
         };
     }
 
+    /**
+     * Style color of a material as a number, or null without one
+     * @private
+     */
+    styleColor(material) {
+        const hex = this.style?.colors[material];
+        return hex ? parseInt(hex.slice(1), 16) : null;
+    }
+
+    /**
+     * ProportionManager ratios from the style's proportions
+     * Parts the style could not measure keep the chibi ratios. Head, torso and
+     * legs are scaled to the chibi layout's total height, which leaves room for
+     * the feet, equipment and pose offsets the layout assumes; limb widths stay chibi.
+     * @private
+     */
+    styleRatios() {
+        const proportions = this.style?.proportions;
+        if (!proportions) return {};
+        const ratio = (fraction, fallback) => (Number.isFinite(fraction) && fraction > 0 ? fraction : fallback);
+        const head = ratio(proportions.head, CHIBI_RATIOS.head);
+        const torso = ratio(proportions.torso, CHIBI_RATIOS.torso);
+        const legs = ratio(proportions.legs, CHIBI_RATIOS.limbs);
+        const fit = (CHIBI_RATIOS.head + CHIBI_RATIOS.torso + CHIBI_RATIOS.limbs) / (head + torso + legs);
+        return {
+            head: head * fit,
+            torso: torso * fit,
+            legs: legs * fit,
+            arms: ratio(proportions.arms * fit, CHIBI_RATIOS.limbs)
+        };
+    }
+
+    /**
+     * Integer pixel offset of a posed part
+     * @private
+     */
+    poseOffset(part) {
+        const offset = this.pose[part] || {};
+        return { x: Math.round(offset.x || 0), y: Math.round(offset.y || 0) };
+    }
+
     /**
      * Draw enhanced head with better facial features and shading
      * @private
@@ -907,8 +972,8 @@ export class HumanoidGenerator {
      * @private
      */
     applySelectiveOutline(centerX, centerY) {
-        // Get image data
-        const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
+        // Get image data (everything so far is drawn into the drawer, not yet on the canvas)
+        const imageData = this.drawer.imageData;
         const data = imageData.data;
         const newData = new Uint8ClampedArray(data);
         
@@ -990,9 +1055,9 @@ export class HumanoidGenerator {
      * @private
      */
     drawBloodlineDetails(centerX, centerY) {
-        const glowColor = this.paletteManager.getColor(this.paletteName, 'glow', this.rng) || 0xFFFF00;
-        const armorColor = this.paletteManager.getColor(this.paletteName, 'armor', this.rng) || 0xC0C0C0;
-        const accentColor = this.paletteManager.getColor(this.paletteName, 'accent', this.rng) || 0x4169E1;
+        const glowColor = this.styleColor('glow') ?? (this.paletteManager.getColor(this.paletteName, 'glow', this.rng) || 0xFFFF00);
+        const armorColor = this.styleColor('armor') ?? (this.paletteManager.getColor(this.paletteName, 'armor', this.rng) || 0xC0C0C0);
+        const accentColor = this.styleColor('accent') ?? (this.paletteManager.getColor(this.paletteName, 'accent', this.rng) || 0x4169E1);
         const headBounds = this.proportionManager.getHeadBounds(centerX, centerY);
         const torsoBounds = this.proportionManager.getTorsoBounds(centerX, centerY);
 
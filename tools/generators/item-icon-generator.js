@@ -8,7 +8,7 @@ import { createCanvas, loadImage } from 'canvas';
 import { BaseGenerator } from './base-generator.js';
 import { setupCanvasContext, drawIconPlate, resolveResPathToDisk, isMeaningfulTexture } from '../utils/canvas-utils.js';
 
-const RARITY_COLORS = {
+export const RARITY_COLORS = {
     common: { base: '#C0C0C0', accent: '#FFFFFF' },
     uncommon: { base: '#1EFF00', accent: '#FFFFFF' },
     rare: { base: '#0070DD', accent: '#88CCFF' },
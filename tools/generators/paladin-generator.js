@@ -74,7 +74,7 @@ export class PaladinGenerator {
         const centerX = Math.floor(this.width / 2);
         const centerY = Math.floor(this.height / 2);
         const drawer = new PixelDrawer(this.ctx, this.width, this.height);
-        drawer.clear(0x00000000); // Transparent background
+        drawer.clear(); // Transparent background
 
         // Get Paladin colors (from style config or defaults)
         // Add variation by slightly modifying colors based on seed
@@ -6,9 +6,10 @@
 import { createCanvas } from 'canvas';
 import { BaseGenerator } from './base-generator.js';
 import { setupCanvasContext, drawIconPlate } from '../utils/canvas-utils.js';
+import { darkenHex } from '../utils/color-utils.js';
 
 // Spell type color cache
-const SPELL_TYPE_COLORS = {
+export const SPELL_TYPE_COLORS = {
     'attack': { primary: '#FF4444', secondary: '#FF8888', accent: '#FFFFFF' },
     'heal': { primary: '#44FF44', secondary: '#88FF88', accent: '#FFFFFF' },
     'buff': { primary: '#4444FF', secondary: '#8888FF', accent: '#FFFFFF' },
@@ -17,6 +18,307 @@ const SPELL_TYPE_COLORS = {
     'dot': { primary: '#AA44FF', secondary: '#CC88FF', accent: '#FFFFFF' }
 };
 
+/**
+ * Pick spell motif based on ability ID and data
+ * @param {string} abilityId - Ability identifier
+ * @param {Object} abilityData - Ability data (name and type are used)
+ * @returns {string} Motif name
+ */
+export function pickSpellMotif(abilityId, abilityData) {
+    const id = String(abilityId || '').toLowerCase();
+    const name = String(abilityData?.name || '').toLowerCase();
+    const hay = `${id} ${name}`;
+
+    // Priority motifs (same logic as original)
+    if (/(shield|barrier|block|ward|aegis)/.test(hay)) return 'shield';
+    if (/(heal|renew|rejuvenation|regrowth|hymn|prayer|lay_on_hands|light)\b/.test(hay) || abilityData?.type === 'heal' || abilityData?.type === 'aoe_heal') return 'heal';
+    if (/(moonkin_form|eclipse|starfall|starfire|moonfire)/.test(hay)) return 'moon';
+    if (/(lightning|thunder|storm|chain_lightning)/.test(hay)) return 'lightning';
+    if (/(fire|flame|pyro|combust|immolate|lava|inferno)/.test(hay)) return 'fire';
+    if (/(frost|ice|cold|freeze|blizzard|icy|snow)/.test(hay)) return 'frost';
+    if (/(shadow|curse|agony|corruption|drain|haunt|vamp|affliction)/.test(hay)) return 'shadow';
+    if (/(backstab|stab|dagger|mutilate|eviscerate|envenom|sinister|shred|rip|rend|bleed)/.test(hay)) return 'dagger';
+    if (/(shot|arrow|aimed|steady|explosive_shot|chimera|wyvern)/.test(hay)) return 'arrow';
+    if (/(tree_of_life)/.test(hay)) return 'tree';
+    if (/(bear_form|cat_form|metamorphosis)/.test(hay)) return 'form';
+    if (/(totem|shamanistic)/.test(hay)) return 'totem';
+    if (/(charge|kick|taunt|slam|strike|smite|judgment|crusader)/.test(hay)) return 'sword';
+
+    // Fallback by type
+    const t = abilityData?.type;
+    if (t === 'buff') return 'shield';
+    if (t === 'debuff' || t === 'dot') return 'shadow';
+    if (t === 'aoe') return 'burst';
+    return 'spark';
+}
+
+/**
+ * Draw the foreground glyph of a spell icon
+ * @param {CanvasRenderingContext2D} ctx - Icon context (background plate already drawn)
+ * @param {number} size - Icon size
+ * @param {string} motif - Motif from pickSpellMotif()
+ * @param {Object} colors - Spell type colors (see SPELL_TYPE_COLORS)
+ */
+export function drawSpellGlyph(ctx, size, motif, colors) {
+    const cx = size / 2;
+    const cy = size / 2;
+
+    // High-contrast glyph color
+    const glyph = '#ffffff';
+    const glyphShadow = '#000000';
+
+    ctx.lineJoin = 'miter';
+    ctx.lineCap = 'butt';
+
+    const stroke = (drawFn) => {
+        // shadow/outline stroke
+        ctx.save();
+        ctx.strokeStyle = glyphShadow;
+        ctx.lineWidth = 5;
+        drawFn();
+        ctx.stroke();
+        ctx.restore();
+
+        // fill
+        ctx.save();
+        ctx.fillStyle = glyph;
+        drawFn();
+        ctx.fill();
+        ctx.restore();
+    };
+
+    const strokeOnly = (drawFn) => {
+        ctx.save();
+        ctx.strokeStyle = glyphShadow;
+        ctx.lineWidth = 6;
+        drawFn();
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.save();
+        ctx.strokeStyle = glyph;
+        ctx.lineWidth = 3;
+        drawFn();
+        ctx.stroke();
+        ctx.restore();
+    };
+
+    switch (motif) {
+        case 'shield': {
+            const w = size * 0.42;
+            const h = size * 0.52;
+            stroke(() => {
+                ctx.beginPath();
+                ctx.moveTo(cx, cy - h / 2);
+                ctx.lineTo(cx + w / 2, cy - h * 0.1);
+                ctx.lineTo(cx + w * 0.35, cy + h * 0.35);
+                ctx.lineTo(cx, cy + h / 2);
+                ctx.lineTo(cx - w * 0.35, cy + h * 0.35);
+                ctx.lineTo(cx - w / 2, cy - h * 0.1);
+                ctx.closePath();
+            });
+            // inner cross line
+            ctx.strokeStyle = colors?.accent || '#ffffcc';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(cx, cy - h / 3);
+            ctx.lineTo(cx, cy + h / 3);
+            ctx.stroke();
+            break;
+        }
+        case 'heal': {
+            const s = size * 0.18;
+            stroke(() => {
+                ctx.beginPath();
+                ctx.rect(cx - s, cy - s * 3, s * 2, s * 6);
+                ctx.rect(cx - s * 3, cy - s, s * 6, s * 2);
+            });
+            break;
+        }
+        case 'lightning': {
+            stroke(() => {
+                ctx.beginPath();
+                ctx.moveTo(cx + size * 0.08, cy - size * 0.28);
+                ctx.lineTo(cx - size * 0.06, cy - size * 0.02);
+                ctx.lineTo(cx + size * 0.04, cy - size * 0.02);
+                ctx.lineTo(cx - size * 0.10, cy + size * 0.28);
+                ctx.lineTo(cx + size * 0.12, cy + size * 0.02);
+                ctx.lineTo(cx + size * 0.00, cy + size * 0.02);
+                ctx.closePath();
+            });
+            break;
+        }
+        case 'fire': {
+            stroke(() => {
+                ctx.beginPath();
+                ctx.moveTo(cx, cy + size * 0.30);
+                ctx.bezierCurveTo(cx - size * 0.18, cy + size * 0.10, cx - size * 0.20, cy - size * 0.10, cx, cy - size * 0.30);
+                ctx.bezierCurveTo(cx + size * 0.18, cy - size * 0.12, cx + size * 0.22, cy + size * 0.10, cx, cy + size * 0.30);
+                ctx.closePath();
+            });
+            // ember
+            ctx.fillStyle = colors?.accent || '#ffcc88';
+            ctx.beginPath();
+            ctx.arc(cx + size * 0.10, cy - size * 0.05, size * 0.04, 0, Math.PI * 2);
+            ctx.fill();
+            break;
+        }
+        case 'frost': {
+            strokeOnly(() => {
+                ctx.beginPath();
+                const r = size * 0.22;
+                for (let i = 0; i < 6; i++) {
+                    const a = (i * Math.PI) / 3;
+                    ctx.moveTo(cx, cy);
+                    ctx.lineTo(cx + Math.cos(a) * r, cy + Math.sin(a) * r);
+                }
+            });
+            break;
+        }
+        case 'shadow': {
+            stroke(() => {
+                ctx.beginPath();
+                ctx.arc(cx, cy, size * 0.22, 0, Math.PI * 2);
+            });
+            // eyes
+            ctx.fillStyle = colors?.accent || '#ff88ff';
+            ctx.beginPath();
+            ctx.arc(cx - size * 0.08, cy - size * 0.04, size * 0.03, 0, Math.PI * 2);
+            ctx.arc(cx + size * 0.08, cy - size * 0.04, size * 0.03, 0, Math.PI * 2);
+            ctx.fill();
+            break;
+        }
+        case 'dagger': {
+            stroke(() => {
+                ctx.beginPath();
+                // blade
+                ctx.moveTo(cx + size * 0.18, cy - size * 0.22);
+                ctx.lineTo(cx - size * 0.02, cy - size * 0.02);
+                ctx.lineTo(cx + size * 0.02, cy + size * 0.02);
+                ctx.lineTo(cx + size * 0.22, cy - size * 0.18);
+                ctx.closePath();
+                // handle
+                ctx.rect(cx - size * 0.12, cy + size * 0.10, size * 0.18, size * 0.08);
+            });
+            break;
+        }
+        case 'arrow': {
+            strokeOnly(() => {
+                ctx.beginPath();
+                ctx.moveTo(cx - size * 0.20, cy + size * 0.16);
+                ctx.lineTo(cx + size * 0.18, cy - size * 0.18);
+                // arrow head
+                ctx.moveTo(cx + size * 0.18, cy - size * 0.18);
+                ctx.lineTo(cx + size * 0.08, cy - size * 0.18);
+                ctx.moveTo(cx + size * 0.18, cy - size * 0.18);
+                ctx.lineTo(cx + size * 0.18, cy - size * 0.08);
+            });
+            break;
+        }
+        case 'sword': {
+            stroke(() => {
+                ctx.beginPath();
+                // blade
+                ctx.moveTo(cx, cy - size * 0.26);
+                ctx.lineTo(cx + size * 0.06, cy - size * 0.06);
+                ctx.lineTo(cx - size * 0.06, cy - size * 0.06);
+                ctx.closePath();
+                ctx.rect(cx - size * 0.04, cy - size * 0.06, size * 0.08, size * 0.30);
+                // guard + pommel
+                ctx.rect(cx - size * 0.14, cy + size * 0.18, size * 0.28, size * 0.04);
+                ctx.rect(cx - size * 0.04, cy + size * 0.22, size * 0.08, size * 0.10);
+            });
+            break;
+        }
+        case 'totem': {
+            stroke(() => {
+                ctx.beginPath();
+                ctx.rect(cx - size * 0.08, cy - size * 0.22, size * 0.16, size * 0.44);
+                ctx.rect(cx - size * 0.14, cy + size * 0.10, size * 0.28, size * 0.08);
+            });
+            break;
+        }
+        case 'form': {
+            // Generic shapeshift motif: paw print
+            const r = size * 0.07;
+            const baseY = cy + size * 0.10;
+            stroke(() => {
+                ctx.beginPath();
+                // pad
+                ctx.arc(cx, baseY, size * 0.12, 0, Math.PI * 2);
+                // toes
+                ctx.arc(cx - size * 0.12, baseY - size * 0.14, r, 0, Math.PI * 2);
+                ctx.arc(cx - size * 0.04, baseY - size * 0.18, r, 0, Math.PI * 2);
+                ctx.arc(cx + size * 0.04, baseY - size * 0.18, r, 0, Math.PI * 2);
+                ctx.arc(cx + size * 0.12, baseY - size * 0.14, r, 0, Math.PI * 2);
+            });
+            break;
+        }
+        case 'tree': {
+            // Tree of Life motif: trunk + canopy
+            stroke(() => {
+                ctx.beginPath();
+                // canopy
+                ctx.arc(cx, cy - size * 0.08, size * 0.16, 0, Math.PI * 2);
+                ctx.arc(cx - size * 0.14, cy - size * 0.02, size * 0.12, 0, Math.PI * 2);
+                ctx.arc(cx + size * 0.14, cy - size * 0.02, size * 0.12, 0, Math.PI * 2);
+                // trunk
+                ctx.rect(cx - size * 0.05, cy + size * 0.08, size * 0.10, size * 0.18);
+            });
+            break;
+        }
+        case 'moon': {
+            // Moon motif: crescent (draw + carve)
+            const r = size * 0.18;
+            const bgCut = darkenHex(colors?.primary || '#444444', 0.55);
+
+            // outer moon
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(cx, cy, r, 0, Math.PI * 2);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 5;
+            ctx.stroke();
+            ctx.restore();
+
+            // carve out to make crescent
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(cx + r * 0.55, cy - r * 0.10, r, 0, Math.PI * 2);
+            ctx.fillStyle = bgCut;
+            ctx.fill();
+            ctx.restore();
+
+            // small star
+            ctx.fillStyle = colors?.accent || '#ffffcc';
+            ctx.fillRect(cx - r * 0.95, cy - r * 0.75, 2, 2);
+            break;
+        }
+        case 'burst': {
+            strokeOnly(() => {
+                ctx.beginPath();
+                const r = size * 0.26;
+                for (let i = 0; i < 10; i++) {
+                    const a = (i * Math.PI * 2) / 10;
+                    ctx.moveTo(cx, cy);
+                    ctx.lineTo(cx + Math.cos(a) * r, cy + Math.sin(a) * r);
+                }
+            });
+            break;
+        }
+        case 'spark':
+        default: {
+            stroke(() => {
+                ctx.beginPath();
+                ctx.arc(cx, cy, size * 0.18, 0, Math.PI * 2);
+            });
+            break;
+        }
+    }
+}
+
 export class SpellIconGenerator extends BaseGenerator {
     constructor() {
         super();
@@ -41,61 +343,9 @@ export class SpellIconGenerator extends BaseGenerator {
         drawIconPlate(ctx, size, colors.primary);
 
         // Foreground glyph with keyword-driven motif
-        const motif = this.pickSpellMotif(abilityId, abilityData);
-        this.drawGlyph(ctx, size, motif, colors);
+        const motif = pickSpellMotif(abilityId, abilityData);
+        drawSpellGlyph(ctx, size, motif, colors);
         
         return canvas;
     }
-
-    /**
-     * Pick spell motif based on ability ID and data
-     * @private
-     */
-    pickSpellMotif(abilityId, abilityData) {
-        const id = String(abilityId || '').toLowerCase();
-        const name = String(abilityData?.name || '').toLowerCase();
-        const hay = `${id} ${name}`;
-
-        // Priority motifs (same logic as original)
-        if (/(shield|barrier|block|ward|aegis)/.test(hay)) return 'shield';
-        if (/(heal|renew|rejuvenation|regrowth|hymn|prayer|lay_on_hands|light)\b/.test(hay) || abilityData?.type === 'heal' || abilityData?.type === 'aoe_heal') return 'heal';
-        if (/(moonkin_form|eclipse|starfall|starfire|moonfire)/.test(hay)) return 'moon';
-        if (/(lightning|thunder|storm|chain_lightning)/.test(hay)) return 'lightning';
-        if (/(fire|flame|pyro|combust|immolate|lava|inferno)/.test(hay)) return 'fire';
-        if (/(frost|ice|cold|freeze|blizzard|icy|snow)/.test(hay)) return 'frost';
-        if (/(shadow|curse|agony|corruption|drain|haunt|vamp|affliction)/.test(hay)) return 'shadow';
-        if (/(backstab|stab|dagger|mutilate|eviscerate|envenom|sinister|shred|rip|rend|bleed)/.test(hay)) return 'dagger';
-        if (/(shot|arrow|aimed|steady|explosive_shot|chimera|wyvern)/.test(hay)) return 'arrow';
-        if (/(tree_of_life)/.test(hay)) return 'tree';
-        if (/(bear_form|cat_form|metamorphosis)/.test(hay)) return 'form';
-        if (/(totem|shamanistic)/.test(hay)) return 'totem';
-        if (/(charge|kick|taunt|slam|strike|smite|judgment|crusader)/.test(hay)) return 'sword';
-
-        // Fallback by type
-        const t = abilityData?.type;
-        if (t === 'buff') return 'shield';
-        if (t === 'debuff' || t === 'dot') return 'shadow';
-        if (t === 'aoe') return 'burst';
-        return 'spark';
-    }
-
-    /**
-     * Draw glyph for spell icon
-     * @private
-     */
-    drawGlyph(ctx, size, motif, colors) {
-        // This would contain the full drawGlyph implementation from generate-all-assets.js
-        // For now, using a simplified version - full implementation would be extracted
-        const cx = size / 2;
-        const cy = size / 2;
-        
-        // Simplified glyph drawing - full version would have all motif cases
-        ctx.fillStyle = '#FFFFFF';
-        ctx.beginPath();
-        ctx.arc(cx, cy, size * 0.18, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Full implementation would include all motif cases from the original drawGlyph function
-        // This is a placeholder that would need to be expanded with the full drawing logic
-    }
 }
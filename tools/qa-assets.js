@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+/**
+ * Asset QA Gate
+ * Runs QAValidator over every image in road-to-war/assets using the
+ * per-category style guides in tools/asset-qa.json (size, color count, outline,
+ * shading, clipping, empty images, centering). Writes a JSON and an HTML report
+ * and exits non-zero on any violation that is not waived in the config, and on
+ * any image that matches no category and is not listed under "exclude".
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createCanvas, loadImage } from 'canvas';
+import { QAValidator } from './utils/qa-validator.js';
+import { globToRegExp } from './utils/provenance.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    CONFIG_PATH: path.join(__dirname, 'asset-qa.json'),
+    ASSETS_DIR: null,
+    OUTPUT_DIR: path.join(__dirname, 'qa-report'),
+    CATEGORY: null,
+    IGNORE_WAIVERS: false
+};
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp']);
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--config':
+                config.CONFIG_PATH = path.resolve(args[++i] || CONFIG.CONFIG_PATH);
+                break;
+            case '--assets':
+                config.ASSETS_DIR = path.resolve(args[++i]);
+                break;
+            case '--output':
+            case '-o':
+                config.OUTPUT_DIR = path.resolve(args[++i] || CONFIG.OUTPUT_DIR);
+                break;
+            case '--category':
+                config.CATEGORY = args[++i] || null;
+                break;
+            case '--ignore-waivers':
+                config.IGNORE_WAIVERS = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+Asset QA Gate
+
+Usage: node tools/qa-assets.js [options]
+
+Options:
+  --config <file>     Style guides and waivers (default: tools/asset-qa.json)
+  --assets <dir>      Asset directory to scan (default: "assetsDir" from the config)
+  -o, --output <dir>  Report directory (default: tools/qa-report)
+  --category <id>     Only check one category
+  --ignore-waivers    Report waived violations as failures
+  --help, -h          Show this help message
+
+Writes asset-qa.json and asset-qa.html to the report directory. Exits with
+code 1 when an asset has a violation that is not waived or cannot be read, or
+when an image matches no category and is not excluded.
+
+Waivers live in the config under "waivers", keyed by repo-relative path or glob:
+  "road-to-war/assets/sprites/enemies/ghost.png": { "checks": ["outline"], "reason": "..." }
+("checks": ["*"] waives every check.) Images that are not checked at all go
+under "exclude" as a glob, or as { "match": "<glob>", "reason": "..." }.
+                `);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    return config;
+}
+
+function repoPath(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Load and check the QA config
+ */
+function loadQaConfig(configPath) {
+    const qaConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (qaConfig.version !== 1) {
+        throw new Error(`Unsupported asset QA config version ${qaConfig.version} in ${configPath}`);
+    }
+    for (const category of qaConfig.categories || []) {
+        if (!category.id || !Array.isArray(category.match) || !category.guide) {
+            throw new Error(`Category ${category.id || '(no id)'} needs "id", "match" and "guide"`);
+        }
+        category.patterns = category.match.map(globToRegExp);
+    }
+    const exclude = (qaConfig.exclude || []).map(entry => {
+        const match = typeof entry === 'string' ? entry : entry.match;
+        if (!match) {
+            throw new Error(`Exclude entry ${JSON.stringify(entry)} needs a "match" glob`);
+        }
+        return globToRegExp(match);
+    });
+    const waivers = Object.entries(qaConfig.waivers || {}).map(([match, waiver]) => {
+        if (!Array.isArray(waiver.checks) || !waiver.reason) {
+            throw new Error(`Waiver ${match} needs "checks" and a "reason"`);
+        }
+        return { match, pattern: globToRegExp(match), checks: waiver.checks, reason: waiver.reason, used: false };
+    });
+    return {
+        assetsDir: qaConfig.assetsDir || 'road-to-war/assets',
+        exclude,
+        categories: qaConfig.categories || [],
+        waivers
+    };
+}
+
+function findImages(dir, exclude) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (exclude.some(pattern => pattern.test(repoPath(fullPath)) || pattern.test(`${repoPath(fullPath)}/`))) continue;
+        if (entry.isDirectory()) {
+            files.push(...findImages(fullPath, exclude));
+        } else if (IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+
+async function readCanvas(filePath) {
+    const image = await loadImage(filePath);
+    const canvas = createCanvas(image.width, image.height);
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Validate one asset and split its violations into active and waived
+ */
+async function checkAsset(validator, filePath, category, waivers) {
+    const assetPath = repoPath(filePath);
+    const canvas = await readCanvas(filePath);
+    const validation = validator.validateSprite({ canvas }, category.guide);
+    const assetWaivers = waivers.filter(waiver => waiver.pattern.test(assetPath));
+
+    const violations = validation.violations.map(violation => {
+        const waiver = assetWaivers.find(w => w.checks.includes('*') || w.checks.includes(violation.check));
+        if (waiver) waiver.used = true;
+        return waiver ? { ...violation, waived: true, reason: waiver.reason } : { ...violation, waived: false };
+    });
+    const failed = violations.some(violation => !violation.waived);
+
+    return {
+        path: assetPath,
+        category: category.id,
+        size: [canvas.width, canvas.height],
+        status: failed ? 'fail' : (violations.length > 0 ? 'waived' : 'pass'),
+        violations,
+        details: validation.details
+    };
+}
+
+/**
+ * Build the HTML report (thumbnails relative to the report)
+ */
+function buildHtml(report, outputDir) {
+    const problems = report.assets.filter(asset => asset.status !== 'pass');
+    const rows = problems.map(asset => {
+        const src = asset.status === 'error' ? '' : escapeHtml(path.relative(outputDir, path.join(ROOT, asset.path)).split(path.sep).join('/'));
+        const messages = asset.error
+            ? `<li>${escapeHtml(asset.error)}</li>`
+            : asset.violations.map(v => `<li class="${v.waived ? 'waived' : 'fail'}"><b>${v.check}</b>: ${escapeHtml(v.message)}${v.waived ? ` <i>(waived: ${escapeHtml(v.reason)})</i>` : ''}</li>`).join('');
+        return `
+      <tr class="${asset.status}">
+        <td>${src ? `<img src="${src}" alt="">` : ''}</td>
+        <td><code>${escapeHtml(asset.path)}</code><br><small>${asset.category || ''}${asset.size ? ` &middot; ${asset.size[0]}x${asset.size[1]}` : ''}</small></td>
+        <td class="status">${asset.status}</td>
+        <td><ul>${messages}</ul></td>
+      </tr>`;
+    }).join('');
+    const categoryRows = Object.entries(report.categories).map(([id, counts]) =>
+        `<tr><td>${id}</td><td>${counts.checked}</td><td>${counts.passed}</td><td>${counts.waived}</td><td>${counts.failed}</td></tr>`).join('');
+    const unused = report.unusedWaivers.map(waiver => `<li><code>${escapeHtml(waiver.match)}</code> (${waiver.checks.join(', ')})</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Asset QA Report</title>
+<style>
+  body { font-family: sans-serif; background: #1e1e24; color: #ddd; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border-bottom: 1px solid #444; padding: 6px 10px; text-align: left; vertical-align: top; }
+  tr.fail .status, tr.error .status, li.fail { color: #f66; }
+  tr.waived .status, li.waived { color: #fc6; }
+  img { image-rendering: pixelated; max-width: 96px; max-height: 96px;
+        background: repeating-conic-gradient(#555 0% 25%, #333 0% 50%) 50% / 16px 16px; }
+  ul { margin: 0; padding-left: 1.2em; }
+</style>
+</head>
+<body>
+<h1>Asset QA Report</h1>
+<p>${report.generatedAt} &middot; ${escapeHtml(report.assetsDir)} &middot; ${report.summary.checked} checked, ${report.summary.failed} failed, ${report.summary.waived} waived, ${report.summary.errors} unreadable, ${report.summary.unchecked} without a category</p>
+<table>
+  <thead><tr><th>Category</th><th>Checked</th><th>Passed</th><th>Waived</th><th>Failed</th></tr></thead>
+  <tbody>${categoryRows}</tbody>
+</table>
+${unused ? `<h2>Unused waivers</h2><ul>${unused}</ul>` : ''}
+<table>
+  <thead><tr><th></th><th>Asset</th><th>Status</th><th>Violations</th></tr></thead>
+  <tbody>${rows || '<tr><td colspan="4">No violations</td></tr>'}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+async function main() {
+    try {
+        const config = parseArgs();
+        const qaConfig = loadQaConfig(config.CONFIG_PATH);
+        const assetsDir = config.ASSETS_DIR || path.resolve(ROOT, qaConfig.assetsDir);
+        const waivers = config.IGNORE_WAIVERS ? [] : qaConfig.waivers;
+        const categories = config.CATEGORY
+            ? qaConfig.categories.filter(category => category.id === config.CATEGORY)
+            : qaConfig.categories;
+        if (categories.length === 0) {
+            throw new Error(`Unknown category: ${config.CATEGORY} (known: ${qaConfig.categories.map(c => c.id).join(', ')})`);
+        }
+
+        console.log('🔍 Asset QA Gate');
+        console.log('═'.repeat(50));
+        console.log(`📁 ${repoPath(assetsDir)}\n`);
+
+        const validator = new QAValidator();
+        const assets = [];
+        const unchecked = [];
+        for (const filePath of findImages(assetsDir, qaConfig.exclude)) {
+            const assetPath = repoPath(filePath);
+            const category = qaConfig.categories.find(c => c.patterns.some(pattern => pattern.test(assetPath)));
+            if (!category) {
+                unchecked.push(assetPath);
+                continue;
+            }
+            if (!categories.includes(category)) continue;
+
+            let result;
+            try {
+                result = await checkAsset(validator, filePath, category, waivers);
+            } catch (error) {
+                result = { path: assetPath, category: category.id, status: 'error', error: error.message, violations: [] };
+            }
+            assets.push(result);
+
+            if (result.status === 'error') {
+                console.log(`   ❌ ${assetPath}: ${result.error}`);
+            } else if (result.status === 'fail') {
+                for (const violation of result.violations.filter(v => !v.waived)) {
+                    console.log(`   ❌ ${assetPath} [${violation.check}]: ${violation.message}`);
+                }
+            }
+        }
+
+        const count = (list, status) => list.filter(asset => asset.status === status).length;
+        const perCategory = {};
+        for (const category of categories) {
+            const list = assets.filter(asset => asset.category === category.id);
+            perCategory[category.id] = {
+                checked: list.length,
+                passed: count(list, 'pass'),
+                waived: count(list, 'waived'),
+                failed: count(list, 'fail') + count(list, 'error')
+            };
+        }
+        // Waivers that matched nothing this run (only meaningful when every category ran)
+        const unusedWaivers = config.CATEGORY ? [] : waivers.filter(waiver => !waiver.used)
+            .map(({ match, checks, reason }) => ({ match, checks, reason }));
+
+        const report = {
+            version: 1,
+            generatedAt: new Date().toISOString(),
+            assetsDir: repoPath(assetsDir),
+            summary: {
+                checked: assets.length,
+                passed: count(assets, 'pass'),
+                waived: count(assets, 'waived'),
+                failed: count(assets, 'fail'),
+                errors: count(assets, 'error'),
+                unchecked: unchecked.length
+            },
+            categories: perCategory,
+            assets,
+            unchecked,
+            unusedWaivers
+        };
+
+        fs.mkdirSync(config.OUTPUT_DIR, { recursive: true });
+        const jsonPath = path.join(config.OUTPUT_DIR, 'asset-qa.json');
+        const htmlPath = path.join(config.OUTPUT_DIR, 'asset-qa.html');
+        fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+        fs.writeFileSync(htmlPath, buildHtml(report, config.OUTPUT_DIR));
+
+        console.log('');
+        for (const [id, counts] of Object.entries(perCategory)) {
+            const icon = counts.failed > 0 ? '❌' : '✓';
+            console.log(`   ${icon} ${id}: ${counts.passed}/${counts.checked} passed${counts.waived ? `, ${counts.waived} waived` : ''}${counts.failed ? `, ${counts.failed} failed` : ''}`);
+        }
+        // Uncategorized images are only known when every category ran
+        const uncategorized = config.CATEGORY ? [] : unchecked;
+        for (const assetPath of uncategorized) {
+            console.log(`   ❌ ${assetPath}: matches no category (add one to asset-qa.json or list it under "exclude")`);
+        }
+        for (const waiver of unusedWaivers) {
+            console.log(`   ⚠️  Unused waiver: ${waiver.match} (${waiver.checks.join(', ')})`);
+        }
+
+        console.log('');
+        console.log('═'.repeat(50));
+        console.log(`📄 Report: ${repoPath(htmlPath)}`);
+        const failed = report.summary.failed + report.summary.errors + uncategorized.length;
+        if (failed > 0) {
+            console.log(`❌ ${failed} asset(s) failed QA${uncategorized.length ? ` (${uncategorized.length} without a category)` : ''}`);
+            process.exit(1);
+        }
+        console.log(`✅ ${assets.length} asset(s) passed QA${report.summary.waived ? ` (${report.summary.waived} with waivers)` : ''}`);
+    } catch (error) {
+        console.error('❌ Asset QA failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,40 @@
+/**
+ * Formula Evaluator tests
+ * Run with: npm run test:tools
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFormula, evaluateFormula } from '../utils/formula-evaluator.js';
+
+test('follows JavaScript precedence and associativity', () => {
+    assert.equal(evaluateFormula('1 + 2 * 3'), 7);
+    assert.equal(evaluateFormula('10 - 4 - 3'), 3);
+    assert.equal(evaluateFormula('2 ** 3 ** 2'), 512);
+    assert.equal(evaluateFormula('2 * 3 ** 2'), 18);
+    assert.equal(evaluateFormula('1 < 2 && 3 > 2 ? 5 : 6'), 5);
+});
+
+test('allows a unary operator on the right of ** or inside parentheses', () => {
+    assert.equal(evaluateFormula('2 ** -1'), 0.5);
+    assert.equal(evaluateFormula('(-2) ** 2'), 4);
+    assert.equal(evaluateFormula('-(2 ** 2)'), -4);
+    assert.equal(evaluateFormula('-2 * 3 ** 2'), -18);
+});
+
+test('rejects a unary operator directly before ** like JavaScript', () => {
+    for (const source of ['-2 ** 2', '+x ** 2', '!x ** 2', '1 + -2 ** 2', '3 * -t ** 2']) {
+        assert.throws(() => compileFormula(source), /Unary operator before "\*\*" needs parentheses/, source);
+    }
+});
+
+test('reads variables, dotted names and Math members', () => {
+    const formula = compileFormula('Math.sin(t * Math.PI * 2) * amplitude + scale.x');
+    assert.deepEqual(formula.variables.sort(), ['amplitude', 'scale.x', 't']);
+    assert.ok(Math.abs(formula.evaluate({ t: 0.25, amplitude: 4, scale: { x: 1 } }) - 5) < 1e-9);
+});
+
+test('reports syntax errors with their position', () => {
+    assert.throws(() => compileFormula('1 +'), /Unexpected end of formula at position 3/);
+    assert.throws(() => compileFormula('Math.eval(1)'), /is not a supported function/);
+});
@@ -17,6 +17,23 @@ import { EquipmentSpriteGenerator } from './generators/equipment-sprite-generato
 import { setupCanvasContext } from './utils/canvas-utils.js';
 import { ensureVisibleFill } from './utils/color-utils.js';
 
+/**
+ * Generator version per asset type.
+ * Bump the entry for a type whenever its drawing code changes so incremental
+ * builds (tools/build-assets.js) know to regenerate those outputs.
+ */
+export const GENERATOR_VERSIONS = {
+    hero: '2.0.0',
+    spell_icon: '1.1.0',
+    enemy: '2.0.0',
+    item_icon: '1.0.0',
+    projectile: '1.0.0',
+    vfx: '1.0.0',
+    equipment: '1.1.0',
+    animation_frame: '2.0.0',
+    animation: '1.1.0'
+};
+
 export class UnifiedAssetGenerator {
     constructor(config = {}) {
         // Specialized generators (class-based) - ALL INTEGRATED
@@ -29,7 +46,20 @@ export class UnifiedAssetGenerator {
         this.equipmentGenerator = new EquipmentSpriteGenerator(config.equipment || { size: 128 });
         this.animationGenerator = new AnimationGenerator();
     }
-    
+
+    /**
+     * Get the generator version for an asset type
+     * @param {string} type - Asset type
+     * @returns {string} Version string (throws for unknown types)
+     */
+    getVersion(type) {
+        const version = GENERATOR_VERSIONS[type];
+        if (!version) {
+            throw new Error(`Unknown asset type: ${type}`);
+        }
+        return version;
+    }
+
     /**
      * Generate an asset of the specified type
      * @param {string} type - Asset type ('hero', 'spell_icon', 'enemy', 'item_icon', 'projectile', 'vfx', 'equipment', 'animation')
@@ -46,7 +76,7 @@ export class UnifiedAssetGenerator {
                 return this.spellIconGenerator.generate(data, options.abilityId || 'ability_0', options.size || 48);
                 
             case 'enemy':
-                return this.enemyGenerator.generate(data, options.enemyId || 'enemy_0');
+                return this.enemyGenerator.generate(data, options.enemyId || 'enemy_0', { pose: options.pose });
                 
             case 'item_icon':
                 const itemId = options.itemId || data.id || 'item_0';
@@ -94,7 +124,9 @@ export class UnifiedAssetGenerator {
                     case 'death':
                         return this.animationGenerator.generateDeathFrames(baseSprite, frameCount);
                     default:
-                        return this.animationGenerator.generateIdleFrames(baseSprite, frameCount);
+                        // Other animations with formulas in keyframe-configs.json (e.g. defend)
+                        return this.animationGenerator.generateKeyframeFrames(baseSprite, animation, frameCount)
+                            || this.animationGenerator.generateIdleFrames(baseSprite, frameCount);
                 }
                 
             default:
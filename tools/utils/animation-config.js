@@ -0,0 +1,53 @@
+/**
+ * Animation Config
+ * Reads road-to-war/data/animation-config.json so the asset tools use the same
+ * frame counts, frame rates and loop flags as the game.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ANIMATION_CONFIG_PATH = path.join(__dirname, '..', '..', 'road-to-war', 'data', 'animation-config.json');
+
+/**
+ * Load animation-config.json
+ * @param {string} configPath - Path to the config
+ * @returns {Object} Parsed config
+ */
+export function loadAnimationConfig(configPath = ANIMATION_CONFIG_PATH) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * Animation names in animation-config.json, in config order
+ * Most animations are listed under frameCounts; loop-only entries (e.g. jump) count too.
+ * @param {Object} config - Parsed animation-config.json
+ * @returns {Array<string>} Animation names
+ */
+export function listConfiguredAnimations(config) {
+    const names = new Set();
+    for (const key of ['frameCounts', 'frameRates', 'loops']) {
+        for (const name of Object.keys(config[key] || {})) names.add(name);
+    }
+    return Array.from(names);
+}
+
+/**
+ * Frame count, FPS and loop flag for one animation, with the config's defaults
+ * @param {Object} config - Parsed animation-config.json
+ * @param {string} name - Animation name (idle, walk, attack, death, ...)
+ * @returns {{frameCount: number, fps: number, loop: boolean}}
+ */
+export function getAnimationSettings(config, name) {
+    const loops = config.loops || {};
+    const defaults = config.animationDefaults || {};
+    return {
+        frameCount: (config.frameCounts || {})[name] || config.defaultFrameCount || 12,
+        fps: (config.frameRates || {})[name] || config.defaultFrameRate || 12,
+        loop: name in loops ? loops[name] : defaults.loop !== false
+    };
+}
@@ -0,0 +1,16 @@
+/**
+ * Asset Job Worker
+ * worker_threads entry point used by runAssetJobs() when --jobs > 1
+ */
+
+import { parentPort } from 'worker_threads';
+import { renderAssetJob } from './asset-jobs.js';
+
+parentPort.on('message', async ({ index, task }) => {
+    try {
+        const value = await renderAssetJob(task);
+        parentPort.postMessage({ index, ok: true, value });
+    } catch (error) {
+        parentPort.postMessage({ index, ok: false, error: error.message });
+    }
+});
@@ -0,0 +1,145 @@
+/**
+ * Asset Jobs
+ * Renders self-contained asset jobs to PNG buffers, either on the main thread
+ * or spread across a worker pool (see asset-job-worker.js).
+ *
+ * A job is plain data so it can cross thread boundaries:
+ *   { kind, id, size, data, options }
+ * Both modes go through renderAssetJob(), so output is byte-identical
+ * whatever the job count.
+ */
+
+import os from 'os';
+import { EnemySpriteGenerator } from '../generators/enemy-sprite-generator.js';
+import { SpellIconGenerator } from '../generators/spell-icon-generator.js';
+import { ItemIconGenerator } from '../generators/item-icon-generator.js';
+import { EquipmentSpriteGenerator } from '../generators/equipment-sprite-generator.js';
+import { ProjectileGenerator } from '../generators/projectile-generator.js';
+import { VFXGenerator } from '../generators/vfx-generator.js';
+import { WorkerPool } from './worker-pool.js';
+
+const WORKER_PATH = new URL('./asset-job-worker.js', import.meta.url);
+
+// Generators are stateless between generate() calls, so one per kind/size is reused
+const generatorCache = new Map();
+
+function getGenerator(kind, size) {
+    const key = `${kind}:${size}`;
+    if (generatorCache.has(key)) return generatorCache.get(key);
+
+    let generator;
+    switch (kind) {
+        case 'enemy':
+            generator = new EnemySpriteGenerator({ size });
+            break;
+        case 'spell_icon':
+            generator = new SpellIconGenerator();
+            break;
+        case 'item_icon':
+            generator = new ItemIconGenerator({ size });
+            break;
+        case 'equipment':
+            generator = new EquipmentSpriteGenerator({ size });
+            break;
+        case 'projectile':
+            generator = new ProjectileGenerator({ size });
+            break;
+        case 'vfx':
+            generator = new VFXGenerator({ size });
+            break;
+        default:
+            throw new Error(`Unknown asset job kind: ${kind}`);
+    }
+
+    generatorCache.set(key, generator);
+    return generator;
+}
+
+/**
+ * Render one job to a PNG buffer
+ * @param {Object} job - { kind, id, size, data, options }
+ * @returns {Promise<Buffer>} PNG data
+ */
+export async function renderAssetJob(job) {
+    const generator = getGenerator(job.kind, job.size);
+    let canvas;
+
+    switch (job.kind) {
+        case 'spell_icon':
+            canvas = generator.generate(job.data, job.id, job.size);
+            break;
+        case 'item_icon':
+            canvas = await generator.generate(job.data, job.id, job.options || {});
+            break;
+        case 'projectile':
+        case 'vfx':
+            canvas = generator.generate(job.data);
+            break;
+        case 'enemy':
+            canvas = generator.generate(job.data, job.id, job.options || {});
+            break;
+        default:
+            canvas = generator.generate(job.data, job.id);
+            break;
+    }
+
+    return canvas.toBuffer('image/png');
+}
+
+/**
+ * Resolve a --jobs value to a worker count (0 or "auto" = one per CPU core)
+ * @param {string|number} value - Raw option value
+ * @returns {number} Worker count >= 1
+ */
+export function resolveJobCount(value) {
+    if (value === 'auto' || value === 0 || value === '0') {
+        return Math.max(1, os.cpus().length);
+    }
+    const n = parseInt(value, 10);
+    return isNaN(n) || n < 1 ? 1 : n;
+}
+
+/**
+ * Render a list of jobs, isolating failures per job
+ * @param {Array<Object>} jobs - Jobs to render
+ * @param {Object} options - { jobs: worker count, onProgress(done, total, job, ok) }
+ * @returns {Promise<{rendered: Array<{job, buffer}>, failures: Array<{job, error}>}>}
+ */
+export async function runAssetJobs(jobs, options = {}) {
+    const workerCount = Math.min(options.jobs || 1, jobs.length);
+    const onProgress = options.onProgress || null;
+    const rendered = [];
+    const failures = [];
+
+    if (workerCount <= 1) {
+        for (let i = 0; i < jobs.length; i++) {
+            const job = jobs[i];
+            try {
+                rendered.push({ job, buffer: await renderAssetJob(job) });
+                if (onProgress) onProgress(i + 1, jobs.length, job, true);
+            } catch (error) {
+                failures.push({ job, error: error.message });
+                if (onProgress) onProgress(i + 1, jobs.length, job, false);
+            }
+        }
+        return { rendered, failures };
+    }
+
+    const pool = new WorkerPool(WORKER_PATH, workerCount);
+    const results = await pool.run(jobs, (result, index, done) => {
+        if (onProgress) onProgress(done, jobs.length, jobs[index], result.ok);
+    });
+
+    // Collect in job order so file writes happen in the same order as serial mode
+    results.forEach((result, index) => {
+        const job = jobs[index];
+        if (result.ok) {
+            const value = result.value;
+            rendered.push({ job, buffer: Buffer.from(value.buffer, value.byteOffset, value.byteLength) });
+        } else {
+            failures.push({ job, error: result.error });
+        }
+    });
+
+    return { rendered, failures };
+}
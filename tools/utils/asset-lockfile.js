@@ -0,0 +1,206 @@
+/**
+ * Asset Lockfile
+ * Tracks which outputs an incremental asset build produced and the input hash
+ * each one was generated from, so unchanged records can be skipped and
+ * outputs for deleted records can be pruned.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Serialize a value to JSON with object keys sorted, so the same data always
+ * produces the same string regardless of key order in the source file
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(v => stableStringify(v === undefined ? null : v)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash any JSON-compatible value (sha256, hex)
+ * @param {*} value - Value to hash
+ * @returns {string} Hex digest
+ */
+export function hashValue(value) {
+    return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Hash a file's contents (sha256, hex)
+ * @param {string} filePath - File to hash
+ * @returns {string|null} Hex digest or null if the file does not exist
+ */
+export function hashFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+export class AssetLockfile {
+    /**
+     * @param {string} lockPath - Path of the lockfile on disk
+     * @param {string} rootDir - Directory that lockfile file paths are relative to
+     */
+    constructor(lockPath, rootDir) {
+        this.lockPath = lockPath;
+        this.rootDir = rootDir;
+        this.data = { version: LOCKFILE_VERSION, groups: {} };
+    }
+
+    /**
+     * Load the lockfile from disk (missing or outdated lockfiles start empty)
+     * @returns {AssetLockfile} this
+     */
+    load() {
+        if (!fs.existsSync(this.lockPath)) return this;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+            if (data.version === LOCKFILE_VERSION && data.groups) {
+                this.data = data;
+            }
+        } catch (error) {
+            console.warn(`Ignoring unreadable lockfile ${this.lockPath}: ${error.message}`);
+        }
+        return this;
+    }
+
+    /**
+     * Write the lockfile to disk
+     */
+    save() {
+        const dir = path.dirname(this.lockPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        // Sort groups and entries so the lockfile diffs cleanly
+        const groups = {};
+        for (const groupId of Object.keys(this.data.groups).sort()) {
+            const entries = this.data.groups[groupId];
+            groups[groupId] = {};
+            for (const id of Object.keys(entries).sort()) {
+                groups[groupId][id] = entries[id];
+            }
+        }
+
+        fs.writeFileSync(this.lockPath, JSON.stringify({ version: LOCKFILE_VERSION, groups }, null, 2) + '\n');
+    }
+
+    /**
+     * Get the lock entry for a record
+     * @param {string} groupId - Manifest group id
+     * @param {string} id - Record id
+     * @returns {Object|null} { hash, files } or null
+     */
+    get(groupId, id) {
+        return this.data.groups[groupId]?.[id] || null;
+    }
+
+    /**
+     * Check whether a record's outputs are up to date for the given hash
+     * (hash matches and every recorded file still exists)
+     * @param {string} groupId - Manifest group id
+     * @param {string} id - Record id
+     * @param {string} hash - Current input hash
+     * @returns {boolean} True if generation can be skipped
+     */
+    isFresh(groupId, id, hash) {
+        const entry = this.get(groupId, id);
+        if (!entry || entry.hash !== hash) return false;
+        return entry.files.every(file => fs.existsSync(this.resolve(file)));
+    }
+
+    /**
+     * Record the outputs produced for a record
+     * @param {string} groupId - Manifest group id
+     * @param {string} id - Record id
+     * @param {string} hash - Input hash the files were generated from
+     * @param {string[]} files - Absolute paths of the produced files
+     */
+    set(groupId, id, hash, files) {
+        if (!this.data.groups[groupId]) {
+            this.data.groups[groupId] = {};
+        }
+        this.data.groups[groupId][id] = {
+            hash,
+            files: files.map(file => this.relative(file))
+        };
+    }
+
+    /**
+     * List record ids in a group that are not in the current set of ids
+     * @param {string} groupId - Manifest group id
+     * @param {Set<string>} currentIds - Ids present in the data this run
+     * @returns {string[]} Orphaned record ids
+     */
+    findOrphans(groupId, currentIds) {
+        const entries = this.data.groups[groupId] || {};
+        return Object.keys(entries).filter(id => !currentIds.has(id));
+    }
+
+    /**
+     * Delete an orphaned record's files and drop it from the lockfile.
+     * Files still claimed by another lock entry are left in place.
+     * @param {string} groupId - Manifest group id
+     * @param {string} id - Record id
+     * @param {Object} options - { dryRun }
+     * @returns {string[]} Absolute paths of the files removed (or that would be)
+     */
+    prune(groupId, id, options = {}) {
+        const entry = this.get(groupId, id);
+        if (!entry) return [];
+
+        const claimed = new Set();
+        for (const [otherGroup, entries] of Object.entries(this.data.groups)) {
+            for (const [otherId, other] of Object.entries(entries)) {
+                if (otherGroup === groupId && otherId === id) continue;
+                other.files.forEach(file => claimed.add(file));
+            }
+        }
+
+        const removed = [];
+        for (const file of entry.files) {
+            if (claimed.has(file)) continue;
+            const absPath = this.resolve(file);
+            if (fs.existsSync(absPath)) {
+                if (!options.dryRun) {
+                    fs.unlinkSync(absPath);
+                }
+                removed.push(absPath);
+            }
+        }
+
+        if (!options.dryRun) {
+            delete this.data.groups[groupId][id];
+        }
+        return removed;
+    }
+
+    /**
+     * Convert an absolute path to the POSIX-style relative path stored in the lockfile
+     * @private
+     */
+    relative(filePath) {
+        return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Convert a lockfile path back to an absolute path
+     * @private
+     */
+    resolve(file) {
+        return path.join(this.rootDir, ...file.split('/'));
+    }
+}
@@ -6,6 +6,10 @@
 import fs from 'fs';
 import path from 'path';
 import { createCanvas } from 'canvas';
+import { packRects } from './maxrects-packer.js';
+import { findGodotProjectDir, toGodotPath, buildAtlasTextureTres, buildSpriteFramesTres } from './godot-tres.js';
+import { loadAnimationConfig, getAnimationSettings } from './animation-config.js';
+import { quantizeImage, createIndexTexture, createPaletteLut, rgbToHexString } from './indexed-palette.js';
 
 export class ExportManager {
     constructor() {
@@ -119,6 +123,96 @@ export class ExportManager {
         return outputPath;
     }
 
+    /**
+     * Export animations as a Godot 4 SpriteFrames resource: one sprite sheet per
+     * animation next to the .tres, and one named animation per sheet. FPS and
+     * loop flags come from road-to-war/data/animation-config.json.
+     * @param {Object<string, Array<Object>>} animations - Frames per animation name (from AnimationGenerator)
+     * @param {Object} options - Export options
+     * @param {string} options.outputPath - SpriteFrames .tres path (sheets are written as <base>_<name>_sheet.png)
+     * @param {number} options.frameWidth - Frame width (default: first frame's width)
+     * @param {number} options.frameHeight - Frame height (default: first frame's height)
+     * @param {Object} options.animationConfig - Parsed animation-config.json (default: loaded from the game data)
+     * @param {string} options.godotProjectDir - Godot project root for res:// paths (default: searched upwards)
+     * @returns {Object} { tresPath, sheets, animations }
+     */
+    exportSpriteFrames(animations, options = {}) {
+        const {
+            outputPath = 'sprite_frames.tres',
+            animationConfig = loadAnimationConfig(),
+            godotProjectDir = null
+        } = options;
+
+        const names = Object.keys(animations).filter(name => animations[name] && animations[name].length > 0);
+        if (names.length === 0) {
+            throw new Error('No animations provided for SpriteFrames');
+        }
+
+        const firstFrame = animations[names[0]][0];
+        const firstCanvas = firstFrame.canvas || firstFrame;
+        const frameWidth = options.frameWidth || firstCanvas.width;
+        const frameHeight = options.frameHeight || firstCanvas.height;
+
+        const outputDir = path.dirname(path.resolve(outputPath));
+        fs.mkdirSync(outputDir, { recursive: true });
+        const base = outputPath.replace(/\.tres$/, '');
+        const projectDir = godotProjectDir || findGodotProjectDir(outputDir);
+
+        const sheets = {};
+        const entries = names.map(name => {
+            // SpriteFrames has no per-frame offsets, so bake the motion into the pixels
+            const frames = animations[name].map(frame => this.renderFrame(frame, frameWidth, frameHeight));
+            const sheet = this.exportSpriteSheet(frames, {
+                outputPath: `${base}_${name}_sheet.png`,
+                frameWidth,
+                frameHeight,
+                columns: frames.length
+            });
+            sheets[name] = sheet.pngPath;
+
+            const { fps, loop } = getAnimationSettings(animationConfig, name);
+            return {
+                name,
+                fps,
+                loop,
+                texturePath: toGodotPath(sheet.pngPath, { projectDir, resourceDir: outputDir }),
+                frames: sheet.metadata.frames
+            };
+        });
+
+        fs.writeFileSync(outputPath, buildSpriteFramesTres(entries));
+
+        return {
+            tresPath: outputPath,
+            sheets,
+            animations: entries.map(({ name, fps, loop, frames }) => ({ name, fps, loop, frames: frames.length }))
+        };
+    }
+
+    /**
+     * Draw a frame with its offset, scale, rotation and alpha applied
+     * @param {Object} frame - Frame object { canvas, offsetX, offsetY, scale, scaleX, scaleY, alpha, rotation }
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Object} Canvas
+     */
+    renderFrame(frame, width, height) {
+        const source = frame.canvas || frame;
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        ctx.globalAlpha = frame.alpha !== undefined ? frame.alpha : 1.0;
+        ctx.translate(width / 2 + (frame.offsetX || 0), height / 2 + (frame.offsetY || 0));
+        if (frame.rotation) {
+            ctx.rotate(frame.rotation * Math.PI / 180);
+        }
+        const scale = frame.scale || 1.0;
+        ctx.scale(scale * (frame.scaleX || 1.0), scale * (frame.scaleY || 1.0));
+        ctx.drawImage(source, -width / 2, -height / 2, width, height);
+
+        return canvas;
+    }
+
     /**
      * Export sprite at multiple sizes
      * @param {Object} sprite - Sprite object with canvas
@@ -160,106 +254,290 @@ export class ExportManager {
         return results;
     }
 
+    /**
+     * Export a sprite as an indexed-palette pair for the PaletteSwap shader:
+     * <basePath>_index.png (grayscale palette indices, original alpha) and
+     * <basePath>_lut.png (palette strip, one pixel per index). Colors are reduced
+     * with ColorQuantizer.medianCut when the sprite has more than maxColors.
+     * @param {Object} sprite - Sprite object with canvas (or a canvas)
+     * @param {Object} options - { basePath = 'sprite', maxColors = 32 }
+     * @returns {Object} { indexPath, lutPath, colors, exact, palette }
+     */
+    exportIndexed(sprite, options = {}) {
+        const {
+            basePath = 'sprite',
+            maxColors = 32
+        } = options;
+
+        const canvas = sprite.canvas || sprite;
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const indexed = quantizeImage(imageData, { maxColors });
+
+        const indexPath = `${basePath}_index.png`;
+        const lutPath = `${basePath}_lut.png`;
+        fs.writeFileSync(indexPath, createIndexTexture(indexed).toBuffer('image/png'));
+        fs.writeFileSync(lutPath, createPaletteLut(indexed.palette).toBuffer('image/png'));
+
+        return {
+            indexPath,
+            lutPath,
+            colors: indexed.palette.length,
+            exact: indexed.exact,
+            palette: indexed.palette.map(rgbToHexString)
+        };
+    }
+
     /**
      * Generate texture atlas (for game engines)
-     * @param {Array<Object>} sprites - Array of sprite objects
+     * Sprites are alpha-trimmed, packed with MaxRects (see maxrects-packer.js),
+     * extruded to stop filtering from bleeding in neighbours, and split over
+     * several pages when they do not fit in maxWidth x maxHeight.
+     *
+     * Page 0 is written to outputPath, further pages to <name>_<page>.png. The JSON
+     * lists every frame with its page, atlas rect, rotation (90° clockwise, as
+     * TexturePacker does) and trim offsets.
+     * With godot: true, one AtlasTexture .tres per frame is written to tresDir.
+     * AtlasTexture cannot rotate a region, so Godot output turns rotation off.
+     *
+     * @param {Array<Object>} sprites - Array of sprite objects ({ canvas, name } or canvases)
      * @param {Object} options - Atlas options
-     * @returns {Object} { pngPath, jsonPath, metadata }
+     * @returns {Object} { pngPath, jsonPath, metadata, sprites, pages, tresPaths }
      */
     generateAtlas(sprites, options = {}) {
         const {
             outputPath = 'atlas.png',
             maxWidth = 512,
             maxHeight = 512,
-            padding = 2
+            padding = 2,
+            trim = true,
+            alphaThreshold = 0,
+            extrude = 1,
+            allowRotation = false,
+            multiPage = true,
+            powerOfTwo = false,
+            godot = false,
+            tresDir = null,
+            godotProjectDir = null
         } = options;
 
-        // Simple packing algorithm (top-left, row by row)
-        const packedSprites = [];
-        let currentX = padding;
-        let currentY = padding;
-        let rowHeight = 0;
-        let atlasWidth = 0;
-        let atlasHeight = 0;
+        const rotate = allowRotation && !godot;
+        const names = new Set();
 
-        for (const sprite of sprites) {
+        // Trim and measure
+        const entries = sprites.map((sprite, index) => {
             const canvas = sprite.canvas || sprite;
-            const width = canvas.width;
-            const height = canvas.height;
-            const name = sprite.name || `sprite_${packedSprites.length}`;
-
-            // Check if sprite fits in current row
-            if (currentX + width + padding > maxWidth) {
-                // Move to next row
-                currentX = padding;
-                currentY += rowHeight + padding;
-                rowHeight = 0;
+            const name = sprite.name || `sprite_${index}`;
+            if (names.has(name)) {
+                throw new Error(`Duplicate sprite name in atlas: ${name}`);
             }
+            names.add(name);
 
-            // Check if we need to expand atlas
-            if (currentX + width + padding > atlasWidth) {
-                atlasWidth = Math.min(currentX + width + padding, maxWidth);
-            }
-            if (currentY + height + padding > atlasHeight) {
-                atlasHeight = Math.min(currentY + height + padding, maxHeight);
-            }
-
-            packedSprites.push({
-                name: name,
-                x: currentX,
-                y: currentY,
-                width: width,
-                height: height,
-                sprite: sprite
-            });
+            const bounds = trim
+                ? this.getOpaqueBounds(canvas, alphaThreshold)
+                : { x: 0, y: 0, width: canvas.width, height: canvas.height };
+            return { name, canvas, bounds, sourceWidth: canvas.width, sourceHeight: canvas.height };
+        });
 
-            rowHeight = Math.max(rowHeight, height);
-            currentX += width + padding;
-        }
+        const { pages } = packRects(
+            entries.map((entry, index) => ({
+                id: index,
+                width: entry.bounds.width + extrude * 2,
+                height: entry.bounds.height + extrude * 2
+            })),
+            { maxWidth, maxHeight, padding, allowRotation: rotate, multiPage, powerOfTwo }
+        );
 
-        // Create atlas canvas
-        const atlasCanvas = createCanvas(atlasWidth, atlasHeight);
-        const ctx = atlasCanvas.getContext('2d');
-        ctx.clearRect(0, 0, atlasWidth, atlasHeight);
+        const ext = path.extname(outputPath);
+        const base = outputPath.slice(0, outputPath.length - ext.length);
+        const pagePath = page => (page === 0 ? outputPath : `${base}_${page}${ext}`);
 
-        // Draw sprites
         const frameData = {};
-        for (const packed of packedSprites) {
-            ctx.drawImage(packed.sprite.canvas || packed.sprite, packed.x, packed.y);
-            
-            frameData[packed.name] = {
-                x: packed.x,
-                y: packed.y,
-                width: packed.width,
-                height: packed.height
-            };
-        }
+        const packedSprites = [];
+        const pageInfo = [];
 
-        // Save atlas PNG
-        const buffer = atlasCanvas.toBuffer('image/png');
-        fs.writeFileSync(outputPath, buffer);
+        pages.forEach((page, pageIndex) => {
+            const atlasCanvas = createCanvas(page.width, page.height);
+            const ctx = atlasCanvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            ctx.clearRect(0, 0, page.width, page.height);
 
-        // Save atlas JSON
-        const jsonPath = outputPath.replace('.png', '.json');
+            for (const rect of page.rects) {
+                const entry = entries[rect.id];
+                const { bounds } = entry;
+                const cell = this.createAtlasCell(entry.canvas, bounds, rect.rotated);
+                const x = rect.x + extrude;
+                const y = rect.y + extrude;
+
+                ctx.drawImage(cell, x, y);
+                if (extrude > 0) {
+                    this.extrudeEdges(ctx, cell, x, y, extrude);
+                }
+
+                const frame = {
+                    x,
+                    y,
+                    width: cell.width,
+                    height: cell.height,
+                    page: pageIndex,
+                    rotated: rect.rotated,
+                    trimmed: bounds.width !== entry.sourceWidth || bounds.height !== entry.sourceHeight,
+                    spriteSourceSize: { x: bounds.x, y: bounds.y, w: bounds.width, h: bounds.height },
+                    sourceSize: { w: entry.sourceWidth, h: entry.sourceHeight }
+                };
+                frameData[entry.name] = frame;
+                packedSprites.push({ name: entry.name, ...frame, sprite: sprites[rect.id] });
+            }
+
+            const pngPath = pagePath(pageIndex);
+            fs.writeFileSync(pngPath, atlasCanvas.toBuffer('image/png'));
+            pageInfo.push({ image: path.basename(pngPath), size: { w: page.width, h: page.height } });
+        });
+
+        // Save atlas JSON (frames in input order)
+        const orderedFrames = {};
+        for (const entry of entries) {
+            orderedFrames[entry.name] = frameData[entry.name];
+        }
+        const jsonPath = `${base}.json`;
         const atlasData = {
             meta: {
-                image: path.basename(outputPath),
-                size: { w: atlasWidth, h: atlasHeight },
+                image: pageInfo[0] ? pageInfo[0].image : path.basename(outputPath),
+                size: pageInfo[0] ? pageInfo[0].size : { w: 0, h: 0 },
+                pages: pageInfo,
                 format: 'RGBA8888',
-                scale: 1
+                scale: 1,
+                padding,
+                extrude,
+                trimmed: trim,
+                rotation: rotate
             },
-            frames: frameData
+            frames: orderedFrames
         };
         fs.writeFileSync(jsonPath, JSON.stringify(atlasData, null, 2));
 
+        let tresPaths = [];
+        if (godot) {
+            tresPaths = this.exportGodotAtlasTextures(atlasData, {
+                tresDir: tresDir || `${base}_textures`,
+                pagePaths: pageInfo.map((_, i) => pagePath(i)),
+                godotProjectDir
+            });
+        }
+
         return {
-            pngPath: outputPath,
+            pngPath: pagePath(0),
             jsonPath: jsonPath,
             metadata: atlasData,
-            sprites: packedSprites
+            sprites: packedSprites,
+            pages: pageInfo.map((info, i) => ({ ...info, path: pagePath(i) })),
+            tresPaths
         };
     }
 
+    /**
+     * Bounding box of pixels with alpha above the threshold
+     * @param {Canvas} canvas - Source canvas
+     * @param {number} alphaThreshold - Alpha values <= this count as transparent
+     * @returns {Object} { x, y, width, height } (1x1 at the origin for a fully transparent canvas)
+     */
+    getOpaqueBounds(canvas, alphaThreshold = 0) {
+        const { width, height } = canvas;
+        const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] > alphaThreshold) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+
+        if (maxX < 0) {
+            return { x: 0, y: 0, width: 1, height: 1 };
+        }
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * Copy the trimmed region of a sprite, rotated 90° clockwise if requested
+     * @param {Canvas} canvas - Source canvas
+     * @param {Object} bounds - Region to copy
+     * @param {boolean} rotated - Rotate 90° clockwise
+     * @returns {Canvas} Cell canvas
+     */
+    createAtlasCell(canvas, bounds, rotated) {
+        const cell = rotated ? createCanvas(bounds.height, bounds.width) : createCanvas(bounds.width, bounds.height);
+        const ctx = cell.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        if (rotated) {
+            ctx.translate(bounds.height, 0);
+            ctx.rotate(Math.PI / 2);
+        }
+        ctx.drawImage(canvas, bounds.x, bounds.y, bounds.width, bounds.height, 0, 0, bounds.width, bounds.height);
+        return cell;
+    }
+
+    /**
+     * Repeat a cell's edge pixels outward so texture filtering never samples a neighbour
+     * @param {CanvasRenderingContext2D} ctx - Atlas context
+     * @param {Canvas} cell - Cell already drawn at (x, y)
+     * @param {number} x - Cell x in the atlas
+     * @param {number} y - Cell y in the atlas
+     * @param {number} amount - Extrusion in pixels
+     */
+    extrudeEdges(ctx, cell, x, y, amount) {
+        const w = cell.width;
+        const h = cell.height;
+        // Edges
+        ctx.drawImage(cell, 0, 0, w, 1, x, y - amount, w, amount);
+        ctx.drawImage(cell, 0, h - 1, w, 1, x, y + h, w, amount);
+        ctx.drawImage(cell, 0, 0, 1, h, x - amount, y, amount, h);
+        ctx.drawImage(cell, w - 1, 0, 1, h, x + w, y, amount, h);
+        // Corners
+        ctx.drawImage(cell, 0, 0, 1, 1, x - amount, y - amount, amount, amount);
+        ctx.drawImage(cell, w - 1, 0, 1, 1, x + w, y - amount, amount, amount);
+        ctx.drawImage(cell, 0, h - 1, 1, 1, x - amount, y + h, amount, amount);
+        ctx.drawImage(cell, w - 1, h - 1, 1, 1, x + w, y + h, amount, amount);
+    }
+
+    /**
+     * Write one Godot 4 AtlasTexture resource per atlas frame
+     * @param {Object} atlasData - Atlas JSON from generateAtlas()
+     * @param {Object} options - { tresDir, pagePaths, godotProjectDir }
+     * @returns {Array<string>} Written .tres paths
+     */
+    exportGodotAtlasTextures(atlasData, options = {}) {
+        const { tresDir, pagePaths, godotProjectDir = null } = options;
+        fs.mkdirSync(tresDir, { recursive: true });
+
+        const projectDir = godotProjectDir || findGodotProjectDir(path.dirname(path.resolve(pagePaths[0])));
+
+        const written = [];
+        for (const [name, frame] of Object.entries(atlasData.frames)) {
+            const source = frame.spriteSourceSize;
+            const tres = buildAtlasTextureTres({
+                texturePath: toGodotPath(pagePaths[frame.page], { projectDir, resourceDir: tresDir }),
+                region: frame,
+                // Restores the untrimmed size and offset when drawn
+                margin: frame.trimmed
+                    ? { x: source.x, y: source.y, width: frame.sourceSize.w - source.w, height: frame.sourceSize.h - source.h }
+                    : null
+            });
+
+            const tresPath = path.join(tresDir, `${name.replace(/[^\w.-]/g, '_')}.tres`);
+            fs.writeFileSync(tresPath, tres);
+            written.push(tresPath);
+        }
+        return written;
+    }
+
     /**
      * Export comprehensive sprite data (all formats)
      * @param {Object} sprite - Sprite object
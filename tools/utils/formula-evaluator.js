@@ -0,0 +1,301 @@
+/**
+ * Formula Evaluator
+ * Parses and evaluates the small JavaScript-like expressions used in
+ * keyframe-configs.json ("Math.sin(t * Math.PI * 2) * amplitude") without eval:
+ * numbers, variables (with dotted access such as scale.x), whitelisted Math
+ * functions and constants, unary - + !, ** * / % + -, comparisons, && || and ?:.
+ * Precedence and associativity follow JavaScript, including the syntax error
+ * for a unary operator directly before ** (-2 ** 2).
+ */
+
+const MATH_FUNCTIONS = {
+    abs: Math.abs,
+    acos: Math.acos,
+    asin: Math.asin,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    ceil: Math.ceil,
+    cos: Math.cos,
+    exp: Math.exp,
+    floor: Math.floor,
+    hypot: Math.hypot,
+    log: Math.log,
+    max: Math.max,
+    min: Math.min,
+    pow: Math.pow,
+    round: Math.round,
+    sign: Math.sign,
+    sin: Math.sin,
+    sqrt: Math.sqrt,
+    tan: Math.tan,
+    trunc: Math.trunc
+};
+
+const MATH_CONSTANTS = {
+    E: Math.E,
+    PI: Math.PI
+};
+
+// Longest first so "===" wins over "==" and "**" over "*"
+const OPERATORS = ['===', '!==', '**', '==', '!=', '<=', '>=', '&&', '||',
+    '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', ',', '.'];
+
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '==': 3, '!=': 3, '===': 3, '!==': 3,
+    '<': 4, '<=': 4, '>': 4, '>=': 4,
+    '+': 5, '-': 5,
+    '*': 6, '/': 6, '%': 6,
+    '**': 7
+};
+
+function fail(source, position, message) {
+    throw new Error(`${message} at position ${position} in "${source}"`);
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+            const match = /^(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/.exec(source.slice(i));
+            tokens.push({ type: 'number', value: Number(match[0]), position: i });
+            i += match[0].length;
+            continue;
+        }
+        if (/[A-Za-z_$]/.test(ch)) {
+            const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i));
+            tokens.push({ type: 'name', value: match[0], position: i });
+            i += match[0].length;
+            continue;
+        }
+        const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+        if (!op) {
+            fail(source, i, `Unexpected character "${ch}"`);
+        }
+        tokens.push({ type: 'op', value: op, position: i });
+        i += op.length;
+    }
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+function parse(source) {
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isOp = value => peek().type === 'op' && peek().value === value;
+    const expect = value => {
+        if (!isOp(value)) {
+            const token = peek();
+            fail(source, token.position, `Expected "${value}" but found ${token.type === 'end' ? 'end of formula' : `"${token.value}"`}`);
+        }
+        return next();
+    };
+
+    function parseConditional() {
+        const test = parseBinary(1);
+        if (!isOp('?')) return test;
+        next();
+        const consequent = parseConditional();
+        expect(':');
+        const alternate = parseConditional();
+        return { type: 'conditional', test, consequent, alternate };
+    }
+
+    function parseBinary(minPrecedence) {
+        const start = peek();
+        let left = parseUnary();
+        // As in JavaScript, -a ** b is a syntax error: write (-a) ** b or -(a ** b)
+        if (start.type === 'op' && ['-', '+', '!'].includes(start.value) && isOp('**')) {
+            fail(source, peek().position, 'Unary operator before "**" needs parentheses');
+        }
+        while (peek().type === 'op' && BINARY_PRECEDENCE[peek().value] >= minPrecedence) {
+            const op = next().value;
+            const precedence = BINARY_PRECEDENCE[op];
+            // ** is right-associative, everything else left-associative
+            const right = op === '**' ? parseBinary(precedence) : parseBinary(precedence + 1);
+            left = { type: 'binary', op, left, right };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (isOp('-') || isOp('+') || isOp('!')) {
+            const op = next().value;
+            return { type: 'unary', op, argument: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const expression = parseConditional();
+            expect(')');
+            return expression;
+        }
+        if (token.type === 'name') {
+            const path = [token.value];
+            while (isOp('.')) {
+                next();
+                const property = next();
+                if (property.type !== 'name') {
+                    fail(source, property.position, 'Expected a property name after "."');
+                }
+                path.push(property.value);
+            }
+            if (isOp('(')) {
+                next();
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(parseConditional());
+                    while (isOp(',')) {
+                        next();
+                        args.push(parseConditional());
+                    }
+                }
+                expect(')');
+                if (path.length !== 2 || path[0] !== 'Math' || !Object.hasOwn(MATH_FUNCTIONS, path[1])) {
+                    fail(source, token.position, `"${path.join('.')}" is not a supported function`);
+                }
+                return { type: 'call', name: path[1], args };
+            }
+            if (path[0] === 'Math') {
+                if (path.length !== 2 || !Object.hasOwn(MATH_CONSTANTS, path[1])) {
+                    fail(source, token.position, `"${path.join('.')}" is not a supported constant`);
+                }
+                return { type: 'number', value: MATH_CONSTANTS[path[1]] };
+            }
+            return { type: 'variable', path };
+        }
+        fail(source, token.position, token.type === 'end' ? 'Unexpected end of formula' : `Unexpected "${token.value}"`);
+    }
+
+    const ast = parseConditional();
+    if (peek().type !== 'end') {
+        fail(source, peek().position, `Unexpected "${peek().value}"`);
+    }
+    return ast;
+}
+
+function lookup(scope, path) {
+    let value = scope;
+    for (const key of path) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+            throw new Error(`Unknown variable "${path.join('.')}"`);
+        }
+        value = value[key];
+    }
+    if (typeof value !== 'number' && typeof value !== 'boolean') {
+        throw new Error(`Variable "${path.join('.')}" is not a number`);
+    }
+    return value;
+}
+
+function evaluateNode(node, scope) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            return lookup(scope, node.path);
+        case 'call':
+            return MATH_FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, scope)));
+        case 'unary': {
+            const value = evaluateNode(node.argument, scope);
+            if (node.op === '-') return -value;
+            if (node.op === '+') return +value;
+            return !value;
+        }
+        case 'conditional':
+            return evaluateNode(node.test, scope)
+                ? evaluateNode(node.consequent, scope)
+                : evaluateNode(node.alternate, scope);
+        case 'binary': {
+            // Short-circuit like JavaScript
+            if (node.op === '&&') return evaluateNode(node.left, scope) && evaluateNode(node.right, scope);
+            if (node.op === '||') return evaluateNode(node.left, scope) || evaluateNode(node.right, scope);
+            const left = evaluateNode(node.left, scope);
+            const right = evaluateNode(node.right, scope);
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+                case '**': return left ** right;
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '>=': return left >= right;
+                case '==': case '===': return left === right;
+                case '!=': case '!==': return left !== right;
+            }
+        }
+    }
+    throw new Error(`Unknown node type "${node.type}"`);
+}
+
+function collectVariables(node, names) {
+    switch (node.type) {
+        case 'variable':
+            names.add(node.path.join('.'));
+            break;
+        case 'call':
+            node.args.forEach(arg => collectVariables(arg, names));
+            break;
+        case 'unary':
+            collectVariables(node.argument, names);
+            break;
+        case 'binary':
+            collectVariables(node.left, names);
+            collectVariables(node.right, names);
+            break;
+        case 'conditional':
+            collectVariables(node.test, names);
+            collectVariables(node.consequent, names);
+            collectVariables(node.alternate, names);
+            break;
+    }
+    return names;
+}
+
+/**
+ * Parse a formula once for repeated evaluation
+ * @param {string} source - Formula text
+ * @returns {{source: string, variables: string[], evaluate: function(Object): number}}
+ *          variables lists the (dotted) names the formula reads
+ * @throws {Error} On syntax errors or unsupported functions
+ */
+export function compileFormula(source) {
+    const ast = parse(String(source));
+    return {
+        source: String(source),
+        variables: [...collectVariables(ast, new Set())],
+        evaluate(scope = {}) {
+            return Number(evaluateNode(ast, scope));
+        }
+    };
+}
+
+/**
+ * Evaluate a formula against a scope of variables
+ * @param {string} source - Formula text
+ * @param {Object} scope - Variable values (nested objects allowed for dotted names)
+ * @returns {number}
+ * @throws {Error} On syntax errors or unknown variables
+ */
+export function evaluateFormula(source, scope = {}) {
+    return compileFormula(source).evaluate(scope);
+}
@@ -0,0 +1,131 @@
+/**
+ * Godot Resource Writer
+ * Builds Godot 4 text resources (.tres, format=3) for generated assets:
+ * AtlasTexture regions and SpriteFrames animation sets.
+ * Pure string building - callers write the files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Nearest directory at or above start that contains project.godot
+ * @param {string} start - Directory to start from
+ * @returns {string|null}
+ */
+export function findGodotProjectDir(start) {
+    let dir = path.resolve(start);
+    while (true) {
+        if (fs.existsSync(path.join(dir, 'project.godot'))) return dir;
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Path Godot should use to load a file from a resource
+ * @param {string} filePath - File on disk
+ * @param {Object} options - { projectDir: Godot project root or null, resourceDir: directory of the .tres }
+ * @returns {string} res:// path inside a project, otherwise a path relative to the .tres
+ */
+export function toGodotPath(filePath, { projectDir = null, resourceDir = '.' } = {}) {
+    const absolute = path.resolve(filePath);
+    if (projectDir) {
+        return `res://${path.relative(projectDir, absolute).split(path.sep).join('/')}`;
+    }
+    return path.relative(path.resolve(resourceDir), absolute).split(path.sep).join('/');
+}
+
+function formatFloat(value) {
+    return Number.isInteger(value) ? `${value}.0` : String(value);
+}
+
+function rect2(x, y, width, height) {
+    return `Rect2(${x}, ${y}, ${width}, ${height})`;
+}
+
+/**
+ * AtlasTexture resource for one region of a texture
+ * @param {Object} options
+ * @param {string} options.texturePath - Texture path as Godot sees it (see toGodotPath)
+ * @param {{x, y, width, height}} options.region - Region in the texture
+ * @param {{x, y, width, height}|null} options.margin - Trim margin (offset, plus size lost to trimming)
+ * @returns {string} .tres text
+ */
+export function buildAtlasTextureTres({ texturePath, region, margin = null }) {
+    const lines = [
+        '[gd_resource type="AtlasTexture" load_steps=2 format=3]',
+        '',
+        `[ext_resource type="Texture2D" path="${texturePath}" id="1_atlas"]`,
+        '',
+        '[resource]',
+        'atlas = ExtResource("1_atlas")',
+        `region = ${rect2(region.x, region.y, region.width, region.height)}`
+    ];
+    if (margin) {
+        lines.push(`margin = ${rect2(margin.x, margin.y, margin.width, margin.height)}`);
+    }
+    lines.push('filter_clip = true', '');
+    return lines.join('\n');
+}
+
+/**
+ * SpriteFrames resource with one animation per entry. Frames are AtlasTexture
+ * sub-resources cut from each animation's sprite sheet.
+ * @param {Array<Object>} animations - [{ name, fps, loop, texturePath, frames: [{ x, y, width, height, duration? }] }]
+ * @returns {string} .tres text
+ */
+export function buildSpriteFramesTres(animations) {
+    const textures = [];
+    const textureIds = new Map();
+    for (const animation of animations) {
+        if (!textureIds.has(animation.texturePath)) {
+            const id = `${textures.length + 1}_${animation.name}`;
+            textureIds.set(animation.texturePath, id);
+            textures.push({ id, path: animation.texturePath });
+        }
+    }
+
+    const frameCount = animations.reduce((sum, animation) => sum + animation.frames.length, 0);
+    const lines = [
+        `[gd_resource type="SpriteFrames" load_steps=${textures.length + frameCount + 1} format=3]`,
+        ''
+    ];
+
+    for (const texture of textures) {
+        lines.push(`[ext_resource type="Texture2D" path="${texture.path}" id="${texture.id}"]`);
+    }
+    lines.push('');
+
+    for (const animation of animations) {
+        animation.frames.forEach((frame, index) => {
+            lines.push(`[sub_resource type="AtlasTexture" id="AtlasTexture_${animation.name}_${index}"]`);
+            lines.push(`atlas = ExtResource("${textureIds.get(animation.texturePath)}")`);
+            lines.push(`region = ${rect2(frame.x, frame.y, frame.width, frame.height)}`);
+            lines.push('');
+        });
+    }
+
+    const blocks = animations.map(animation => {
+        const frames = animation.frames.map((frame, index) => [
+            '{',
+            `"duration": ${formatFloat(frame.duration || 1)},`,
+            `"texture": SubResource("AtlasTexture_${animation.name}_${index}")`,
+            '}'
+        ].join('\n'));
+        return [
+            '{',
+            `"frames": [${frames.join(', ')}],`,
+            `"loop": ${animation.loop ? 'true' : 'false'},`,
+            `"name": &"${animation.name}",`,
+            `"speed": ${formatFloat(animation.fps)}`,
+            '}'
+        ].join('\n');
+    });
+
+    lines.push('[resource]');
+    lines.push(`animations = [${blocks.join(', ')}]`);
+    lines.push('');
+    return lines.join('\n');
+}
@@ -0,0 +1,106 @@
+/**
+ * Hero Sheet Builder
+ * Renders every animation listed in animation-config.json, in every facing
+ * direction, into one sprite sheet per hero: one row per animation and
+ * direction (directions in HERO_DIRECTIONS order), one column per frame.
+ * Frame counts, FPS and loop flags are the game's own; animations the hero
+ * generator has no motion for are reported in the manifest instead of drawn.
+ */
+
+import { createCanvas } from 'canvas';
+import { HERO_DIRECTIONS } from '../generators/hero-sprite-generator.js';
+import { listConfiguredAnimations } from './animation-config.js';
+
+export { listConfiguredAnimations };
+
+export const HERO_SHEET_VERSION = 1;
+
+/**
+ * Rows of a hero sheet without rendering anything
+ * @param {HeroSpriteGenerator} generator - Hero generator
+ * @param {Object} animationConfig - Parsed animation-config.json
+ * @returns {Object} { rows: [{ name, animation, direction, frameCount, fps, loop }], columns, unsupported }
+ */
+export function planHeroSheet(generator, animationConfig) {
+    const available = new Set(generator.listHeroAnimations());
+    const rows = [];
+    const unsupported = [];
+
+    for (const animation of listConfiguredAnimations(animationConfig)) {
+        if (!available.has(animation)) {
+            unsupported.push(animation);
+            continue;
+        }
+        const { frameCount, fps, loop } = generator.getAnimationSettings(animation);
+        for (const direction of HERO_DIRECTIONS) {
+            rows.push({ name: `${animation}_${direction}`, animation, direction, frameCount, fps, loop });
+        }
+    }
+
+    return {
+        rows,
+        columns: Math.max(0, ...rows.map(row => row.frameCount)),
+        unsupported
+    };
+}
+
+/**
+ * Render a hero's sheet and its manifest
+ * @param {HeroSpriteGenerator} generator - Hero generator
+ * @param {Object} heroData - Hero appearance data
+ * @param {string} heroId - Hero identifier
+ * @param {Object} options - { animationConfig (required), frameSize (default: the generator's export size),
+ *   variant: part-level variation for every frame, onRow(row, index, total) progress callback }
+ * @returns {Object} { canvas, manifest } where manifest is
+ *   { version, hero, frameWidth, frameHeight, columns, rows, directions,
+ *     animations: [{ name, animation, direction, row, fps, loop, frames: [{ x, y, width, height }] }],
+ *     unsupported }
+ */
+export function buildHeroSheet(generator, heroData, heroId, options = {}) {
+    const { animationConfig, variant = {}, onRow = null } = options;
+    const frameSize = options.frameSize || generator.config.export_size;
+    const plan = planHeroSheet(generator, animationConfig);
+    if (plan.rows.length === 0) {
+        throw new Error(`No animation in animation-config.json has hero motion (unsupported: ${plan.unsupported.join(', ')})`);
+    }
+
+    const canvas = createCanvas(plan.columns * frameSize, plan.rows.length * frameSize);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+
+    const animations = plan.rows.map((row, rowIndex) => {
+        if (onRow) onRow(row, rowIndex, plan.rows.length);
+        const frames = [];
+        for (let frame = 0; frame < row.frameCount; frame++) {
+            const frameCanvas = generator.generateAnimationFrame(row.animation, row.direction, frame, heroData, heroId, variant);
+            const x = frame * frameSize;
+            const y = rowIndex * frameSize;
+            ctx.drawImage(frameCanvas, x, y, frameSize, frameSize);
+            frames.push({ x, y, width: frameSize, height: frameSize });
+        }
+        return {
+            name: row.name,
+            animation: row.animation,
+            direction: row.direction,
+            row: rowIndex,
+            fps: row.fps,
+            loop: row.loop,
+            frames
+        };
+    });
+
+    return {
+        canvas,
+        manifest: {
+            version: HERO_SHEET_VERSION,
+            hero: heroId,
+            frameWidth: frameSize,
+            frameHeight: frameSize,
+            columns: plan.columns,
+            rows: plan.rows.length,
+            directions: HERO_DIRECTIONS,
+            animations,
+            unsupported: plan.unsupported
+        }
+    };
+}
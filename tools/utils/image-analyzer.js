@@ -24,8 +24,6 @@ export class ImageAnalyzer {
      * @returns {Promise<Object>} Style configuration object
      */
     async analyzeReference(imagePath, options = {}) {
-        const maxColors = options.maxColors || 16;
-        
         // 1. Load image
         const image = await loadImage(imagePath);
         const canvas = createCanvas(image.width, image.height);
@@ -33,6 +31,22 @@ export class ImageAnalyzer {
         ctx.drawImage(image, 0, 0);
         const imageData = ctx.getImageData(0, 0, image.width, image.height);
         
+        return {
+            source: imagePath,
+            ...this.analyzeImageData(imageData, options)
+        };
+    }
+    
+    /**
+     * Analyze pixels that are already in memory (e.g. a freshly generated sprite)
+     * Proportions and silhouette are in pixels of this image; size records the image size they refer to.
+     * @param {ImageData} imageData - Canvas ImageData object
+     * @param {Object} options - { maxColors = 16 }
+     * @returns {Object} Style configuration object (without source)
+     */
+    analyzeImageData(imageData, options = {}) {
+        const maxColors = options.maxColors || 16;
+        
         // 2. Extract palette using median cut
         const palette = this.colorQuantizer.extractPalette(imageData, maxColors);
         
@@ -42,6 +56,7 @@ export class ImageAnalyzer {
         // 4. Analyze proportions
         const regions = this.proportionAnalyzer.detectBodyRegions(imageData);
         const proportions = this.proportionAnalyzer.measureProportions(regions);
+        const silhouette = this.proportionAnalyzer.measureSilhouette(imageData);
         
         // 5. Detect equipment
         const equipment = this.proportionAnalyzer.detectEquipment(imageData, regions);
@@ -66,10 +81,11 @@ export class ImageAnalyzer {
         
         // 7. Combine into configuration
         return {
-            source: imagePath,
             analyzedAt: new Date().toISOString(),
+            size: { width: imageData.width, height: imageData.height },
             palette: materialPalette,
             proportions: proportions,
+            silhouette: silhouette,
             style: style,
             equipment: equipment
         };
@@ -125,6 +141,8 @@ export class ImageAnalyzer {
         return {
             sources: imagePaths,
             analyzedAt: new Date().toISOString(),
+            size: analyses[0].size,
+            silhouette: analyses[0].silhouette,
             palette: combinedPalette,
             proportions: avgProportions,
             style: style,
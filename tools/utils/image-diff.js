@@ -0,0 +1,90 @@
+/**
+ * Image Diff
+ * Per-pixel comparison of two images for the golden-image tests
+ * (tools/visual-regression.js).
+ */
+
+import { createCanvas, loadImage } from 'canvas';
+
+/**
+ * Read a PNG file or buffer into ImageData
+ * @param {string|Buffer} source - File path or PNG data
+ * @returns {Promise<ImageData>}
+ */
+export async function readImageData(source) {
+    const image = await loadImage(source);
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+/**
+ * Compare two images pixel by pixel. A pixel differs when any RGBA channel is
+ * off by more than the tolerance; fully transparent pixels match whatever
+ * their RGB values are.
+ * @param {ImageData} actual - Rendered image
+ * @param {ImageData} expected - Golden image
+ * @param {Object} options - { tolerance = 0 } per-channel difference still accepted
+ * @returns {{sizeMismatch: boolean, width: number, height: number, diffPixels: number, maxDelta: number, mask: Uint8Array|null}}
+ *   mask holds the largest channel difference per differing pixel (0 where equal)
+ */
+export function compareImages(actual, expected, { tolerance = 0 } = {}) {
+    if (actual.width !== expected.width || actual.height !== expected.height) {
+        return {
+            sizeMismatch: true,
+            width: actual.width,
+            height: actual.height,
+            diffPixels: actual.width * actual.height,
+            maxDelta: 255,
+            mask: null
+        };
+    }
+
+    const pixelCount = actual.width * actual.height;
+    const mask = new Uint8Array(pixelCount);
+    let diffPixels = 0;
+    let maxDelta = 0;
+    for (let i = 0; i < pixelCount; i++) {
+        const o = i * 4;
+        if (actual.data[o + 3] === 0 && expected.data[o + 3] === 0) continue;
+
+        let delta = 0;
+        for (let c = 0; c < 4; c++) {
+            delta = Math.max(delta, Math.abs(actual.data[o + c] - expected.data[o + c]));
+        }
+        if (delta > tolerance) {
+            mask[i] = delta;
+            diffPixels++;
+            maxDelta = Math.max(maxDelta, delta);
+        }
+    }
+
+    return { sizeMismatch: false, width: actual.width, height: actual.height, diffPixels, maxDelta, mask };
+}
+
+/**
+ * Draw a diff image: the golden faded to gray, differing pixels in red
+ * (brighter for larger differences)
+ * @param {ImageData} expected - Golden image
+ * @param {Object} comparison - From compareImages()
+ * @returns {Canvas}
+ */
+export function createDiffImage(expected, comparison) {
+    const canvas = createCanvas(expected.width, expected.height);
+    const ctx = canvas.getContext('2d');
+    const diff = ctx.createImageData(expected.width, expected.height);
+
+    for (let i = 0; i < comparison.mask.length; i++) {
+        const o = i * 4;
+        if (comparison.mask[i] > 0) {
+            diff.data.set([128 + Math.round(comparison.mask[i] / 2), 0, 0, 255], o);
+        } else if (expected.data[o + 3] > 0) {
+            const gray = Math.round(0.299 * expected.data[o] + 0.587 * expected.data[o + 1] + 0.114 * expected.data[o + 2]);
+            diff.data.set([gray, gray, gray, Math.round(expected.data[o + 3] * 0.3)], o);
+        }
+    }
+
+    ctx.putImageData(diff, 0, 0);
+    return canvas;
+}
@@ -0,0 +1,204 @@
+/**
+ * Indexed Palette
+ * Turns sprites into a grayscale index texture plus a palette LUT strip, so one
+ * shader (road-to-war/shaders/PaletteSwap.gdshader) can recolor every variant of
+ * a sprite by swapping the LUT.
+ *
+ * Index texture: red = green = blue = palette index (0-255), alpha = sprite alpha.
+ * LUT strip: palette.length x 1 pixels, pixel i is the color of index i.
+ */
+
+import { createCanvas } from 'canvas';
+import { ColorQuantizer } from './color-quantizer.js';
+
+export const MAX_INDEXED_COLORS = 256;
+
+function pack(r, g, b) {
+    return (r << 16) | (g << 8) | b;
+}
+
+function unpack(color) {
+    return [(color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF];
+}
+
+function luminance([r, g, b]) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Format a palette color as '#rrggbb'
+ * @param {Array<number>} rgb - [r, g, b]
+ * @returns {string}
+ */
+export function rgbToHexString(rgb) {
+    return `#${pack(...rgb).toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Quantize image data to an indexed palette. Sprites with at most maxColors
+ * distinct opaque colors keep them exactly; others go through ColorQuantizer.medianCut.
+ * The palette is sorted dark to light so indices are stable between runs.
+ * @param {ImageData} imageData - Source pixels
+ * @param {Object} options - { maxColors = 32, alphaThreshold = 0 } (pixels with alpha <= threshold are transparent)
+ * @returns {{width: number, height: number, palette: Array<Array<number>>, indices: Uint8Array, alpha: Uint8Array, exact: boolean}}
+ */
+export function quantizeImage(imageData, { maxColors = 32, alphaThreshold = 0 } = {}) {
+    if (maxColors < 1 || maxColors > MAX_INDEXED_COLORS) {
+        throw new Error(`maxColors must be between 1 and ${MAX_INDEXED_COLORS}, got ${maxColors}`);
+    }
+    const { width, height, data } = imageData;
+    const pixelCount = width * height;
+
+    const counts = new Map();
+    for (let i = 0; i < pixelCount; i++) {
+        if (data[i * 4 + 3] <= alphaThreshold) continue;
+        const color = pack(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        counts.set(color, (counts.get(color) || 0) + 1);
+    }
+
+    let palette;
+    const exact = counts.size <= maxColors;
+    if (exact) {
+        palette = [...counts.keys()].map(unpack);
+    } else {
+        const pixels = [];
+        for (const [color, count] of counts) {
+            const rgb = unpack(color);
+            for (let n = 0; n < count; n++) pixels.push(rgb);
+        }
+        palette = new ColorQuantizer().medianCut(pixels, maxColors);
+    }
+    palette.sort((a, b) => luminance(a) - luminance(b) || pack(...a) - pack(...b));
+
+    // Nearest palette entry per distinct source color
+    const lookup = new Map();
+    for (const color of counts.keys()) {
+        const [r, g, b] = unpack(color);
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach(([pr, pg, pb], index) => {
+            const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+        lookup.set(color, best);
+    }
+
+    const indices = new Uint8Array(pixelCount);
+    const alpha = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const a = data[i * 4 + 3];
+        if (a <= alphaThreshold) continue;
+        alpha[i] = a;
+        indices[i] = lookup.get(pack(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]));
+    }
+
+    return { width, height, palette, indices, alpha, exact };
+}
+
+/**
+ * Draw the grayscale index texture
+ * @param {Object} indexed - From quantizeImage()
+ * @returns {Canvas}
+ */
+export function createIndexTexture(indexed) {
+    const canvas = createCanvas(indexed.width, indexed.height);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(indexed.width, indexed.height);
+    for (let i = 0; i < indexed.indices.length; i++) {
+        if (indexed.alpha[i] === 0) continue;
+        const value = indexed.indices[i];
+        imageData.data[i * 4] = value;
+        imageData.data[i * 4 + 1] = value;
+        imageData.data[i * 4 + 2] = value;
+        imageData.data[i * 4 + 3] = indexed.alpha[i];
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Draw a palette LUT strip (one pixel per index)
+ * @param {Array<Array<number>>} palette - [r, g, b] per index
+ * @returns {Canvas}
+ */
+export function createPaletteLut(palette) {
+    const canvas = createCanvas(Math.max(1, palette.length), 1);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(canvas.width, 1);
+    palette.forEach(([r, g, b], index) => {
+        imageData.data.set([r, g, b, 255], index * 4);
+    });
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Express a recolored copy of a sprite as a LUT over the base sprite's indices.
+ * Each index takes the variant color most of its pixels have; pixels of the same
+ * index that disagree by more than the tolerance are palette collisions (the
+ * variant recolored by something other than the base color, e.g. a blur).
+ * @param {Object} indexed - Base sprite from quantizeImage()
+ * @param {ImageData} variantData - Variant pixels, same size as the base
+ * @param {Object} options - { tolerance = 8 } per-channel difference still counted as the same color
+ * @returns {{palette: Array<Array<number>>, collisions: Array<Object>, collidingPixels: number, uncoveredPixels: number, clearedPixels: number}}
+ */
+export function remapVariant(indexed, variantData, { tolerance = 8 } = {}) {
+    if (variantData.width !== indexed.width || variantData.height !== indexed.height) {
+        throw new Error(`Variant is ${variantData.width}x${variantData.height}, base is ${indexed.width}x${indexed.height}`);
+    }
+    const data = variantData.data;
+    const perIndex = indexed.palette.map(() => new Map());
+    let uncoveredPixels = 0;
+    let clearedPixels = 0;
+
+    for (let i = 0; i < indexed.indices.length; i++) {
+        const variantAlpha = data[i * 4 + 3];
+        if (indexed.alpha[i] === 0) {
+            if (variantAlpha > 0) uncoveredPixels++;
+            continue;
+        }
+        if (variantAlpha === 0) {
+            clearedPixels++;
+            continue;
+        }
+        const colors = perIndex[indexed.indices[i]];
+        const color = pack(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        colors.set(color, (colors.get(color) || 0) + 1);
+    }
+
+    const palette = [];
+    const collisions = [];
+    let collidingPixels = 0;
+    perIndex.forEach((colors, index) => {
+        if (colors.size === 0) {
+            // Index unused by the variant's visible pixels: keep the base color
+            palette.push(indexed.palette[index]);
+            return;
+        }
+        const ranked = [...colors.entries()].sort((a, b) => b[1] - a[1]);
+        const dominant = unpack(ranked[0][0]);
+        palette.push(dominant);
+
+        const conflicting = ranked.slice(1)
+            .map(([color, pixels]) => ({ rgb: unpack(color), pixels }))
+            .filter(({ rgb }) => rgb.some((channel, c) => Math.abs(channel - dominant[c]) > tolerance));
+        if (conflicting.length > 0) {
+            const pixels = conflicting.reduce((sum, entry) => sum + entry.pixels, 0);
+            collidingPixels += pixels;
+            collisions.push({
+                index,
+                baseColor: rgbToHexString(indexed.palette[index]),
+                lutColor: rgbToHexString(dominant),
+                pixels,
+                colors: conflicting.length,
+                examples: conflicting.slice(0, 3).map(entry => ({ color: rgbToHexString(entry.rgb), pixels: entry.pixels }))
+            });
+        }
+    });
+
+    collisions.sort((a, b) => b.pixels - a.pixels);
+    return { palette, collisions, collidingPixels, uncoveredPixels, clearedPixels };
+}
@@ -0,0 +1,99 @@
+/**
+ * Keyframe Formulas
+ * Loads road-to-war/data/keyframe-configs.json and evaluates its per-animation
+ * formulas. Each formula is a channel (x, y, rotation, leftKneeBend, ...) and may
+ * read t (0..1 through the animation), the animation's parameters, and any
+ * channel defined before it in the same config.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { compileFormula } from './formula-evaluator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const KEYFRAME_CONFIGS_PATH = path.join(__dirname, '..', '..', 'road-to-war', 'data', 'keyframe-configs.json');
+
+/**
+ * Load keyframe-configs.json
+ * @param {string} configPath - Path to the configs
+ * @returns {Object} Configs keyed by animation name
+ */
+export function loadKeyframeConfigs(configPath = KEYFRAME_CONFIGS_PATH) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+function hasPath(object, dotted) {
+    let value = object;
+    for (const key of dotted.split('.')) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) return false;
+        value = value[key];
+    }
+    return true;
+}
+
+/**
+ * Check a config's formulas without evaluating them
+ * @param {Object} config - One animation's config ({ parameters, formula })
+ * @returns {Array<{channel: string, message: string}>} Syntax errors and unknown variables
+ */
+export function checkKeyframeConfig(config) {
+    const problems = [];
+    const parameters = config.parameters || {};
+    const defined = new Set(['t']);
+
+    for (const [channel, source] of Object.entries(config.formula || {})) {
+        let compiled;
+        try {
+            compiled = compileFormula(source);
+        } catch (e) {
+            problems.push({ channel, message: e.message });
+            continue;
+        }
+        for (const variable of compiled.variables) {
+            if (!defined.has(variable) && !hasPath(parameters, variable)) {
+                const later = Object.hasOwn(config.formula, variable) ? ` (channel "${variable}" is defined after "${channel}")` : '';
+                problems.push({ channel, message: `unknown variable "${variable}"${later}` });
+            }
+        }
+        defined.add(channel);
+    }
+
+    return problems;
+}
+
+/**
+ * Compile one animation's formulas
+ * @param {Object} config - One animation's config ({ parameters, formula })
+ * @returns {{parameters: Object, channels: Array<{name: string, formula: Object}>}}
+ * @throws {Error} If any formula has a syntax error or reads an unknown variable
+ */
+export function compileKeyframeConfig(config) {
+    const problems = checkKeyframeConfig(config);
+    if (problems.length > 0) {
+        throw new Error(problems.map(p => `${p.channel}: ${p.message}`).join('; '));
+    }
+    return {
+        parameters: config.parameters || {},
+        channels: Object.entries(config.formula).map(([name, source]) => ({ name, formula: compileFormula(source) }))
+    };
+}
+
+/**
+ * Evaluate every channel at one point of the animation
+ * @param {Object} compiled - From compileKeyframeConfig()
+ * @param {number} t - Animation progress, 0..1
+ * @param {Object} overrides - Parameter values replacing the config's
+ * @returns {Object<string, number>} Channel values
+ */
+export function evaluateKeyframe(compiled, t, overrides = {}) {
+    const scope = { ...compiled.parameters, ...overrides, t };
+    const values = {};
+    for (const { name, formula } of compiled.channels) {
+        values[name] = formula.evaluate(scope);
+        scope[name] = values[name];
+    }
+    return values;
+}
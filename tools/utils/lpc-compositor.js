@@ -0,0 +1,320 @@
+/**
+ * LPC Layer Compositor
+ * Builds full LPC character sheets by stacking local layer sheets (body, hair,
+ * armor, weapon, ...) in a z-order that can differ per animation row, with
+ * per-layer palette recolors. Driven by JSON recipes in tools/lpc-recipes/,
+ * one per class or bloodline, so sheets are reproducible without network access.
+ *
+ * Recipe format:
+ *   {
+ *     "name": "paladin",
+ *     "extends": "base",                 // optional parent recipe; layers merge by slot
+ *     "layers": [
+ *       { "slot": "body", "file": "base_body_male.png",
+ *         "recolor": { "#fdd5b7": "#e8c2a4" } },   // exact palette swaps
+ *       { "slot": "torso", "file": "plate_armor.png", "hueShift": 40 },
+ *       { "slot": "weapon", "file": "weapons/mace.png", "optional": true },
+ *       { "slot": "hair", "file": null }           // removes an inherited layer
+ *     ],
+ *     "zOrder": { "up": ["weapon", "body", ...] }  // optional, by direction or animation
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createCanvas, loadImage } from 'canvas';
+import { LPC_FRAME_SIZE, LPC_COLUMNS, LPC_ROWS, LPC_ANIMATIONS, getLpcDirection } from './lpc-layout.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const LPC_RECIPES_DIR = path.join(__dirname, '..', 'lpc-recipes');
+export const LPC_LAYER_DIR = path.join(__dirname, '..', '..', 'assets', 'raw_sprites');
+
+// Back to front. Facing up, weapons and shields are behind the body and
+// capes/quivers ("behind") are in front of it.
+export const DEFAULT_Z_ORDER = {
+    default: ['behind', 'body', 'feet', 'legs', 'torso', 'belt', 'hands', 'hair', 'head', 'shield', 'weapon'],
+    up: ['weapon', 'shield', 'body', 'feet', 'legs', 'torso', 'belt', 'hands', 'hair', 'head', 'behind']
+};
+
+const LAYER_FIELDS = new Set(['slot', 'file', 'recolor', 'hueShift', 'optional']);
+
+/**
+ * Parse #rgb or #rrggbb
+ * @param {string} hex - Color string
+ * @returns {{r: number, g: number, b: number}|null} null if not a hex color
+ */
+export function parseHexColor(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return null;
+    let digits = match[1];
+    if (digits.length === 3) {
+        digits = digits.split('').map(d => d + d).join('');
+    }
+    const value = parseInt(digits, 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * List recipe names in a directory
+ * @param {string} recipesDir - Recipe directory
+ * @returns {string[]} Sorted names (file names without .json)
+ */
+export function listRecipes(recipesDir = LPC_RECIPES_DIR) {
+    if (!fs.existsSync(recipesDir)) return [];
+    return fs.readdirSync(recipesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+/**
+ * Load a recipe and resolve its "extends" chain. Child layers are merged into
+ * the parent's layer with the same slot; new slots are appended.
+ * @param {string} name - Recipe name (file name without .json)
+ * @param {Object} options - { recipesDir }
+ * @returns {{name: string, description: string, layers: Array<Object>, zOrder: Object, chain: string[]}}
+ */
+export function loadRecipe(name, options = {}) {
+    const recipesDir = options.recipesDir || LPC_RECIPES_DIR;
+    const chain = [];
+    const parts = [];
+
+    let current = name;
+    while (current) {
+        if (chain.includes(current)) {
+            throw new Error(`Recipe "${name}" has an extends cycle: ${[...chain, current].join(' -> ')}`);
+        }
+        const file = path.join(recipesDir, `${current}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(chain.length === 0
+                ? `Recipe "${current}" not found in ${recipesDir}`
+                : `Recipe "${chain[chain.length - 1]}" extends unknown recipe "${current}"`);
+        }
+        const recipe = JSON.parse(fs.readFileSync(file, 'utf8'));
+        chain.push(current);
+        parts.unshift(recipe);
+        current = recipe.extends || null;
+    }
+
+    const layers = [];
+    let zOrder = {};
+    for (const part of parts) {
+        for (const layer of part.layers || []) {
+            const index = layers.findIndex(existing => existing.slot === layer.slot);
+            if (index === -1) {
+                layers.push({ ...layer });
+            } else {
+                const merged = { ...layers[index], ...layer };
+                if (layers[index].recolor && layer.recolor) {
+                    merged.recolor = { ...layers[index].recolor, ...layer.recolor };
+                }
+                layers[index] = merged;
+            }
+        }
+        zOrder = { ...zOrder, ...(part.zOrder || {}) };
+    }
+
+    const own = parts[parts.length - 1];
+    return {
+        name,
+        description: own.description || '',
+        layers: layers.filter(layer => layer.file !== null),
+        zOrder,
+        chain
+    };
+}
+
+/**
+ * Layers of a recipe in drawing order for one animation row. Slots missing
+ * from the order are drawn last, in recipe order.
+ * @param {Object} recipe - From loadRecipe()
+ * @param {string} animation - Key of LPC_ANIMATIONS
+ * @returns {Array<Object>} Layers, back to front
+ */
+export function getLayerOrder(recipe, animation) {
+    const direction = getLpcDirection(animation);
+    const order = recipe.zOrder[animation]
+        || recipe.zOrder[direction]
+        || recipe.zOrder.default
+        || DEFAULT_Z_ORDER[direction]
+        || DEFAULT_Z_ORDER.default;
+
+    const rank = slot => {
+        const index = order.indexOf(slot);
+        return index === -1 ? order.length : index;
+    };
+    return recipe.layers
+        .map((layer, index) => ({ layer, index }))
+        .sort((a, b) => (rank(a.layer.slot) - rank(b.layer.slot)) || (a.index - b.index))
+        .map(({ layer }) => layer);
+}
+
+/**
+ * Check a resolved recipe against the layer directory
+ * @param {Object} recipe - From loadRecipe()
+ * @param {string} layerDir - Layer sheet directory
+ * @returns {Array<{severity: string, message: string}>}
+ */
+export function checkRecipe(recipe, layerDir = LPC_LAYER_DIR) {
+    const problems = [];
+    const error = message => problems.push({ severity: 'error', message });
+    const warning = message => problems.push({ severity: 'warning', message });
+    const knownSlots = new Set([...Object.values(DEFAULT_Z_ORDER).flat(), ...Object.values(recipe.zOrder).flat()]);
+
+    if (recipe.layers.length === 0) {
+        error('recipe has no layers');
+    }
+    for (const layer of recipe.layers) {
+        const label = `layer "${layer.slot}"`;
+        if (!layer.slot) {
+            error('layer without a slot');
+            continue;
+        }
+        for (const key of Object.keys(layer)) {
+            if (!LAYER_FIELDS.has(key)) warning(`${label}: unknown field "${key}"`);
+        }
+        if (!knownSlots.has(layer.slot)) {
+            warning(`${label}: slot is not in any z-order, it is drawn on top`);
+        }
+        if (!layer.file) {
+            error(`${label}: no file`);
+        } else if (!fs.existsSync(path.join(layerDir, layer.file))) {
+            (layer.optional ? warning : error)(`${label}: ${layer.file} not found in ${layerDir}${layer.optional ? ' (optional, skipped)' : ''}`);
+        }
+        for (const [from, to] of Object.entries(layer.recolor || {})) {
+            if (!parseHexColor(from) || !parseHexColor(to)) {
+                error(`${label}: recolor "${from}" -> "${to}" is not a pair of hex colors`);
+            }
+        }
+        if (layer.hueShift !== undefined && typeof layer.hueShift !== 'number') {
+            error(`${label}: hueShift must be a number of degrees`);
+        }
+    }
+    for (const key of Object.keys(recipe.zOrder)) {
+        if (!['default', 'up', 'left', 'down', 'right'].includes(key) && !LPC_ANIMATIONS[key]) {
+            warning(`zOrder "${key}" is neither a direction nor an LPC animation`);
+        }
+    }
+    return problems;
+}
+
+function rgbToHsl(r, g, b) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return [h * 60, s, l];
+}
+
+function hslToRgb(h, s, l) {
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const hp = (((h % 360) + 360) % 360) / 60;
+    const x = c * (1 - Math.abs((hp % 2) - 1));
+    const [r1, g1, b1] = hp < 1 ? [c, x, 0] : hp < 2 ? [x, c, 0] : hp < 3 ? [0, c, x]
+        : hp < 4 ? [0, x, c] : hp < 5 ? [x, 0, c] : [c, 0, x];
+    const m = l - c / 2;
+    return [r1, g1, b1].map(v => Math.round((v + m) * 255));
+}
+
+/**
+ * Recolor RGBA pixels in place: exact palette swaps first, then a hue shift
+ * for the pixels no swap matched. Alpha is preserved.
+ * @param {Uint8ClampedArray|Buffer} data - RGBA pixel data
+ * @param {Object} layer - { recolor: { "#from": "#to" }, hueShift: degrees }
+ * @returns {number} Pixels changed
+ */
+export function recolorPixels(data, layer) {
+    const swaps = new Map();
+    for (const [from, to] of Object.entries(layer.recolor || {})) {
+        const a = parseHexColor(from);
+        const b = parseHexColor(to);
+        if (a && b) swaps.set((a.r << 16) | (a.g << 8) | a.b, b);
+    }
+    const hueShift = layer.hueShift || 0;
+    if (swaps.size === 0 && !hueShift) return 0;
+
+    let changed = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        const swap = swaps.get((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+        if (swap) {
+            data[i] = swap.r;
+            data[i + 1] = swap.g;
+            data[i + 2] = swap.b;
+            changed++;
+        } else if (hueShift) {
+            const [h, s, l] = rgbToHsl(data[i], data[i + 1], data[i + 2]);
+            if (s === 0) continue;
+            [data[i], data[i + 1], data[i + 2]] = hslToRgb(h + hueShift, s, l);
+            changed++;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Composite a recipe into a full LPC sheet
+ * @param {Object} recipe - From loadRecipe()
+ * @param {Object} options - { layerDir }
+ * @returns {Promise<{canvas: Object, layers: Array<Object>}>}
+ *          layers lists { slot, file, sha256 } per drawn layer and { slot, file, skipped: true } per missing optional one
+ */
+export async function composeRecipe(recipe, options = {}) {
+    const layerDir = options.layerDir || LPC_LAYER_DIR;
+    const width = LPC_COLUMNS * LPC_FRAME_SIZE;
+    const height = LPC_ROWS * LPC_FRAME_SIZE;
+
+    // Load and recolor each layer once
+    const sheets = new Map();
+    const used = [];
+    for (const layer of recipe.layers) {
+        const file = path.join(layerDir, layer.file);
+        if (!fs.existsSync(file)) {
+            if (layer.optional) {
+                used.push({ slot: layer.slot, file: layer.file, skipped: true });
+                continue;
+            }
+            throw new Error(`Layer "${layer.slot}" of recipe "${recipe.name}": ${layer.file} not found in ${layerDir}`);
+        }
+        const buffer = fs.readFileSync(file);
+        const image = await loadImage(buffer);
+        const sheet = createCanvas(image.width, image.height);
+        const ctx = sheet.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        if (layer.recolor || layer.hueShift) {
+            const pixels = ctx.getImageData(0, 0, image.width, image.height);
+            recolorPixels(pixels.data, layer);
+            ctx.putImageData(pixels, 0, 0);
+        }
+        sheets.set(layer, sheet);
+        used.push({ slot: layer.slot, file: layer.file, sha256: crypto.createHash('sha256').update(buffer).digest('hex') });
+    }
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+
+    for (const [animation, { row }] of Object.entries(LPC_ANIMATIONS)) {
+        const y = row * LPC_FRAME_SIZE;
+        for (const layer of getLayerOrder(recipe, animation)) {
+            const sheet = sheets.get(layer);
+            // Layer sheets may stop early (e.g. no shoot rows); skip rows they lack
+            if (!sheet || sheet.height < y + LPC_FRAME_SIZE) continue;
+            const rowWidth = Math.min(width, sheet.width);
+            ctx.drawImage(sheet, 0, y, rowWidth, LPC_FRAME_SIZE, 0, y, rowWidth, LPC_FRAME_SIZE);
+        }
+    }
+
+    return { canvas, layers: used };
+}
@@ -0,0 +1,50 @@
+/**
+ * LPC Sheet Layout
+ * Row layout of standard Universal LPC spritesheets (832x1344, 13 columns x 21
+ * rows of 64x64 frames), shared by the extractor and the layer compositor.
+ */
+
+export const LPC_FRAME_SIZE = 64;
+export const LPC_COLUMNS = 13;
+export const LPC_ROWS = 21;
+
+// Rows are organized as:
+// 0-3: Spellcast (up, left, down, right)
+// 4-7: Thrust (up, left, down, right)
+// 8-11: Walk (up, left, down, right)
+// 12-15: Slash (up, left, down, right)
+// 16-19: Shoot (up, left, down, right)
+// 20: Hurt
+export const LPC_ANIMATIONS = {
+    spellcast_up: { row: 0, frames: 7 },
+    spellcast_left: { row: 1, frames: 7 },
+    spellcast_down: { row: 2, frames: 7 },
+    spellcast_right: { row: 3, frames: 7 },
+    thrust_up: { row: 4, frames: 8 },
+    thrust_left: { row: 5, frames: 8 },
+    thrust_down: { row: 6, frames: 8 },
+    thrust_right: { row: 7, frames: 8 },
+    walk_up: { row: 8, frames: 9 },
+    walk_left: { row: 9, frames: 9 },
+    walk_down: { row: 10, frames: 9 },
+    walk_right: { row: 11, frames: 9 },
+    slash_up: { row: 12, frames: 6 },
+    slash_left: { row: 13, frames: 6 },
+    slash_down: { row: 14, frames: 6 },
+    slash_right: { row: 15, frames: 6 },
+    shoot_up: { row: 16, frames: 13 },
+    shoot_left: { row: 17, frames: 13 },
+    shoot_down: { row: 18, frames: 13 },
+    shoot_right: { row: 19, frames: 13 },
+    hurt: { row: 20, frames: 6 }
+};
+
+/**
+ * Facing direction of an LPC animation row
+ * @param {string} animation - Key of LPC_ANIMATIONS
+ * @returns {string} up, left, down or right (hurt faces down)
+ */
+export function getLpcDirection(animation) {
+    const match = /_(up|left|down|right)$/.exec(animation);
+    return match ? match[1] : 'down';
+}
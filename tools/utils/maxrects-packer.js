@@ -0,0 +1,217 @@
+/**
+ * MaxRects Packer
+ * Rectangle bin packing for texture atlases (Jukka Jylänki's MaxRects with the
+ * Best Short Side Fit heuristic), with optional 90° rotation and multiple pages.
+ * Pure geometry - no canvas - so it can be used and checked without image work.
+ */
+
+function intersects(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+function contains(outer, inner) {
+    return inner.x >= outer.x && inner.y >= outer.y
+        && inner.x + inner.width <= outer.x + outer.width
+        && inner.y + inner.height <= outer.y + outer.height;
+}
+
+function nextPowerOfTwo(value) {
+    let result = 1;
+    while (result < value) result *= 2;
+    return result;
+}
+
+export class MaxRectsBin {
+    /**
+     * @param {number} width - Bin width
+     * @param {number} height - Bin height
+     * @param {boolean} allowRotation - Allow 90° rotation of inserted rects
+     */
+    constructor(width, height, allowRotation = false) {
+        this.width = width;
+        this.height = height;
+        this.allowRotation = allowRotation;
+        this.freeRects = [{ x: 0, y: 0, width, height }];
+        this.usedRects = [];
+    }
+
+    /**
+     * Find the best position for a rect without placing it
+     * @param {number} width - Rect width
+     * @param {number} height - Rect height
+     * @returns {Object|null} { x, y, width, height, rotated, score } or null if it does not fit
+     */
+    findPosition(width, height) {
+        let best = null;
+
+        const consider = (free, w, h, rotated) => {
+            if (w > free.width || h > free.height) return;
+            const leftoverX = free.width - w;
+            const leftoverY = free.height - h;
+            const shortSide = Math.min(leftoverX, leftoverY);
+            const longSide = Math.max(leftoverX, leftoverY);
+            if (!best || shortSide < best.score[0] || (shortSide === best.score[0] && longSide < best.score[1])) {
+                best = { x: free.x, y: free.y, width: w, height: h, rotated, score: [shortSide, longSide] };
+            }
+        };
+
+        for (const free of this.freeRects) {
+            consider(free, width, height, false);
+            if (this.allowRotation && width !== height) {
+                consider(free, height, width, true);
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Insert a rect
+     * @param {number} width - Rect width
+     * @param {number} height - Rect height
+     * @returns {Object|null} Placed rect { x, y, width, height, rotated } or null if it does not fit
+     */
+    insert(width, height) {
+        const position = this.findPosition(width, height);
+        if (!position) return null;
+
+        const placed = { x: position.x, y: position.y, width: position.width, height: position.height, rotated: position.rotated };
+        this.place(placed);
+        return placed;
+    }
+
+    place(rect) {
+        const next = [];
+        for (const free of this.freeRects) {
+            if (!intersects(free, rect)) {
+                next.push(free);
+                continue;
+            }
+            // Split the free rect into up to four maximal rects around the used one
+            if (rect.x > free.x) {
+                next.push({ x: free.x, y: free.y, width: rect.x - free.x, height: free.height });
+            }
+            if (rect.x + rect.width < free.x + free.width) {
+                next.push({ x: rect.x + rect.width, y: free.y, width: free.x + free.width - rect.x - rect.width, height: free.height });
+            }
+            if (rect.y > free.y) {
+                next.push({ x: free.x, y: free.y, width: free.width, height: rect.y - free.y });
+            }
+            if (rect.y + rect.height < free.y + free.height) {
+                next.push({ x: free.x, y: rect.y + rect.height, width: free.width, height: free.y + free.height - rect.y - rect.height });
+            }
+        }
+
+        // Drop free rects contained in another
+        this.freeRects = next.filter((candidate, i) => !next.some((other, j) =>
+            i !== j && contains(other, candidate) && (!contains(candidate, other) || j < i)));
+        this.usedRects.push(rect);
+    }
+
+    /**
+     * Bounding box of everything placed so far
+     * @returns {{width: number, height: number}}
+     */
+    usedSize() {
+        let width = 0;
+        let height = 0;
+        for (const rect of this.usedRects) {
+            width = Math.max(width, rect.x + rect.width);
+            height = Math.max(height, rect.y + rect.height);
+        }
+        return { width, height };
+    }
+}
+
+/**
+ * Pack rects into as many pages as needed
+ * @param {Array<{id: *, width: number, height: number}>} rects - Rects to pack
+ * @param {Object} options - Packing options
+ * @param {number} options.maxWidth - Max page width (default 512)
+ * @param {number} options.maxHeight - Max page height (default 512)
+ * @param {number} options.padding - Gap between rects and around the page edge (default 0)
+ * @param {boolean} options.allowRotation - Allow 90° rotation (default false)
+ * @param {boolean} options.multiPage - Open new pages when one is full (default true)
+ * @param {boolean} options.powerOfTwo - Round page sizes up to powers of two (default false)
+ * @returns {{pages: Array<{width: number, height: number, rects: Array}>}}
+ *          Each packed rect: { id, x, y, width, height, rotated } (width/height as placed)
+ */
+export function packRects(rects, options = {}) {
+    const {
+        maxWidth = 512,
+        maxHeight = 512,
+        padding = 0,
+        allowRotation = false,
+        multiPage = true,
+        powerOfTwo = false
+    } = options;
+
+    // Each rect reserves padding on its right/bottom; the bin is shifted by padding
+    // so the page also gets a padding border on the left/top.
+    const binWidth = maxWidth - padding;
+    const binHeight = maxHeight - padding;
+
+    for (const rect of rects) {
+        const fits = (rect.width + padding <= binWidth && rect.height + padding <= binHeight)
+            || (allowRotation && rect.height + padding <= binWidth && rect.width + padding <= binHeight);
+        if (!fits) {
+            throw new Error(`"${rect.id}" (${rect.width}x${rect.height}) does not fit in a ${maxWidth}x${maxHeight} page with padding ${padding}`);
+        }
+    }
+
+    // Largest first packs tightest; ties keep input order so output is deterministic
+    const order = rects
+        .map((rect, index) => ({ rect, index }))
+        .sort((a, b) => (Math.max(b.rect.width, b.rect.height) - Math.max(a.rect.width, a.rect.height))
+            || (b.rect.width * b.rect.height - a.rect.width * a.rect.height)
+            || (a.index - b.index));
+
+    const bins = [];
+    const placements = [];
+
+    for (const { rect } of order) {
+        const width = rect.width + padding;
+        const height = rect.height + padding;
+
+        let placed = null;
+        let page = -1;
+        for (let i = 0; i < bins.length && !placed; i++) {
+            placed = bins[i].insert(width, height);
+            page = i;
+        }
+        if (!placed) {
+            if (!multiPage && bins.length > 0) {
+                throw new Error(`Atlas full: "${rect.id}" (${rect.width}x${rect.height}) does not fit in one ${maxWidth}x${maxHeight} page`);
+            }
+            bins.push(new MaxRectsBin(binWidth, binHeight, allowRotation));
+            page = bins.length - 1;
+            placed = bins[page].insert(width, height);
+        }
+
+        placements.push({
+            page,
+            id: rect.id,
+            x: placed.x + padding,
+            y: placed.y + padding,
+            width: placed.width - padding,
+            height: placed.height - padding,
+            rotated: placed.rotated
+        });
+    }
+
+    const pages = bins.map((bin, index) => {
+        const used = bin.usedSize();
+        let width = used.width + padding;
+        let height = used.height + padding;
+        if (powerOfTwo) {
+            width = Math.min(nextPowerOfTwo(width), Math.max(maxWidth, width));
+            height = Math.min(nextPowerOfTwo(height), Math.max(maxHeight, height));
+        }
+        const pageRects = placements
+            .filter(p => p.page === index)
+            .map(({ page, ...rect }) => rect);
+        return { width, height, rects: pageRects };
+    });
+
+    return { pages };
+}
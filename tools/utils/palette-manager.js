@@ -1,68 +1,123 @@
 /**
  * Palette Manager
  * Manages color palettes for pixel-art style sprites
+ *
+ * Palettes come from road-to-war/data/palettes.json, keyed by class id, bloodline
+ * id or a generic name (warm, cool, metallic). Each role (armor, cloth, accent, ...)
+ * is either one base color, from which a 5-level shade ramp is derived using the
+ * role's material, or an explicit list of swatches (e.g. alternative skin tones).
  */
 
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MaterialShader } from './material-shader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PALETTES_PATH = path.join(__dirname, '..', '..', 'road-to-war', 'data', 'palettes.json');
+
+const PALETTE_GROUPS = ['generic', 'classes', 'bloodlines'];
+const materialShader = new MaterialShader();
+const loaded = new Map();
+
+function parseHex(hex) {
+    return parseInt(hex.replace('#', ''), 16);
+}
+
+/**
+ * Load palettes.json (cached per path)
+ * @param {string} palettesPath - Path to the palette data
+ * @returns {Object} Palette data
+ */
+export function loadPaletteData(palettesPath = PALETTES_PATH) {
+    if (!loaded.has(palettesPath)) {
+        loaded.set(palettesPath, JSON.parse(fs.readFileSync(palettesPath, 'utf8')));
+    }
+    return loaded.get(palettesPath);
+}
+
+/**
+ * Derive a 5-level cel-shade ramp from one base color
+ * @param {number} baseColor - Base color (0xRRGGBB)
+ * @param {string} materialType - 'metal', 'cloth', 'leather' or 'skin'
+ * @returns {Object} { light2, light1, base, dark1, dark2 }
+ */
+export function generateRamp(baseColor, materialType = 'cloth') {
+    return materialShader.generatePalette(baseColor, materialType);
+}
+
+/**
+ * Check that every bloodline and class has a palette
+ * @param {Object} data - Palette data
+ * @param {Object} ids - { bloodlines: string[], classes: string[] }
+ * @returns {Array<{pointer: string, message: string}>} Problems with JSON pointers into palettes.json
+ */
+export function checkPaletteCoverage(data, { bloodlines = [], classes = [] } = {}) {
+    const problems = [];
+    for (const id of classes) {
+        if (!data.classes?.[id]) {
+            problems.push({ pointer: '/classes', message: `class "${id}" has no palette` });
+        }
+    }
+    for (const id of bloodlines) {
+        if (!data.bloodlines?.[id]) {
+            problems.push({ pointer: '/bloodlines', message: `bloodline "${id}" has no palette` });
+        }
+    }
+
+    const names = new Set(PALETTE_GROUPS.flatMap(group => Object.keys(data[group] || {})));
+    for (const [alias, target] of Object.entries(data.aliases || {})) {
+        if (!names.has(target)) {
+            problems.push({ pointer: `/aliases/${alias}`, message: `alias "${alias}" points to unknown palette "${target}"` });
+        }
+    }
+
+    for (const [role, material] of Object.entries(data.roleMaterials || {})) {
+        if (!materialShader.MATERIAL_RULES[material]) {
+            problems.push({ pointer: `/roleMaterials/${role}`, message: `unknown material "${material}" (expected one of: ${Object.keys(materialShader.MATERIAL_RULES).join(', ')})` });
+        }
+    }
+    return problems;
+}
+
 export class PaletteManager {
-    constructor() {
-        this.palettes = {
-            // Paladin palette
-            paladin: {
-                armor: [0xC0C0C0, 0xE0E0E0, 0xA0A0A0, 0x808080], // Silver armor
-                accent: [0x4169E1, 0x5A7FFF, 0x2E4DB8], // Royal blue
-                cloth: [0x2C3E50, 0x34495E, 0x1A252F], // Dark blue-gray
-                skin: [0xFFDBAC, 0xF4C2A1, 0xE8B896], // Light skin tones
-                metal: [0xE0E0E0, 0xC0C0C0, 0xA0A0A0, 0x808080], // Metallic
-                gold: [0xFFD700, 0xFFA500, 0xFF8C00], // Gold accents
-                glow: [0xFFFF00, 0xFFFA00, 0xFFF500] // Holy light
-            },
-            // Generic humanoid palettes
-            warm: {
-                skin: [0xFFDBAC, 0xF4C2A1, 0xE8B896],
-                cloth: [0x8B4513, 0xA0522D, 0xCD853F],
-                metal: [0xC0C0C0, 0xA0A0A0, 0x808080]
-            },
-            cool: {
-                skin: [0xFFDBAC, 0xF4C2A1, 0xE8B896],
-                cloth: [0x2C3E50, 0x34495E, 0x1A252F],
-                metal: [0x708090, 0x778899, 0x5F7F8F]
-            },
-            metallic: {
-                armor: [0xC0C0C0, 0xE0E0E0, 0xA0A0A0, 0x808080],
-                metal: [0xD3D3D3, 0xC0C0C0, 0xA9A9A9]
-            },
-            // Bloodline Specific Palettes
-            ancient_warrior: {
-                armor: [0xFFD700, 0xDAA520, 0xB8860B], // Golden/Brass armor
-                accent: [0xC0C0C0, 0x808080, 0x404040], // Steel highlights
-                cloth: [0x800000, 0x600000, 0x400000], // Royal red
-                glow: [0xFFFF80, 0xFFFFCC, 0xFFFFFF] // White-gold light
-            },
-            arcane_scholar: {
-                armor: [0x1A237E, 0x283593, 0x3949AB], // Deep blue arcane armor
-                accent: [0x7E57C2, 0x9575CD, 0xB39DDB], // Lavender magical runes
-                cloth: [0x4A148C, 0x6A1B9A, 0x8E24AA], // Purple robes
-                glow: [0x00E5FF, 0x18FFFF, 0x84FFFF] // Cyan arcane energy
-            },
-            shadow_assassin: {
-                armor: [0x212121, 0x424242, 0x616161], // Midnight black armor
-                accent: [0x4A148C, 0x000000, 0x311B92], // Void purple highlights
-                cloth: [0x000000, 0x121212, 0x1A1A1B], // Stealth black
-                glow: [0xAA00FF, 0xD500F9, 0xE1F5FE] // Eerie void light
-            },
-            dragon_born: {
-                armor: [0xB71C1C, 0xD32F2F, 0xE53935], // Crimson dragon scales
-                accent: [0xFF6F00, 0xFFA000, 0xFFC107], // Ember highlights
-                cloth: [0x3E2723, 0x4E342E, 0x5D4037], // Scorched earth
-                glow: [0xFF3D00, 0xFF9100, 0xFFFF00] // Fire glow
-            },
-            nature_blessed: {
-                armor: [0x1B5E20, 0x2E7D32, 0x388E3C], // Emerald/Leaf armor
-                accent: [0x795548, 0x8D6E63, 0xA1887F], // Bark brown
-                cloth: [0xDCEDC8, 0xC5E1A5, 0xAED581], // Pale green vines
-                glow: [0x76FF03, 0xB2FF59, 0xCCFF90] // Living light
+    /**
+     * @param {string} palettesPath - Palette data file
+     */
+    constructor(palettesPath = PALETTES_PATH) {
+        this.data = loadPaletteData(palettesPath);
+        this.roleMaterials = this.data.roleMaterials || {};
+        this.aliases = this.data.aliases || {};
+        this.definitions = {};
+        for (const group of PALETTE_GROUPS) {
+            Object.assign(this.definitions, this.data[group] || {});
+        }
+
+        // Swatch lists per role: explicit lists as given, base colors as [base, light1, dark1]
+        this.palettes = {};
+        for (const [name, definition] of Object.entries(this.definitions)) {
+            const palette = {};
+            for (const role of Object.keys(definition)) {
+                if (Array.isArray(definition[role])) {
+                    palette[role] = definition[role].map(parseHex);
+                } else {
+                    const ramp = this.getRamp(name, role);
+                    palette[role] = [ramp.base, ramp.light1, ramp.dark1];
+                }
             }
-        };
+            this.palettes[name] = palette;
+        }
+    }
+
+    /**
+     * Palette name after resolving aliases (legacy sprite names such as dragon_born)
+     * @param {string} name - Palette name, class id or bloodline id
+     * @returns {string}
+     */
+    resolveName(name) {
+        return this.aliases[name] || name;
     }
 
     /**
@@ -71,7 +126,43 @@ export class PaletteManager {
      * @returns {Object|null} Palette object or null
      */
     getPalette(name) {
-        return this.palettes[name] || null;
+        return this.palettes[this.resolveName(name)] || null;
+    }
+
+    /**
+     * Base color of a palette role (the first swatch for explicit lists)
+     * @param {string} name - Palette name
+     * @param {string} role - Role (e.g. 'armor', 'accent')
+     * @returns {number|null} Color value or null if the palette has no such role
+     */
+    getBaseColor(name, role) {
+        const value = this.definitions[this.resolveName(name)]?.[role];
+        if (value === undefined) return null;
+        return parseHex(Array.isArray(value) ? value[0] : value);
+    }
+
+    /**
+     * Base color of a palette role as a '#RRGGBB' string
+     * @param {string} name - Palette name
+     * @param {string} role - Role
+     * @returns {string|null}
+     */
+    getBaseHex(name, role) {
+        const color = this.getBaseColor(name, role);
+        return color === null ? null : `#${color.toString(16).padStart(6, '0').toUpperCase()}`;
+    }
+
+    /**
+     * 5-level shade ramp of a palette role
+     * @param {string} name - Palette name
+     * @param {string} role - Role
+     * @param {string} materialType - Material override (default: the role's material in palettes.json)
+     * @returns {Object|null} { light2, light1, base, dark1, dark2 } or null
+     */
+    getRamp(name, role, materialType = null) {
+        const base = this.getBaseColor(name, role);
+        if (base === null) return null;
+        return generateRamp(base, materialType || this.roleMaterials[role] || 'cloth');
     }
 
     /**
@@ -414,10 +414,10 @@ export class PixelDrawer {
 
     /**
      * Clear the canvas
-     * @param {string|number} color - Background color (default transparent)
+     * @param {string|number|null} color - Opaque background color (default: null, transparent)
      */
-    clear(color = 0x00000000) {
-        const [r, g, b, a] = this.hexToRgba(color);
+    clear(color = null) {
+        const [r, g, b, a] = color === null ? [0, 0, 0, 0] : this.hexToRgba(color);
         for (let i = 0; i < this.imageData.data.length; i += 4) {
             this.imageData.data[i] = r;
             this.imageData.data[i + 1] = g;
@@ -136,33 +136,83 @@ export class ProportionAnalyzer {
         return region;
     }
     
+    /**
+     * Bounding box of the visible pixels
+     * @param {ImageData} imageData - Canvas ImageData object
+     * @returns {Object|null} { minX, maxX, minY, maxY, width, height } or null for an empty image
+     */
+    findSpriteBounds(imageData) {
+        let minX = Infinity, maxX = -Infinity;
+        let minY = Infinity, maxY = -Infinity;
+        
+        for (let y = 0; y < imageData.height; y++) {
+            for (let x = 0; x < imageData.width; x++) {
+                if (imageData.data[(y * imageData.width + x) * 4 + 3] === 0) continue;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+        
+        if (minX === Infinity) return null;
+        return { minX, maxX, minY, maxY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+    
+    /**
+     * Move a seed point to the nearest visible pixel on its row, so seeds that
+     * fall into a gap (between the legs, beside a thin arm) still hit the body
+     * @param {ImageData} imageData - Canvas ImageData object
+     * @param {number} x - Seed X
+     * @param {number} y - Seed Y
+     * @param {Object} bounds - Sprite bounds from findSpriteBounds()
+     * @returns {Object} { x, y } (unchanged if the row has no visible pixel)
+     */
+    snapSeed(imageData, x, y, bounds) {
+        for (let d = 0; d <= bounds.width; d++) {
+            for (const sx of [x - d, x + d]) {
+                if (sx < bounds.minX || sx > bounds.maxX) continue;
+                const pixel = this.getPixel(imageData, sx, y);
+                if (pixel && pixel[3] > 0) return { x: sx, y };
+            }
+        }
+        return { x, y };
+    }
+    
     /**
      * Detect body regions using region growing
+     * Seeds are placed relative to the sprite's bounding box, so sprites with
+     * padding around them are measured the same as tightly cropped ones.
      * @param {ImageData} imageData - Canvas ImageData object
      * @returns {Object} Detected body regions
      */
     detectBodyRegions(imageData) {
-        const width = imageData.width;
-        const height = imageData.height;
-        const centerX = Math.floor(width / 2);
-        const centerY = Math.floor(height / 2);
+        const bounds = this.findSpriteBounds(imageData) || {
+            minX: 0, maxX: imageData.width - 1, minY: 0, maxY: imageData.height - 1,
+            width: imageData.width, height: imageData.height
+        };
+        const centerX = Math.floor((bounds.minX + bounds.maxX) / 2);
+        const rowAt = fraction => bounds.minY + Math.floor(bounds.height * fraction);
+        const grow = (x, y) => {
+            const seed = this.snapSeed(imageData, Math.round(x), y, bounds);
+            return this.regionGrowing(imageData, seed.x, seed.y, 40);
+        };
         
         // Try to detect head (top center)
-        const headY = Math.floor(height * 0.2);
-        const headRegion = this.regionGrowing(imageData, centerX, headY, 40);
+        const headRegion = grow(centerX, rowAt(0.2));
         
         // Try to detect torso (center)
-        const torsoRegion = this.regionGrowing(imageData, centerX, centerY, 40);
+        const torsoRegion = grow(centerX, rowAt(0.5));
         
         // Try to detect legs (bottom center)
-        const legY = Math.floor(height * 0.7);
-        const leftLegRegion = this.regionGrowing(imageData, centerX - 4, legY, 40);
-        const rightLegRegion = this.regionGrowing(imageData, centerX + 4, legY, 40);
+        const legY = rowAt(0.7);
+        const leftLegRegion = grow(centerX - bounds.width * 0.2, legY);
+        const rightLegRegion = grow(centerX + bounds.width * 0.2, legY);
         
         // Try to detect arms (middle sides)
-        const armY = Math.floor(height * 0.4);
-        const leftArmRegion = this.regionGrowing(imageData, centerX - 8, armY, 40);
-        const rightArmRegion = this.regionGrowing(imageData, centerX + 8, armY, 40);
+        const armY = rowAt(0.4);
+        const leftArmRegion = grow(centerX - bounds.width * 0.4, armY);
+        const rightArmRegion = grow(centerX + bounds.width * 0.4, armY);
         
         return {
             head: headRegion,
@@ -222,6 +272,75 @@ export class ProportionAnalyzer {
         };
     }
     
+    /**
+     * Measure head, torso and legs from the silhouette of a front-facing figure
+     * Works on the run of pixels through the figure's center column in each row,
+     * so weapons held beside the body do not count: the head ends at the neck (a
+     * row narrower than the head, below which the shoulders widen out), the legs
+     * start where the center column opens up between them (the crotch).
+     * @param {ImageData} imageData - Canvas ImageData object
+     * @returns {Object|null} { top, bottom, height, centerX, head, torso, legs } in pixels
+     *   (head/torso/legs are null when not found, e.g. legs under a robe), or null for an empty image
+     */
+    measureSilhouette(imageData) {
+        const bounds = this.findSpriteBounds(imageData);
+        if (!bounds) return null;
+        const { width, data } = imageData;
+        const visible = (x, y) => data[(y * width + x) * 4 + 3] > 0;
+        
+        // Median column of the visible pixels (robust against a weapon on one side)
+        const columns = [];
+        for (let y = bounds.minY; y <= bounds.maxY; y++) {
+            for (let x = bounds.minX; x <= bounds.maxX; x++) {
+                if (visible(x, y)) columns.push(x);
+            }
+        }
+        columns.sort((a, b) => a - b);
+        const centerX = columns[Math.floor(columns.length / 2)];
+        
+        // Width of the run through the center column (0 if the center is empty)
+        const runWidth = y => {
+            if (!visible(centerX, y)) return 0;
+            let left = centerX;
+            let right = centerX;
+            while (left > bounds.minX && visible(left - 1, y)) left--;
+            while (right < bounds.maxX && visible(right + 1, y)) right++;
+            return right - left + 1;
+        };
+        const widths = [];
+        for (let y = bounds.minY; y <= bounds.maxY; y++) widths.push(runWidth(y));
+        const height = bounds.height;
+        
+        // Neck: first row (in the upper 45%) narrower than the head above it,
+        // with the shoulders at least half again as wide within the next 3 rows
+        let neckRow = null;
+        let headWidth = 0;
+        for (let i = 0; i < Math.floor(height * 0.45); i++) {
+            headWidth = Math.max(headWidth, widths[i]);
+            const shoulders = Math.max(...widths.slice(i + 1, i + 4));
+            if (widths[i] > 0 && widths[i] < headWidth && shoulders >= widths[i] * 1.5) {
+                neckRow = i;
+                break;
+            }
+        }
+        
+        // Crotch: top of the gap in the center column between the legs (lowest gap
+        // must be in the bottom 40%, its top below the upper 30%)
+        let crotchRow = null;
+        let row = height - 1;
+        while (row >= 0 && widths[row] > 0) row--;
+        if (row > height * 0.6) {
+            while (row > 0 && widths[row - 1] === 0) row--;
+            if (row > height * 0.3) crotchRow = row;
+        }
+        
+        const head = neckRow !== null ? neckRow + 1 : null;
+        const legs = crotchRow !== null ? height - crotchRow : null;
+        const torso = head !== null && crotchRow !== null ? crotchRow - head : null;
+        
+        return { top: bounds.minY, bottom: bounds.maxY, height, centerX, head, torso, legs };
+    }
+    
     /**
      * Detect equipment positions
      * @param {ImageData} imageData - Canvas ImageData object
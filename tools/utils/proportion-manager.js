@@ -4,25 +4,39 @@
  * Based on Dragumagu-style pixel art specifications
  */
 
+// Chibi proportions: 33% head, 25% torso, 20% limbs
+export const CHIBI_RATIOS = { head: 0.33, torso: 0.25, limbs: 0.20 };
+
 export class ProportionManager {
-    constructor(totalHeight = 48) {
+    /**
+     * @param {number} totalHeight - Sprite height in pixels
+     * @param {Object} ratios - Overrides of CHIBI_RATIOS ({ head, torso, limbs } as fractions of
+     *   totalHeight); optional arms/legs set those lengths apart from limbs, which keeps their widths
+     * @param {number} top - Headroom in pixels above the head (0 puts the head on the top edge)
+     */
+    constructor(totalHeight = 48, ratios = {}, top = 0) {
         this.totalHeight = totalHeight;
+        this.top = top;
+        const { head, torso, limbs } = { ...CHIBI_RATIOS, ...ratios };
+        const arms = ratios.arms ?? limbs;
+        const legs = ratios.legs ?? limbs;
         
-        // Chibi proportions: 33% head, 25% torso, 20% limbs
         this.proportions = {
-            head: Math.floor(totalHeight * 0.33),      // 33%
-            torso: Math.floor(totalHeight * 0.25),     // 25%
-            limbs: Math.floor(totalHeight * 0.20),     // 20% each
+            head: Math.floor(totalHeight * head),      // 33%
+            torso: Math.floor(totalHeight * torso),    // 25%
+            limbs: Math.floor(totalHeight * limbs),    // 20% each
+            arms: Math.floor(totalHeight * arms),      // Arm length (limbs unless overridden)
+            legs: Math.floor(totalHeight * legs),      // Leg length (limbs unless overridden)
             equipmentScale: 1.2                        // 120% scale for oversized equipment
         };
         
         // Calculate positions (top of sprite is 0)
         this.positions = {
-            headTop: 0,
-            headBottom: this.proportions.head,
-            torsoTop: this.proportions.head,
-            torsoBottom: this.proportions.head + this.proportions.torso,
-            limbsTop: this.proportions.head + this.proportions.torso,
+            headTop: top,
+            headBottom: top + this.proportions.head,
+            torsoTop: top + this.proportions.head,
+            torsoBottom: top + this.proportions.head + this.proportions.torso,
+            limbsTop: top + this.proportions.head + this.proportions.torso,
             limbsBottom: totalHeight
         };
     }
@@ -78,8 +92,8 @@ export class ProportionManager {
      * @returns {Object} { x, y, width, height, centerX, centerY }
      */
     getArmBounds(centerX, centerY, side = 'left') {
-        const armLength = this.proportions.limbs;
-        const armWidth = Math.floor(armLength * 0.7); // Arms need to be thicker for pixel art
+        const armLength = this.proportions.arms;
+        const armWidth = Math.floor(this.proportions.limbs * 0.7); // Arms need to be thicker for pixel art
         const torsoBounds = this.getTorsoBounds(centerX, centerY);
         const armTop = torsoBounds.y - 1; // Start overlapping with torso top for seamless connection
         
@@ -106,8 +120,8 @@ export class ProportionManager {
      * @returns {Object} { x, y, width, height, centerX, centerY }
      */
     getLegBounds(centerX, centerY, side = 'left') {
-        const legLength = this.proportions.limbs;
-        const legWidth = Math.floor(legLength * 0.8); // Legs need to be much thicker for pixel art
+        const legLength = this.proportions.legs;
+        const legWidth = Math.floor(this.proportions.limbs * 0.8); // Legs need to be much thicker for pixel art
         const torsoBounds = this.getTorsoBounds(centerX, centerY);
         const legTop = torsoBounds.y + torsoBounds.height - 5; // More overlap with torso bottom for seamless connection
         
@@ -217,12 +231,13 @@ export class ProportionManager {
         };
         
         // Recalculate positions
+        const top = this.top;
         this.positions = {
-            headTop: 0,
-            headBottom: this.proportions.head,
-            torsoTop: this.proportions.head,
-            torsoBottom: this.proportions.head + this.proportions.torso,
-            limbsTop: this.proportions.head + this.proportions.torso,
+            headTop: top,
+            headBottom: top + this.proportions.head,
+            torsoTop: top + this.proportions.head,
+            torsoBottom: top + this.proportions.head + this.proportions.torso,
+            limbsTop: top + this.proportions.head + this.proportions.torso,
             limbsBottom: totalHeight
         };
     }
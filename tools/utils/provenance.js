@@ -0,0 +1,205 @@
+/**
+ * Asset Provenance
+ * Ledger of where each imported or derived image came from: source URL or file,
+ * author, license and the transforms applied on the way. Import tools record
+ * their downloads, derive tools (extractor, tinting, compositor) inherit the
+ * sources of their inputs, and tools/credits.js turns the ledger into the
+ * attribution file the Credits scene reads.
+ *
+ * Ledger (tools/asset-provenance.json):
+ *   assets - per-file records keyed by repo-relative path
+ *   rules  - records for whole groups of files (glob "match"), used for files
+ *            without their own record, e.g. directories of procedural art
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashFile } from './asset-lockfile.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..', '..');
+
+const LEDGER_VERSION = 1;
+
+export const PROVENANCE_PATH = path.join(__dirname, '..', 'asset-provenance.json');
+
+// "original" is work made for this project (procedural generators included),
+// shipped under the project license.
+export const LICENSES = {
+    'original': { name: 'Original work (project license)', url: null, attribution: false },
+    'CC0': { name: 'CC0 1.0', url: 'https://creativecommons.org/publicdomain/zero/1.0/', attribution: false },
+    'CC-BY 3.0': { name: 'CC BY 3.0', url: 'https://creativecommons.org/licenses/by/3.0/', attribution: true },
+    'CC-BY 4.0': { name: 'CC BY 4.0', url: 'https://creativecommons.org/licenses/by/4.0/', attribution: true },
+    'CC-BY-SA 3.0': { name: 'CC BY-SA 3.0', url: 'https://creativecommons.org/licenses/by-sa/3.0/', attribution: true },
+    'CC-BY-SA 4.0': { name: 'CC BY-SA 4.0', url: 'https://creativecommons.org/licenses/by-sa/4.0/', attribution: true },
+    'OGA-BY 3.0': { name: 'OGA-BY 3.0', url: 'https://static.opengameart.org/OGA-BY-3.0.txt', attribution: true },
+    'GPL 3.0': { name: 'GPL 3.0', url: 'https://www.gnu.org/licenses/gpl-3.0.html', attribution: true }
+};
+
+function globToPattern(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            pattern += '.*';
+            i++;
+        } else if (ch === '*') {
+            pattern += '[^/]*';
+        } else if (ch === '{') {
+            const end = glob.indexOf('}', i);
+            const options = glob.slice(i + 1, end).split(',').map(globToPattern);
+            pattern += `(?:${options.join('|')})`;
+            i = end;
+        } else {
+            pattern += ch.replace(/[.+?^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return pattern;
+}
+
+/**
+ * Convert a glob ("**" any path, "*" within one segment, "{a,b}" alternatives) to a RegExp
+ * @param {string} glob - Pattern over repo-relative POSIX paths
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    return new RegExp(`^${globToPattern(glob)}$`);
+}
+
+/**
+ * Source entries whose license is missing or not in LICENSES
+ * @param {Object} record - Provenance record
+ * @returns {Array<Object>}
+ */
+export function unknownSources(record) {
+    return (record.sources || []).filter(source => !source.license || !LICENSES[source.license]);
+}
+
+export class ProvenanceLedger {
+    /**
+     * @param {string} ledgerPath - Path of the ledger on disk
+     * @param {string} rootDir - Directory that asset keys are relative to
+     */
+    constructor(ledgerPath = PROVENANCE_PATH, rootDir = ROOT) {
+        this.ledgerPath = ledgerPath;
+        this.rootDir = rootDir;
+        this.data = { version: LEDGER_VERSION, rules: [], assets: {} };
+    }
+
+    /**
+     * Load the ledger from disk (a missing ledger starts empty)
+     * @returns {ProvenanceLedger} this
+     */
+    load() {
+        if (!fs.existsSync(this.ledgerPath)) return this;
+        const data = JSON.parse(fs.readFileSync(this.ledgerPath, 'utf8'));
+        if (data.version !== LEDGER_VERSION) {
+            throw new Error(`Unsupported provenance ledger version ${data.version} in ${this.ledgerPath}`);
+        }
+        this.data = { version: LEDGER_VERSION, rules: data.rules || [], assets: data.assets || {} };
+        return this;
+    }
+
+    /**
+     * Write the ledger to disk, assets sorted by path so it diffs cleanly
+     */
+    save() {
+        const assets = {};
+        for (const key of Object.keys(this.data.assets).sort()) {
+            assets[key] = this.data.assets[key];
+        }
+        fs.mkdirSync(path.dirname(this.ledgerPath), { recursive: true });
+        fs.writeFileSync(this.ledgerPath, JSON.stringify({ version: LEDGER_VERSION, rules: this.data.rules, assets }, null, 2) + '\n');
+    }
+
+    /**
+     * Key under which a file is recorded: POSIX path relative to the root,
+     * or the absolute path for files outside it
+     * @param {string} filePath - File path
+     * @returns {string}
+     */
+    key(filePath) {
+        const absolute = path.resolve(filePath);
+        const relative = path.relative(this.rootDir, absolute);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            return absolute.split(path.sep).join('/');
+        }
+        return relative.split(path.sep).join('/');
+    }
+
+    /**
+     * Record an imported file
+     * @param {string} filePath - The file as written
+     * @param {Object} info - { source: { url } or { file } or { generator }, author, license, title, transforms }
+     * @returns {Object} The record
+     */
+    record(filePath, info) {
+        const record = {
+            sources: [{
+                ...info.source,
+                title: info.title || null,
+                author: info.author || null,
+                license: info.license || null
+            }],
+            transforms: info.transforms || [],
+            sha256: hashFile(filePath)
+        };
+        this.data.assets[this.key(filePath)] = record;
+        return record;
+    }
+
+    /**
+     * Record a file made from other files. It inherits the sources of its
+     * inputs; inputs without provenance become sources with unknown license.
+     * @param {string} filePath - The derived file as written
+     * @param {string[]} inputPaths - Files it was made from
+     * @param {string|string[]} transforms - What was done to the inputs
+     * @returns {Object} The record
+     */
+    derive(filePath, inputPaths, transforms) {
+        const steps = Array.isArray(transforms) ? transforms : [transforms];
+        const inputs = inputPaths.map(inputPath => ({ key: this.key(inputPath), record: this.lookup(inputPath) }));
+
+        const sources = [];
+        const seen = new Set();
+        for (const { key, record } of inputs) {
+            const inherited = record ? record.sources : [{ file: key, title: null, author: null, license: null }];
+            for (const source of inherited) {
+                const id = JSON.stringify(source);
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    sources.push(source);
+                }
+            }
+        }
+
+        // A single input's history carries over; with several inputs each keeps its own
+        const history = inputs.length === 1 && inputs[0].record ? inputs[0].record.transforms : [];
+        const record = {
+            sources,
+            derivedFrom: inputs.map(input => input.key),
+            transforms: [...history, ...steps],
+            sha256: hashFile(filePath)
+        };
+        this.data.assets[this.key(filePath)] = record;
+        return record;
+    }
+
+    /**
+     * Provenance of a file: its own record, else the first matching rule
+     * @param {string} filePath - File path (or ledger key)
+     * @returns {Object|null} Record (rule matches include rule: <match>), or null if unknown
+     */
+    lookup(filePath) {
+        const key = this.key(filePath);
+        if (this.data.assets[key]) return this.data.assets[key];
+        for (const rule of this.data.rules) {
+            if (globToRegExp(rule.match).test(key)) {
+                return { sources: rule.sources || [], transforms: rule.transforms || [], rule: rule.match };
+            }
+        }
+        return null;
+    }
+}
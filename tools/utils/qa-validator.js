@@ -1,16 +1,24 @@
 /**
  * QA Validator
  * Validates generated sprites against Dragumagu-style pixel art specifications
+ *
+ * A style guide enables a check by defining its key; a missing or null key
+ * skips the check (tools/asset-qa.json holds the per-category guides used by
+ * tools/qa-assets.js).
  */
 
 import { ProportionManager } from './proportion-manager.js';
 
+// Longest outline run measured; runs this long are dark fill, not outline
+const MAX_OUTLINE_RUN = 8;
+
 export class QAValidator {
     constructor() {
         this.styleGuide = {
             maxColors: 16,
-            outlineThickness: { outer: { min: 2, max: 3 }, inner: 1 },
+            outlineThickness: { outer: { min: 2, max: 3 }, inner: 1, minCoverage: 0.5 },
             shadingLevels: 5,
+            clipping: { edges: true, centerOpaque: true },
             paletteDeviation: 0.05, // 5%
             proportions: {
                 head: { min: 0.30, max: 0.36 },
@@ -23,53 +31,134 @@ export class QAValidator {
     /**
      * Main validation method
      * @param {Object} sprite - Sprite object with canvas property
-     * @param {Object} styleGuide - Optional style guide override
-     * @returns {Object} { valid: boolean, issues: Array<string>, details: Object }
+     * @param {Object} styleGuide - Optional style guide override. Keys:
+     *   size (px or { width, height }), maxColors (n, or { max, minAlpha } to count only
+     *   pixels at least that opaque), outlineThickness, shadingLevels
+     *   (n = n±1, or { min, max }), clipping ({ edges, centerOpaque }),
+     *   coverage ({ minOpaqueRatio, minAlpha }), centering ({ maxOffsetX, maxOffsetY }),
+     *   proportions
+     * @returns {Object} { valid: boolean, issues: Array<string>, violations: Array<{check, message}>, details: Object }
      */
     validateSprite(sprite, styleGuide = null) {
         const guide = styleGuide || this.styleGuide;
-        const issues = [];
+        const imageData = this.getImageData(sprite);
+        const violations = [];
         const details = {};
+        const add = (check, result) => {
+            details[check] = result;
+            for (const message of result.issues) {
+                violations.push({ check, message });
+            }
+        };
+
+        if (guide.size != null) {
+            add('size', this.checkSize(sprite, guide.size));
+        }
+
+        if (guide.coverage != null) {
+            add('coverage', this.checkCoverage(sprite, guide.coverage, imageData));
+        }
 
         // Check proportions
-        const proportionCheck = this.checkProportions(sprite, guide.proportions);
-        if (!proportionCheck.valid) {
-            issues.push(...proportionCheck.issues);
+        if (guide.proportions != null) {
+            add('proportions', this.checkProportions(sprite, guide.proportions));
         }
-        details.proportions = proportionCheck;
 
         // Check color count
-        const colorCount = this.countColors(sprite);
-        details.colorCount = colorCount;
-        if (colorCount > guide.maxColors) {
-            issues.push(`Color count ${colorCount} exceeds maximum ${guide.maxColors}`);
+        if (guide.maxColors != null) {
+            const { max, minAlpha = 1 } = typeof guide.maxColors === 'number' ? { max: guide.maxColors } : guide.maxColors;
+            const colorCount = this.countColors(sprite, imageData, minAlpha);
+            details.colorCount = colorCount;
+            if (colorCount > max) {
+                violations.push({ check: 'colors', message: `Color count ${colorCount} exceeds maximum ${max}${minAlpha > 1 ? ` (pixels with alpha >= ${minAlpha})` : ''}` });
+            }
         }
 
         // Check outline thickness
-        const outlineCheck = this.checkOutlineThickness(sprite, guide.outlineThickness);
-        if (!outlineCheck.valid) {
-            issues.push(...outlineCheck.issues);
+        if (guide.outlineThickness != null) {
+            add('outline', this.checkOutlineThickness(sprite, guide.outlineThickness, imageData));
         }
-        details.outline = outlineCheck;
 
         // Check shading levels
-        const shadingCheck = this.checkShadingLevels(sprite, guide.shadingLevels);
-        if (!shadingCheck.valid) {
-            issues.push(...shadingCheck.issues);
+        if (guide.shadingLevels != null) {
+            add('shading', this.checkShadingLevels(sprite, guide.shadingLevels, imageData));
         }
-        details.shading = shadingCheck;
 
         // Check for clipping/overlap errors
-        const clippingCheck = this.checkClipping(sprite);
-        if (!clippingCheck.valid) {
-            issues.push(...clippingCheck.issues);
+        if (guide.clipping != null) {
+            add('clipping', this.checkClipping(sprite, guide.clipping, imageData));
+        }
+
+        if (guide.centering != null) {
+            add('centering', this.checkCentering(sprite, guide.centering, imageData));
+        }
+
+        return {
+            valid: violations.length === 0,
+            issues: violations.map(violation => violation.message),
+            violations: violations,
+            details: details
+        };
+    }
+
+    /**
+     * Check canvas dimensions
+     * @param {Object} sprite - Sprite object
+     * @param {number|Object} expected - Square size in px, or { width, height }
+     * @returns {Object} { valid: boolean, issues: Array<string>, actual: Object }
+     */
+    checkSize(sprite, expected) {
+        const canvas = sprite.canvas || sprite;
+        const width = typeof expected === 'number' ? expected : expected.width;
+        const height = typeof expected === 'number' ? expected : expected.height;
+        const issues = [];
+
+        if ((width && canvas.width !== width) || (height && canvas.height !== height)) {
+            issues.push(`Size ${canvas.width}x${canvas.height}, expected ${width || canvas.width}x${height || canvas.height}`);
         }
-        details.clipping = clippingCheck;
 
         return {
             valid: issues.length === 0,
             issues: issues,
-            details: details
+            actual: { width: canvas.width, height: canvas.height }
+        };
+    }
+
+    /**
+     * Check that the sprite is not empty or nearly invisible
+     * @param {Object} sprite - Sprite object
+     * @param {Object} options - { minOpaqueRatio = 0.01, minAlpha = 32 } share of
+     *   pixels that must be visible, and the alpha a pixel needs to count as visible
+     * @param {ImageData} imageData - Optional pixels (read from the canvas otherwise)
+     * @returns {Object} { valid: boolean, issues: Array<string>, opaqueRatio: number, maxAlpha: number }
+     */
+    checkCoverage(sprite, options = {}, imageData = null) {
+        const { minOpaqueRatio = 0.01, minAlpha = 32 } = options;
+        const data = (imageData || this.getImageData(sprite)).data;
+        const pixelCount = data.length / 4;
+        const issues = [];
+
+        let visible = 0;
+        let maxAlpha = 0;
+        for (let i = 3; i < data.length; i += 4) {
+            maxAlpha = Math.max(maxAlpha, data[i]);
+            if (data[i] >= minAlpha) visible++;
+        }
+        const opaqueRatio = pixelCount > 0 ? visible / pixelCount : 0;
+
+        if (maxAlpha === 0) {
+            issues.push('Image is empty (fully transparent)');
+        } else if (maxAlpha < minAlpha) {
+            issues.push(`Image is nearly transparent (max alpha ${maxAlpha})`);
+        } else if (opaqueRatio < minOpaqueRatio) {
+            issues.push(`Only ${(opaqueRatio * 100).toFixed(2)}% of pixels visible, expected at least ${(minOpaqueRatio * 100).toFixed(2)}%`);
+        }
+
+        return {
+            valid: issues.length === 0,
+            issues: issues,
+            opaqueRatio: opaqueRatio,
+            maxAlpha: maxAlpha
         };
     }
 
@@ -83,11 +172,11 @@ export class QAValidator {
         const issues = [];
         const canvas = sprite.canvas || sprite;
         const height = canvas.height || 48;
-        
+
         // Use ProportionManager to validate
         const proportionManager = new ProportionManager(height);
         const validation = proportionManager.validateProportions();
-        
+
         if (!validation.valid) {
             issues.push(...validation.errors);
         }
@@ -103,24 +192,18 @@ export class QAValidator {
     /**
      * Count unique colors in sprite
      * @param {Object} sprite - Sprite object with canvas
+     * @param {ImageData} imageData - Optional pixels (read from the canvas otherwise)
+     * @param {number} minAlpha - Only count pixels at least this opaque (default: every visible pixel)
      * @returns {number} Number of unique colors
      */
-    countColors(sprite) {
-        const canvas = sprite.canvas || sprite;
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    countColors(sprite, imageData = null, minAlpha = 1) {
+        const data = (imageData || this.getImageData(sprite)).data;
         const colors = new Set();
 
-        for (let i = 0; i < imageData.data.length; i += 4) {
-            const r = imageData.data[i];
-            const g = imageData.data[i + 1];
-            const b = imageData.data[i + 2];
-            const a = imageData.data[i + 3];
-
+        for (let i = 0; i < data.length; i += 4) {
             // Only count non-transparent pixels
-            if (a > 0) {
-                const colorKey = `${r},${g},${b}`;
-                colors.add(colorKey);
+            if (data[i + 3] >= minAlpha) {
+                colors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
             }
         }
 
@@ -128,79 +211,107 @@ export class QAValidator {
     }
 
     /**
-     * Check outline thickness
+     * Check the outer outline: the share of the silhouette edge drawn in outline
+     * (near-black) pixels, and how many pixels deep that outline runs inward
+     * (median over the edge; runs of MAX_OUTLINE_RUN or more are dark fill and skipped)
      * @param {Object} sprite - Sprite object
-     * @param {Object} expectedThickness - Expected thickness configuration
-     * @returns {Object} { valid: boolean, issues: Array<string> }
+     * @param {Object} expectedThickness - { outer: { min, max }, minCoverage }
+     * @param {ImageData} imageData - Optional pixels (read from the canvas otherwise)
+     * @returns {Object} { valid: boolean, issues: Array<string>, coverage: number, thickness: number|null }
      */
-    checkOutlineThickness(sprite) {
+    checkOutlineThickness(sprite, expectedThickness = this.styleGuide.outlineThickness, imageData = null) {
         const issues = [];
-        const canvas = sprite.canvas || sprite;
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        
-        // Sample outline pixels to check thickness
-        // This is a simplified check - full implementation would analyze all outline regions
-        let outerOutlineCount = 0;
-        let innerOutlineCount = 0;
-        
-        // Check edges (should have outer outline)
-        for (let x = 0; x < canvas.width; x++) {
-            const topPixel = this.getPixel(imageData, x, 0, canvas.width);
-            const bottomPixel = this.getPixel(imageData, x, canvas.height - 1, canvas.width);
-            
-            if (this.isOutlinePixel(topPixel) || this.isOutlinePixel(bottomPixel)) {
-                outerOutlineCount++;
+        const image = imageData || this.getImageData(sprite);
+        const { width, height } = image;
+        const outer = expectedThickness.outer || this.styleGuide.outlineThickness.outer;
+        const minCoverage = expectedThickness.minCoverage ?? this.styleGuide.outlineThickness.minCoverage;
+
+        const isOpaque = (x, y) => x >= 0 && y >= 0 && x < width && y < height && image.data[(y * width + x) * 4 + 3] > 0;
+        const isOutline = (x, y) => x >= 0 && y >= 0 && x < width && y < height && this.isOutlinePixel(this.getPixel(image, x, y, width));
+        const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+        let edgePixels = 0;
+        let outlinePixels = 0;
+        const runs = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!isOpaque(x, y)) continue;
+                const outward = directions.find(([dx, dy]) => !isOpaque(x + dx, y + dy));
+                if (!outward) continue;
+
+                edgePixels++;
+                if (!isOutline(x, y)) continue;
+                outlinePixels++;
+
+                // Walk inward, away from the transparent neighbor
+                let run = 0;
+                while (run < MAX_OUTLINE_RUN && isOutline(x - outward[0] * run, y - outward[1] * run)) {
+                    run++;
+                }
+                if (run < MAX_OUTLINE_RUN) runs.push(run);
             }
         }
-        
-        // Simplified validation - in production would do full region analysis
-        const hasOuterOutline = outerOutlineCount > canvas.width * 0.5;
-        
-        if (!hasOuterOutline) {
-            issues.push('Missing or insufficient outer outline (expected 2-3px)');
+
+        const coverage = edgePixels > 0 ? outlinePixels / edgePixels : 0;
+        runs.sort((a, b) => a - b);
+        const thickness = runs.length > 0 ? runs[Math.floor(runs.length / 2)] : null;
+
+        if (edgePixels > 0 && coverage < minCoverage) {
+            issues.push(`Outline covers ${Math.round(coverage * 100)}% of the silhouette edge, expected at least ${Math.round(minCoverage * 100)}%`);
+        } else if (thickness !== null && (thickness < outer.min || thickness > outer.max)) {
+            issues.push(`Outer outline is ${thickness}px thick, expected ${outer.min}-${outer.max}px`);
         }
 
         return {
             valid: issues.length === 0,
             issues: issues,
-            outerOutlineDetected: hasOuterOutline
+            outerOutlineDetected: outlinePixels > 0,
+            coverage: coverage,
+            thickness: thickness
         };
     }
 
     /**
-     * Check shading levels (should be 5-level cel-shading)
+     * Check shading levels (should be 5-level cel-shading). Levels are the
+     * brightness bands of the sprite's main material: the largest group of
+     * non-outline pixels sharing a hue (or gray).
      * @param {Object} sprite - Sprite object
-     * @param {number} expectedLevels - Expected shading levels (default: 5)
+     * @param {number|Object} expectedLevels - n (accepts n±1) or { min, max } (default: 5)
+     * @param {ImageData} imageData - Optional pixels (read from the canvas otherwise)
      * @returns {Object} { valid: boolean, issues: Array<string>, detectedLevels: number }
      */
-    checkShadingLevels(sprite, expectedLevels = 5) {
+    checkShadingLevels(sprite, expectedLevels = 5, imageData = null) {
         const issues = [];
-        const canvas = sprite.canvas || sprite;
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        
-        // Analyze color variations to detect shading levels
-        const colorVariations = new Set();
-        
-        for (let i = 0; i < imageData.data.length; i += 4) {
-            const r = imageData.data[i];
-            const g = imageData.data[i + 1];
-            const b = imageData.data[i + 2];
-            const a = imageData.data[i + 3];
-            
-            if (a > 0) {
-                // Group similar colors (within 10% variance) as same shading level
-                const colorKey = `${Math.floor(r / 25)},${Math.floor(g / 25)},${Math.floor(b / 25)}`;
-                colorVariations.add(colorKey);
-            }
+        const data = (imageData || this.getImageData(sprite)).data;
+        const range = typeof expectedLevels === 'number'
+            ? { min: expectedLevels - 1, max: expectedLevels + 1 }
+            : expectedLevels;
+
+        // Brightness bands (16 levels of luma) per hue group
+        const groups = new Map();
+        for (let i = 0; i < data.length; i += 4) {
+            const pixel = [data[i], data[i + 1], data[i + 2], data[i + 3]];
+            if (pixel[3] === 0 || this.isOutlinePixel(pixel)) continue;
+
+            const hueGroup = this.hueGroup(pixel);
+            if (!groups.has(hueGroup)) groups.set(hueGroup, { pixels: 0, bands: new Map() });
+            const group = groups.get(hueGroup);
+            const band = Math.floor((0.299 * pixel[0] + 0.587 * pixel[1] + 0.114 * pixel[2]) / 16);
+            group.pixels++;
+            group.bands.set(band, (group.bands.get(band) || 0) + 1);
         }
-        
-        const detectedLevels = colorVariations.size;
-        
-        // Allow some flexibility (±1 level)
-        if (detectedLevels < expectedLevels - 1 || detectedLevels > expectedLevels + 1) {
-            issues.push(`Detected ${detectedLevels} shading levels, expected ${expectedLevels} (±1)`);
+
+        let main = null;
+        for (const group of groups.values()) {
+            if (!main || group.pixels > main.pixels) main = group;
+        }
+        // Bands under 2% of the material are anti-aliasing, not shading
+        const detectedLevels = main
+            ? [...main.bands.values()].filter(count => count >= main.pixels * 0.02).length
+            : 0;
+
+        if (main && (detectedLevels < range.min || detectedLevels > range.max)) {
+            issues.push(`Detected ${detectedLevels} shading levels, expected ${range.min === range.max ? range.min : `${range.min}-${range.max}`}`);
         }
 
         return {
@@ -214,32 +325,112 @@ export class QAValidator {
     /**
      * Check for clipping/overlap errors
      * @param {Object} sprite - Sprite object
-     * @returns {Object} { valid: boolean, issues: Array<string> }
+     * @param {Object} options - { edges = true, centerOpaque = true }: flag visible
+     *   pixels on the canvas border (sprite cut off) / a transparent center
+     * @param {ImageData} imageData - Optional pixels (read from the canvas otherwise)
+     * @returns {Object} { valid: boolean, issues: Array<string>, edgePixels: number }
      */
-    checkClipping(sprite) {
+    checkClipping(sprite, options = {}, imageData = null) {
+        const { edges = true, centerOpaque = true } = options;
         const issues = [];
-        const canvas = sprite.canvas || sprite;
-        
-        // Check if sprite extends beyond canvas bounds
-        // This is a simplified check - full implementation would analyze layer overlaps
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        
+        const image = imageData || this.getImageData(sprite);
+        const { width, height } = image;
+
+        let edgePixels = 0;
+        if (edges) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (x > 0 && y > 0 && x < width - 1 && y < height - 1) continue;
+                    if (this.getPixel(image, x, y, width)[3] > 0) edgePixels++;
+                }
+            }
+            if (edgePixels > 0) {
+                issues.push(`${edgePixels} visible pixel(s) on the canvas border (sprite may be clipped)`);
+            }
+        }
+
         // Check for unexpected transparency in center (might indicate clipping)
-        const centerX = Math.floor(canvas.width / 2);
-        const centerY = Math.floor(canvas.height / 2);
-        const centerPixel = this.getPixel(imageData, centerX, centerY, canvas.width);
-        
-        if (centerPixel && centerPixel[3] === 0) {
-            issues.push('Unexpected transparency in sprite center (possible clipping)');
+        if (centerOpaque) {
+            const centerPixel = this.getPixel(image, Math.floor(width / 2), Math.floor(height / 2), width);
+            if (centerPixel && centerPixel[3] === 0) {
+                issues.push('Unexpected transparency in sprite center (possible clipping)');
+            }
         }
 
         return {
             valid: issues.length === 0,
-            issues: issues
+            issues: issues,
+            edgePixels: edgePixels
         };
     }
 
+    /**
+     * Check that the visible bounding box is centered on the canvas
+     * @param {Object} sprite - Sprite object
+     * @param {Object} options - { maxOffsetX = 0.1, maxOffsetY = 0.1 } allowed offset
+     *   of the box center from the canvas center, as a fraction of the canvas size
+     * @param {ImageData} imageData - Optional pixels (read from the canvas otherwise)
+     * @returns {Object} { valid: boolean, issues: Array<string>, bounds: Object|null, offset: Object|null }
+     */
+    checkCentering(sprite, options = {}, imageData = null) {
+        const { maxOffsetX = 0.1, maxOffsetY = 0.1 } = options;
+        const issues = [];
+        const image = imageData || this.getImageData(sprite);
+        const bounds = this.getBounds(image);
+        if (!bounds) {
+            return { valid: true, issues: issues, bounds: null, offset: null };
+        }
+
+        const offset = {
+            x: (bounds.x + bounds.width / 2 - image.width / 2) / image.width,
+            y: (bounds.y + bounds.height / 2 - image.height / 2) / image.height
+        };
+        if (Math.abs(offset.x) > maxOffsetX || Math.abs(offset.y) > maxOffsetY) {
+            const px = v => `${v >= 0 ? '+' : ''}${Math.round(v * 100)}%`;
+            issues.push(`Bounding box off center by ${px(offset.x)} x, ${px(offset.y)} y (allowed ±${Math.round(maxOffsetX * 100)}% x, ±${Math.round(maxOffsetY * 100)}% y)`);
+        }
+
+        return {
+            valid: issues.length === 0,
+            issues: issues,
+            bounds: bounds,
+            offset: offset
+        };
+    }
+
+    /**
+     * Bounding box of the visible pixels
+     * @param {ImageData} imageData - Pixels
+     * @returns {{x: number, y: number, width: number, height: number}|null} null when fully transparent
+     */
+    getBounds(imageData) {
+        const { width, height, data } = imageData;
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] === 0) continue;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * Read the sprite's pixels
+     * @private
+     */
+    getImageData(sprite) {
+        const canvas = sprite.canvas || sprite;
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    }
+
     /**
      * Get pixel from ImageData
      * @private
@@ -247,7 +438,7 @@ export class QAValidator {
     getPixel(imageData, x, y, width) {
         const index = (y * width + x) * 4;
         if (index < 0 || index >= imageData.data.length) return null;
-        
+
         return [
             imageData.data[index],
             imageData.data[index + 1],
@@ -256,6 +447,23 @@ export class QAValidator {
         ];
     }
 
+    /**
+     * Hue group of a pixel: 'gray' for low saturation, else one of 12 hue sectors
+     * @private
+     */
+    hueGroup([r, g, b]) {
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const chroma = max - min;
+        if (chroma < 24) return 'gray';
+
+        let hue;
+        if (max === r) hue = ((g - b) / chroma + 6) % 6;
+        else if (max === g) hue = (b - r) / chroma + 2;
+        else hue = (r - g) / chroma + 4;
+        return Math.floor(hue * 2);
+    }
+
     /**
      * Check if pixel is an outline pixel (black or very dark)
      * @private
@@ -267,4 +475,3 @@ export class QAValidator {
         return r < 25 && g < 25 && b < 25 && pixel[3] > 0;
     }
 }
-
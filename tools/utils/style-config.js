@@ -0,0 +1,227 @@
+/**
+ * Style Config
+ * Turns a reference analysis into settings the sprite generators understand,
+ * and applies the parts of it that are post-processing (outline, color count).
+ *
+ * Accepted inputs:
+ * - ImageAnalyzer.analyzeReference() output (generate-assets.js --analyze)
+ * - analyze-sprite.js <name>_config.json files
+ * - an already resolved style (returned unchanged)
+ *
+ * Resolved style:
+ *   {
+ *     source,
+ *     size: { width, height } | null,          // reference image size
+ *     colors: { skin: '#rrggbb', armor, ... },  // first color per material
+ *     proportions: { head, torso, legs, arms } | null,  // fractions of the figure's height
+ *     outline: { color: '#rrggbb', thickness } | null,  // thickness in reference pixels
+ *     colorCount: number | null
+ *   }
+ */
+
+import fs from 'fs';
+import { createCanvas } from 'canvas';
+import { hexToRgbArray } from './color-utils.js';
+import { quantizeImage, rgbToHexString, MAX_INDEXED_COLORS } from './indexed-palette.js';
+
+export const STYLE_MATERIALS = ['skin', 'armor', 'metal', 'cloth', 'accent', 'glow', 'wood'];
+
+// Pixels at least this opaque belong to the silhouette (drop shadows and auras do not)
+const SILHOUETTE_ALPHA = 128;
+
+/**
+ * Load a style config JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Parsed (unresolved) style config
+ */
+export function loadStyleConfig(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Style config not found: ${filePath}`);
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Style config ${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+function toHex(color) {
+    return rgbToHexString(hexToRgbArray(color));
+}
+
+function positive(value) {
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Proportions of an ImageAnalyzer analysis as fractions of the figure's height
+ * Head, torso and legs come from the silhouette (arms cannot be told apart
+ * from the torso there and keep the generator's default). Analyses without a
+ * silhouette fall back to the color regions, relative to the image height;
+ * older analyses recorded neither size nor silhouette and cannot be scaled.
+ * @private
+ */
+function analyzedProportions({ proportions, silhouette, size }) {
+    const height = silhouette?.height || size?.height;
+    if (!proportions || !height) return null;
+    const fraction = pixels => (Number.isFinite(pixels) && pixels > 0 ? pixels / height : null);
+    if (silhouette) {
+        return {
+            head: fraction(silhouette.head),
+            torso: fraction(silhouette.torso),
+            legs: fraction(silhouette.legs),
+            arms: null
+        };
+    }
+    return {
+        head: fraction(proportions.headSize),
+        torso: fraction(proportions.torsoHeight),
+        legs: fraction(proportions.legLength),
+        arms: fraction(proportions.armLength)
+    };
+}
+
+/**
+ * Normalize a style config (see header for the accepted formats)
+ * @param {Object} styleConfig - Style config
+ * @returns {Object} Resolved style
+ */
+export function resolveStyleConfig(styleConfig) {
+    if (!styleConfig || typeof styleConfig !== 'object') {
+        throw new Error('Style config must be an object');
+    }
+    if (styleConfig.colors && !styleConfig.palette) {
+        return styleConfig;
+    }
+
+    // analyze-sprite.js: ratios of the sprite's bounding box, palette as hex strings
+    if (styleConfig.proportions?.headRatio !== undefined) {
+        const { proportions, palette = {}, outline } = styleConfig;
+        const skin = palette.skinTones?.[0];
+        return {
+            source: styleConfig.source || null,
+            size: styleConfig.frameSize || null,
+            colors: skin ? { skin: toHex(skin) } : {},
+            proportions: {
+                head: proportions.headRatio,
+                torso: proportions.torsoRatio,
+                legs: proportions.legsRatio,
+                arms: null
+            },
+            outline: outline ? { color: toHex(outline.color), thickness: outline.thickness || 1 } : null,
+            colorCount: positive(palette.all?.length)
+        };
+    }
+
+    // ImageAnalyzer: material palette of numeric colors, proportions in pixels
+    const { palette = {}, style = {}, size = null } = styleConfig;
+    const colors = {};
+    for (const material of STYLE_MATERIALS) {
+        if (palette[material]?.length > 0) colors[material] = toHex(palette[material][0]);
+    }
+    return {
+        source: styleConfig.source || null,
+        size,
+        colors,
+        proportions: analyzedProportions(styleConfig),
+        outline: style.outlineColor !== undefined
+            ? { color: toHex(style.outlineColor), thickness: style.outlineThickness || 1 }
+            : null,
+        colorCount: positive(style.colorCount)
+    };
+}
+
+/**
+ * Draw the style's outline around a sprite's silhouette
+ * The outline is drawn outside the silhouette so thin parts keep their colors;
+ * its thickness is scaled from reference pixels to the canvas when the reference size is known.
+ * @param {ImageData} imageData - Pixels, changed in place
+ * @param {Object} outline - { color, thickness }
+ * @param {number} scale - Canvas pixels per reference pixel
+ */
+function drawStyleOutline(imageData, outline, scale) {
+    const { width, height, data } = imageData;
+    const thickness = Math.max(1, Math.round(outline.thickness * scale));
+    const [r, g, b] = hexToRgbArray(outline.color);
+    const solid = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[(y * width + x) * 4 + 3] >= SILHOUETTE_ALPHA;
+
+    // Pixels outside the silhouette within thickness (Chebyshev distance) of it
+    const ring = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (solid(x, y)) continue;
+            let near = false;
+            for (let dy = -thickness; dy <= thickness && !near; dy++) {
+                for (let dx = -thickness; dx <= thickness && !near; dx++) {
+                    if (solid(x + dx, y + dy)) near = true;
+                }
+            }
+            if (near) ring.push((y * width + x) * 4);
+        }
+    }
+    for (const i of ring) {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = 255;
+    }
+}
+
+/**
+ * Snap every visible pixel to a palette of at most maxColors colors
+ * @param {ImageData} imageData - Pixels, changed in place
+ * @param {number} maxColors - Palette size
+ */
+function limitColors(imageData, maxColors) {
+    const indexed = quantizeImage(imageData, { maxColors });
+    const { data } = imageData;
+    for (let i = 0; i < indexed.alpha.length; i++) {
+        if (indexed.alpha[i] === 0) continue;
+        const [r, g, b] = indexed.palette[indexed.indices[i]];
+        data[i * 4] = r;
+        data[i * 4 + 1] = g;
+        data[i * 4 + 2] = b;
+    }
+}
+
+/**
+ * Apply a resolved style's outline and color count to a finished sprite
+ * @param {Canvas} canvas - Sprite canvas, changed in place
+ * @param {Object} style - Resolved style
+ * @returns {Canvas} The same canvas
+ */
+export function applyStyle(canvas, style) {
+    if (!style.outline && !style.colorCount) return canvas;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    // Colors are limited first, keeping one palette slot for the outline, so
+    // quantizing cannot blend the outline into the darkest shade
+    if (style.colorCount) {
+        const maxColors = Math.max(2, Math.min(MAX_INDEXED_COLORS, Math.round(style.colorCount)));
+        limitColors(imageData, style.outline ? maxColors - 1 : maxColors);
+    }
+    if (style.outline) {
+        const scale = style.size?.height ? canvas.height / style.size.height : 1;
+        drawStyleOutline(imageData, style.outline, scale);
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+/**
+ * Nearest-neighbour copy of a sprite at the reference's height, centered in the reference's width
+ * Used to measure a generated sprite with the same pixel grid as its reference.
+ * @param {Canvas} canvas - Sprite canvas
+ * @param {Object} size - { width, height }
+ * @returns {Canvas} Scaled copy
+ */
+export function scaleToReference(canvas, size) {
+    const scaled = createCanvas(size.width, size.height);
+    const ctx = scaled.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    const width = Math.round(canvas.width * (size.height / canvas.height));
+    ctx.drawImage(canvas, Math.round((size.width - width) / 2), 0, width, size.height);
+    return scaled;
+}
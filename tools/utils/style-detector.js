@@ -83,20 +83,28 @@ export class StyleDetector {
             }
         });
         
-        // Estimate thickness (simplified - count consecutive edge pixels)
-        let thickness = 1;
-        for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-                if (this.isEdgePixel(imageData, x, y)) {
-                    // Check how many pixels in a row are edge pixels
-                    let consecutive = 1;
-                    for (let dx = 1; x + dx < width && this.isEdgePixel(imageData, x + dx, y); dx++) {
-                        consecutive++;
-                    }
-                    thickness = Math.max(thickness, Math.min(consecutive, 3));
+        // Estimate thickness: median depth of the outline-colored band, walking
+        // inward from each edge pixel (away from its transparent neighbor)
+        const [or, og, ob] = [(outlineColor >> 16) & 0xFF, (outlineColor >> 8) & 0xFF, outlineColor & 0xFF];
+        const isOutline = (pixel) => pixel && pixel[3] > 0 &&
+            Math.abs(pixel[0] - or) + Math.abs(pixel[1] - og) + Math.abs(pixel[2] - ob) < 60;
+        const depths = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!this.isEdgePixel(imageData, x, y)) continue;
+                const outward = [[-1, 0], [1, 0], [0, -1], [0, 1]].find(([dx, dy]) => {
+                    const neighbor = this.getPixel(imageData, x + dx, y + dy);
+                    return !neighbor || neighbor[3] === 0;
+                });
+                let depth = 0;
+                while (depth < 4 && isOutline(this.getPixel(imageData, x - outward[0] * depth, y - outward[1] * depth))) {
+                    depth++;
                 }
+                if (depth > 0) depths.push(depth);
             }
         }
+        depths.sort((a, b) => a - b);
+        const thickness = depths.length > 0 ? depths[Math.floor(depths.length / 2)] : 1;
         
         return {
             color: outlineColor,
@@ -0,0 +1,133 @@
+/**
+ * Style Fit
+ * Fits a generator to a reference image: generate a sprite with the current
+ * style, measure it with ImageAnalyzer at the reference's size, move the
+ * style's proportions and color count toward the reference's measurements,
+ * and repeat until every metric is within tolerance or the iteration budget
+ * runs out. Both sides are measured by the same analyzer, so its heuristics
+ * cancel out; the best iteration is returned either way.
+ */
+
+import { ImageAnalyzer } from './image-analyzer.js';
+import { resolveStyleConfig, scaleToReference } from './style-config.js';
+import { clamp } from './color-utils.js';
+import { MAX_INDEXED_COLORS } from './indexed-palette.js';
+
+export const FIT_DEFAULTS = {
+    tolerance: 0.1,      // Largest relative error that counts as a match
+    maxIterations: 8,
+    damping: 0.8         // Exponent on each correction (1 = jump straight to the estimate)
+};
+
+// Style proportions fitted against the analyzer's silhouette (fractions of the figure's height)
+export const FIT_PROPORTIONS = ['head', 'torso', 'legs'];
+
+export const FIT_METRICS = [...FIT_PROPORTIONS, 'colorCount'];
+
+// Limits for fitted proportions (fractions of the figure's height) and per-step corrections
+const PROPORTION_RANGE = [0.02, 0.9];
+const STEP_RANGE = [0.5, 2];
+
+function metricValue(analysis, metric) {
+    if (metric === 'colorCount') return analysis.style.colorCount;
+    const silhouette = analysis.silhouette;
+    return silhouette?.[metric] ? silhouette[metric] / silhouette.height : null;
+}
+
+/**
+ * Compare a generated sprite's analysis with the reference's
+ * @param {Object} measured - ImageAnalyzer analysis of the generated sprite (at the reference's size)
+ * @param {Object} reference - ImageAnalyzer analysis of the reference
+ * @param {Array<string>} metrics - Metric names from FIT_METRICS; those the reference
+ *   has no measurement for (e.g. legs under a robe) are skipped
+ * @param {number} tolerance - Largest relative error that counts as a match
+ * @returns {Object} { metrics: [{ name, reference, measured, error }], maxError, within }
+ *   (measured is null, error 1, when the generated sprite lacks a measurement)
+ */
+export function compareToReference(measured, reference, metrics = FIT_METRICS, tolerance = FIT_DEFAULTS.tolerance) {
+    const rows = metrics.filter(name => metricValue(reference, name) > 0).map(name => {
+        const target = metricValue(reference, name);
+        const value = metricValue(measured, name);
+        const error = value > 0 ? Math.abs(value - target) / target : 1;
+        return { name, reference: target, measured: value, error };
+    });
+    const maxError = Math.max(0, ...rows.map(row => row.error));
+    return { metrics: rows, maxError, within: maxError <= tolerance };
+}
+
+/**
+ * Next style after one measurement: each parameter is scaled by the
+ * (damped) ratio between the reference and the measured value
+ * @private
+ */
+function adjustStyle(style, comparison, { damping, tolerance }) {
+    const next = { ...style, proportions: style.proportions ? { ...style.proportions } : null };
+    for (const { name, reference, measured, error } of comparison.metrics) {
+        if (error <= tolerance || !(measured > 0) || !(reference > 0)) continue;
+        const step = clamp((reference / measured) ** damping, ...STEP_RANGE);
+
+        if (name === 'colorCount') {
+            const current = style.colorCount || measured;
+            let count = Math.round(current * step);
+            // Rounding must not stall the search
+            if (count === current) count += reference > measured ? 1 : -1;
+            next.colorCount = clamp(count, 2, MAX_INDEXED_COLORS);
+        } else if (next.proportions?.[name] > 0) {
+            next.proportions[name] = clamp(next.proportions[name] * step, ...PROPORTION_RANGE);
+        }
+    }
+    return next;
+}
+
+/**
+ * Fit a generator's style to a reference
+ * @param {Object} reference - ImageAnalyzer analysis of the reference (must include size)
+ * @param {Function} render - (style) => canvas; draws a sprite with a resolved style
+ * @param {Object} options - { tolerance, maxIterations, damping (see FIT_DEFAULTS),
+ *   metrics: names from FIT_METRICS to fit (default all), analyzer,
+ *   onIteration(entry) progress callback }
+ * @returns {Object} { converged, iterations, style, canvas, comparison, history: [{ iteration, colorCount, proportions, comparison }] }
+ *   where style, canvas and comparison are those of the best iteration
+ */
+export function fitStyle(reference, render, options = {}) {
+    const { tolerance, maxIterations, damping } = { ...FIT_DEFAULTS, ...options };
+    const metrics = options.metrics || FIT_METRICS;
+    const analyzer = options.analyzer || new ImageAnalyzer();
+    if (!reference?.size) {
+        throw new Error('Style fit needs a reference analysis with its image size (re-run ImageAnalyzer on the reference)');
+    }
+    const unknown = metrics.filter(name => !FIT_METRICS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown fit metric(s): ${unknown.join(', ')} (expected: ${FIT_METRICS.join(', ')})`);
+    }
+
+    let style = resolveStyleConfig(reference);
+    const history = [];
+    let best = null;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        const canvas = render(style);
+        const scaled = scaleToReference(canvas, reference.size);
+        const imageData = scaled.getContext('2d').getImageData(0, 0, scaled.width, scaled.height);
+        const comparison = compareToReference(analyzer.analyzeImageData(imageData), reference, metrics, tolerance);
+
+        const entry = { iteration, colorCount: style.colorCount, proportions: style.proportions, comparison };
+        history.push(entry);
+        if (options.onIteration) options.onIteration(entry);
+        if (!best || comparison.maxError < best.comparison.maxError) {
+            best = { style, canvas, comparison };
+        }
+        if (comparison.within) break;
+
+        style = adjustStyle(style, comparison, { damping, tolerance });
+    }
+
+    return {
+        converged: best.comparison.within,
+        iterations: history.length,
+        style: best.style,
+        canvas: best.canvas,
+        comparison: best.comparison,
+        history
+    };
+}
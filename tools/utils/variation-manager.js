@@ -1,11 +1,55 @@
 /**
  * Variation Manager
  * Generates controlled sprite variations (color, size, equipment, pose)
+ *
+ * Color and size variations work on any canvas. Equipment and pose variations
+ * work at the part level: they need a renderable sprite (see
+ * createHeroVariantSource / createHumanoidVariantSource) that can be drawn again
+ * with a { equipment, pose } variant.
  */
 
 import { SeededRNG } from './seeded-rng.js';
 import { MaterialShader } from './material-shader.js';
 import { createCanvas } from 'canvas';
+import { HeroSpriteGenerator, HERO_WEAPONS } from '../generators/hero-sprite-generator.js';
+import { HumanoidGenerator } from '../generators/humanoid-generator.js';
+
+// Largest sprites the generators produce are 512x512 humanoids; heroes are 256x256
+const MIN_SPRITE_SIZE = 16;
+const MAX_SPRITE_SIZE = 512;
+
+const POSE_PARTS = ['head', 'leftArm', 'rightArm', 'leftLeg', 'rightLeg'];
+
+/**
+ * Renderable hero sprite for part-level variation
+ * @param {Object} heroData - Hero appearance data (as for HeroSpriteGenerator.generate)
+ * @param {string} heroId - Hero identifier
+ * @param {HeroSpriteGenerator} generator - Generator to draw with
+ * @returns {Object} { canvas, width, height, render(variant) }
+ */
+export function createHeroVariantSource(heroData, heroId, generator = new HeroSpriteGenerator()) {
+    const render = (variant = {}) => generator.exportSprite(generator.generate(heroData, heroId, variant));
+    const canvas = render();
+    return { canvas, width: canvas.width, height: canvas.height, render, weapons: HERO_WEAPONS };
+}
+
+/**
+ * Renderable humanoid sprite for pose variation. Humanoids are unequipped base
+ * bodies, so only the pose applies (and their right limbs mirror the left).
+ * @param {number} seed - Seed the humanoid was generated with
+ * @param {Object} options - HumanoidGenerator options (bloodline, paletteName)
+ * @param {number} size - Canvas size
+ * @returns {Object} { canvas, width, height, render(variant) }
+ */
+export function createHumanoidVariantSource(seed, options = {}, size = 512) {
+    const render = (variant = {}) => {
+        const canvas = createCanvas(size, size);
+        new HumanoidGenerator(canvas, new SeededRNG(seed), { ...options, pose: variant.pose }).generate();
+        return canvas;
+    };
+    const canvas = render();
+    return { canvas, width: size, height: size, render, weapons: [] };
+}
 
 export class VariationManager {
     constructor(seed = 12345) {
@@ -23,31 +67,40 @@ export class VariationManager {
         const {
             colorVariation = 0.1,      // ±10% color shift
             sizeVariation = 0.05,      // ±5% size variation
-            equipmentVariation = false, // Random equipment pieces
-            poseVariation = false       // Slight pose changes
+            equipmentVariation = false, // Random weapon, helmet, shoulder pads
+            poseVariation = false       // Small seeded limb offsets
         } = variationConfig;
 
         // Clone base sprite
         const variedSprite = await this.cloneSprite(baseSprite);
 
-        // Apply color variation
-        if (colorVariation > 0) {
-            this.applyColorVariation(variedSprite, colorVariation);
-        }
-
-        // Apply size variation
-        if (sizeVariation > 0) {
-            await this.applySizeVariation(variedSprite, sizeVariation);
+        // Part-level variations re-render the sprite, so they come before the pixel-level ones
+        if (equipmentVariation || poseVariation) {
+            variedSprite.variant = {};
         }
 
         // Apply equipment variation
         if (equipmentVariation) {
-            this.applyEquipmentVariation(variedSprite);
+            this.applyEquipmentVariation(variedSprite, variationConfig);
         }
 
         // Apply pose variation
         if (poseVariation) {
-            this.applyPoseVariation(variedSprite);
+            this.applyPoseVariation(variedSprite, variationConfig);
+        }
+
+        if (variedSprite.variant) {
+            this.renderVariant(variedSprite);
+        }
+
+        // Apply color variation
+        if (colorVariation > 0) {
+            this.applyColorVariation(variedSprite, colorVariation);
+        }
+
+        // Apply size variation
+        if (sizeVariation > 0) {
+            await this.applySizeVariation(variedSprite, sizeVariation);
         }
 
         return variedSprite;
@@ -82,9 +135,10 @@ export class VariationManager {
     /**
      * Validate that a variation is still valid
      * @param {Object} variation - Varied sprite
+     * @param {Object} limits - { minSize, maxSize } in pixels (defaults cover every generated sprite, 16-512)
      * @returns {Object} { valid: boolean, issues: Array<string> }
      */
-    validateVariation(variation) {
+    validateVariation(variation, { minSize = MIN_SPRITE_SIZE, maxSize = MAX_SPRITE_SIZE } = {}) {
         const issues = [];
         
         // Check that sprite still has content
@@ -97,12 +151,21 @@ export class VariationManager {
             const width = variation.canvas.width;
             const height = variation.canvas.height;
             
-            if (width < 16 || width > 128) {
-                issues.push(`Invalid width: ${width} (expected 16-128)`);
+            if (width < minSize || width > maxSize) {
+                issues.push(`Invalid width: ${width} (expected ${minSize}-${maxSize})`);
             }
             
-            if (height < 16 || height > 128) {
-                issues.push(`Invalid height: ${height} (expected 16-128)`);
+            if (height < minSize || height > maxSize) {
+                issues.push(`Invalid height: ${height} (expected ${minSize}-${maxSize})`);
+            }
+            
+            const data = variation.canvas.getContext('2d').getImageData(0, 0, width, height).data;
+            let opaque = false;
+            for (let i = 3; i < data.length && !opaque; i += 4) {
+                opaque = data[i] > 0;
+            }
+            if (!opaque) {
+                issues.push('Variation is fully transparent');
             }
         }
         
@@ -167,23 +230,58 @@ export class VariationManager {
     }
 
     /**
-     * Apply equipment variation
+     * Pick seeded equipment for the variant: weapon type, helmet on/off, shoulder pads
+     * @param {Object} sprite - Renderable sprite (sprite.weapons lists the weapon types it can draw)
+     * @param {Object} config - { weapons, helmetChance = 0.5, shoulderPadChance = 0.5 }
      * @private
      */
-    applyEquipmentVariation(sprite) {
-        // This would modify equipment layers
-        // For now, it's a placeholder - would need access to generator's equipment methods
-        // In a full implementation, this would randomly add/remove equipment pieces
+    applyEquipmentVariation(sprite, config = {}) {
+        const weapons = config.weapons || sprite.weapons || [];
+        const { helmetChance = 0.5, shoulderPadChance = 0.5 } = config;
+        
+        const equipment = {
+            hasHelmet: this.rng.random() < helmetChance,
+            shoulderPads: this.rng.random() < shoulderPadChance
+        };
+        if (weapons.length > 0) {
+            equipment.weapon = this.rng.randomChoice(weapons);
+        }
+        sprite.variant.equipment = equipment;
     }
 
     /**
-     * Apply pose variation
+     * Pick seeded limb offsets for the variant
+     * @param {Object} sprite - Renderable sprite
+     * @param {Object} config - { poseAmount = 0.012 }: largest offset as a fraction of the sprite size
+     *                          (3px on a 256px hero)
      * @private
      */
-    applyPoseVariation(sprite) {
-        // This would slightly adjust body part positions
-        // For now, it's a placeholder - would need access to generator's drawing methods
-        // In a full implementation, this would slightly shift limbs/head positions
+    applyPoseVariation(sprite, config = {}) {
+        const { poseAmount = 0.012 } = config;
+        const maxOffset = Math.max(1, Math.round(Math.max(sprite.width, sprite.height) * poseAmount));
+        
+        const pose = {};
+        for (const part of POSE_PARTS) {
+            pose[part] = {
+                x: this.rng.randomInt(-maxOffset, maxOffset),
+                y: this.rng.randomInt(-maxOffset, maxOffset)
+            };
+        }
+        sprite.variant.pose = pose;
+    }
+
+    /**
+     * Draw the sprite again with its chosen variant
+     * @private
+     */
+    renderVariant(sprite) {
+        if (typeof sprite.render !== 'function') {
+            throw new Error('Equipment and pose variation need a renderable sprite (createHeroVariantSource or createHumanoidVariantSource)');
+        }
+        const canvas = sprite.render(sprite.variant);
+        sprite.canvas = canvas;
+        sprite.width = canvas.width;
+        sprite.height = canvas.height;
     }
 
     /**
@@ -196,11 +294,12 @@ export class VariationManager {
         const ctx = newCanvas.getContext('2d');
         ctx.drawImage(canvas, 0, 0);
         
+        // Spread first so the copy, not the base sprite's canvas, gets varied
         return {
+            ...sprite,
             canvas: newCanvas,
             width: canvas.width,
-            height: canvas.height,
-            ...sprite
+            height: canvas.height
         };
     }
 
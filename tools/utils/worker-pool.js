@@ -0,0 +1,105 @@
+/**
+ * Worker Pool
+ * Runs a list of tasks across a fixed number of worker_threads workers.
+ * Every task settles independently: a task that throws (or crashes its worker)
+ * is reported as failed and the pool keeps going with a fresh worker.
+ *
+ * Worker protocol: the worker receives { index, task } and must reply with
+ * { index, ok: true, value } or { index, ok: false, error }.
+ */
+
+import { Worker } from 'worker_threads';
+
+export class WorkerPool {
+    /**
+     * @param {string|URL} workerPath - Worker module path
+     * @param {number} size - Maximum number of concurrent workers
+     */
+    constructor(workerPath, size = 1) {
+        this.workerPath = workerPath;
+        this.size = Math.max(1, Math.floor(size) || 1);
+    }
+
+    /**
+     * Run all tasks
+     * @param {Array} tasks - Task payloads (must be structured-cloneable)
+     * @param {Function} onSettled - Optional callback(result, index, settledCount) per task
+     * @returns {Promise<Array<{ok: boolean, value?: *, error?: string}>>} Results in task order
+     */
+    run(tasks, onSettled = null) {
+        if (tasks.length === 0) return Promise.resolve([]);
+
+        return new Promise((resolve) => {
+            const results = new Array(tasks.length);
+            const workers = new Set();
+            let nextIndex = 0;
+            let settledCount = 0;
+
+            const settle = (index, result) => {
+                if (results[index]) return;
+                results[index] = result;
+                settledCount++;
+                if (onSettled) onSettled(result, index, settledCount);
+            };
+
+            const finish = () => {
+                for (const worker of workers) {
+                    worker.removeAllListeners();
+                    worker.terminate();
+                }
+                workers.clear();
+                resolve(results);
+            };
+
+            const dispatch = (worker) => {
+                if (nextIndex >= tasks.length) {
+                    worker.current = null;
+                    workers.delete(worker);
+                    worker.removeAllListeners();
+                    worker.terminate();
+                    if (settledCount === tasks.length) finish();
+                    return;
+                }
+                worker.current = nextIndex++;
+                worker.postMessage({ index: worker.current, task: tasks[worker.current] });
+            };
+
+            const spawn = () => {
+                const worker = new Worker(this.workerPath);
+                worker.current = null;
+                workers.add(worker);
+
+                worker.on('message', (message) => {
+                    settle(message.index, message.ok
+                        ? { ok: true, value: message.value }
+                        : { ok: false, error: message.error || 'Unknown worker error' });
+                    dispatch(worker);
+                });
+
+                // An uncaught error or crash only fails the task the worker was running
+                const onFailure = (reason) => {
+                    if (!workers.has(worker)) return;
+                    workers.delete(worker);
+                    worker.removeAllListeners();
+                    if (worker.current !== null) {
+                        settle(worker.current, { ok: false, error: reason });
+                    }
+                    if (nextIndex < tasks.length) {
+                        dispatch(spawn());
+                    } else if (settledCount === tasks.length) {
+                        finish();
+                    }
+                };
+                worker.on('error', (error) => onFailure(error.message));
+                worker.on('exit', (code) => onFailure(`Worker exited with code ${code}`));
+
+                return worker;
+            };
+
+            const initial = Math.min(this.size, tasks.length);
+            for (let i = 0; i < initial; i++) {
+                dispatch(spawn());
+            }
+        });
+    }
+}
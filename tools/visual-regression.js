@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * Visual Regression Tests
+ * Renders the fixed case matrix in tools/visual-regression/matrix.js through
+ * UnifiedAssetGenerator.generate() and compares every image with its golden PNG
+ * (tools/visual-regression/goldens/<group>/<id>.png). Failing cases get the
+ * rendered image and a diff image, and all results go into an HTML report.
+ * Run with --update after an intended visual change to accept the new output.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { UnifiedAssetGenerator } from './unified-asset-generator.js';
+import { VISUAL_MATRIX } from './visual-regression/matrix.js';
+import { readImageData, compareImages, createDiffImage } from './utils/image-diff.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const REGRESSION_DIR = path.join(__dirname, 'visual-regression');
+
+const CONFIG = {
+    GOLDENS_DIR: path.join(REGRESSION_DIR, 'goldens'),
+    OUTPUT_DIR: path.join(REGRESSION_DIR, 'output'),
+    TOLERANCE: 2,
+    MAX_DIFF_PIXELS: 0,
+    FILTER: null,
+    UPDATE: false
+};
+
+const STATUS_ICONS = {
+    pass: '✓',
+    fail: '❌',
+    missing: '❌',
+    error: '❌',
+    updated: '📝',
+    added: '📝',
+    orphaned: '⚠️ ',
+    removed: '🗑️ '
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ...CONFIG };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--update':
+            case '-u':
+                config.UPDATE = true;
+                break;
+            case '--tolerance': {
+                const tolerance = parseInt(args[++i], 10);
+                config.TOLERANCE = isNaN(tolerance) ? CONFIG.TOLERANCE : tolerance;
+                break;
+            }
+            case '--max-diff': {
+                const maxDiff = parseInt(args[++i], 10);
+                config.MAX_DIFF_PIXELS = isNaN(maxDiff) ? CONFIG.MAX_DIFF_PIXELS : maxDiff;
+                break;
+            }
+            case '--filter':
+                config.FILTER = args[++i] || null;
+                break;
+            case '--goldens':
+                config.GOLDENS_DIR = path.resolve(args[++i] || CONFIG.GOLDENS_DIR);
+                break;
+            case '--output':
+            case '-o':
+                config.OUTPUT_DIR = path.resolve(args[++i] || CONFIG.OUTPUT_DIR);
+                break;
+            case '--help':
+            case '-h':
+                console.log(`
+Visual Regression Tests
+
+Usage: node tools/visual-regression.js [options]
+
+Options:
+  --update, -u        Accept the rendered output as the new goldens (also adds
+                      missing goldens and removes ones no longer in the matrix)
+  --tolerance <n>     Per-channel difference (0-255) a pixel may have and still
+                      match (default: ${CONFIG.TOLERANCE})
+  --max-diff <n>      Differing pixels a case may have and still pass (default: ${CONFIG.MAX_DIFF_PIXELS})
+  --filter <text>     Only run cases whose "<group>/<id>" contains the text
+  --goldens <dir>     Golden directory (default: tools/visual-regression/goldens)
+  -o, --output <dir>  Report directory (default: tools/visual-regression/output)
+  --help, -h          Show this help message
+
+Writes <output>/report.html, plus actual/ and diff/ images for failing cases.
+Exits with code 1 when a case fails, has no golden or cannot be rendered.
+
+Examples:
+  node tools/visual-regression.js
+  node tools/visual-regression.js --filter enemies/ --tolerance 8
+  node tools/visual-regression.js --update --filter heroes/paladin
+                `);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    return config;
+}
+
+function posix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function writePng(filePath, canvas) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, canvas.toBuffer('image/png'));
+}
+
+/**
+ * Golden PNGs on disk, as "<group>/<id>" names
+ */
+function listGoldens(goldensDir) {
+    if (!fs.existsSync(goldensDir)) return [];
+    const names = [];
+    for (const group of fs.readdirSync(goldensDir, { withFileTypes: true })) {
+        if (!group.isDirectory()) continue;
+        for (const file of fs.readdirSync(path.join(goldensDir, group.name))) {
+            if (file.endsWith('.png')) names.push(`${group.name}/${path.basename(file, '.png')}`);
+        }
+    }
+    return names.sort();
+}
+
+/**
+ * Render one case and compare it with its golden
+ * @returns {Promise<Object>} Result { name, status, diffPixels, maxDelta, message, golden, actual, diff }
+ */
+async function runCase(generator, group, testCase, config) {
+    const name = `${group.group}/${testCase.id}`;
+    const goldenPath = path.join(config.GOLDENS_DIR, group.group, `${testCase.id}.png`);
+    const actualPath = path.join(config.OUTPUT_DIR, 'actual', group.group, `${testCase.id}.png`);
+    const diffPath = path.join(config.OUTPUT_DIR, 'diff', group.group, `${testCase.id}.png`);
+    const result = { name, status: 'pass', diffPixels: 0, maxDelta: 0, message: null, golden: null, actual: null, diff: null };
+
+    let canvas;
+    try {
+        canvas = await generator.generate(group.type, testCase.data, { [group.idOption]: testCase.id, ...testCase.options });
+    } catch (error) {
+        return { ...result, status: 'error', message: error.message };
+    }
+    const actual = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+
+    if (!fs.existsSync(goldenPath)) {
+        if (config.UPDATE) {
+            writePng(goldenPath, canvas);
+            return { ...result, status: 'added', golden: goldenPath };
+        }
+        writePng(actualPath, canvas);
+        return { ...result, status: 'missing', message: 'no golden (run with --update to add it)', actual: actualPath };
+    }
+
+    const expected = await readImageData(goldenPath);
+    const comparison = compareImages(actual, expected, { tolerance: config.TOLERANCE });
+    result.golden = goldenPath;
+    result.diffPixels = comparison.diffPixels;
+    result.maxDelta = comparison.maxDelta;
+    if (!comparison.sizeMismatch && comparison.diffPixels <= config.MAX_DIFF_PIXELS) {
+        return result;
+    }
+
+    if (config.UPDATE) {
+        writePng(goldenPath, canvas);
+        return { ...result, status: 'updated' };
+    }
+
+    writePng(actualPath, canvas);
+    result.status = 'fail';
+    result.actual = actualPath;
+    if (comparison.sizeMismatch) {
+        result.message = `size ${actual.width}x${actual.height}, golden ${expected.width}x${expected.height}`;
+    } else {
+        const percent = (comparison.diffPixels / (actual.width * actual.height) * 100).toFixed(2);
+        result.message = `${comparison.diffPixels} px differ (${percent}%), max channel delta ${comparison.maxDelta}`;
+        writePng(diffPath, createDiffImage(expected, comparison));
+        result.diff = diffPath;
+    }
+    return result;
+}
+
+/**
+ * Build the HTML report (image paths relative to the report)
+ */
+function buildReport(results, config) {
+    const reportDir = config.OUTPUT_DIR;
+    const image = (filePath, label) => filePath
+        ? `<figure><img src="${escapeHtml(posix(path.relative(reportDir, filePath)))}" alt="${label}"><figcaption>${label}</figcaption></figure>`
+        : '';
+    const counts = {};
+    for (const result of results) counts[result.status] = (counts[result.status] || 0) + 1;
+
+    // Problems first, then everything else in matrix order
+    const order = ['error', 'fail', 'missing', 'orphaned', 'updated', 'added', 'removed', 'pass'];
+    const sorted = [...results].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+    const rows = sorted.map(result => `
+      <tr class="${result.status}">
+        <td><code>${escapeHtml(result.name)}</code></td>
+        <td class="status">${result.status}</td>
+        <td>${result.message ? escapeHtml(result.message) : (result.status === 'pass' && result.diffPixels > 0 ? `${result.diffPixels} px within --max-diff` : '')}</td>
+        <td class="images">${image(result.golden, 'golden')}${image(result.actual, 'actual')}${image(result.diff, 'diff')}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Visual Regression Report</title>
+<style>
+  body { font-family: sans-serif; background: #1e1e24; color: #ddd; margin: 2em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #444; padding: 6px 10px; text-align: left; vertical-align: top; }
+  tr.pass .status { color: #6c6; }
+  tr.fail .status, tr.missing .status, tr.error .status { color: #f66; font-weight: bold; }
+  tr.updated .status, tr.added .status, tr.removed .status, tr.orphaned .status { color: #fc6; }
+  figure { display: inline-block; margin: 0 12px 0 0; text-align: center; }
+  img { image-rendering: pixelated; width: 128px; height: 128px; object-fit: contain;
+        background: repeating-conic-gradient(#555 0% 25%, #333 0% 50%) 50% / 16px 16px; }
+  figcaption { font-size: 0.8em; color: #999; }
+</style>
+</head>
+<body>
+<h1>Visual Regression Report</h1>
+<p>${new Date().toISOString()} &middot; tolerance ${config.TOLERANCE} &middot; max diff ${config.MAX_DIFF_PIXELS} px${config.FILTER ? ` &middot; filter <code>${escapeHtml(config.FILTER)}</code>` : ''}</p>
+<p>${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(' &middot; ')}</p>
+<table>
+  <thead><tr><th>Case</th><th>Status</th><th>Details</th><th>Images</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+async function main() {
+    try {
+        const config = parseArgs();
+
+        console.log(`🖼️  Visual Regression Tests${config.UPDATE ? ' (updating goldens)' : ''}`);
+        console.log('═'.repeat(50));
+
+        // Without a baseline every case would just report "missing"
+        if (!config.UPDATE && listGoldens(config.GOLDENS_DIR).length === 0) {
+            throw new Error(`no goldens in ${posix(path.relative(ROOT, config.GOLDENS_DIR))}; ` +
+                'create the baseline with "npm run test:visual -- --update" (needs the canvas package) and commit it');
+        }
+
+        // Images from an earlier run would otherwise show up as current failures
+        for (const dir of ['actual', 'diff']) {
+            fs.rmSync(path.join(config.OUTPUT_DIR, dir), { recursive: true, force: true });
+        }
+
+        const generator = new UnifiedAssetGenerator();
+        const results = [];
+        const names = new Set();
+        for (const group of VISUAL_MATRIX) {
+            const cases = group.cases.filter(testCase => !config.FILTER || `${group.group}/${testCase.id}`.includes(config.FILTER));
+            if (cases.length === 0) continue;
+
+            console.log(`\n📁 ${group.group} (${group.type})`);
+            for (const testCase of cases) {
+                const result = await runCase(generator, group, testCase, config);
+                names.add(result.name);
+                results.push(result);
+                if (result.status !== 'pass') {
+                    console.log(`   ${STATUS_ICONS[result.status]} ${result.name}: ${result.status}${result.message ? ` - ${result.message}` : ''}`);
+                }
+            }
+            const passed = results.filter(result => result.name.startsWith(`${group.group}/`) && result.status === 'pass').length;
+            console.log(`   ${passed}/${cases.length} matched`);
+        }
+        if (results.length === 0) {
+            throw new Error(`No cases match filter "${config.FILTER}"`);
+        }
+
+        // Goldens for cases that left the matrix (only meaningful for a full run)
+        if (!config.FILTER) {
+            for (const name of listGoldens(config.GOLDENS_DIR).filter(golden => !names.has(golden))) {
+                const goldenPath = path.join(config.GOLDENS_DIR, `${name}.png`);
+                const result = config.UPDATE
+                    ? { name, status: 'removed', message: 'no longer in the matrix', golden: null }
+                    : { name, status: 'orphaned', message: 'not in the matrix (run with --update to remove it)', golden: goldenPath };
+                if (config.UPDATE) {
+                    fs.rmSync(goldenPath);
+                }
+                results.push({ ...result, diffPixels: 0, maxDelta: 0, actual: null, diff: null });
+                console.log(`   ${STATUS_ICONS[result.status]} ${name}: ${result.message}`);
+            }
+        }
+
+        fs.mkdirSync(config.OUTPUT_DIR, { recursive: true });
+        const reportPath = path.join(config.OUTPUT_DIR, 'report.html');
+        fs.writeFileSync(reportPath, buildReport(results, config));
+
+        const count = status => results.filter(result => result.status === status).length;
+        const failed = count('fail') + count('missing') + count('error');
+        console.log('');
+        console.log('═'.repeat(50));
+        console.log(`📊 ${count('pass')} passed, ${count('fail')} failed, ${count('missing')} missing, ${count('error')} error(s)` +
+            (config.UPDATE ? `, ${count('updated')} updated, ${count('added')} added, ${count('removed')} removed` : ''));
+        console.log(`📄 Report: ${posix(path.relative(ROOT, reportPath))}`);
+        if (failed > 0) {
+            console.log(`❌ ${failed} case(s) failed (accept intended changes with --update)`);
+            process.exit(1);
+        }
+        console.log('✅ Visual regression tests passed');
+    } catch (error) {
+        console.error('❌ Visual regression run failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,129 @@
+/**
+ * Visual Regression Matrix
+ * Fixed inputs rendered by tools/visual-regression.js and compared against the
+ * goldens in tools/visual-regression/goldens/<group>/<id>.png.
+ *
+ * Inputs are spelled out here instead of read from road-to-war/data so that
+ * balancing or content edits never change a golden; only generator changes do.
+ * Entries use the same { id, data } shape as UnifiedAssetGenerator.generateAll();
+ * an optional options object is passed to generate() along with the id.
+ */
+
+const HERO_CLASSES = ['paladin', 'warrior', 'mage', 'rogue', 'druid', 'priest', 'warlock', 'hunter', 'shaman'];
+
+// 'creature' is the generator's fallback body
+const ENEMY_BODY_TYPES = [
+    { bodyType: 'blob', color: '#44CC66', shape: 'circle', size: 'small' },
+    { bodyType: 'dragon', color: '#AA2222', shape: 'triangle', size: 'large' },
+    { bodyType: 'elemental', color: '#FF8800', shape: 'circle', size: 'medium' },
+    { bodyType: 'insectoid', color: '#667722', shape: 'circle', size: 'small' },
+    { bodyType: 'beast', color: '#8B5A2B', shape: 'circle', size: 'medium' },
+    { bodyType: 'undead', color: '#C8C8B4', shape: 'circle', size: 'medium' },
+    { bodyType: 'mechanical', color: '#7788AA', shape: 'square', size: 'large' },
+    { bodyType: 'humanoid', color: '#228B22', shape: 'circle', size: 'medium' },
+    { bodyType: 'creature', color: '#888888', shape: 'circle', size: 'medium' }
+];
+
+const enemyAppearance = bodyType => ENEMY_BODY_TYPES.find(appearance => appearance.bodyType === bodyType);
+
+const ITEM_RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+// One ability per SpellIconGenerator motif (see pickSpellMotif)
+const SPELL_MOTIFS = [
+    { id: 'shield_wall', motif: 'shield', name: 'Shield Wall', type: 'buff' },
+    { id: 'flash_heal', motif: 'heal', name: 'Flash Heal', type: 'heal' },
+    { id: 'moonfire', motif: 'moon', name: 'Moonfire', type: 'dot' },
+    { id: 'chain_lightning', motif: 'lightning', name: 'Chain Lightning', type: 'attack' },
+    { id: 'fireball', motif: 'fire', name: 'Fireball', type: 'attack' },
+    { id: 'frostbolt', motif: 'frost', name: 'Frostbolt', type: 'attack' },
+    { id: 'shadow_word_pain', motif: 'shadow', name: 'Shadow Word: Pain', type: 'dot' },
+    { id: 'backstab', motif: 'dagger', name: 'Backstab', type: 'attack' },
+    { id: 'aimed_shot', motif: 'arrow', name: 'Aimed Shot', type: 'attack' },
+    { id: 'tree_of_life', motif: 'tree', name: 'Tree of Life', type: 'buff' },
+    { id: 'bear_form', motif: 'form', name: 'Bear Form', type: 'buff' },
+    { id: 'searing_totem', motif: 'totem', name: 'Searing Totem', type: 'attack' },
+    { id: 'heroic_strike', motif: 'sword', name: 'Heroic Strike', type: 'attack' },
+    { id: 'whirlwind', motif: 'burst', name: 'Whirlwind', type: 'aoe' },
+    { id: 'arcane_blast', motif: 'spark', name: 'Arcane Blast', type: 'attack' }
+];
+
+const PROJECTILES = [
+    { id: 'bolt', color: 0x00FFFF, style: 'bolt' },
+    { id: 'orb', color: 0xFF4400, style: 'orb' },
+    { id: 'shard', color: 0x00AAFF, style: 'shard' },
+    { id: 'lightning', color: 0xFFFF00, style: 'lightning' },
+    { id: 'cloud', color: 0xAA00AA, style: 'cloud' },
+    { id: 'missile', color: 0xFF00FF, style: 'missile' }
+];
+
+const VFX = [
+    { id: 'burst', color: 0xFFFFFF, style: 'burst' },
+    { id: 'star', color: 0xFFD700, style: 'star' },
+    { id: 'ring', color: 0x4444FF, style: 'ring' },
+    { id: 'cloud', color: 0x444444, style: 'cloud' },
+    { id: 'sparks', color: 0xCCCCCC, style: 'sparks' }
+];
+
+/**
+ * Groups of cases: type and id option as passed to UnifiedAssetGenerator.generate()
+ */
+export const VISUAL_MATRIX = [
+    {
+        group: 'heroes',
+        type: 'hero',
+        idOption: 'heroId',
+        cases: HERO_CLASSES.map(heroClass => ({
+            id: heroClass,
+            data: { appearance: { class: heroClass } }
+        }))
+    },
+    {
+        group: 'enemies',
+        type: 'enemy',
+        idOption: 'enemyId',
+        cases: [
+            ...ENEMY_BODY_TYPES.map(appearance => ({
+                id: appearance.bodyType,
+                data: { name: appearance.bodyType, appearance }
+            })),
+            // Rank embellishments and poses (see generators/enemy-bodies)
+            { id: 'humanoid_elite', data: { type: 'elite', appearance: enemyAppearance('humanoid') } },
+            { id: 'humanoid_boss', data: { type: 'boss', appearance: enemyAppearance('humanoid') } },
+            { id: 'humanoid_attack', data: { appearance: enemyAppearance('humanoid') }, options: { pose: 'attack' } },
+            { id: 'dragon_hurt', data: { appearance: enemyAppearance('dragon') }, options: { pose: 'hurt' } }
+        ]
+    },
+    {
+        group: 'item_icons',
+        type: 'item_icon',
+        idOption: 'itemId',
+        cases: [
+            ...ITEM_RARITIES.map(rarity => ({
+                id: `sword_${rarity}`,
+                data: { type: 'weapon', weapon_type: 'sword', rarity }
+            })),
+            { id: 'axe_rare', data: { type: 'weapon', weapon_type: 'axe', rarity: 'rare' } },
+            { id: 'staff_epic', data: { type: 'weapon', weapon_type: 'staff', rarity: 'epic' } },
+            { id: 'armor_uncommon', data: { type: 'armor', rarity: 'uncommon' } },
+            { id: 'accessory_legendary', data: { type: 'accessory', rarity: 'legendary' } }
+        ]
+    },
+    {
+        group: 'spell_icons',
+        type: 'spell_icon',
+        idOption: 'abilityId',
+        cases: SPELL_MOTIFS.map(({ id, name, type }) => ({ id, data: { name, type } }))
+    },
+    {
+        group: 'projectiles',
+        type: 'projectile',
+        idOption: 'projectileId',
+        cases: PROJECTILES.map(projectile => ({ id: projectile.id, data: projectile }))
+    },
+    {
+        group: 'vfx',
+        type: 'vfx',
+        idOption: 'vfxId',
+        cases: VFX.map(vfx => ({ id: vfx.id, data: vfx }))
+    }
+];